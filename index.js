@@ -4,8 +4,46 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { HomeyAPI } from "homey-api";
+import { startHttpServer } from "./lib/http.js";
+import { loadPolicy } from "./lib/policy.js";
+import { coerceCapabilityValue, formatCapabilityValue } from "./lib/capabilities.js";
+import { resolveDevice, resolveZone, resolveFlow, resolveVariable, resolveUser, resolveApp } from "./lib/resolve.js";
+import { getZoneIds, renderZoneTree } from "./lib/zones.js";
+import { selectDevices, nameMatcher, bulkSetCapability, countResults, formatResultTable, MAX_CONCURRENCY, DEFAULT_CONCURRENCY } from "./lib/bulk.js";
+import { CapabilityEventHub, subscribeCapabilities, parseCondition, waitForEvent, DEFAULT_WAIT_SECONDS, MAX_WAIT_SECONDS } from "./lib/events.js";
+import { RESOURCE_TEMPLATES, parseResourceUri, listResources, readResource } from "./lib/resources.js";
+import { PROMPTS, getPrompt } from "./lib/prompts.js";
+import { formatSensorReadings, isSensor, LOW_BATTERY } from "./lib/summary.js";
+import { DEFAULT_STALE_HOURS, deviceHealthReport, formatHealthReport } from "./lib/health.js";
+import { Tariff, loadTariff, deviceConsumption, rollupByZone, formatEnergyReport } from "./lib/energy.js";
+import { RESOLUTIONS, DEFAULT_BUCKETS, MAX_BUCKETS, resolveTimeRange, findLog, toPoints, bucketize, summarize, formatSummary, formatSeries } from "./lib/insights.js";
+import { SceneStore, DEFAULT_SCENES_FILE, captureScene, applyScene, countSceneResults, formatSceneResults, describeScene } from "./lib/scenes.js";
+import { JobStore, Scheduler, DEFAULT_SCHEDULE_FILE, SCHEDULABLE_TOOLS, CALENDAR_REPEATS, createJob, firstRunAt, validateRepeat, describeJob } from "./lib/schedule.js";
+import { AuditLog, DEFAULT_AUDIT_FILE, DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT, undoAction, countUndoResults, formatUndoResults, describeAction } from "./lib/audit.js";
+import {
+  ToolError, errorResult, outputSchema, types, partial, DEVICE, DEVICE_REF, ZONE, ZONE_REF, FLOW, FLOW_FOLDER, FLOW_CARD, COUNTS, BULK_RESULT,
+  SCENE, SCENE_RESULT, VARIABLE, USER, NOTIFICATION, APP, APP_DEVICE, HEALTH_ZONE, AUDIT_ENTRY, UNDO_RESULT, JOB, INSIGHTS_LOG, INSIGHTS_RANGE, INSIGHTS_SUMMARY, INSIGHTS_BUCKET, serializeDevice, deviceRef, zoneRef,
+  serializeZone, serializeFlow, serializeFolder, serializeCard, serializeBulkResult, serializeSceneResult, serializeLog,
+  serializeSummary, serializeBuckets, serializeRange, serializeVariable, serializeUser, serializeNotification,
+  serializeApp, serializeAppDevice,
+} from "./lib/output.js";
+import {
+  NOTIFICATION_CARD_ID, DEFAULT_NOTIFICATION_LIMIT, MAX_NOTIFICATION_LIMIT, notificationWindow, filterNotifications, formatNotification,
+} from "./lib/notifications.js";
+import { deviceAppId, devicesByApp, appProblems, formatApp, formatAppDevice, diagnoseDevice, redactSettings, redactSetting, formatSettingValue } from "./lib/apps.js";
+import { VARIABLE_TYPES, coerceVariableValue, formatVariable, formatUser } from "./lib/logic.js";
+import { formatStatus } from "./lib/connection.js";
+import { HubRegistry, loadHubsConfig, hubsFromEnv } from "./lib/hubs.js";
+import { listingProperties, paginate, pickFields, pageSummary } from "./lib/listing.js";
+import { buildFlowCards, actionDeviceIds, cardCapabilityIds, describeFlow, diffLines, tagFlows, findFlowUsage, formatFlowUsage, auditFlows, formatFlowAudit } from "./lib/flows.js";
 import fs from "node:fs";
 import path from "node:path";
 
@@ -33,511 +71,2622 @@ function loadEnv() {
 loadEnv();
 
 const HOMEY_TOKEN = process.env.HOMEY_TOKEN;
-const HOMEY_IP = process.env.HOMEY_IP;
+const HOMEY_MOCK = process.env.HOMEY_MOCK;
+const HOMEY_CONFIG = process.env.HOMEY_CONFIG;
 
-if (!HOMEY_TOKEN) {
-  console.error("HOMEY_TOKEN environment variable is required");
+if (!HOMEY_TOKEN && !HOMEY_MOCK && !HOMEY_CONFIG) {
+  console.error("HOMEY_TOKEN environment variable is required (or HOMEY_CONFIG for several Homeys)");
   process.exit(1);
 }
 
-let homey;
+let policy;
+let tariff;
+let hubs;
+try {
+  policy = loadPolicy(process.env.HOMEY_POLICY);
+  tariff = loadTariff(process.env.HOMEY_TARIFF);
+  // One connection per Homey; each connects on its first call and reconnects after network errors
+  hubs = new HubRegistry(HOMEY_CONFIG ? loadHubsConfig(HOMEY_CONFIG) : hubsFromEnv(process.env), {
+    timeoutMs: Number(process.env.HOMEY_TIMEOUT_MS) || undefined,
+    retries: process.env.HOMEY_RETRIES !== undefined ? Number(process.env.HOMEY_RETRIES) : undefined,
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
-async function connect() {
-  try {
-    if (HOMEY_IP) {
-      const address = HOMEY_IP.startsWith('http') ? HOMEY_IP : `http://${HOMEY_IP}`;
-      console.error(`Connecting to Homey locally at ${address}...`);
-      homey = await HomeyAPI.createLocalAPI({
-        address: address,
-        token: HOMEY_TOKEN,
-      });
-    } else {
-      console.error("Connecting to Homey via Cloud Token...");
-      // In v3.x of homey-api, for external scripts, we often need to use 
-      // HomeyAPI.createCloudAPI if using OAuth or similar.
-      // However, if the user provided a Personal Access Token, 
-      // they might be expecting it to work with a generic cloud instance.
-      // If createCloudAPI is missing, we try to use a more generic approach 
-      // or assume it's a local-style token for a specific Homey.
-
-      // Attempting to use createLocalAPI without an IP if the SDK supports it, 
-      // or providing a way to fail gracefully.
-      try {
-        homey = await HomeyAPI.createLocalAPI({
-          token: HOMEY_TOKEN,
-        });
-      } catch (e) {
-        console.error("Local API failed, attempting generic Cloud API initialization...");
-        // Fallback or detailed error
-        throw new Error("Cloud connection requires OAuth2 or specific Homey ID. Please use HOMEY_IP for Local API.");
-      }
-    }
-    console.error("Connected to Homey!");
-  } catch (error) {
-    console.error("Warning: Failed to connect to Homey:", error.message);
-    console.error("The server will still start, but tools requiring live data will fail.");
+const scenes = new SceneStore(process.env.HOMEY_SCENES_FILE || DEFAULT_SCENES_FILE);
+const audit = new AuditLog(process.env.HOMEY_AUDIT_FILE || DEFAULT_AUDIT_FILE);
+
+// Scheduled jobs go through the same tool handlers as calls from clients, policy checks and audit
+// log included
+const scheduler = new Scheduler({
+  store: new JobStore(process.env.HOMEY_SCHEDULE_FILE || DEFAULT_SCHEDULE_FILE),
+  run: job => handleToolCall(
+    { params: { name: job.tool, arguments: job.arguments } },
+    {},
+    { name: `scheduled action ${job.id}`, version: null, sessionId: null },
+  ),
+});
+
+// Shared by every connected client so each device capability is watched only once
+const events = new CapabilityEventHub({ scope: () => hubs.current().id });
+
+// A reconnect replaces the homey-api instance, so the watchers move to devices from the new one
+for (const hub of hubs.hubs) {
+  const connection = hubs.connection(hub);
+  connection.onReconnect(() => events.reconnect(hub.id, id => connection.homey.devices.getDevice({ id })));
+}
+
+// Used like a homey-api instance; calls go to the Homey picked by the tool call's homeyId (see
+// lib/hubs.js), with a timeout on every call
+const homey = hubs.homey;
+
+// homey-api exposes triggers, conditions and actions separately; tag each card with its type
+async function getFlowCards() {
+  const [triggers, conditions, actions] = await Promise.all([
+    homey.flow.getFlowCardTriggers(),
+    homey.flow.getFlowCardConditions(),
+    homey.flow.getFlowCardActions(),
+  ]);
+  return [
+    ...Object.values(triggers).map(c => ({ ...c, type: 'trigger' })),
+    ...Object.values(conditions).map(c => ({ ...c, type: 'condition' })),
+    ...Object.values(actions).map(c => ({ ...c, type: 'action' })),
+  ];
+}
+
+// Resolves an insights log (by logId or device + capabilityId) and loads its entries as points
+async function loadInsightsSeries({ logId, deviceId, deviceName, zone, capabilityId }, range) {
+  const device = deviceId || deviceName
+    ? (await findDevice({ id: deviceId, name: deviceName, zone })).device
+    : null;
+  const log = findLog(await homey.insights.getLogs(), { logId, device, capabilityId });
+  const entries = await homey.insights.getLogEntries({ id: log.id, resolution: range.resolution });
+  const ownerId = log.ownerUri?.startsWith("homey:device:") ? log.ownerUri.slice("homey:device:".length) : null;
+  const ownerName = device?.name || (ownerId && (await homey.devices.getDevices())[ownerId]?.name) || log.ownerUri;
+  return {
+    log,
+    label: `${ownerName} ${log.ownerId}`,
+    title: `${log.title} — ${ownerName} (${log.ownerId}${log.units ? `, ${log.units}` : ''})`,
+    points: toPoints(entries, range),
+  };
+}
+
+// Resolves a device from an ID or (fuzzy) name, optionally narrowed to a zone
+async function findDevice({ id, name, zone }) {
+  const [devices, zones] = await Promise.all([
+    homey.devices.getDevices(),
+    homey.zones.getZones()
+  ]);
+  return { device: resolveDevice(devices, zones, { id, name, zone }), zones };
+}
+
+// Resolves a standard flow, or an Advanced Flow when advanced is set, and checks the flow rules
+async function findFlow({ id, name, advanced }) {
+  const flow = advanced
+    ? resolveFlow(await homey.flow.getAdvancedFlows(), { id, name }, "Advanced Flow")
+    : resolveFlow(await homey.flow.getFlows(), { id, name });
+  policy.assertFlow(flow);
+  return flow;
+}
+
+// Folder name or ID to folder ID; null or "" means the top level
+function resolveFlowFolder(folders, folder) {
+  if (folder === null || folder === "") return null;
+  return resolveFlow(folders, { id: folder, name: folder }, "flow folder").id;
+}
+
+// A flow's action cards act on devices when it runs, so writing one needs the same device
+// permissions as controlling those devices directly
+async function assertFlowDevices(flow) {
+  const ids = actionDeviceIds(flow);
+  if (!ids.length) return;
+  const [devices, zones] = await Promise.all([
+    homey.devices.getDevices(),
+    homey.zones.getZones()
+  ]);
+  for (const id of ids) {
+    if (devices[id]) policy.assertDevice(devices[id], zones);
   }
 }
 
-const server = new Server(
+// Running a flow card action needs the permissions of what it acts on: a device card its device and
+// capability, an app card every device of that app, and any card the devices and flows its
+// arguments point at (e.g. { device: { id, name } })
+async function assertFlowCardAction(cardId, cardArgs = {}) {
+  const [devices, zones] = await Promise.all([
+    homey.devices.getDevices(),
+    homey.zones.getZones()
+  ]);
+  const [ownerType, ownerKind, ownerId] = cardId.split(":");
+  if (ownerType === "homey" && ownerKind === "device") {
+    const device = devices[ownerId];
+    if (!device) throw new ToolError("not_found", `Device "${ownerId}" of flow card ${cardId} not found.`);
+    for (const capabilityId of cardCapabilityIds(cardId, device)) policy.assertDevice(device, zones, capabilityId);
+  } else if (ownerType === "homey" && ownerKind === "app") {
+    for (const device of devicesByApp(devices).get(ownerId) || []) policy.assertDevice(device, zones);
+  }
+
+  const refs = Object.values(cardArgs).map(value => value?.id).filter(id => typeof id === "string");
+  if (!refs.length) return;
+  for (const id of refs) {
+    if (devices[id]) policy.assertDevice(devices[id], zones);
+  }
+  const [flows, advancedFlows] = await Promise.all([
+    homey.flow.getFlows(),
+    homey.flow.getAdvancedFlows()
+  ]);
+  for (const id of refs) {
+    const flow = flows[id] || advancedFlows[id];
+    if (flow) policy.assertFlow(flow);
+  }
+}
+
+// Resolves an app and the devices it drives. Disabling, restarting or reconfiguring an app affects
+// all of those devices, so with write set it needs the same device permissions as controlling them.
+async function findApp({ id, name }, { write = false } = {}) {
+  const [apps, devices, zones] = await Promise.all([
+    homey.apps.getApps(),
+    homey.devices.getDevices(),
+    homey.zones.getZones()
+  ]);
+  const app = resolveApp(apps, { id, name });
+  const driven = devicesByApp(devices).get(app.id) || [];
+  if (write) {
+    for (const device of driven) policy.assertDevice(device, zones);
+  }
+  return { app, devices: driven, zones };
+}
+
+// Applies changes to a flow, answering with a diff of the flow before and after. With dryRun only
+// the diff is returned.
+async function updateFlowWithPreview(flow, changes, { advanced, cards = [], folders = {}, dryRun }) {
+  const kind = advanced ? "Advanced Flow" : "flow";
+  const updated = { ...flow, ...changes };
+  policy.assertFlow(updated);
+  await assertFlowDevices(updated);
+
+  const diff = diffLines(describeFlow(flow, { cards, folders }), describeFlow(updated, { cards, folders }));
+  const result = text => ({
+    content: [{ type: "text", text }],
+    structuredContent: {
+      dryRun: dryRun === true,
+      changed: diff.length > 0 && !dryRun,
+      flow: serializeFlow(diff.length && !dryRun ? updated : flow, { advanced }),
+      diff,
+    },
+  });
+  if (!diff.length) return result(`ℹ️ No changes: ${kind} "${flow.name}" is already up to date.`);
+  if (dryRun) return result(`🧪 Dry run: would update ${kind} "${flow.name}" [ID: ${flow.id}]:\n${diff.join('\n')}`);
+
+  if (advanced) await homey.flow.updateAdvancedFlow({ id: flow.id, advancedflow: changes });
+  else await homey.flow.updateFlow({ id: flow.id, flow: changes });
+  return result(`✅ Updated ${kind} "${updated.name}" [ID: ${flow.id}]:\n${diff.join('\n')}`);
+}
+
+// One page of standard or Advanced Flows, filtered by name, state and folder
+async function listFlows(args, { advanced }) {
+  const [flows, folders] = await Promise.all([
+    advanced ? homey.flow.getAdvancedFlows() : homey.flow.getFlows(),
+    homey.flow.getFlowFolders()
+  ]);
+  const folderId = args.folder !== undefined ? resolveFlowFolder(folders, args.folder) : undefined;
+  const matchesName = nameMatcher(args.namePattern);
+  const page = paginate(Object.values(flows).filter(f =>
+    matchesName(f.name)
+    && (args.enabled === undefined || (f.enabled !== false) === args.enabled)
+    && (folderId === undefined || (f.folder || null) === folderId)
+  ), args);
+
+  const full = args.detail === "full";
+  const output = page.items.map(f => {
+    const line = `- ${f.name} [ID: ${f.id}] (${f.enabled !== false ? 'Enabled' : 'Disabled'})`;
+    if (!full) return line;
+    const details = advanced
+      ? [`Folder: ${folders[f.folder]?.name || "(none)"}`, ...Object.values(f.cards || {}).filter(c => c.id).map(c => `[${c.type}] ${c.id}`)]
+      : describeFlow(f, { folders }).slice(2);
+    return [line, ...details.map(d => `  ${d}`)].join('\n');
+  }).join('\n');
+
+  // Selected fields are picked from the full items
+  const items = page.items.map(f => {
+    const flow = serializeFlow(f, { advanced });
+    if (!full && !args.fields?.length) return flow;
+    return advanced
+      ? { ...flow, cards: Object.values(f.cards || {}) }
+      : { ...flow, trigger: f.trigger, conditions: f.conditions || [], actions: f.actions || [] };
+  });
+  return {
+    content: [{ type: "text", text: `${advanced ? "Advanced Flows" : "Standard Flows"}:\n${output || "No matching flows."}\n\n${pageSummary(page)}` }],
+    structuredContent: {
+      total: page.total,
+      nextCursor: page.nextCursor,
+      flows: pickFields(items, args.fields, FLOW_FIELDS),
+    },
+  };
+}
+
+// Time range and output options shared by the insights tools
+const INSIGHTS_RANGE_PROPERTIES = {
+  resolution: { type: "string", enum: RESOLUTIONS, description: "Period to load (default: last24Hours, or the shortest window covering 'from')" },
+  from: { type: "string", description: "Start of a custom range (ISO 8601)" },
+  to: { type: "string", description: "End of a custom range (ISO 8601, default: now)" },
+  buckets: { type: "number", description: `Downsample to this many time buckets (default: ${DEFAULT_BUCKETS}, max: ${MAX_BUCKETS})` },
+  format: { type: "string", enum: ["table", "csv"], description: "Series output format (default: table)" },
+};
+
+// Device filters of the list tools (the same filters as the bulk tools, all optional)
+const DEVICE_FILTER_PROPERTIES = {
+  zone: { type: "string", description: "Only devices in this zone (name or ID)" },
+  includeChildren: { type: "boolean", description: "Include devices in sub-zones of the zone (default: true)" },
+  deviceClass: { type: ["string", "array"], items: { type: "string" }, description: "Only devices of this class or classes, e.g. 'light' or ['socket', 'fan']" },
+  capabilityId: { type: "string", description: "Only devices that have this capability, e.g. measure_power" },
+  namePattern: { type: "string", description: "Device name filter; supports * and ? wildcards, otherwise a case-insensitive substring" },
+};
+
+const FLOW_FILTER_PROPERTIES = {
+  namePattern: { type: "string", description: "Flow name filter; supports * and ? wildcards, otherwise a case-insensitive substring" },
+  enabled: { type: "boolean", description: "Only enabled (true) or disabled (false) flows" },
+  folder: { type: ["string", "null"], description: "Only flows in this folder (name or ID); null for flows at the top level" },
+};
+
+// Fields that can be selected with the list tools' fields argument
+const DEVICE_FIELDS = Object.keys(DEVICE.properties);
+const FLOW_FIELDS = [...Object.keys(FLOW.properties), "trigger", "conditions", "actions", "cards"];
+const VARIABLE_FIELDS = Object.keys(VARIABLE.properties);
+// Variables are only an id, name, type and value, so listing them has no detail level
+const { detail: _detail, ...VARIABLE_LISTING_PROPERTIES } = listingProperties(VARIABLE_FIELDS);
+const FLOW_CARD_FIELDS = Object.keys(FLOW_CARD.properties);
+
+// Flow card spec shared by the flow authoring tools; cards and arguments come from homey_get_flow_cards
+const FLOW_CARD_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "string", description: "Full card ID from homey_get_flow_cards, e.g. homey:device:<id>:on" },
+    args: { type: "object", description: "Card arguments by name, e.g. { \"dim\": 0.5 }. Tokens like \"[[...]]\" are passed through." },
+  },
+  required: ["id"],
+};
+
+const FLOW_EDIT_PROPERTIES = {
+  trigger: { ...FLOW_CARD_SCHEMA, description: "The trigger card (WHEN)" },
+  conditions: {
+    type: "array",
+    description: "Condition cards (AND); all must pass",
+    items: {
+      ...FLOW_CARD_SCHEMA,
+      properties: { ...FLOW_CARD_SCHEMA.properties, inverted: { type: "boolean", description: "Negate the condition (NOT)" } },
+    },
+  },
+  actions: {
+    type: "array",
+    description: "Action cards (THEN, or ELSE when the conditions fail)",
+    items: {
+      ...FLOW_CARD_SCHEMA,
+      properties: { ...FLOW_CARD_SCHEMA.properties, group: { type: "string", enum: ["then", "else"], description: "Run when the conditions pass (then, default) or fail (else)" } },
+    },
+  },
+};
+
+// Output shapes used by more than one tool, or too long to read inline
+const FLOW_CHANGE_OUTPUT = outputSchema({
+  dryRun: types.boolean,
+  changed: types.boolean,
+  flow: FLOW,
+  diff: types.array(types.string),
+});
+
+const ENERGY_AMOUNT = { kWh: types.number, cost: types.nullable(types.number) };
+
+const ENERGY_OUTPUT = outputSchema({
+  range: INSIGHTS_RANGE,
+  tariff: types.nullable(types.string),
+  currency: types.nullable(types.string),
+  total: types.object(ENERGY_AMOUNT),
+  devices: types.array(types.object({ device: DEVICE_REF, ...ENERGY_AMOUNT, source: { type: "string", enum: ["meter", "power"] } })),
+  zones: types.array(types.object({ zone: ZONE_REF, ...ENERGY_AMOUNT })),
+  live: types.array(types.object({ device: DEVICE_REF, watts: types.number })),
+});
+
+const FLOW_USAGE_OUTPUT = outputSchema({
+  devices: types.array(types.object({
+    device: DEVICE_REF,
+    flows: types.array({
+      ...FLOW,
+      properties: {
+        ...FLOW.properties,
+        uses: types.array(types.object({ role: { type: "string", enum: ["trigger", "condition", "action", "token"] }, cardId: types.string })),
+      },
+    }),
+  })),
+});
+
+const FLOW_AUDIT_OUTPUT = outputSchema({
+  totalFlows: types.number,
+  problemCount: types.number,
+  flows: types.array({ ...FLOW, properties: { ...FLOW.properties, problems: types.array(types.string) } }),
+});
+
+const WAIT_FOR_EVENT_OUTPUT = outputSchema({
+  matched: types.boolean,
+  timeoutSeconds: types.number,
+  event: types.nullable(types.object({
+    device: DEVICE_REF,
+    capabilityId: types.string,
+    value: types.any,
+    previous: types.any,
+    time: types.nullable(types.string),
+    current: types.boolean,
+  })),
+});
+
+const CONNECTION_STATUS = {
+  mode: { type: "string", enum: ["local", "cloud", "mock"] },
+  address: types.nullable(types.string),
+  connected: types.boolean,
+  connectedSince: types.nullable(types.string),
+  homey: types.nullable(types.object({ id: types.nullable(types.string), name: types.nullable(types.string), version: types.nullable(types.string) })),
+  latencyMs: types.nullable(types.number),
+  failures: types.number,
+  nextAttemptAt: types.nullable(types.string),
+  lastError: types.nullable(types.object({ message: types.string, at: types.string })),
+  pingError: types.nullable(types.string),
+};
+
+const HOMEY_STATUS_OUTPUT = outputSchema({ hub: types.object({ id: types.string, name: types.string }), ...CONNECTION_STATUS });
+
+const LIST_HUBS_OUTPUT = outputSchema({
+  hubs: types.array(types.object({ id: types.string, name: types.string, default: types.boolean, ...CONNECTION_STATUS })),
+});
+
+const TOOLS = [
   {
-    name: "homey-mcp",
-    version: "1.0.0",
+    name: "homey_list_devices",
+    description: "List devices on Homey with their current states, a page at a time, sorted by name. Filter by zone, class, capability or name. The compact detail level (default) shows capability values only; full adds their metadata (title, range, setable, last update).",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...DEVICE_FILTER_PROPERTIES,
+        ...listingProperties(DEVICE_FIELDS),
+      },
+    },
+    outputSchema: outputSchema({ total: types.number, nextCursor: types.nullable(types.string), devices: types.array(partial(DEVICE)) }),
   },
   {
-    capabilities: {
-      tools: {},
+    name: "homey_get_sensor_readings",
+    description: "Get current readings from sensors (temperature, humidity, motion, etc.) across the home, a page at a time. Filter by zone, class, capability or name.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...DEVICE_FILTER_PROPERTIES,
+        ...listingProperties(DEVICE_FIELDS),
+      },
     },
-  }
-);
-
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: "homey_list_devices",
-        description: "List all devices on Homey with their current states.",
-        inputSchema: {
-          type: "object",
-          properties: {},
-        },
+    outputSchema: outputSchema({ total: types.number, nextCursor: types.nullable(types.string), sensors: types.array(partial(DEVICE)) }),
+  },
+  {
+    name: "homey_device_health",
+    description: "Maintenance check in one call: devices that are unavailable or not ready, low batteries (measure_battery at or below the threshold, or alarm_battery) and measure_*/meter_* values that haven't updated within a per-class threshold, grouped by zone with a suggested fix for each. Filter by zone, class, capability or name.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...DEVICE_FILTER_PROPERTIES,
+        batteryThreshold: { type: "number", description: `Battery percentage at or below which a battery counts as low (default: ${LOW_BATTERY})` },
+        staleHours: { type: "number", description: `Hours without an update after which a value counts as stale (default: ${DEFAULT_STALE_HOURS})` },
+        staleHoursByClass: { type: "object", additionalProperties: { type: "number" }, description: "Stale thresholds in hours for specific device classes, e.g. { \"sensor\": 6, \"socket\": 48 }; other classes use staleHours" },
       },
-      {
-        name: "homey_get_sensor_readings",
-        description: "Get current readings from all sensors (temperature, humidity, motion, etc.) across the home.",
-        inputSchema: {
-          type: "object",
-          properties: {},
-        },
+    },
+    outputSchema: outputSchema({ checkedDevices: types.number, healthyDevices: types.number, counts: COUNTS, zones: types.array(HEALTH_ZONE) }),
+  },
+  {
+    name: "homey_get_device",
+    description: "Get detailed information about a specific device by ID or name.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the device" },
+        name: { type: "string", description: "The name of the device (fuzzy matched, e.g. 'kitchen lamp'), instead of id" },
+        zone: { type: "string", description: "Optional: zone name or ID to narrow a name lookup" },
       },
-      {
-        name: "homey_get_device",
-        description: "Get detailed information about a specific device by ID.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            id: { type: "string", description: "The ID of the device" },
-          },
-          required: ["id"],
-        },
+    },
+    outputSchema: outputSchema({ device: DEVICE }),
+  },
+  {
+    name: "homey_find_devices_by_zone",
+    description: "List all devices in a specific zone (room or floor), including its sub-zones by default.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        zoneName: { type: "string", description: "The name of the zone (fuzzy matched, e.g. 'Living Room')" },
+        zoneId: { type: "string", description: "The ID of the zone (optional)" },
+        includeChildren: { type: "boolean", description: "Include devices in sub-zones, e.g. rooms on a floor (default: true)" },
       },
-      {
-        name: "homey_find_devices_by_zone",
-        description: "List all devices in a specific zone (room or floor).",
-        inputSchema: {
-          type: "object",
-          properties: {
-            zoneName: { type: "string", description: "The name of the zone (e.g. 'Living Room')" },
-            zoneId: { type: "string", description: "The ID of the zone (optional)" },
-          },
-        },
+    },
+    outputSchema: outputSchema({ zone: ZONE, devices: types.array(DEVICE) }),
+  },
+  {
+    name: "homey_control_lights_in_zone",
+    description: "Turn all lights (devices of class 'light') in a specific zone (and by default its sub-zones) on or off. Returns a per-device result table.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        zoneName: { type: "string", description: "The name of the zone (fuzzy matched)" },
+        on: { type: "boolean", description: "True to turn on, False to turn off" },
+        includeChildren: { type: "boolean", description: "Include lights in sub-zones, e.g. rooms on a floor (default: true)" },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
       },
-      {
-        name: "homey_control_lights_in_zone",
-        description: "Turn all lights in a specific zone on or off.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            zoneName: { type: "string", description: "The name of the zone" },
-            on: { type: "boolean", description: "True to turn on, False to turn off" },
-          },
-          required: ["zoneName", "on"],
-        },
+      required: ["zoneName", "on"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, zone: ZONE_REF, capabilityId: types.string, value: types.any, counts: COUNTS, results: types.array(BULK_RESULT) }),
+  },
+  {
+    name: "homey_bulk_set_capability",
+    description: "Set a capability on every device matching the filters (zone, class, name pattern, IDs), in parallel with bounded concurrency. Only devices that have the capability are targeted. Returns a per-device success/failure table.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        capabilityId: { type: "string", description: "The ID of the capability to set (e.g. onoff, dim, target_temperature)" },
+        value: { type: ["boolean", "number", "string"], description: "The value to set; validated and coerced per device like homey_set_capability" },
+        zone: { type: "string", description: "Zone name or ID to target" },
+        includeChildren: { type: "boolean", description: "Include devices in sub-zones of the zone (default: true)" },
+        deviceClass: { type: ["string", "array"], items: { type: "string" }, description: "Device class or list of classes (e.g. 'light', ['socket', 'fan'])" },
+        namePattern: { type: "string", description: "Device name filter; supports * and ? wildcards, otherwise a case-insensitive substring" },
+        deviceIds: { type: "array", items: { type: "string" }, description: "Explicit list of device IDs" },
+        concurrency: { type: "number", description: `Maximum parallel requests (default: ${DEFAULT_CONCURRENCY}, max: ${MAX_CONCURRENCY})` },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
       },
-      {
-        name: "homey_set_capability",
-        description: "Set a capability value on a device (e.g. turn on/off, dim, target_temperature).",
-        inputSchema: {
-          type: "object",
-          properties: {
-            deviceId: { type: "string", description: "The ID of the device" },
-            capabilityId: { type: "string", description: "The ID of the capability (e.g. onoff, dim, target_temperature, light_hue)" },
-            value: { type: ["boolean", "number", "string"], description: "The value to set" },
-          },
-          required: ["deviceId", "capabilityId", "value"],
-        },
+      required: ["capabilityId", "value"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, capabilityId: types.string, value: types.any, counts: COUNTS, results: types.array(BULK_RESULT) }),
+  },
+  {
+    name: "homey_save_scene",
+    description: "Snapshot the current settable capability values (onoff, dim, target_temperature, ...) of the selected devices into a named scene stored locally, e.g. before changing things so they can be put back later with homey_apply_scene.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Scene name, e.g. 'Movie mode' or 'Before movie'" },
+        description: { type: "string", description: "Optional note stored with the scene" },
+        zone: { type: "string", description: "Zone name or ID to capture" },
+        includeChildren: { type: "boolean", description: "Include devices in sub-zones of the zone (default: true)" },
+        deviceClass: { type: ["string", "array"], items: { type: "string" }, description: "Device class or list of classes" },
+        namePattern: { type: "string", description: "Device name filter; supports * and ? wildcards, otherwise a case-insensitive substring" },
+        deviceIds: { type: "array", items: { type: "string" }, description: "Explicit list of device IDs" },
+        capabilityIds: { type: "array", items: { type: "string" }, description: "Only capture these capabilities (default: every settable capability)" },
+        overwrite: { type: "boolean", description: "Replace an existing scene with the same name" },
+        dryRun: { type: "boolean", description: "Show what would be captured without saving" },
       },
-      {
-        name: "homey_list_flows",
-        description: "List all standard flows on Homey.",
-        inputSchema: {
-          type: "object",
-          properties: {},
-        },
+      required: ["name"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, scene: SCENE }),
+  },
+  {
+    name: "homey_list_scenes",
+    description: "List saved scenes, or show the stored device values of one scene.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Show the contents of this scene" },
       },
-      {
-        name: "homey_list_advanced_flows",
-        description: "List all Advanced Flows on Homey.",
-        inputSchema: {
-          type: "object",
-          properties: {},
-        },
+    },
+    outputSchema: outputSchema({ scenes: types.array(SCENE) }),
+  },
+  {
+    name: "homey_apply_scene",
+    description: "Apply a saved scene by setting every stored capability value again. Values that already match are left alone. Returns a per-capability table of what changed and what failed.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "The scene to apply" },
+        concurrency: { type: "number", description: `Maximum devices updated in parallel (default: ${DEFAULT_CONCURRENCY}, max: ${MAX_CONCURRENCY})` },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
       },
-      {
-        name: "homey_run_flow",
-        description: "Trigger a specific standard flow.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            id: { type: "string", description: "The ID of the flow" },
-          },
-          required: ["id"],
-        },
+      required: ["name"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, scene: types.string, counts: COUNTS, results: types.array(SCENE_RESULT) }),
+  },
+  {
+    name: "homey_delete_scene",
+    description: "Delete a saved scene.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "The scene to delete" },
+        dryRun: { type: "boolean", description: "Check that the scene exists without deleting it" },
       },
-      {
-        name: "homey_run_advanced_flow",
-        description: "Trigger a specific Advanced Flow.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            id: { type: "string", description: "The ID of the flow" },
-          },
-          required: ["id"],
-        },
+      required: ["name"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, scene: SCENE }),
+  },
+  {
+    name: "homey_set_capability",
+    description: "Set a capability value on a device (e.g. turn on/off, dim, target_temperature). Values are validated against the capability's type and range; percentages (\"50%\") and temperature units (\"70°F\") are converted. Returns the previous and new value.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        deviceId: { type: "string", description: "The ID of the device" },
+        deviceName: { type: "string", description: "The name of the device (fuzzy matched), instead of deviceId" },
+        zone: { type: "string", description: "Optional: zone name or ID to narrow a deviceName lookup" },
+        capabilityId: { type: "string", description: "The ID of the capability (e.g. onoff, dim, target_temperature, light_hue)" },
+        value: { type: ["boolean", "number", "string"], description: "The value to set, e.g. true, 0.5, \"50%\", 21, \"70°F\" or an enum ID such as \"heat\"" },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
       },
-      {
-        name: "homey_list_zones",
-        description: "List all zones (rooms/floors) and their hierarchy.",
-        inputSchema: {
-          type: "object",
-          properties: {},
-        },
+      required: ["capabilityId", "value"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, device: DEVICE_REF, capabilityId: types.string, previous: types.any, value: types.any, notes: types.array(types.string) }),
+  },
+  {
+    name: "homey_list_flows",
+    description: "List standard flows on Homey, a page at a time, sorted by name. Filter by name, state or folder. The full detail level adds each flow's cards.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...FLOW_FILTER_PROPERTIES,
+        ...listingProperties(FLOW_FIELDS),
       },
-      {
-        name: "homey_get_energy_data",
-        description: "Get energy consumption logs for devices.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            deviceId: { type: "string", description: "Optional: ID of a specific device" },
-          },
-        },
+    },
+    outputSchema: outputSchema({ total: types.number, nextCursor: types.nullable(types.string), flows: types.array(partial(FLOW)) }),
+  },
+  {
+    name: "homey_list_advanced_flows",
+    description: "List Advanced Flows on Homey, a page at a time, sorted by name. Filter by name, state or folder. The full detail level adds each flow's cards.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...FLOW_FILTER_PROPERTIES,
+        ...listingProperties(FLOW_FIELDS),
       },
-      {
-        name: "homey_get_flow",
-        description: "Get detailed information about a specific flow.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            id: { type: "string", description: "The ID of the flow" },
-          },
-          required: ["id"],
-        },
+    },
+    outputSchema: outputSchema({ total: types.number, nextCursor: types.nullable(types.string), flows: types.array(partial(FLOW)) }),
+  },
+  {
+    name: "homey_run_flow",
+    description: "Trigger a specific standard flow by ID or name.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the flow" },
+        name: { type: "string", description: "The name of the flow (fuzzy matched), instead of id" },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
       },
-      {
-        name: "homey_get_flow_folders",
-        description: "List the folder structure for flows.",
-        inputSchema: {
-          type: "object",
-          properties: {},
-        },
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, flow: FLOW }),
+  },
+  {
+    name: "homey_run_advanced_flow",
+    description: "Trigger a specific Advanced Flow by ID or name.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the flow" },
+        name: { type: "string", description: "The name of the flow (fuzzy matched), instead of id" },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
       },
-      {
-        name: "homey_get_flow_cards",
-        description: "List available flow cards (triggers, conditions, actions) for devices or system.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            type: { type: "string", enum: ["trigger", "condition", "action"], description: "Filter by card type" },
-          },
-        },
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, flow: FLOW }),
+  },
+  {
+    name: "homey_list_zones",
+    description: "List all zones (rooms/floors) as an indented tree with device counts per zone.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+    outputSchema: outputSchema({ zones: types.array(ZONE) }),
+  },
+  {
+    name: "homey_get_energy_data",
+    description: "Energy report for a period: kWh per device (from meter_power, or measure_power integrated over time), rolled up per zone, top consumers, current live draw and cost from the configured flat or time-of-use tariff. Narrow it down to answer questions like 'what did the heating cost last week?'.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        deviceId: { type: "string", description: "Optional: ID of a specific device" },
+        deviceName: { type: "string", description: "Optional: name of a specific device (fuzzy matched)" },
+        zone: { type: "string", description: "Only include devices in this zone (name or ID)" },
+        includeChildren: { type: "boolean", description: "Include devices in sub-zones of the zone (default: true)" },
+        deviceClass: { type: ["string", "array"], items: { type: "string" }, description: "Only include devices of this class or classes, e.g. 'heater' or ['heater', 'thermostat']" },
+        namePattern: { type: "string", description: "Device name filter; supports * and ? wildcards, otherwise a case-insensitive substring" },
+        resolution: INSIGHTS_RANGE_PROPERTIES.resolution,
+        from: INSIGHTS_RANGE_PROPERTIES.from,
+        to: INSIGHTS_RANGE_PROPERTIES.to,
+        top: { type: "number", description: "Number of top consumers to list (default: 5)" },
+        pricePerKwh: { type: "number", description: "Flat price per kWh for this report, overriding the configured tariff" },
+        currency: { type: "string", description: "Currency for pricePerKwh (default: the tariff's currency, or EUR)" },
       },
-      {
-        name: "homey_run_flow_card_action",
-        description: "Manually execute a specific flow card action.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            uri: { type: "string", description: "The URI of the flow card action (e.g. homey:device:id)" },
-            id: { type: "string", description: "The ID of the action" },
-            args: { type: "object", description: "Arguments for the action" },
-          },
-          required: ["uri", "id"],
-        },
+    },
+    outputSchema: ENERGY_OUTPUT,
+  },
+  {
+    name: "homey_get_flow",
+    description: "Get detailed information about a specific standard flow by ID or name.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the flow" },
+        name: { type: "string", description: "The name of the flow (fuzzy matched), instead of id" },
       },
-      {
-        name: "homey_get_device_insights",
-        description: "Retrieve historical logs for any device capability over a period.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            logId: { type: "string", description: "The ID of the insight log" },
-            resolution: { type: "string", enum: ["today", "last7days", "last31days", "lastYear"], default: "today" },
-          },
-          required: ["logId"],
-        },
+    },
+    outputSchema: outputSchema({ flow: FLOW }),
+  },
+  {
+    name: "homey_get_flow_folders",
+    description: "List the folder structure for flows.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+    outputSchema: outputSchema({ folders: types.array(FLOW_FOLDER) }),
+  },
+  {
+    name: "homey_get_flow_cards",
+    description: "List available flow cards (triggers, conditions, actions) for devices or system, a page at a time. Filter by type, owner or title. The full detail level adds each card's owner and arguments.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        type: { type: "string", enum: ["trigger", "condition", "action"], description: "Filter by card type" },
+        ownerUri: { type: "string", description: "Only cards of this owner, e.g. homey:device:<id>, homey:manager:cron or homey:app:<appId>" },
+        namePattern: { type: "string", description: "Card title or ID filter; supports * and ? wildcards, otherwise a case-insensitive substring" },
+        ...listingProperties(FLOW_CARD_FIELDS),
       },
-      {
-        name: "homey_get_device_flow_capabilities",
-        description: "Identify which flow cards are applicable to a specific device.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            deviceId: { type: "string", description: "The ID of the device" },
+    },
+    outputSchema: outputSchema({ total: types.number, nextCursor: types.nullable(types.string), cards: types.array(partial(FLOW_CARD)) }),
+  },
+  {
+    name: "homey_run_flow_card_action",
+    description: "Manually execute a specific flow card action.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        uri: { type: "string", description: "The URI of the flow card action (e.g. homey:device:id)" },
+        id: { type: "string", description: "The ID of the action" },
+        args: { type: "object", description: "Arguments for the action" },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
+      },
+      required: ["uri", "id"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, cardId: types.string, args: types.map(types.any) }),
+  },
+  {
+    name: "homey_create_notification",
+    description: "Post a notification to the Homey timeline (e.g. 'The washing machine has finished'). It shows up in the Homey app like one created by a flow, including a push message if the user enabled those for flows.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        text: { type: "string", description: "The notification text" },
+        dryRun: { type: "boolean", description: "Report what would be posted without calling Homey" },
+      },
+      required: ["text"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, text: types.string }),
+  },
+  {
+    name: "homey_list_notifications",
+    description: "List notifications on the Homey timeline, newest first, to answer 'what happened at home today?'. Filter by time window and by owner: the app or part of Homey that posted them.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        since: { type: "string", description: "Start of the window: an ISO 8601 timestamp, a duration back from now (e.g. '2h', '3d'), 'today' or 'yesterday' (default: the last 24 hours)" },
+        until: { type: "string", description: "End of the window (ISO 8601, default: now)" },
+        owner: { type: "string", description: "Only notifications of this owner: an owner URI (homey:app:<appId>, homey:manager:flow), an app ID or the owner name shown on the timeline" },
+        limit: { type: "number", description: `Maximum number of notifications (default: ${DEFAULT_NOTIFICATION_LIMIT}, max: ${MAX_NOTIFICATION_LIMIT})` },
+      },
+    },
+    outputSchema: outputSchema({ total: types.number, since: types.string, until: types.string, notifications: types.array(NOTIFICATION) }),
+  },
+  {
+    name: "homey_create_flow",
+    description: "Create a standard flow from a trigger, optional conditions and actions. Every card and argument is checked against homey_get_flow_cards before anything is written; use dryRun to preview the flow.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Name of the new flow" },
+        folder: { type: "string", description: "Folder name or ID to create the flow in (default: top level)" },
+        enabled: { type: "boolean", description: "Whether the flow is enabled (default: true)" },
+        ...FLOW_EDIT_PROPERTIES,
+        dryRun: { type: "boolean", description: "Preview the flow without creating it" },
+      },
+      required: ["name", "trigger", "actions"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, flow: types.nullable(FLOW), preview: types.array(types.string) }),
+  },
+  {
+    name: "homey_update_flow",
+    description: "Change a standard flow: rename it, enable/disable it, move it, or replace its trigger, conditions or actions (lists are replaced as a whole). Answers with a diff of the change; use dryRun to only preview it.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the flow" },
+        name: { type: "string", description: "The name of the flow (fuzzy matched), instead of id" },
+        newName: { type: "string", description: "Rename the flow" },
+        enabled: { type: "boolean", description: "Enable or disable the flow" },
+        folder: { type: ["string", "null"], description: "Move the flow to this folder (name or ID); null or \"\" for the top level" },
+        ...FLOW_EDIT_PROPERTIES,
+        dryRun: { type: "boolean", description: "Preview the diff without changing the flow" },
+      },
+    },
+    outputSchema: FLOW_CHANGE_OUTPUT,
+  },
+  {
+    name: "homey_set_flow_enabled",
+    description: "Enable or disable a standard flow or Advanced Flow.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the flow" },
+        name: { type: "string", description: "The name of the flow (fuzzy matched), instead of id" },
+        advanced: { type: "boolean", description: "The flow is an Advanced Flow" },
+        enabled: { type: "boolean", description: "true to enable, false to disable" },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
+      },
+      required: ["enabled"],
+    },
+    outputSchema: FLOW_CHANGE_OUTPUT,
+  },
+  {
+    name: "homey_move_flow",
+    description: "Move a standard flow or Advanced Flow to another folder, or to the top level.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the flow" },
+        name: { type: "string", description: "The name of the flow (fuzzy matched), instead of id" },
+        advanced: { type: "boolean", description: "The flow is an Advanced Flow" },
+        folder: { type: ["string", "null"], description: "Destination folder name or ID; null or \"\" for the top level" },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
+      },
+      required: ["folder"],
+    },
+    outputSchema: FLOW_CHANGE_OUTPUT,
+  },
+  {
+    name: "homey_create_flow_folder",
+    description: "Create a folder for organising flows, optionally inside another folder.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Name of the new folder" },
+        parent: { type: "string", description: "Parent folder name or ID (default: top level)" },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
+      },
+      required: ["name"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, folder: FLOW_FOLDER }),
+  },
+  {
+    name: "homey_delete_flow",
+    description: "Delete a standard flow or Advanced Flow. This cannot be undone; use dryRun to see what would be removed.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the flow" },
+        name: { type: "string", description: "The name of the flow (fuzzy matched), instead of id" },
+        advanced: { type: "boolean", description: "The flow is an Advanced Flow" },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
+      },
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, flow: FLOW, removed: types.array(types.string) }),
+  },
+  {
+    name: "homey_get_device_insights",
+    description: "Analyse the history of a device capability: summary statistics (min/max/avg/last, optional time above/below a threshold) and the series downsampled to a fixed number of buckets, as a table or CSV.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        deviceId: { type: "string", description: "The ID of the device" },
+        deviceName: { type: "string", description: "The name of the device (fuzzy matched), instead of deviceId" },
+        zone: { type: "string", description: "Optional: zone name or ID to narrow a deviceName lookup" },
+        capabilityId: { type: "string", description: "The logged capability, e.g. measure_temperature or meter_power" },
+        logId: { type: "string", description: "The ID of the insights log, instead of device + capabilityId" },
+        ...INSIGHTS_RANGE_PROPERTIES,
+        threshold: { type: "number", description: "Report how long the value was above and below this threshold" },
+      },
+    },
+    outputSchema: outputSchema({ log: INSIGHTS_LOG, range: INSIGHTS_RANGE, summary: types.nullable(INSIGHTS_SUMMARY), buckets: types.array(INSIGHTS_BUCKET) }),
+  },
+  {
+    name: "homey_compare_insights",
+    description: "Compare several insights logs (e.g. indoor vs. outdoor temperature, or power of two sockets) on a common time axis, bucketed and averaged.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        series: {
+          type: "array",
+          minItems: 2,
+          maxItems: 8,
+          description: "The logs to compare",
+          items: {
+            type: "object",
+            properties: {
+              deviceId: { type: "string" },
+              deviceName: { type: "string" },
+              zone: { type: "string" },
+              capabilityId: { type: "string" },
+              logId: { type: "string" },
+            },
           },
-          required: ["deviceId"],
         },
+        ...INSIGHTS_RANGE_PROPERTIES,
+      },
+      required: ["series"],
+    },
+    outputSchema: outputSchema({ range: INSIGHTS_RANGE, series: types.array(types.object({ label: types.string, log: INSIGHTS_LOG, summary: types.nullable(INSIGHTS_SUMMARY), buckets: types.array(INSIGHTS_BUCKET) })) }),
+  },
+  {
+    name: "homey_get_device_flow_capabilities",
+    description: "List the flow cards (triggers, conditions, actions) a specific device provides. To see which flows use the device, use homey_get_flow_usage.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        deviceId: { type: "string", description: "The ID of the device" },
+        deviceName: { type: "string", description: "The name of the device (fuzzy matched), instead of deviceId" },
+        zone: { type: "string", description: "Optional: zone name or ID to narrow a deviceName lookup" },
+      },
+    },
+    outputSchema: outputSchema({ device: DEVICE_REF, cards: types.array(FLOW_CARD) }),
+  },
+  {
+    name: "homey_get_flow_usage",
+    description: "Find the standard and Advanced Flows that trigger on, check, act on or read values (tokens) of a device, or of every device in a zone. Useful before renaming, replacing or removing a device.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        deviceId: { type: "string", description: "The ID of the device" },
+        deviceName: { type: "string", description: "The name of the device (fuzzy matched), instead of deviceId" },
+        zone: { type: "string", description: "Zone name or ID: report every device in it, or narrow a deviceName lookup" },
+        includeChildren: { type: "boolean", description: "Include devices in sub-zones of the zone (default: true)" },
+      },
+    },
+    outputSchema: FLOW_USAGE_OUTPUT,
+  },
+  {
+    name: "homey_audit_flows",
+    description: "Check all standard and Advanced Flows for broken references: cards of deleted devices, cards of apps that are uninstalled or disabled, tokens of deleted devices, cards that are no longer available, disabled cards and flows Homey marks as broken.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+    outputSchema: FLOW_AUDIT_OUTPUT,
+  },
+  {
+    name: "homey_get_live_insights",
+    description: "Provides real-time data for specific device capabilities (Dashboard style). To be notified of changes, subscribe to the homey://devices/{deviceId} resource or use homey_wait_for_event.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        deviceId: { type: "string", description: "The ID of the device" },
+        deviceName: { type: "string", description: "The name of the device (fuzzy matched), instead of deviceId" },
+        zone: { type: "string", description: "Optional: zone name or ID to narrow a deviceName lookup" },
+        capabilityId: { type: "string", description: "The ID of the capability" },
+      },
+    },
+    outputSchema: outputSchema({ device: DEVICE }),
+  },
+  {
+    name: "homey_wait_for_event",
+    description: "Wait until a device capability changes in a way that matches a condition (e.g. alarm_motion == true in the Hallway, measure_power > 1000) or the timeout expires. Only changes that happen while waiting count, unless matchCurrent is set.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        capabilityId: { type: "string", description: "The capability to watch, e.g. alarm_motion, alarm_contact, measure_power, onoff" },
+        operator: { type: "string", enum: ["==", "!=", ">", ">=", "<", "<=", "changed"], description: "Comparison (default: '==' when value is given, otherwise 'changed')" },
+        value: { type: ["boolean", "number", "string"], description: "The value to compare against" },
+        zone: { type: "string", description: "Only watch devices in this zone (name or ID)" },
+        includeChildren: { type: "boolean", description: "Include devices in sub-zones of the zone (default: true)" },
+        deviceClass: { type: ["string", "array"], items: { type: "string" }, description: "Only watch devices of this class or classes" },
+        namePattern: { type: "string", description: "Device name filter; supports * and ? wildcards, otherwise a case-insensitive substring" },
+        deviceIds: { type: "array", items: { type: "string" }, description: "Only watch these device IDs" },
+        timeoutSeconds: { type: "number", description: `How long to wait (default: ${DEFAULT_WAIT_SECONDS}, max: ${MAX_WAIT_SECONDS})` },
+        matchCurrent: { type: "boolean", description: "Return immediately if a device already matches the condition" },
+      },
+      required: ["capabilityId"],
+    },
+    outputSchema: WAIT_FOR_EVENT_OUTPUT,
+  },
+  {
+    name: "homey_get_action_history",
+    description: "Show the audit log of write tool calls, newest first: when, which tool with which arguments, which MCP client, the outcome and the capability values changed (previous → new). Includes dry runs and failed calls.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        limit: { type: "number", description: `Maximum entries to return (default: ${DEFAULT_HISTORY_LIMIT}, max: ${MAX_HISTORY_LIMIT})` },
+        tool: { type: "string", description: "Only calls to this tool, e.g. homey_set_capability" },
+        deviceId: { type: "string", description: "Only calls that changed this device" },
+      },
+    },
+    outputSchema: outputSchema({ total: types.number, actions: types.array(AUDIT_ENTRY) }),
+  },
+  {
+    name: "homey_undo_last_action",
+    description: "Undo the latest capability change on a Homey (or the action with the given ID from homey_get_action_history) by setting the recorded previous values again. Values changed again since are left alone unless force is set. Calling it again undoes the action before that.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        actionId: { type: "string", description: "The ID of the action to undo (default: the latest one that changed capability values)" },
+        force: { type: "boolean", description: "Also revert values that changed again after the action" },
+        dryRun: { type: "boolean", description: "Report what would be reverted without calling Homey" },
+      },
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, action: AUDIT_ENTRY, counts: COUNTS, results: types.array(UNDO_RESULT) }),
+  },
+  {
+    name: "homey_list_variables",
+    description: "List Homey Logic variables (boolean, number and string) with their current values, a page at a time, sorted by name. Filter by type or name.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        type: { type: "string", enum: VARIABLE_TYPES, description: "Only variables of this type" },
+        namePattern: { type: "string", description: "Variable name filter; supports * and ? wildcards, otherwise a case-insensitive substring" },
+        ...VARIABLE_LISTING_PROPERTIES,
+      },
+    },
+    outputSchema: outputSchema({ total: types.number, nextCursor: types.nullable(types.string), variables: types.array(partial(VARIABLE)) }),
+  },
+  {
+    name: "homey_get_variable",
+    description: "Get a Homey Logic variable and its current value by ID or name.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the variable" },
+        name: { type: "string", description: "The name of the variable (fuzzy matched, e.g. 'guest mode'), instead of id" },
+      },
+    },
+    outputSchema: outputSchema({ variable: VARIABLE }),
+  },
+  {
+    name: "homey_set_variable",
+    description: "Set the value of a Homey Logic variable by ID or name. The value must match the variable's type: true/false (or 'on'/'off') for boolean, a number for number, text for string. The response shows the previous and new value.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the variable" },
+        name: { type: "string", description: "The name of the variable (fuzzy matched), instead of id" },
+        value: { type: ["boolean", "number", "string"], description: "The new value" },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
+      },
+      required: ["value"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, variable: VARIABLE, previous: types.any, value: types.any, notes: types.array(types.string) }),
+  },
+  {
+    name: "homey_list_users",
+    description: "List Homey's users with their role and presence: home or away, asleep or awake.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+    outputSchema: outputSchema({ users: types.array(USER) }),
+  },
+  {
+    name: "homey_set_user_state",
+    description: "Mark a Homey user as home or away (present) and/or asleep or awake (asleep), by user ID or name. Flows that react to presence (e.g. 'the last person left') are triggered as if the user's phone reported it.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        userId: { type: "string", description: "The ID of the user" },
+        userName: { type: "string", description: "The name of the user (fuzzy matched), instead of userId" },
+        present: { type: "boolean", description: "true for home, false for away" },
+        asleep: { type: "boolean", description: "true for asleep, false for awake" },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
+      },
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, user: USER, previous: types.object({ present: types.nullable(types.boolean), asleep: types.nullable(types.boolean) }) }),
+  },
+  {
+    name: "homey_list_apps",
+    description: "List installed Homey apps with their version, status (running, stopped, crashed, disabled), crash count and message, available updates and how many of their devices are unavailable. When a device stops responding, its app is the usual suspect.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        namePattern: { type: "string", description: "App name filter; supports * and ? wildcards, otherwise a case-insensitive substring" },
+        problemsOnly: { type: "boolean", description: "Only apps that crashed, are stopped or disabled, have an update available or have unavailable devices" },
+      },
+    },
+    outputSchema: outputSchema({ apps: types.array(APP), missingApps: types.array(types.object({ id: types.string, devices: types.array(APP_DEVICE) })) }),
+  },
+  {
+    name: "homey_get_app",
+    description: "Get an installed app's status and the devices it drives, by app ID or name. Or pass a device (deviceId or deviceName) to find the app that drives it and whether that app explains why the device isn't responding.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the app, e.g. com.ikea.tradfri" },
+        name: { type: "string", description: "The name of the app (fuzzy matched), instead of id" },
+        deviceId: { type: "string", description: "Find the app driving this device instead" },
+        deviceName: { type: "string", description: "Find the app driving this device (fuzzy matched) instead" },
       },
-      {
-        name: "homey_get_live_insights",
-        description: "Provides real-time data for specific device capabilities (Dashboard style).",
-        inputSchema: {
-          type: "object",
-          properties: {
-            deviceId: { type: "string", description: "The ID of the device" },
-            capabilityId: { type: "string", description: "The ID of the capability" },
+    },
+    outputSchema: outputSchema({ app: APP, problems: types.array(types.string), devices: types.array(APP_DEVICE), diagnosis: types.nullable(types.string) }),
+  },
+  {
+    name: "homey_get_app_settings",
+    description: "Read an app's settings (the values from its settings page in the Homey app), by app ID or name. Values of settings that look like credentials (passwords, tokens, API keys) are shown as \"[redacted]\".",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the app, e.g. com.ikea.tradfri" },
+        name: { type: "string", description: "The name of the app (fuzzy matched), instead of id" },
+      },
+    },
+    outputSchema: outputSchema({ app: types.object({ id: types.string, name: types.string }), settings: types.map(types.any) }),
+  },
+  {
+    name: "homey_set_app_setting",
+    description: "Change one of an app's settings, by app ID or name. The app receives the new value immediately; use homey_get_app_settings first to see the current keys and value types.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the app, e.g. com.ikea.tradfri" },
+        name: { type: "string", description: "The name of the app (fuzzy matched), instead of id" },
+        setting: { type: "string", description: "The key of the setting" },
+        value: { description: "The new value (any JSON value)" },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
+      },
+      required: ["setting", "value"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, app: types.object({ id: types.string, name: types.string }), setting: types.string, previous: types.any, value: types.any, notes: types.array(types.string) }),
+  },
+  {
+    name: "homey_set_app_enabled",
+    description: "Enable or disable an installed app, by app ID or name. A disabled app stops and all of its devices become unavailable until it is enabled again.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the app, e.g. com.ikea.tradfri" },
+        name: { type: "string", description: "The name of the app (fuzzy matched), instead of id" },
+        enabled: { type: "boolean", description: "true to enable, false to disable" },
+        dryRun: { type: "boolean", description: "Report what would change without calling Homey" },
+      },
+      required: ["enabled"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, app: APP, previous: types.boolean }),
+  },
+  {
+    name: "homey_restart_app",
+    description: "Restart an app, by app ID or name. Usually the first thing to try when an app crashed or its devices stopped responding; its devices are briefly unavailable while it starts.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the app, e.g. com.ikea.tradfri" },
+        name: { type: "string", description: "The name of the app (fuzzy matched), instead of id" },
+        dryRun: { type: "boolean", description: "Report what would happen without calling Homey" },
+      },
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, app: APP }),
+  },
+  {
+    name: "homey_schedule_action",
+    description: "Schedule a capability change, flow run or flow card action for later: after a delay (\"20m\", \"1h30m\") or at a time (\"06:30\" for the next 06:30 on the server's clock, or an ISO date and time), optionally repeating. The action is checked with a dry run when scheduled and runs through the same tool as a direct call. Jobs are saved to disk and survive restarts.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        tool: { type: "string", enum: SCHEDULABLE_TOOLS, description: "The tool to call" },
+        arguments: { type: "object", description: "Arguments for that tool, e.g. { deviceName: 'Porch Light', capabilityId: 'onoff', value: false }" },
+        delay: { type: "string", description: "Run after this long, e.g. '20m', '1h30m', '90s' (instead of at)" },
+        at: { type: "string", description: "Run at this time: 'HH:MM' (next occurrence) or an ISO 8601 date and time (instead of delay)" },
+        repeat: { type: "string", description: `Repeat ${CALENDAR_REPEATS.join(", ")} at the same time of day, or every interval such as '30m' (default: run once)` },
+        label: { type: "string", description: "A short description shown when listing jobs, e.g. 'Porch light off'" },
+        dryRun: { type: "boolean", description: "Check the action and report when it would run without scheduling it" },
+      },
+      required: ["tool", "arguments"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, job: JOB }),
+  },
+  {
+    name: "homey_list_scheduled_actions",
+    description: "List pending scheduled actions, soonest first, with their next run time, repeat, arguments and last run.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+    outputSchema: outputSchema({ jobs: types.array(JOB) }),
+  },
+  {
+    name: "homey_cancel_scheduled_action",
+    description: "Cancel a pending scheduled action by its ID from homey_list_scheduled_actions. Cancelling a repeating job stops all its future runs.",
+    annotations: { readOnlyHint: false },
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The ID of the scheduled action" },
+        dryRun: { type: "boolean", description: "Show the job without cancelling it" },
+      },
+      required: ["id"],
+    },
+    outputSchema: outputSchema({ dryRun: types.boolean, job: JOB }),
+  },
+  {
+    name: "homey_status",
+    description: "Check the connection to a Homey: connection mode (local, cloud or mock), whether it is connected, the Homey's name and version, the latency of a ping, failed attempts and the last error. Connects first if needed, and works while Homey is unreachable.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+    outputSchema: HOMEY_STATUS_OUTPUT,
+  },
+  {
+    name: "homey_list_hubs",
+    description: "List the configured Homeys (e.g. home and holiday house) with their connectivity: connected or not, name and version, ping latency and the last error. Pass an ID from this list as homeyId to any other tool.",
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+    outputSchema: LIST_HUBS_OUTPUT,
+  },
+];
+
+// Every tool except homey_list_hubs can be pointed at one of the configured Homeys
+for (const tool of TOOLS) {
+  if (tool.name === "homey_list_hubs") continue;
+  tool.inputSchema.properties.homeyId = {
+    type: "string",
+    enum: hubs.ids,
+    description: `Which Homey to use, from homey_list_hubs (default: ${hubs.defaultId})`,
+  };
+}
+
+// Connects now if needed, so a missing connection is reported as such up front
+const requireHomey = () => hubs.connection().get();
+
+// client is { name, version, sessionId } of whoever made the call
+async function callTool(request, extra, client) {
+  const { name, arguments: args } = request.params;
+
+  try {
+    const tool = TOOLS.find(t => t.name === name);
+    if (tool) policy.assertToolAllowed(tool);
+
+    if (name === "homey_list_hubs") {
+      const statuses = await hubs.statuses();
+      const output = statuses.map(status => `${status.default ? "⭐" : "-"} ${status.name} [ID: ${status.id}]\n${formatStatus(status).replace(/^/gm, "   ")}`).join("\n\n");
+      return { content: [{ type: "text", text: `Configured Homeys:\n${output}` }], structuredContent: { hubs: statuses } };
+    }
+
+    if (name === "homey_status") {
+      const hub = hubs.current();
+      const status = await hubs.connection(hub).status();
+      return {
+        content: [{ type: "text", text: `${hub.name} [ID: ${hub.id}]\n${formatStatus(status)}` }],
+        structuredContent: { hub: { id: hub.id, name: hub.name }, ...status },
+      };
+    }
+
+    if (name === "homey_get_action_history") {
+      const { total, entries } = audit.history({
+        limit: args.limit,
+        tool: args.tool,
+        deviceId: args.deviceId,
+        homeyId: args.homeyId ? hubs.current().id : undefined,
+      });
+      const text = entries.length
+        ? `📜 Action history (${entries.length} of ${total}, newest first):\n${entries.map(describeAction).join("\n")}`
+        : "No actions recorded yet.";
+      return { content: [{ type: "text", text }], structuredContent: { total, actions: entries } };
+    }
+
+    if (name === "homey_list_scheduled_actions") {
+      const jobs = scheduler.store.list().filter(job => !args.homeyId || job.homeyId === hubs.current().id);
+      const text = jobs.length
+        ? `Scheduled actions:\n${jobs.map(job => describeJob(job)).join("\n")}`
+        : "No actions scheduled. Use homey_schedule_action to add one.";
+      return { content: [{ type: "text", text }], structuredContent: { jobs } };
+    }
+
+    if (name === "homey_cancel_scheduled_action") {
+      if (args.dryRun) {
+        const job = scheduler.store.get(args.id);
+        return {
+          content: [{ type: "text", text: `🧪 Dry run: would cancel:\n${describeJob(job)}` }],
+          structuredContent: { dryRun: true, job },
+        };
+      }
+      const job = scheduler.cancel(args.id);
+      return {
+        content: [{ type: "text", text: `🗑️ Cancelled:\n${describeJob(job)}` }],
+        structuredContent: { dryRun: false, job },
+      };
+    }
+
+    await requireHomey();
+    switch (name) {
+      case "homey_list_devices": {
+        const [devices, zones] = await Promise.all([
+          homey.devices.getDevices(),
+          homey.zones.getZones()
+        ]);
+        const page = paginate(selectDevices(devices, zones, args, { requireFilter: false }).devices, args);
+        const full = args.detail === "full";
+        const output = page.items.map(d => {
+          const zone = zones[d.zone]?.name || "Unknown Zone";
+          const state = full
+            ? JSON.stringify(d.capabilitiesObj)
+            : Object.entries(d.capabilitiesObj || {}).map(([id, cap]) => `${id}: ${formatCapabilityValue(cap, cap.value)}`).join(', ');
+          return `🏠 [${zone}] ${d.name} (${d.class})\n   ID: ${d.id}\n   State: ${state}`;
+        }).join('\n\n');
+        return {
+          content: [{ type: "text", text: `Total Devices: ${page.total}\n\n${output || "No matching devices."}\n\n${pageSummary(page)}` }],
+          structuredContent: {
+            total: page.total,
+            nextCursor: page.nextCursor,
+            devices: pickFields(page.items.map(d => serializeDevice(d, zones, undefined, { detail: args.detail || "compact" })), args.fields, DEVICE_FIELDS),
+          },
+        };
+      }
+
+      case "homey_get_sensor_readings": {
+        const [devices, zones] = await Promise.all([
+          homey.devices.getDevices(),
+          homey.zones.getZones()
+        ]);
+        const sensors = selectDevices(devices, zones, args, { requireFilter: false }).devices.filter(isSensor);
+        const page = paginate(sensors, args);
+        const output = formatSensorReadings(page.items, zones);
+        return {
+          content: [{ type: "text", text: `${output || "No sensors found."}\n\n${pageSummary(page)}` }],
+          structuredContent: {
+            total: page.total,
+            nextCursor: page.nextCursor,
+            sensors: pickFields(
+              page.items.map(d => serializeDevice(d, zones, id => id.startsWith("measure_"), { detail: args.detail || "compact" })),
+              args.fields,
+              DEVICE_FIELDS
+            ),
+          },
+        };
+      }
+
+      case "homey_device_health": {
+        const [devices, zones, apps] = await Promise.all([
+          homey.devices.getDevices(),
+          homey.zones.getZones(),
+          homey.apps.getApps()
+        ]);
+        const selected = selectDevices(devices, zones, args, { requireFilter: false }).devices;
+        const report = deviceHealthReport(selected, zones, apps, {
+          batteryThreshold: args.batteryThreshold,
+          staleHours: args.staleHours,
+          staleHoursByClass: args.staleHoursByClass,
+        });
+        return {
+          content: [{ type: "text", text: formatHealthReport(report) }],
+          structuredContent: report,
+        };
+      }
+
+      case "homey_get_device": {
+        const { device, zones } = await findDevice({ id: args.id, name: args.name, zone: args.zone });
+        return {
+          content: [{ type: "text", text: JSON.stringify(device, null, 2) }],
+          structuredContent: { device: serializeDevice(device, zones) },
+        };
+      }
+
+      case "homey_find_devices_by_zone": {
+        const [devices, zones] = await Promise.all([
+          homey.devices.getDevices(),
+          homey.zones.getZones()
+        ]);
+
+        const zone = resolveZone(zones, { id: args.zoneId, name: args.zoneName });
+        const zoneIds = getZoneIds(zones, zone.id, args.includeChildren !== false);
+
+        const zoneDevices = Object.values(devices).filter(d => zoneIds.has(d.zone));
+        const output = zoneDevices.map(d => {
+          const room = d.zone !== zone.id ? ` — ${zones[d.zone]?.name}` : '';
+          return `- ${d.name} (${d.class}) [ID: ${d.id}]${room}`;
+        }).join('\n');
+        return {
+          content: [{ type: "text", text: `Devices in ${zone.name}:\n${output || "No devices in this zone."}` }],
+          structuredContent: {
+            zone: serializeZone(zone, zones, devices),
+            devices: zoneDevices.map(d => serializeDevice(d, zones)),
+          },
+        };
+      }
+
+      case "homey_control_lights_in_zone": {
+        const [devices, zones] = await Promise.all([
+          homey.devices.getDevices(),
+          homey.zones.getZones()
+        ]);
+
+        const zone = resolveZone(zones, { name: args.zoneName });
+        const { devices: lights } = selectDevices(devices, zones, {
+          zone: zone.id,
+          includeChildren: args.includeChildren,
+          deviceClass: 'light',
+          capabilityId: 'onoff',
+        });
+        const results = await bulkSetCapability({
+          devices: lights,
+          zones,
+          policy,
+          capabilityId: 'onoff',
+          value: args.on,
+          dryRun: args.dryRun,
+        });
+        const counts = countResults(results);
+        const state = args.on ? 'on' : 'off';
+        const table = formatResultTable(results);
+        const structuredContent = {
+          dryRun: args.dryRun === true,
+          zone: zoneRef(zones, zone.id),
+          capabilityId: 'onoff',
+          value: args.on,
+          counts,
+          results: results.map(r => serializeBulkResult(r, zones)),
+        };
+
+        if (args.dryRun) {
+          const planned = results.filter(r => r.status === 'planned').map(r => r.device.name);
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would turn ${state} ${planned.length} lights in ${zone.name}: ${planned.join(', ') || 'none'}\n\n${table}` }],
+            structuredContent,
+          };
+        }
+
+        const problems = [
+          counts.failed ? `${counts.failed} failed` : null,
+          counts.skipped ? `${counts.skipped} skipped` : null,
+        ].filter(Boolean).join(', ');
+        return {
+          content: [{ type: "text", text: `💡 Successfully turned ${state} ${counts.ok} lights in ${zone.name}.${problems ? ` (${problems})` : ''}\n\n${table}` }],
+          structuredContent,
+        };
+      }
+
+      case "homey_bulk_set_capability": {
+        const [devices, zones] = await Promise.all([
+          homey.devices.getDevices(),
+          homey.zones.getZones()
+        ]);
+
+        const { devices: targets } = selectDevices(devices, zones, args);
+        const results = await bulkSetCapability({
+          devices: targets,
+          zones,
+          policy,
+          capabilityId: args.capabilityId,
+          value: args.value,
+          concurrency: args.concurrency,
+          dryRun: args.dryRun,
+        });
+        const counts = countResults(results);
+        const table = formatResultTable(results);
+
+        const summary = args.dryRun
+          ? `🧪 Dry run: would set ${args.capabilityId} to ${JSON.stringify(args.value)} on ${counts.planned} of ${results.length} devices (${counts.skipped} skipped, ${counts.failed} invalid).`
+          : `🔁 Set ${args.capabilityId} to ${JSON.stringify(args.value)} on ${results.length} devices: ${counts.ok} succeeded, ${counts.failed} failed, ${counts.skipped} skipped.`;
+        return {
+          content: [{ type: "text", text: `${summary}\n\n${table}` }],
+          structuredContent: {
+            dryRun: args.dryRun === true,
+            capabilityId: args.capabilityId,
+            value: args.value,
+            counts,
+            results: results.map(r => serializeBulkResult(r, zones)),
+          },
+        };
+      }
+
+      case "homey_save_scene": {
+        const [devices, zones] = await Promise.all([
+          homey.devices.getDevices(),
+          homey.zones.getZones()
+        ]);
+
+        const { devices: selected } = selectDevices(devices, zones, args);
+        const scene = captureScene(args.name, selected, {
+          capabilityIds: args.capabilityIds,
+          description: args.description,
+          homeyId: hubs.current().id,
+        });
+
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would save scene:\n${describeScene(scene)}` }],
+            structuredContent: { dryRun: true, scene },
+          };
+        }
+
+        scenes.save(scene, { overwrite: args.overwrite });
+        return {
+          content: [{ type: "text", text: `💾 Saved scene:\n${describeScene(scene)}` }],
+          structuredContent: { dryRun: false, scene },
+        };
+      }
+
+      case "homey_list_scenes": {
+        if (args.name) {
+          const scene = scenes.get(args.name, hubs.current().id);
+          return {
+            content: [{ type: "text", text: describeScene(scene) }],
+            structuredContent: { scenes: [scene] },
+          };
+        }
+
+        const list = scenes.list(hubs.current().id);
+        if (list.length === 0) {
+          return {
+            content: [{ type: "text", text: "No scenes saved yet. Use homey_save_scene to create one." }],
+            structuredContent: { scenes: [] },
+          };
+        }
+        const text = list
+          .map(s => `🎬 ${s.name} (${s.devices.length} devices, saved ${s.createdAt})${s.description ? `\n   ${s.description}` : ''}`)
+          .join('\n');
+        return {
+          content: [{ type: "text", text: `Scenes:\n${text}` }],
+          structuredContent: { scenes: list },
+        };
+      }
+
+      case "homey_apply_scene": {
+        const scene = scenes.get(args.name, hubs.current().id);
+        const [devices, zones] = await Promise.all([
+          homey.devices.getDevices(),
+          homey.zones.getZones()
+        ]);
+
+        const results = await applyScene({
+          scene,
+          devices,
+          zones,
+          policy,
+          concurrency: args.concurrency,
+          dryRun: args.dryRun,
+        });
+        const counts = countSceneResults(results);
+        const table = formatSceneResults(results);
+
+        const summary = args.dryRun
+          ? `🧪 Dry run: applying scene "${scene.name}" would change ${counts.planned} values (${counts.unchanged} unchanged, ${counts.skipped} skipped, ${counts.failed} failed).`
+          : `🎬 Applied scene "${scene.name}": ${counts.changed} changed, ${counts.unchanged} unchanged, ${counts.failed} failed, ${counts.skipped} skipped.`;
+        return {
+          content: [{ type: "text", text: `${summary}\n\n${table}` }],
+          structuredContent: {
+            dryRun: args.dryRun === true,
+            scene: scene.name,
+            counts,
+            results: results.map(serializeSceneResult),
+          },
+        };
+      }
+
+      case "homey_delete_scene": {
+        if (args.dryRun) {
+          const scene = scenes.get(args.name, hubs.current().id);
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would delete scene "${scene.name}" (${scene.devices.length} devices)` }],
+            structuredContent: { dryRun: true, scene },
+          };
+        }
+
+        const scene = scenes.delete(args.name, hubs.current().id);
+        return {
+          content: [{ type: "text", text: `🗑️ Deleted scene "${scene.name}"` }],
+          structuredContent: { dryRun: false, scene },
+        };
+      }
+
+      case "homey_set_capability": {
+        const { device, zones } = await findDevice({ id: args.deviceId, name: args.deviceName, zone: args.zone });
+        policy.assertDevice(device, zones, args.capabilityId);
+
+        const { value, notes } = coerceCapabilityValue(device, args.capabilityId, args.value);
+        const capability = device.capabilitiesObj[args.capabilityId];
+        const change = `${formatCapabilityValue(capability, capability.value)} → ${formatCapabilityValue(capability, value)}`;
+        const notesText = notes.length ? `\nNote: ${notes.join('; ')}` : '';
+        const structuredContent = {
+          dryRun: args.dryRun === true,
+          device: deviceRef(device, zones),
+          capabilityId: args.capabilityId,
+          previous: capability.value ?? null,
+          value,
+          notes,
+        };
+
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would set ${args.capabilityId} on ${device.name}: ${change}${notesText}` }],
+            structuredContent,
+          };
+        }
+
+        await device.setCapabilityValue({
+          capabilityId: args.capabilityId,
+          value,
+        });
+        return {
+          content: [{ type: "text", text: `✅ Successfully set ${args.capabilityId} on ${device.name}: ${change}${notesText}` }],
+          structuredContent,
+        };
+      }
+
+      case "homey_undo_last_action": {
+        const action = audit.findUndoable({ id: args.actionId, homeyId: hubs.current().id });
+        const [devices, zones] = await Promise.all([
+          homey.devices.getDevices(),
+          homey.zones.getZones()
+        ]);
+
+        const results = await undoAction({
+          entry: action,
+          devices,
+          zones,
+          policy,
+          dryRun: args.dryRun,
+          force: args.force,
+        });
+        const counts = countUndoResults(results);
+        const table = formatUndoResults(results);
+
+        const summary = args.dryRun
+          ? `🧪 Dry run: undoing ${action.tool} from ${action.time} [ID: ${action.id}] would revert ${counts.planned} values (${counts.unchanged} unchanged, ${counts.skipped} skipped, ${counts.failed} failed).`
+          : `↩️ Undid ${action.tool} from ${action.time} [ID: ${action.id}]: ${counts.reverted} reverted, ${counts.unchanged} unchanged, ${counts.failed} failed, ${counts.skipped} skipped.`;
+        return {
+          content: [{ type: "text", text: `${summary}\n\n${table}` }],
+          structuredContent: {
+            dryRun: args.dryRun === true,
+            action,
+            counts,
+            results: results.map(serializeSceneResult),
           },
-          required: ["deviceId"],
-        },
-      },
-    ],
-  };
-});
+        };
+      }
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+      case "homey_schedule_action": {
+        const target = TOOLS.find(t => t.name === args.tool);
+        if (!target || !SCHEDULABLE_TOOLS.includes(args.tool)) {
+          throw new Error(`${args.tool} can't be scheduled. Use one of: ${SCHEDULABLE_TOOLS.join(", ")}.`);
+        }
+        policy.assertToolAllowed(target);
+        // A homeyId inside the action's arguments picks the Homey it runs on; otherwise it's the one
+        // this call is for
+        const { homeyId = args.homeyId, dryRun, ...actionArgs } = args.arguments || {};
+        const missing = (target.inputSchema.required || []).filter(key => actionArgs[key] === undefined);
+        if (missing.length) throw new Error(`${args.tool} needs ${missing.join(", ")} in arguments.`);
 
-  try {
-    if (!homey) {
-      throw new Error("Homey is not connected. Check your HOMEY_TOKEN and/or HOMEY_IP.");
-    }
-    switch (name) {
-      case "homey_list_devices": {
-        const devices = await homey.devices.getDevices();
-        const output = Object.values(devices).map(d => {
-          const zone = d.zoneName || "Unknown Zone";
-          return `🏠 [${zone}] ${d.name} (${d.class})\n   ID: ${d.id}\n   State: ${JSON.stringify(d.capabilitiesObj)}`;
-        }).join('\n\n');
+        const repeat = validateRepeat(args.repeat);
+        const runAt = firstRunAt({ delay: args.delay, at: args.at, repeat });
+
+        // A dry run now catches unknown devices, invalid values and policy denials before the job
+        // is saved, instead of when it runs
+        const { hub, check } = await hubs.run(homeyId, async () => ({
+          hub: hubs.current(),
+          check: await callTool({ params: { name: args.tool, arguments: { ...actionArgs, dryRun: true } } }, extra, client),
+        }));
+        if (check.isError) {
+          const { code, message } = check.structuredContent.error;
+          throw new ToolError(code, `Can't schedule ${args.tool}: ${message}`);
+        }
+        const preview = check.content.map(c => c.text).join("\n");
+
+        const job = createJob({
+          tool: args.tool,
+          arguments: { ...actionArgs, homeyId: hub.id },
+          runAt: runAt.toISOString(),
+          repeat,
+          label: args.label ?? null,
+          homeyId: hub.id,
+          createdBy: client,
+        });
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would schedule:\n${describeJob(job)}\n\nIf it ran now:\n${preview}` }],
+            structuredContent: { dryRun: true, job },
+          };
+        }
+
+        scheduler.add(job);
         return {
-          content: [{ type: "text", text: `Total Devices: ${Object.keys(devices).length}\n\n${output}` }],
+          content: [{ type: "text", text: `⏰ Scheduled:\n${describeJob(job)}\n\nIf it ran now:\n${preview}` }],
+          structuredContent: { dryRun: false, job },
         };
       }
 
-      case "homey_get_sensor_readings": {
-        const devices = await homey.devices.getDevices();
-        const sensors = Object.values(devices).filter(d =>
-          d.class === 'sensor' || d.capabilities.some(c => c.startsWith('measure_'))
-        );
-        const output = sensors.map(s => {
-          const readings = Object.entries(s.capabilitiesObj)
-            .filter(([cap]) => cap.startsWith('measure_'))
-            .map(([cap, val]) => `${cap}: ${val}`)
-            .join(', ');
-          return `🌡️ ${s.name} (${s.zoneName}): ${readings || "No active measures"}`;
-        }).join('\n');
+      case "homey_list_variables": {
+        const variables = await homey.logic.getVariables();
+        const matchesName = nameMatcher(args.namePattern);
+        const page = paginate(Object.values(variables).filter(v =>
+          matchesName(v.name) && (!args.type || v.type === args.type)
+        ), args);
+
+        const output = page.items.map(formatVariable).join("\n");
         return {
-          content: [{ type: "text", text: output || "No sensors found." }],
+          content: [{ type: "text", text: `Logic variables:\n${output || "No matching variables."}\n\n${pageSummary(page)}` }],
+          structuredContent: {
+            total: page.total,
+            nextCursor: page.nextCursor,
+            variables: pickFields(page.items.map(serializeVariable), args.fields, VARIABLE_FIELDS),
+          },
         };
       }
 
-      case "homey_get_device": {
-        const device = await homey.devices.getDevice({ id: args.id });
+      case "homey_get_variable": {
+        const variable = resolveVariable(await homey.logic.getVariables(), { id: args.id, name: args.name });
         return {
-          content: [{ type: "text", text: JSON.stringify(device, null, 2) }],
+          content: [{ type: "text", text: formatVariable(variable).slice(2) }],
+          structuredContent: { variable: serializeVariable(variable) },
         };
       }
 
-      case "homey_find_devices_by_zone": {
-        const [devices, zones] = await Promise.all([
-          homey.devices.getDevices(),
-          homey.zones.getZones()
-        ]);
+      case "homey_set_variable": {
+        const variable = resolveVariable(await homey.logic.getVariables(), { id: args.id, name: args.name });
+        policy.assertVariable(variable);
+        const { value, notes } = coerceVariableValue(variable, args.value);
+        const change = `${JSON.stringify(variable.value ?? null)} → ${JSON.stringify(value)}`;
+        const notesText = notes.length ? `\nNote: ${notes.join('; ')}` : '';
+        const structuredContent = {
+          dryRun: args.dryRun === true,
+          variable: serializeVariable({ ...variable, value }),
+          previous: variable.value ?? null,
+          value,
+          notes,
+        };
 
-        let targetZoneId = args.zoneId;
-        if (!targetZoneId && args.zoneName) {
-          const zone = Object.values(zones).find(z => z.name.toLowerCase() === args.zoneName.toLowerCase());
-          if (zone) targetZoneId = zone.id;
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would set variable ${variable.name}: ${change}${notesText}` }],
+            structuredContent,
+          };
         }
 
-        if (!targetZoneId) throw new Error(`Zone not found: ${args.zoneName || args.zoneId}`);
+        await homey.logic.updateVariable({ id: variable.id, variable: { value } });
+        return {
+          content: [{ type: "text", text: `✅ Successfully set variable ${variable.name}: ${change}${notesText}` }],
+          structuredContent,
+        };
+      }
 
-        const zoneDevices = Object.values(devices).filter(d => d.zone === targetZoneId);
-        const output = zoneDevices.map(d => `- ${d.name} (${d.class}) [ID: ${d.id}]`).join('\n');
+      case "homey_list_users": {
+        const users = Object.values(await homey.users.getUsers())
+          .sort((a, b) => String(a.name ?? "").localeCompare(String(b.name ?? "")));
         return {
-          content: [{ type: "text", text: `Devices in ${args.zoneName || targetZoneId}:\n${output || "No devices in this zone."}` }],
+          content: [{ type: "text", text: `Users:\n${users.map(formatUser).join("\n") || "No users."}` }],
+          structuredContent: { users: users.map(serializeUser) },
         };
       }
 
-      case "homey_control_lights_in_zone": {
-        const [devices, zones] = await Promise.all([
+      case "homey_set_user_state": {
+        if (args.present === undefined && args.asleep === undefined) {
+          throw new Error("Provide present, asleep or both.");
+        }
+        const user = resolveUser(await homey.users.getUsers(), { id: args.userId, name: args.userName });
+        policy.assertUser(user);
+        const updated = {
+          ...user,
+          ...(args.present !== undefined ? { present: args.present } : {}),
+          ...(args.asleep !== undefined ? { asleep: args.asleep } : {}),
+        };
+        const structuredContent = {
+          dryRun: args.dryRun === true,
+          user: serializeUser(updated),
+          previous: { present: user.present ?? null, asleep: user.asleep ?? null },
+        };
+
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would change ${user.name}:\n${formatUser(user)}\n${formatUser(updated)}` }],
+            structuredContent,
+          };
+        }
+
+        if (args.present !== undefined) await homey.presence.setPresent({ id: user.id, value: args.present });
+        if (args.asleep !== undefined) await homey.presence.setAsleep({ id: user.id, value: args.asleep });
+        return {
+          content: [{ type: "text", text: `✅ Updated ${user.name}:\n${formatUser(updated)}` }],
+          structuredContent,
+        };
+      }
+
+      case "homey_list_apps": {
+        const [apps, devices, zones] = await Promise.all([
+          homey.apps.getApps(),
           homey.devices.getDevices(),
           homey.zones.getZones()
         ]);
+        const byApp = devicesByApp(devices);
+        const matchesName = nameMatcher(args.namePattern);
+        const listed = Object.values(apps)
+          .filter(app => matchesName(app.name))
+          .map(app => ({ app, devices: byApp.get(app.id) || [] }))
+          .filter(({ app, devices }) => !args.problemsOnly
+            || appProblems(app).length > 0 || devices.some(d => d.available === false))
+          .sort((a, b) => a.app.name.localeCompare(b.app.name));
+        // Devices whose driver belongs to an app that is no longer installed
+        const missing = [...byApp.entries()]
+          .filter(([appId]) => !apps[appId])
+          .map(([appId, driven]) => ({ id: appId, devices: driven }));
 
-        const zone = Object.values(zones).find(z => z.name.toLowerCase() === args.zoneName.toLowerCase());
-        if (!zone) throw new Error(`Zone not found: ${args.zoneName}`);
-
-        const lights = Object.values(devices).filter(d =>
-          d.zone === zone.id && (d.class === 'light' || d.capabilities.includes('onoff'))
-        );
+        let text = `Apps:\n${listed.map(({ app, devices }) => formatApp(app, devices)).join("\n") || "No matching apps."}`;
+        if (missing.length) {
+          text += `\n\n⚠️ Devices of apps that are not installed:\n${missing.map(m => `- ${m.id}: ${m.devices.map(d => d.name).join(", ")}`).join("\n")}`;
+        }
+        return {
+          content: [{ type: "text", text }],
+          structuredContent: {
+            apps: listed.map(({ app, devices }) => serializeApp(app, devices)),
+            missingApps: missing.map(m => ({ id: m.id, devices: m.devices.map(d => serializeAppDevice(d, zones)) })),
+          },
+        };
+      }
 
-        let successCount = 0;
-        for (const light of lights) {
-          try {
-            const dev = await homey.devices.getDevice({ id: light.id });
-            await dev.setCapabilityValue({ capabilityId: 'onoff', value: args.on });
-            successCount++;
-          } catch (e) {
-            console.error(`Failed to control light ${light.name}:`, e.message);
-          }
+      case "homey_get_app": {
+        let diagnosis = null;
+        let appId = args.id;
+        if (args.deviceId || args.deviceName) {
+          const { device } = await findDevice({ id: args.deviceId, name: args.deviceName });
+          const apps = await homey.apps.getApps();
+          appId = deviceAppId(device);
+          diagnosis = diagnoseDevice(device, apps[appId]);
+          if (!apps[appId]) throw new ToolError("not_found", diagnosis);
         }
+        const { app, devices, zones } = await findApp({ id: appId, name: args.name });
+        const problems = appProblems(app);
 
+        const lines = [formatApp(app, devices).slice(2)];
+        if (diagnosis) lines.push("", `🔎 ${diagnosis}`);
+        if (devices.length) lines.push("", "Devices:", ...devices.map(formatAppDevice));
         return {
-          content: [{ type: "text", text: `💡 Successfully turned ${args.on ? 'on' : 'off'} ${successCount} lights in ${zone.name}.` }],
+          content: [{ type: "text", text: lines.join("\n") }],
+          structuredContent: {
+            app: serializeApp(app, devices),
+            problems,
+            devices: devices.map(d => serializeAppDevice(d, zones)),
+            diagnosis,
+          },
         };
       }
 
-      case "homey_set_capability": {
-        const device = await homey.devices.getDevice({ id: args.deviceId });
-        await device.setCapabilityValue({
-          capabilityId: args.capabilityId,
-          value: args.value,
-        });
+      case "homey_get_app_settings": {
+        const { app } = await findApp({ id: args.id, name: args.name });
+        const settings = redactSettings(await homey.apps.getAppSettings({ id: app.id }));
+        const lines = Object.entries(settings).map(([key, value]) => `- ${key}: ${formatSettingValue(value)}`);
         return {
-          content: [{ type: "text", text: `✅ Successfully set ${args.capabilityId} to ${args.value} on ${device.name}` }],
+          content: [{ type: "text", text: `⚙️ ${app.name} settings:\n${lines.join("\n") || "This app has no settings."}` }],
+          structuredContent: { app: { id: app.id, name: app.name }, settings },
         };
       }
 
-      case "homey_list_flows": {
-        const flows = await homey.flow.getFlows();
-        const output = Object.values(flows)
-          .map(f => `- ${f.name} [ID: ${f.id}] (${f.enabled ? 'Enabled' : 'Disabled'})`)
-          .join('\n');
+      case "homey_set_app_setting": {
+        const { app } = await findApp({ id: args.id, name: args.name }, { write: true });
+        const settings = await homey.apps.getAppSettings({ id: app.id });
+        // Secrets are redacted on both sides of the change
+        const previous = redactSetting(args.setting, settings[args.setting] ?? null);
+        const value = redactSetting(args.setting, args.value);
+        const notes = args.setting in settings ? [] : [`${app.name} had no setting "${args.setting}" yet; it will be added`];
+        const change = `${formatSettingValue(previous)} → ${formatSettingValue(value)}`;
+        const notesText = notes.length ? `\nNote: ${notes.join('; ')}` : '';
+        const structuredContent = {
+          dryRun: args.dryRun === true,
+          app: { id: app.id, name: app.name },
+          setting: args.setting,
+          previous,
+          value,
+          notes,
+        };
+
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would set ${args.setting} of ${app.name}: ${change}${notesText}` }],
+            structuredContent,
+          };
+        }
+
+        await homey.apps.setAppSetting({ id: app.id, name: args.setting, value: args.value });
         return {
-          content: [{ type: "text", text: `Standard Flows:\n${output}` }],
+          content: [{ type: "text", text: `✅ Successfully set ${args.setting} of ${app.name}: ${change}${notesText}` }],
+          structuredContent,
         };
       }
 
-      case "homey_list_advanced_flows": {
-        // Advanced Flows are typically in homey.advflow or equivalent depending on SDK version
-        // In some versions they are mixed in flows or listed separately.
-        const flows = await (homey.advflow ? homey.advflow.getAdvancedFlows() : homey.flow.getAdvancedFlows());
-        const output = Object.values(flows)
-          .map(f => `- ${f.name} [ID: ${f.id}]`)
-          .join('\n');
+      case "homey_set_app_enabled": {
+        const { app, devices } = await findApp({ id: args.id, name: args.name }, { write: true });
+        const previous = app.enabled !== false;
+        const action = args.enabled ? "enable" : "disable";
+        const affected = !args.enabled && devices.length ? ` (${devices.length} devices will become unavailable)` : "";
+
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would ${action} ${app.name}${previous === args.enabled ? `, which is already ${action}d` : affected}` }],
+            structuredContent: { dryRun: true, app: serializeApp(app, devices), previous },
+          };
+        }
+
+        await (args.enabled ? homey.apps.enableApp({ id: app.id }) : homey.apps.disableApp({ id: app.id }));
+        const updated = await homey.apps.getApp({ id: app.id });
+        return {
+          content: [{ type: "text", text: `✅ ${args.enabled ? "Enabled" : "Disabled"} ${app.name}${affected}` }],
+          structuredContent: { dryRun: false, app: serializeApp(updated, devices), previous },
+        };
+      }
+
+      case "homey_restart_app": {
+        const { app, devices } = await findApp({ id: args.id, name: args.name }, { write: true });
+        if (app.enabled === false) {
+          throw new ToolError("invalid_argument", `${app.name} is disabled. Enable it with homey_set_app_enabled instead.`);
+        }
+
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would restart ${app.name} (${devices.length} devices)` }],
+            structuredContent: { dryRun: true, app: serializeApp(app, devices) },
+          };
+        }
+
+        await homey.apps.restartApp({ id: app.id });
+        const updated = await homey.apps.getApp({ id: app.id });
         return {
-          content: [{ type: "text", text: `Advanced Flows:\n${output}` }],
+          content: [{ type: "text", text: `🔄 Restarted ${app.name}:\n${formatApp(updated, devices)}` }],
+          structuredContent: { dryRun: false, app: serializeApp(updated, devices) },
         };
       }
 
+      case "homey_list_flows": {
+        return await listFlows(args, { advanced: false });
+      }
+
+      case "homey_list_advanced_flows": {
+        return await listFlows(args, { advanced: true });
+      }
+
       case "homey_run_flow": {
-        await homey.flow.runFlow({ id: args.id });
+        const flow = resolveFlow(await homey.flow.getFlows(), { id: args.id, name: args.name });
+        policy.assertFlow(flow);
+        await assertFlowDevices(flow);
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would trigger standard flow: ${flow.name} (${flow.id})` }],
+            structuredContent: { dryRun: true, flow: serializeFlow(flow) },
+          };
+        }
+
+        await homey.flow.triggerFlow({ id: flow.id });
         return {
-          content: [{ type: "text", text: `🚀 Successfully triggered standard flow: ${args.id}` }],
+          content: [{ type: "text", text: `🚀 Successfully triggered standard flow: ${flow.name} (${flow.id})` }],
+          structuredContent: { dryRun: false, flow: serializeFlow(flow) },
         };
       }
 
       case "homey_run_advanced_flow": {
-        const advFlow = await (homey.advflow ? homey.advflow.getAdvancedFlow({ id: args.id }) : homey.flow.getAdvancedFlow({ id: args.id }));
-        await advFlow.trigger();
+        const flow = resolveFlow(await homey.flow.getAdvancedFlows(), { id: args.id, name: args.name }, "Advanced Flow");
+        policy.assertFlow(flow);
+        await assertFlowDevices(flow);
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would trigger Advanced Flow: ${flow.name} (${flow.id})` }],
+            structuredContent: { dryRun: true, flow: serializeFlow(flow, { advanced: true }) },
+          };
+        }
+
+        await homey.flow.triggerAdvancedFlow({ id: flow.id });
         return {
-          content: [{ type: "text", text: `🚀 Successfully triggered Advanced Flow: ${args.id}` }],
+          content: [{ type: "text", text: `🚀 Successfully triggered Advanced Flow: ${flow.name} (${flow.id})` }],
+          structuredContent: { dryRun: false, flow: serializeFlow(flow, { advanced: true }) },
         };
       }
 
       case "homey_list_zones": {
-        const zones = await homey.zones.getZones();
-        const output = Object.values(zones).map(z => {
-          return `📍 ${z.name} [ID: ${z.id}]${z.parent ? ` (Parent: ${z.parent})` : ''}`;
-        }).join('\n');
+        const [zones, devices] = await Promise.all([
+          homey.zones.getZones(),
+          homey.devices.getDevices()
+        ]);
+        const output = renderZoneTree(zones, devices);
         return {
           content: [{ type: "text", text: `Zones:\n${output}` }],
+          structuredContent: { zones: Object.values(zones).map(z => serializeZone(z, zones, devices)) },
         };
       }
 
       case "homey_get_energy_data": {
-        // Insights are available via homey.insights
-        const logs = await homey.insights.getLogs();
-        const energyLogs = logs.filter(l => l.name.includes('meter_power') || l.name.includes('measure_power'));
+        const [devices, zones, logs] = await Promise.all([
+          homey.devices.getDevices(),
+          homey.zones.getZones(),
+          homey.insights.getLogs()
+        ]);
+
+        let selected;
+        if (args.deviceId || args.deviceName) {
+          selected = [resolveDevice(devices, zones, { id: args.deviceId, name: args.deviceName, zone: args.zone })];
+        } else {
+          selected = selectDevices(devices, zones, args, { requireFilter: false }).devices;
+        }
+
+        const range = resolveTimeRange(args);
+        const pricing = args.pricePerKwh !== undefined
+          ? new Tariff({ price: args.pricePerKwh, currency: args.currency || tariff?.currency })
+          : tariff;
+
+        const rows = await deviceConsumption(selected, logs, {
+          getPoints: async log => toPoints(await homey.insights.getLogEntries({ id: log.id, resolution: range.resolution }), range),
+          tariff: pricing,
+          rangeEnd: range.end,
+        });
 
-        let output = energyLogs.map(l => `- ${l.name} (${l.id})`).join('\n');
+        const live = selected
+          .filter(d => typeof d.capabilitiesObj?.measure_power?.value === 'number')
+          .map(d => ({ id: d.id, name: d.name, zone: d.zone, watts: d.capabilitiesObj.measure_power.value }));
+
+        const period = range.start !== undefined
+          ? `${new Date(range.start).toISOString()} → ${range.end !== undefined ? new Date(range.end).toISOString() : 'now'}`
+          : range.resolution;
+        const text = formatEnergyReport({
+          title: `⚡ Energy report (${period})`,
+          rows,
+          zones,
+          live,
+          tariff: pricing,
+          top: Math.max(1, Number(args.top) || 5),
+        });
+        const ref = r => ({ id: r.id, name: r.name, zone: zoneRef(zones, r.zone) });
         return {
-          content: [{ type: "text", text: `Available Energy Logs:\n${output || "No energy logs found."}\n\nNote: Visualizing historical data requires logId.` }],
+          content: [{ type: "text", text }],
+          structuredContent: {
+            range: serializeRange(range),
+            tariff: pricing ? pricing.describe() : null,
+            currency: pricing ? pricing.currency : null,
+            total: {
+              kWh: rows.reduce((sum, r) => sum + r.kWh, 0),
+              cost: pricing ? rows.reduce((sum, r) => sum + (r.cost || 0), 0) : null,
+            },
+            devices: rows.map(r => ({ device: ref(r), kWh: r.kWh, cost: r.cost, source: r.source === 'meter' ? 'meter' : 'power' })),
+            zones: Object.entries(rollupByZone(rows, zones)).map(([id, t]) => ({ zone: zoneRef(zones, id), ...t })),
+            live: live.map(d => ({ device: ref(d), watts: d.watts })),
+          },
         };
       }
 
       case "homey_get_flow": {
-        const flow = await homey.flow.getFlow({ id: args.id });
+        const flow = resolveFlow(await homey.flow.getFlows(), { id: args.id, name: args.name });
         return {
           content: [{ type: "text", text: JSON.stringify(flow, null, 2) }],
+          structuredContent: {
+            flow: { ...serializeFlow(flow), trigger: flow.trigger, conditions: flow.conditions || [], actions: flow.actions || [] },
+          },
         };
       }
 
       case "homey_get_flow_folders": {
-        const folders = await homey.flow.getFolders();
+        const folders = await homey.flow.getFlowFolders();
         const output = Object.values(folders).map(f => `- ${f.name} [ID: ${f.id}]`).join('\n');
         return {
           content: [{ type: "text", text: `Flow Folders:\n${output}` }],
+          structuredContent: { folders: Object.values(folders).map(serializeFolder) },
         };
       }
 
       case "homey_get_flow_cards": {
-        const cards = await homey.flow.getFlowCards();
-        let filtered = Object.values(cards);
-        if (args.type) filtered = filtered.filter(c => c.type === args.type);
+        const matchesName = nameMatcher(args.namePattern);
+        const filtered = (await getFlowCards()).filter(c =>
+          (!args.type || c.type === args.type)
+          && (!args.ownerUri || c.ownerUri === args.ownerUri)
+          && (matchesName(c.title || "") || matchesName(c.id))
+        );
+        // Triggers first, then conditions and actions, each by card ID
+        const page = paginate(filtered, args, c => [String(["trigger", "condition", "action"].indexOf(c.type)), c.id]);
 
-        const output = filtered.slice(0, 50).map(c => `- [${c.type}] ${c.uri}:${c.id}\n  Title: ${c.title}`).join('\n\n');
+        const full = args.detail === "full";
+        const output = page.items.map(c => {
+          const lines = [`- [${c.type}] ${c.id}`, `  Title: ${c.title}`];
+          if (full) {
+            lines.push(`  Owner: ${c.ownerUri || "unknown"}`);
+            lines.push(`  Args: ${(c.args || []).map(a => `${a.name} (${a.type})`).join(', ') || "none"}`);
+          }
+          return lines.join('\n');
+        }).join('\n\n');
+        const cards = page.items.map(c => {
+          const card = serializeCard(c);
+          return full || args.fields?.length ? card : { id: card.id, type: card.type, title: card.title };
+        });
         return {
-          content: [{ type: "text", text: `Flow Cards (showing top 50):\n${output}` }],
+          content: [{ type: "text", text: `Flow Cards:\n${output || "No matching cards."}\n\n${pageSummary(page)}` }],
+          structuredContent: {
+            total: page.total,
+            nextCursor: page.nextCursor,
+            cards: pickFields(cards, args.fields, FLOW_CARD_FIELDS),
+          },
         };
       }
 
       case "homey_run_flow_card_action": {
+        // homey-api expects the full card ID (e.g. homey:device:<id>:on) and derives the URI from it
+        const cardId = args.id.startsWith(`${args.uri}:`) ? args.id : `${args.uri}:${args.id}`;
+
+        await assertFlowCardAction(cardId, args.args);
+
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would run flow card action ${cardId} with args ${JSON.stringify(args.args || {})}` }],
+            structuredContent: { dryRun: true, cardId, args: args.args || {} },
+          };
+        }
+
         await homey.flow.runFlowCardAction({
-          uri: args.uri,
-          id: args.id,
+          id: cardId,
           args: args.args || {},
         });
         return {
           content: [{ type: "text", text: `✅ Successfully executed flow card action: ${args.id}` }],
+          structuredContent: { dryRun: false, cardId, args: args.args || {} },
+        };
+      }
+
+      case "homey_create_notification": {
+        const text = String(args.text ?? "").trim();
+        if (!text) throw new Error("Notification text can't be empty.");
+
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would post to the timeline: ${text}` }],
+            structuredContent: { dryRun: true, text },
+          };
+        }
+
+        await homey.flow.runFlowCardAction({ id: NOTIFICATION_CARD_ID, args: { text } });
+        return {
+          content: [{ type: "text", text: `🔔 Posted to the timeline: ${text}` }],
+          structuredContent: { dryRun: false, text },
+        };
+      }
+
+      case "homey_list_notifications": {
+        const { start, end } = notificationWindow(args);
+        const matching = filterNotifications(await homey.notifications.getNotifications(), { start, end, owner: args.owner });
+        const limit = Math.max(1, Math.min(MAX_NOTIFICATION_LIMIT, Math.floor(args.limit) || DEFAULT_NOTIFICATION_LIMIT));
+        const shown = matching.slice(0, limit);
+        const since = new Date(start).toISOString();
+        const until = new Date(end).toISOString();
+
+        const window = `${since} – ${until}${args.owner ? `, from ${args.owner}` : ""}`;
+        const text = shown.length
+          ? `🔔 Timeline (${shown.length} of ${matching.length}, newest first, ${window}):\n${shown.map(formatNotification).join("\n")}`
+          : `No notifications ${window}.`;
+        return {
+          content: [{ type: "text", text }],
+          structuredContent: { total: matching.length, since, until, notifications: shown.map(serializeNotification) },
+        };
+      }
+
+      case "homey_create_flow": {
+        if (!args.name) throw new Error("Provide a name for the flow.");
+        if (!args.trigger || !args.actions) throw new Error("A flow needs a trigger and at least one action.");
+        const [cards, folders] = await Promise.all([
+          getFlowCards(),
+          homey.flow.getFlowFolders()
+        ]);
+        const flow = {
+          name: args.name,
+          enabled: args.enabled !== false,
+          folder: args.folder ? resolveFlowFolder(folders, args.folder) : null,
+          ...buildFlowCards({ trigger: args.trigger, conditions: args.conditions || [], actions: args.actions }, cards),
+        };
+        policy.assertFlow(flow);
+        await assertFlowDevices(flow);
+
+        const preview = describeFlow(flow, { cards, folders });
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would create flow "${flow.name}":\n${preview.join('\n')}` }],
+            structuredContent: { dryRun: true, flow: null, preview },
+          };
+        }
+
+        const created = await homey.flow.createFlow({ flow });
+        return {
+          content: [{ type: "text", text: `✅ Created flow "${created.name}" [ID: ${created.id}]:\n${preview.join('\n')}` }],
+          structuredContent: { dryRun: false, flow: serializeFlow(created), preview },
+        };
+      }
+
+      case "homey_update_flow": {
+        const flow = await findFlow(args);
+        const [cards, folders] = await Promise.all([
+          getFlowCards(),
+          homey.flow.getFlowFolders()
+        ]);
+        const changes = buildFlowCards({ trigger: args.trigger, conditions: args.conditions, actions: args.actions }, cards);
+        if (args.newName !== undefined) changes.name = args.newName;
+        if (args.enabled !== undefined) changes.enabled = args.enabled;
+        if (args.folder !== undefined) changes.folder = resolveFlowFolder(folders, args.folder);
+        if (!Object.keys(changes).length) {
+          throw new Error("Nothing to update. Pass newName, enabled, folder, trigger, conditions or actions.");
+        }
+
+        return await updateFlowWithPreview(flow, changes, { cards, folders, dryRun: args.dryRun });
+      }
+
+      case "homey_set_flow_enabled": {
+        const flow = await findFlow(args);
+        return await updateFlowWithPreview(flow, { enabled: args.enabled === true }, { advanced: args.advanced, dryRun: args.dryRun });
+      }
+
+      case "homey_move_flow": {
+        const flow = await findFlow(args);
+        const folders = await homey.flow.getFlowFolders();
+        const changes = { folder: resolveFlowFolder(folders, args.folder ?? null) };
+        return await updateFlowWithPreview(flow, changes, { advanced: args.advanced, folders, dryRun: args.dryRun });
+      }
+
+      case "homey_create_flow_folder": {
+        if (!args.name) throw new Error("Provide a name for the folder.");
+        const folders = await homey.flow.getFlowFolders();
+        const parent = args.parent ? resolveFlowFolder(folders, args.parent) : null;
+        const existing = Object.values(folders).find(f =>
+          (f.parent || null) === parent && f.name.toLowerCase() === args.name.toLowerCase()
+        );
+        if (existing) {
+          throw new Error(`A flow folder named "${existing.name}" already exists there [ID: ${existing.id}]`);
+        }
+
+        const where = parent ? `inside ${folders[parent].name}` : 'at the top level';
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would create flow folder "${args.name}" ${where}` }],
+            structuredContent: { dryRun: true, folder: serializeFolder({ name: args.name, parent }) },
+          };
+        }
+
+        const folder = await homey.flow.createFlowFolder({ flowfolder: { name: args.name, parent } });
+        return {
+          content: [{ type: "text", text: `📁 Created flow folder "${folder.name}" ${where} [ID: ${folder.id}]` }],
+          structuredContent: { dryRun: false, folder: serializeFolder(folder) },
+        };
+      }
+
+      case "homey_delete_flow": {
+        const flow = await findFlow(args);
+        const kind = args.advanced ? 'Advanced Flow' : 'flow';
+        const [cards, folders] = await Promise.all([
+          args.advanced ? [] : getFlowCards(),
+          homey.flow.getFlowFolders()
+        ]);
+        const removed = describeFlow(flow, { cards, folders }).map(line => `- ${line}`);
+        const structuredContent = { dryRun: args.dryRun === true, flow: serializeFlow(flow, { advanced: args.advanced }), removed };
+        if (args.dryRun) {
+          return {
+            content: [{ type: "text", text: `🧪 Dry run: would delete ${kind} "${flow.name}" [ID: ${flow.id}]:\n${removed.join('\n')}` }],
+            structuredContent,
+          };
+        }
+
+        if (args.advanced) await homey.flow.deleteAdvancedFlow({ id: flow.id });
+        else await homey.flow.deleteFlow({ id: flow.id });
+        return {
+          content: [{ type: "text", text: `🗑️ Deleted ${kind} "${flow.name}" [ID: ${flow.id}]:\n${removed.join('\n')}` }],
+          structuredContent,
         };
       }
 
       case "homey_get_device_insights": {
-        const resolution = args.resolution || 'today';
-        const entries = await homey.insights.getLogEntries({ id: args.logId, resolution });
+        const range = resolveTimeRange(args);
+        const { log, title, points } = await loadInsightsSeries(args, range);
+        const summary = summarize(points, { threshold: args.threshold, rangeEnd: range.end });
+
+        let text = `📈 ${title}, ${range.resolution}\n${formatSummary(summary, log)}`;
+        let buckets = [];
+        if (summary) {
+          buckets = bucketize(points, args.buckets || DEFAULT_BUCKETS, range.start ?? summary.start, range.end ?? summary.end);
+          text += `\n\n${formatSeries([{ label: log.ownerId, buckets }], { format: args.format, decimals: log.decimals ?? 2 })}`;
+        }
+        return {
+          content: [{ type: "text", text }],
+          structuredContent: {
+            log: serializeLog(log),
+            range: serializeRange(range),
+            summary: serializeSummary(summary),
+            buckets: serializeBuckets(buckets),
+          },
+        };
+      }
+
+      case "homey_compare_insights": {
+        if (!Array.isArray(args.series) || args.series.length < 2) {
+          throw new Error("Provide at least two series to compare.");
+        }
+        const range = resolveTimeRange(args);
+        const series = await Promise.all(args.series.map(spec => loadInsightsSeries(spec, range)));
+
+        const withData = series.filter(s => s.points.length);
+        if (withData.length === 0) {
+          throw new Error("None of the logs have entries in this range.");
+        }
+        const start = range.start ?? Math.min(...withData.map(s => s.points[0].t));
+        const end = range.end ?? Math.max(...withData.map(s => s.points[s.points.length - 1].t));
+
+        const compared = series.map(s => ({
+          ...s,
+          summary: summarize(s.points),
+          buckets: bucketize(s.points, args.buckets || DEFAULT_BUCKETS, start, end),
+        }));
+        const summaries = compared.map(s => `${s.title}\n${formatSummary(s.summary, s.log)}`).join('\n\n');
+        const table = formatSeries(compared, { format: args.format });
         return {
-          content: [{ type: "text", text: `Insights for ${args.logId} (${resolution}):\n${JSON.stringify(entries, null, 2)}` }],
+          content: [{ type: "text", text: `📊 Comparing ${series.length} logs, ${range.resolution}\n\n${summaries}\n\n${table}` }],
+          structuredContent: {
+            range: serializeRange(range),
+            series: compared.map(s => ({
+              label: s.label,
+              log: serializeLog(s.log),
+              summary: serializeSummary(s.summary),
+              buckets: serializeBuckets(s.buckets),
+            })),
+          },
         };
       }
 
       case "homey_get_device_flow_capabilities": {
-        const cards = await homey.flow.getFlowCards();
-        const deviceCards = Object.values(cards).filter(c =>
-          c.uri.includes(args.deviceId) || (c.args && c.args.some(arg => arg.type === 'device'))
-        );
+        const { device, zones } = await findDevice({ id: args.deviceId, name: args.deviceName, zone: args.zone });
+        const cards = await getFlowCards();
+        const deviceCards = cards.filter(c => c.ownerUri === `homey:device:${device.id}`);
         const output = deviceCards.map(c => `- [${c.type}] ${c.id}: ${c.title}`).join('\n');
         return {
-          content: [{ type: "text", text: `Flow Capabilities for device ${args.deviceId}:\n${output || "No specific cards found."}` }],
+          content: [{ type: "text", text: `Flow Capabilities for device ${device.name} (${device.id}):\n${output || "No specific cards found."}` }],
+          structuredContent: { device: deviceRef(device, zones), cards: deviceCards.map(serializeCard) },
+        };
+      }
+
+      case "homey_get_flow_usage": {
+        const [devices, zones, flows, advancedFlows, cards] = await Promise.all([
+          homey.devices.getDevices(),
+          homey.zones.getZones(),
+          homey.flow.getFlows(),
+          homey.flow.getAdvancedFlows(),
+          getFlowCards()
+        ]);
+
+        let deviceIds;
+        if (args.deviceId || args.deviceName) {
+          deviceIds = [resolveDevice(devices, zones, { id: args.deviceId, name: args.deviceName, zone: args.zone }).id];
+        } else if (args.zone) {
+          deviceIds = selectDevices(devices, zones, { zone: args.zone, includeChildren: args.includeChildren }).devices.map(d => d.id);
+        } else {
+          throw new Error("Provide a device (deviceId or deviceName) or a zone.");
+        }
+
+        const usage = findFlowUsage(tagFlows(flows, advancedFlows), deviceIds);
+        return {
+          content: [{ type: "text", text: formatFlowUsage(usage, devices, zones, cards) || "No devices found." }],
+          structuredContent: {
+            devices: [...usage].map(([id, entries]) => ({
+              device: deviceRef(devices[id], zones),
+              flows: entries.map(e => ({
+                ...serializeFlow(e.flow, { advanced: e.advanced }),
+                uses: e.uses.map(u => ({ role: u.role, cardId: u.card.id })),
+              })),
+            })),
+          },
+        };
+      }
+
+      case "homey_audit_flows": {
+        const [devices, apps, flows, advancedFlows, cards] = await Promise.all([
+          homey.devices.getDevices(),
+          homey.apps.getApps(),
+          homey.flow.getFlows(),
+          homey.flow.getAdvancedFlows(),
+          getFlowCards()
+        ]);
+        const tagged = tagFlows(flows, advancedFlows);
+        const findings = auditFlows(tagged, { devices, apps, cards });
+        return {
+          content: [{ type: "text", text: formatFlowAudit(findings, tagged.length) }],
+          structuredContent: {
+            totalFlows: tagged.length,
+            problemCount: findings.reduce((sum, f) => sum + f.problems.length, 0),
+            flows: findings.map(f => ({ ...serializeFlow(f.flow, { advanced: f.advanced }), problems: f.problems })),
+          },
         };
       }
 
       case "homey_get_live_insights": {
-        const resolution = args.resolution || 'today';
-        // Mocking/returning current state for live insights if full stream is not available
-        const device = await homey.devices.getDevice({ id: args.deviceId });
+        // A snapshot of the current state; change notifications come from resource subscriptions
+        // and homey_wait_for_event, which share the realtime listeners in lib/events.js
+        const { device, zones } = await findDevice({ id: args.deviceId, name: args.deviceName, zone: args.zone });
         const value = args.capabilityId ? device.capabilitiesObj[args.capabilityId] : device.capabilitiesObj;
         return {
           content: [{ type: "text", text: `Live data for ${device.name}${args.capabilityId ? ` [${args.capabilityId}]` : ''}: ${JSON.stringify(value)}` }],
+          structuredContent: {
+            device: serializeDevice(device, zones, id => !args.capabilityId || id === args.capabilityId),
+          },
+        };
+      }
+
+      case "homey_wait_for_event": {
+        const [devices, zones] = await Promise.all([
+          homey.devices.getDevices(),
+          homey.zones.getZones()
+        ]);
+
+        const condition = parseCondition(args.capabilityId, args);
+        const { devices: watched, zone } = selectDevices(devices, zones, args, { requireFilter: false });
+        if (watched.length === 0) {
+          throw new Error(`No devices with capability ${args.capabilityId} match the filters.`);
+        }
+
+        const seconds = Math.min(MAX_WAIT_SECONDS, Math.max(1, Number(args.timeoutSeconds) || DEFAULT_WAIT_SECONDS));
+        const scope = `${watched.length} device${watched.length === 1 ? '' : 's'}${zone ? ` in ${zone.name}` : ''}`;
+
+        // Long waits outlive default client request timeouts; progress notifications let
+        // clients that opt in (resetTimeoutOnProgress) keep the request alive
+        const progressToken = request.params._meta?.progressToken;
+        const started = Date.now();
+        const heartbeat = progressToken === undefined ? null : setInterval(() => {
+          extra.sendNotification({
+            method: "notifications/progress",
+            params: { progressToken, progress: Math.round((Date.now() - started) / 1000), total: seconds },
+          }).catch(() => {});
+        }, 10000);
+
+        let event;
+        try {
+          event = await waitForEvent({
+            hub: events,
+            devices: watched,
+            capabilityId: args.capabilityId,
+            condition,
+            timeoutMs: seconds * 1000,
+            signal: extra.signal,
+            matchCurrent: args.matchCurrent,
+          });
+        } finally {
+          clearInterval(heartbeat);
+        }
+
+        if (!event) {
+          return {
+            content: [{ type: "text", text: `⏱️ Timed out after ${seconds}s waiting for ${condition.describe} on ${scope}.` }],
+            structuredContent: { matched: false, timeoutSeconds: seconds, event: null },
+          };
+        }
+
+        const zoneName = zones[event.zone]?.name || "Unknown Zone";
+        const when = event.current ? `already ${JSON.stringify(event.value)}` : `changed ${JSON.stringify(event.previous)} → ${JSON.stringify(event.value)} at ${event.time}`;
+        return {
+          content: [{ type: "text", text: `⚡ ${event.deviceName} (${zoneName}): ${event.capabilityId} ${when}\nDevice ID: ${event.deviceId}` }],
+          structuredContent: {
+            matched: true,
+            timeoutSeconds: seconds,
+            event: {
+              device: { id: event.deviceId, name: event.deviceName, zone: zoneRef(zones, event.zone) },
+              capabilityId: event.capabilityId,
+              value: event.value ?? null,
+              previous: event.previous ?? null,
+              time: event.time || null,
+              current: event.current === true,
+            },
+          },
         };
       }
 
       default:
-        throw new Error(`Unknown tool: ${name}`);
+        throw new ToolError("unknown_tool", `Unknown tool: ${name}`);
     }
   } catch (error) {
+    return errorResult(error);
+  }
+}
+
+// Every call to a write tool goes to the audit log, including dry runs and refused calls. A
+// failing log must not fail the call, which has already happened. client is { name, version,
+// sessionId } of whoever made the call.
+function recordAction(request, result, client) {
+  const { name, arguments: args = {} } = request.params;
+  const tool = TOOLS.find(t => t.name === name);
+  if (!tool || !policy.isWriteTool(tool)) return;
+
+  let homeyId;
+  try {
+    homeyId = hubs.current().id;
+  } catch {
+    homeyId = args.homeyId ?? null;
+  }
+  try {
+    audit.record({
+      tool: name,
+      homeyId,
+      // Secret app settings stay out of the log, like they stay out of the tool's output
+      args: name === "homey_set_app_setting" ? { ...args, value: redactSetting(args.setting, args.value) } : args,
+      client,
+      result,
+      undoes: name === "homey_undo_last_action" ? result.structuredContent?.action?.id : null,
+    });
+  } catch (error) {
+    console.error(`Failed to write the audit log: ${error.message}`);
+  }
+}
+
+// Runs a tool call against the Homey picked by its homeyId argument and records it in the audit
+// log. Used for calls from MCP clients and for scheduled actions.
+function handleToolCall(request, extra, client) {
+  return hubs.run(request.params.arguments?.homeyId, async () => {
+    const result = await callTool(request, extra, client);
+    recordAction(request, result, client);
+    return result;
+  });
+}
+
+function createServer() {
+  const server = new Server(
+    {
+      name: "homey-mcp",
+      version: "1.0.0",
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true },
+        prompts: {},
+      },
+    }
+  );
+
+  // Resource URI -> function that stops its capability listeners
+  const subscriptions = new Map();
+  server.onclose = () => {
+    for (const unsubscribe of subscriptions.values()) unsubscribe();
+    subscriptions.clear();
+  };
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    await requireHomey();
     return {
-      isError: true,
-      content: [{ type: "text", text: `Error: ${error.message}` }],
+      resources: await listResources(homey),
     };
-  }
-});
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return {
+      resourceTemplates: RESOURCE_TEMPLATES,
+    };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    await requireHomey();
+    return readResource(homey, request.params.uri);
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    await requireHomey();
+    const { uri } = request.params;
+    if (subscriptions.has(uri)) return {};
+
+    const { kind, id, capabilityId } = parseResourceUri(uri);
+    if (kind !== "device") {
+      throw new Error(`Only device resources support subscriptions: ${uri}`);
+    }
+    const device = await homey.devices.getDevice({ id });
+    const capabilityIds = capabilityId ? [capabilityId] : device.capabilities;
+    if (capabilityId && !device.capabilities.includes(capabilityId)) {
+      throw new Error(`${device.name} has no capability ${capabilityId}`);
+    }
+
+    const notify = () => {
+      server.sendResourceUpdated({ uri }).catch(error => {
+        console.error(`Failed to send update for ${uri}:`, error.message);
+      });
+    };
+    subscriptions.set(uri, subscribeCapabilities(events, device, capabilityIds, notify));
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    const unsubscribe = subscriptions.get(request.params.uri);
+    if (unsubscribe) {
+      unsubscribe();
+      subscriptions.delete(request.params.uri);
+    }
+    return {};
+  });
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return {
+      tools: policy.filterTools(TOOLS),
+    };
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return {
+      prompts: PROMPTS,
+    };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    await requireHomey();
+    return getPrompt(homey, request.params.name, request.params.arguments);
+  });
+
+  server.setRequestHandler(CallToolRequestSchema, (request, extra) => {
+    const { name = null, version = null } = server.getClientVersion() || {};
+    return handleToolCall(request, extra, { name, version, sessionId: extra.sessionId ?? null });
+  });
+
+  return server;
+}
+
+// CLI flags take precedence over environment variables, e.g. `node index.js --transport http --port 3000`
+function getOption(flag, envName, fallback) {
+  const index = process.argv.indexOf(`--${flag}`);
+  if (index !== -1 && process.argv[index + 1]) return process.argv[index + 1];
+  return process.env[envName] || fallback;
+}
 
 async function main() {
-  await connect();
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error("Homey MCP server running on stdio");
+  scheduler.start();
+
+  const transportMode = getOption("transport", "MCP_TRANSPORT", "stdio").toLowerCase();
+  if (transportMode === "http") {
+    const host = getOption("host", "MCP_HTTP_HOST", "127.0.0.1");
+    const port = Number(getOption("port", "MCP_HTTP_PORT", "3000"));
+    await startHttpServer({
+      createServer,
+      host,
+      port,
+      token: process.env.MCP_AUTH_TOKEN,
+    });
+    console.error(`Homey MCP server listening on http://${host}:${port}/mcp (legacy SSE: /sse)`);
+  } else if (transportMode === "stdio") {
+    const transport = new StdioServerTransport();
+    await createServer().connect(transport);
+    console.error("Homey MCP server running on stdio");
+  } else {
+    throw new Error(`Unknown transport: ${transportMode} (expected "stdio" or "http")`);
+  }
 }
 
 main().catch((error) => {
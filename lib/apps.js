@@ -0,0 +1,111 @@
+// Installed Homey apps and the devices they drive. A device that stops responding is usually down
+// to its app (crashed, stopped, disabled or outdated), so every device is traced to its app through
+// its driver.
+
+// homey-api v3 reports "homey:app:<appId>:<driverId>" as driverId; older firmware had
+// driverUri "homey:app:<appId>" next to a bare driverId. Virtual devices belong to managers.
+export function deviceAppId(device) {
+  for (const uri of [device.driverId, device.driverUri, device.ownerUri]) {
+    const match = /^homey:app:([^:]+)/.exec(uri ?? "");
+    if (match) return match[1];
+  }
+  return null;
+}
+
+// Devices per app ID, including apps that are no longer installed; devices driven by Homey itself
+// (virtual devices, Homey Bridge) are left out
+export function devicesByApp(devices) {
+  const byApp = new Map();
+  for (const device of Object.values(devices)) {
+    const appId = deviceAppId(device);
+    if (!appId) continue;
+    if (!byApp.has(appId)) byApp.set(appId, []);
+    byApp.get(appId).push(device);
+  }
+  for (const list of byApp.values()) list.sort((a, b) => a.name.localeCompare(b.name));
+  return byApp;
+}
+
+export function appStatus(app) {
+  if (app.enabled === false) return "disabled";
+  if (app.crashed) return "crashed";
+  return app.state || "running";
+}
+
+const STATUS_LABELS = {
+  running: "✅ running",
+  starting: "⏳ starting",
+  stopping: "⏳ stopping",
+  stopped: "⏹️ stopped",
+  crashed: "💥 crashed",
+  disabled: "🚫 disabled",
+};
+
+// The reasons an app may be behind failing devices; empty when it looks healthy
+export function appProblems(app) {
+  const problems = [];
+  const status = appStatus(app);
+  if (status === "crashed") {
+    problems.push(`crashed${app.crashedCount ? ` ${app.crashedCount}×` : ""}${app.crashedMessage ? `: ${app.crashedMessage}` : ""}`);
+  } else if (status === "disabled" || status === "stopped") {
+    problems.push(status);
+  }
+  if (app.updateAvailable) problems.push("an update is available");
+  return problems;
+}
+
+export function formatApp(app, devices = []) {
+  const unavailable = devices.filter(d => d.available === false);
+  const lines = [`- ${app.name} [ID: ${app.id}] v${app.version}: ${STATUS_LABELS[appStatus(app)] || appStatus(app)}`];
+  if (app.crashed && app.crashedMessage) lines.push(`  Crash: ${app.crashedMessage}${app.crashedCount ? ` (${app.crashedCount}×)` : ""}`);
+  if (app.updateAvailable) lines.push("  ⬆️ Update available");
+  if (devices.length) {
+    lines.push(`  Devices: ${devices.length}${unavailable.length ? `, unavailable: ${unavailable.map(d => d.name).join(", ")}` : ""}`);
+  }
+  return lines.join("\n");
+}
+
+export function formatAppDevice(device) {
+  const state = device.available === false ? `❌ unavailable${device.unavailableMessage ? ` (${device.unavailableMessage})` : ""}` : "✅ available";
+  return `- ${device.name} [ID: ${device.id}]: ${state}`;
+}
+
+export const REDACTED = "[redacted]";
+
+// Settings that look like credentials (API keys, passwords, tokens) are never shown, so they
+// don't end up in transcripts and logs. Keys are matched per word ("apiKey", "access_token"), so
+// "bypass" or "spinDuration" aren't mistaken for secrets.
+const SECRET_WORDS = new Set(["pass", "passwd", "passcode", "auth", "authorization", "credential", "credentials", "cookie", "pin"]);
+const SECRET_SUFFIXES = ["password", "passphrase", "secret", "token", "apikey"];
+
+export function isSecretSetting(key) {
+  const words = String(key).replace(/([a-z0-9])([A-Z])/g, "$1 $2").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  return words.some((word, i) =>
+    SECRET_WORDS.has(word)
+    || SECRET_SUFFIXES.some(suffix => word.replace(/s$/, "").endsWith(suffix))
+    || (word === "key" && ["api", "private"].includes(words[i - 1])));
+}
+
+// Unset secrets stay visible, so a missing API key can still be spotted
+export function redactSetting(key, value) {
+  return isSecretSetting(key) && value !== null && value !== undefined && value !== "" ? REDACTED : value;
+}
+
+export function redactSettings(settings) {
+  return Object.fromEntries(Object.entries(settings).map(([key, value]) => [key, redactSetting(key, value)]));
+}
+
+export function formatSettingValue(value) {
+  return value === REDACTED ? value : JSON.stringify(value);
+}
+
+// What to look at when a device isn't responding, given the app that drives it
+export function diagnoseDevice(device, app) {
+  const appId = deviceAppId(device);
+  if (!appId) return `${device.name} isn't driven by an app.`;
+  if (!app) return `${device.name} is driven by "${appId}", which is not installed.`;
+  const problems = appProblems(app);
+  if (problems.length) return `${device.name} is driven by ${app.name}, which has problems: ${problems.join("; ")}.`;
+  if (device.available === false) return `${device.name} is unavailable, but ${app.name} is running; check the device itself (power, range, batteries).`;
+  return `${device.name} is driven by ${app.name}, which is running.`;
+}
@@ -0,0 +1,229 @@
+// Audit log of write tool calls, one JSON object per line in an append-only file. Each entry
+// records who called which tool with which arguments, the outcome and the capability values it
+// changed, so a change can be looked up later and undone from the recorded previous values.
+
+import fs from "node:fs";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { coerceCapabilityValue, formatCapabilityValue } from "./capabilities.js";
+import { ToolError } from "./output.js";
+
+export const DEFAULT_AUDIT_FILE = "audit.jsonl";
+export const DEFAULT_HISTORY_LIMIT = 20;
+export const MAX_HISTORY_LIMIT = 200;
+
+// Result statuses of write tools that mean a value was actually set
+const CHANGED_STATUSES = new Set(["ok", "changed", "reverted"]);
+
+// The capability changes a write tool reports in its structuredContent: the single change of
+// homey_set_capability, or the successful results of bulk, scene and undo tools. Writes that left
+// a value as it was are not changes.
+export function capabilityChanges(output) {
+  if (!output || output.dryRun || output.error) return [];
+  const change = (item, capabilityId) => ({
+    device: { id: item.device.id, name: item.device.name },
+    capabilityId,
+    previous: item.previous ?? null,
+    value: item.value ?? null,
+  });
+  const items = output.device && output.capabilityId && "previous" in output
+    ? [change(output, output.capabilityId)]
+    : (output.results || [])
+      .filter(r => CHANGED_STATUSES.has(r.status) && r.device)
+      .map(r => change(r, r.capabilityId ?? output.capabilityId));
+  return items.filter(c => c.previous !== c.value);
+}
+
+export class AuditLog {
+  constructor(filePath = DEFAULT_AUDIT_FILE) {
+    this.filePath = path.resolve(process.cwd(), filePath);
+  }
+
+  // Entries are only ever appended; a single write per line keeps concurrent calls from interleaving
+  append(entry) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  // Oldest first. A line cut short by a crash is skipped rather than hiding the rest of the log.
+  read() {
+    if (!fs.existsSync(this.filePath)) return [];
+    const entries = [];
+    for (const line of fs.readFileSync(this.filePath, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        console.error(`Skipping an unreadable line in ${this.filePath}`);
+      }
+    }
+    return entries;
+  }
+
+  // result is what the tool returned; undoes is the ID of the entry an undo reverted
+  record({ tool, homeyId = null, args = {}, client = {}, result, undoes = null }) {
+    const output = result.structuredContent || {};
+    return this.append({
+      id: randomUUID(),
+      time: new Date().toISOString(),
+      homeyId,
+      tool,
+      arguments: args,
+      client: { name: client.name ?? null, version: client.version ?? null, sessionId: client.sessionId ?? null },
+      outcome: result.isError ? "error" : output.dryRun ? "dry_run" : "ok",
+      error: output.error ?? null,
+      changes: capabilityChanges(output),
+      undoes,
+    });
+  }
+
+  // Newest first, each with an `undone` flag. Filters: tool, homeyId and deviceId.
+  history({ limit = DEFAULT_HISTORY_LIMIT, tool, homeyId, deviceId } = {}) {
+    const entries = this.read();
+    const undone = undoneIds(entries);
+    const max = Math.max(1, Math.min(MAX_HISTORY_LIMIT, Math.floor(limit) || DEFAULT_HISTORY_LIMIT));
+    const matching = entries
+      .filter(e => (!tool || e.tool === tool)
+        && (!homeyId || e.homeyId === homeyId)
+        && (!deviceId || e.changes.some(c => c.device.id === deviceId)))
+      .reverse();
+    return {
+      total: matching.length,
+      entries: matching.slice(0, max).map(e => ({ ...e, undone: undone.has(e.id) })),
+    };
+  }
+
+  // The entry to undo: the one with the given ID, or the latest successful capability change on
+  // homeyId that hasn't been undone yet. Undos themselves are skipped unless named by ID.
+  findUndoable({ id, homeyId } = {}) {
+    const entries = this.read();
+    const undone = undoneIds(entries);
+    if (id) {
+      const entry = entries.find(e => e.id === id);
+      if (!entry) throw new ToolError("not_found", `Action "${id}" not found in the audit log.`);
+      if (homeyId && entry.homeyId !== homeyId) {
+        throw new ToolError("invalid_argument", `Action "${id}" was made on Homey "${entry.homeyId}". Pass homeyId: "${entry.homeyId}" to undo it.`);
+      }
+      if (undone.has(entry.id)) throw new ToolError("invalid_argument", `Action "${id}" (${entry.tool}) has already been undone.`);
+      if (entry.outcome !== "ok" || !entry.changes.length) {
+        throw new ToolError("invalid_argument", `Action "${id}" (${entry.tool}) changed no capability values, so there is nothing to undo.`);
+      }
+      return { ...entry, undone: false };
+    }
+
+    const entry = entries.findLast(e => e.outcome === "ok" && e.changes.length && !e.undoes
+      && !undone.has(e.id) && (!homeyId || e.homeyId === homeyId));
+    if (!entry) throw new ToolError("not_found", "No capability changes found in the audit log that can be undone.");
+    return { ...entry, undone: false };
+  }
+}
+
+// IDs of entries reverted by a later undo that changed at least one value
+function undoneIds(entries) {
+  return new Set(entries.filter(e => e.undoes && e.outcome === "ok" && e.changes.length).map(e => e.undoes));
+}
+
+// Puts back the previous values of an audit entry's changes, newest change first. A value that
+// changed again since is left alone unless force is set. Returns one result per change:
+// { deviceId, deviceName, capabilityId, status: reverted|unchanged|planned|skipped|failed, previous, value, detail }
+export async function undoAction({ entry, devices, zones, policy, dryRun = false, force = false }) {
+  const results = [];
+  for (const change of [...entry.changes].reverse()) {
+    const device = devices[change.device.id];
+    const capability = device?.capabilitiesObj?.[change.capabilityId];
+    const current = capability?.value ?? null;
+    const add = (status, detail) => results.push({
+      deviceId: change.device.id,
+      deviceName: device?.name || change.device.name,
+      capabilityId: change.capabilityId,
+      status,
+      previous: current,
+      value: change.previous,
+      detail,
+    });
+
+    if (!device) {
+      add("failed", `device ${change.device.id} no longer exists`);
+      continue;
+    }
+    if (!capability) {
+      add("failed", `${device.name} no longer has ${change.capabilityId}`);
+      continue;
+    }
+    const reason = policy.checkDevice(device, zones, change.capabilityId);
+    if (reason) {
+      add("skipped", reason);
+      continue;
+    }
+    if (change.previous === null) {
+      add("skipped", "no previous value was recorded");
+      continue;
+    }
+    if (capability.value === change.previous) {
+      add("unchanged", formatCapabilityValue(capability, change.previous));
+      continue;
+    }
+    if (capability.value !== change.value && !force) {
+      add("skipped", `changed to ${formatCapabilityValue(capability, capability.value)} since; pass force: true to revert anyway`);
+      continue;
+    }
+
+    let value;
+    try {
+      ({ value } = coerceCapabilityValue(device, change.capabilityId, change.previous));
+    } catch (error) {
+      add("failed", error.message);
+      continue;
+    }
+    const detail = `${formatCapabilityValue(capability, capability.value)} → ${formatCapabilityValue(capability, value)}`;
+    if (dryRun) {
+      add("planned", detail);
+      continue;
+    }
+    try {
+      await device.setCapabilityValue({ capabilityId: change.capabilityId, value });
+      add("reverted", detail);
+    } catch (error) {
+      console.error(`Failed to set ${change.capabilityId} on ${device.name}:`, error.message);
+      add("failed", error.message);
+    }
+  }
+  return results;
+}
+
+const OUTCOME_LABELS = { ok: "✅", dry_run: "🧪", error: "❌" };
+
+const UNDO_LABELS = {
+  reverted: "↩️ reverted",
+  unchanged: "➖ unchanged",
+  planned: "🧪 would revert",
+  skipped: "⛔ skipped",
+  failed: "❌ failed",
+};
+
+export function countUndoResults(results) {
+  const counts = { reverted: 0, unchanged: 0, planned: 0, skipped: 0, failed: 0 };
+  for (const r of results) counts[r.status]++;
+  return counts;
+}
+
+export function formatUndoResults(results) {
+  const escape = text => String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+  const rows = results.map(r =>
+    `| ${escape(r.deviceName)} | ${r.capabilityId} | ${UNDO_LABELS[r.status]} | ${escape(r.detail || "")} |`
+  );
+  return ["| Device | Capability | Result | Details |", "| --- | --- | --- | --- |", ...rows].join("\n");
+}
+
+export function describeAction(entry) {
+  const client = entry.client?.name ? ` by ${entry.client.name}${entry.client.version ? ` ${entry.client.version}` : ""}` : "";
+  const lines = [`${OUTCOME_LABELS[entry.outcome]} ${entry.time} ${entry.tool} on ${entry.homeyId ?? "unknown Homey"}${client} [ID: ${entry.id}]`];
+  if (entry.error) lines.push(`   Error (${entry.error.code}): ${entry.error.message}`);
+  for (const change of entry.changes) {
+    lines.push(`   ${change.device.name}: ${change.capabilityId} ${JSON.stringify(change.previous)} → ${JSON.stringify(change.value)}`);
+  }
+  if (entry.undoes) lines.push(`   Undoes ${entry.undoes}`);
+  if (entry.undone) lines.push("   ↩️ Undone");
+  return lines.join("\n");
+}
@@ -0,0 +1,123 @@
+import { coerceCapabilityValue, formatCapabilityValue } from "./capabilities.js";
+import { resolveZone } from "./resolve.js";
+import { getZoneIds } from "./zones.js";
+
+export const DEFAULT_CONCURRENCY = 4;
+export const MAX_CONCURRENCY = 10;
+
+// Runs worker over items with at most `limit` calls in flight; results keep the input order
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return (Array.isArray(value) ? value : [value]).map(v => String(v).toLowerCase());
+}
+
+// "*" and "?" wildcards match the whole name; without wildcards the pattern is a substring
+export function nameMatcher(pattern) {
+  if (!pattern) return () => true;
+  if (!/[*?]/.test(pattern)) {
+    const needle = pattern.toLowerCase();
+    return name => name.toLowerCase().includes(needle);
+  }
+  const source = pattern
+    .split("")
+    .map(ch => (ch === "*" ? ".*" : ch === "?" ? "." : ch.replace(/[.+^${}()|[\]\\]/g, "\\$&")))
+    .join("");
+  const regex = new RegExp(`^${source}$`, "i");
+  return name => regex.test(name);
+}
+
+// Filters: zone (ID or name, sub-zones included unless includeChildren === false), deviceClass
+// (string or list), namePattern, deviceIds, and capabilityId (devices must have it). Writes must
+// name at least one filter so a forgotten argument never targets the whole house; read-only
+// callers can pass requireFilter: false.
+export function selectDevices(devices, zones, { zone, includeChildren, deviceClass, namePattern, deviceIds, capabilityId }, { requireFilter = true } = {}) {
+  if (requireFilter && !zone && !toList(deviceClass).length && !namePattern && !toList(deviceIds).length) {
+    throw new Error("Provide at least one device filter (zone, deviceClass, namePattern or deviceIds).");
+  }
+
+  let zoneIds = null;
+  let zoneMatch = null;
+  if (zone) {
+    zoneMatch = resolveZone(zones, { id: zone, name: zone });
+    zoneIds = getZoneIds(zones, zoneMatch.id, includeChildren !== false);
+  }
+  const classes = toList(deviceClass);
+  const ids = toList(deviceIds);
+  const matchesName = nameMatcher(namePattern);
+
+  const selected = Object.values(devices).filter(d =>
+    (!zoneIds || zoneIds.has(d.zone))
+    && (!classes.length || classes.includes(String(d.class).toLowerCase()) || classes.includes(String(d.virtualClass).toLowerCase()))
+    && (!ids.length || ids.includes(String(d.id).toLowerCase()))
+    && matchesName(d.name)
+    && (!capabilityId || (d.capabilities || []).includes(capabilityId))
+  );
+  return { devices: selected, zone: zoneMatch };
+}
+
+// Sets capabilityId on every device, honouring the access policy and coercing per device.
+// Returns one result per device: { device, status: ok|failed|skipped|planned, previous, value, detail }.
+export async function bulkSetCapability({ devices, zones, policy, capabilityId, value, concurrency = DEFAULT_CONCURRENCY, dryRun = false }) {
+  const limit = Math.max(1, Math.min(MAX_CONCURRENCY, Math.floor(concurrency) || DEFAULT_CONCURRENCY));
+
+  return mapWithConcurrency(devices, limit, async device => {
+    const capability = device.capabilitiesObj?.[capabilityId];
+    const result = { device, zoneName: zones[device.zone]?.name || "Unknown Zone", previous: capability?.value };
+
+    const reason = policy.checkDevice(device, zones, capabilityId);
+    if (reason) return { ...result, status: "skipped", detail: reason };
+
+    let coerced;
+    try {
+      coerced = coerceCapabilityValue(device, capabilityId, value);
+    } catch (error) {
+      return { ...result, status: "failed", detail: error.message };
+    }
+    const change = `${formatCapabilityValue(capability, capability.value)} → ${formatCapabilityValue(capability, coerced.value)}`;
+
+    if (dryRun) return { ...result, status: "planned", value: coerced.value, detail: change };
+
+    try {
+      await device.setCapabilityValue({ capabilityId, value: coerced.value });
+      return { ...result, status: "ok", value: coerced.value, detail: change };
+    } catch (error) {
+      console.error(`Failed to set ${capabilityId} on ${device.name}:`, error.message);
+      return { ...result, status: "failed", value: coerced.value, detail: error.message };
+    }
+  });
+}
+
+const STATUS_LABELS = {
+  ok: "✅ ok",
+  planned: "🧪 would set",
+  skipped: "⛔ skipped",
+  failed: "❌ failed",
+};
+
+export function countResults(results) {
+  const counts = { ok: 0, planned: 0, skipped: 0, failed: 0 };
+  for (const r of results) counts[r.status]++;
+  return counts;
+}
+
+export function formatResultTable(results) {
+  if (!results.length) return "No matching devices.";
+  const escape = text => String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+  const rows = results.map(r =>
+    `| ${escape(r.device.name)} | ${escape(r.zoneName)} | ${STATUS_LABELS[r.status]} | ${escape(r.detail || "")} |`
+  );
+  return ["| Device | Zone | Result | Details |", "| --- | --- | --- | --- |", ...rows].join("\n");
+}
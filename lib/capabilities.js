@@ -0,0 +1,151 @@
+// Validation and coercion of capability values against a device's capabilitiesObj metadata
+// (type, min, max, step, decimals, units, enum values, setable), so agents get a clear error
+// instead of an opaque Homey rejection and can use natural input like "50%" or "70°F".
+
+const TRUE_STRINGS = ["true", "on", "yes", "1"];
+const FALSE_STRINGS = ["false", "off", "no", "0"];
+
+function isUnitRange(capability) {
+  return capability.min === 0 && capability.max === 1;
+}
+
+function isCelsius(units) {
+  return typeof units === "string" && /^°?C$/i.test(units.trim());
+}
+
+function roundToStep(value, capability) {
+  let result = value;
+  if (typeof capability.step === "number" && capability.step > 0) {
+    const base = typeof capability.min === "number" ? capability.min : 0;
+    result = base + Math.round((result - base) / capability.step) * capability.step;
+  }
+  const decimals = typeof capability.decimals === "number" ? capability.decimals : 10;
+  return Number(result.toFixed(decimals));
+}
+
+// coerceBoolean and coerceNumber also check Logic variable values (see lib/logic.js)
+export function coerceBoolean(input, capabilityId) {
+  if (typeof input === "boolean") return input;
+  if (typeof input === "number" && (input === 0 || input === 1)) return input === 1;
+  if (typeof input === "string") {
+    const normalized = input.trim().toLowerCase();
+    if (TRUE_STRINGS.includes(normalized)) return true;
+    if (FALSE_STRINGS.includes(normalized)) return false;
+  }
+  throw new Error(`${capabilityId} expects a boolean (true/false), got ${JSON.stringify(input)}`);
+}
+
+export function coerceNumber(input, capability, notes) {
+  const capabilityId = capability.id;
+  let value;
+  let unit = "";
+
+  if (typeof input === "number") {
+    value = input;
+  } else if (typeof input === "string") {
+    const match = input.trim().match(/^(-?\d+(?:\.\d+)?)\s*(%|°?[CF]|[a-zA-Z]+)?$/);
+    if (!match) {
+      throw new Error(`${capabilityId} expects a number${capability.units ? ` in ${capability.units}` : ""}, got ${JSON.stringify(input)}`);
+    }
+    value = Number(match[1]);
+    unit = match[2] || "";
+  } else {
+    throw new Error(`${capabilityId} expects a number, got ${JSON.stringify(input)}`);
+  }
+
+  if (!Number.isFinite(value)) {
+    throw new Error(`${capabilityId} expects a finite number, got ${JSON.stringify(input)}`);
+  }
+
+  const unitKey = unit.replace("°", "").toLowerCase();
+  const unsupportedUnit = () => new Error(
+    `${capabilityId} does not accept "${unit}"${capability.units ? ` (units: ${capability.units})` : ""}`
+  );
+
+  if (unit === "%") {
+    if (isUnitRange(capability)) {
+      notes.push(`interpreted ${input} as ${value / 100}`);
+      value = value / 100;
+    } else if (capability.units !== "%") {
+      throw unsupportedUnit();
+    }
+  } else if (unitKey === "f") {
+    if (!isCelsius(capability.units)) throw unsupportedUnit();
+    const celsius = (value - 32) * 5 / 9;
+    notes.push(`converted ${input} to ${Number(celsius.toFixed(1))} °C`);
+    value = celsius;
+  } else if (unitKey === "c") {
+    if (!isCelsius(capability.units)) throw unsupportedUnit();
+  } else if (unit) {
+    if (unit.toLowerCase() !== String(capability.units || "").toLowerCase()) throw unsupportedUnit();
+  } else if (isUnitRange(capability) && value > 1 && value <= 100) {
+    // Agents routinely send 50 for "50%" on 0–1 capabilities such as dim or volume_set
+    notes.push(`interpreted ${value} as ${value}% (${value / 100})`);
+    value = value / 100;
+  }
+
+  const hasMin = typeof capability.min === "number";
+  const hasMax = typeof capability.max === "number";
+  if ((hasMin && value < capability.min) || (hasMax && value > capability.max)) {
+    const range = `${hasMin ? capability.min : "-∞"}–${hasMax ? capability.max : "∞"}`;
+    throw new Error(`${capabilityId} must be between ${range}${capability.units ? ` ${capability.units}` : ""}, got ${JSON.stringify(input)}`);
+  }
+
+  const rounded = roundToStep(value, capability);
+  if (rounded !== value && Math.abs(rounded - value) > 1e-9) {
+    notes.push(`rounded to ${rounded} (step ${capability.step})`);
+  }
+  return rounded;
+}
+
+function coerceEnum(input, capability) {
+  const values = capability.values || [];
+  const needle = String(input).trim().toLowerCase();
+  const match = values.find(v => String(v.id).toLowerCase() === needle)
+    || values.find(v => typeof v.title === "string" && v.title.toLowerCase() === needle);
+  if (!match) {
+    throw new Error(`${capability.id} must be one of: ${values.map(v => v.id).join(", ")}; got ${JSON.stringify(input)}`);
+  }
+  return match.id;
+}
+
+// Returns { value, notes } where notes describe any coercion applied, or throws a descriptive Error.
+export function coerceCapabilityValue(device, capabilityId, input) {
+  const capability = device.capabilitiesObj?.[capabilityId];
+  if (!capability) {
+    const available = Object.keys(device.capabilitiesObj || {}).join(", ") || "none";
+    throw new Error(`${device.name} has no capability ${capabilityId} (available: ${available})`);
+  }
+  if (capability.setable === false) {
+    throw new Error(`${capabilityId} on ${device.name} is read-only`);
+  }
+
+  const notes = [];
+  let value;
+  switch (capability.type) {
+    case "boolean":
+      value = coerceBoolean(input, capabilityId);
+      break;
+    case "number":
+      value = coerceNumber(input, { ...capability, id: capabilityId }, notes);
+      break;
+    case "enum":
+      value = coerceEnum(input, { ...capability, id: capabilityId });
+      break;
+    case "string":
+      value = String(input);
+      break;
+    default:
+      value = input;
+  }
+  return { value, notes };
+}
+
+export function formatCapabilityValue(capability, value) {
+  if (value === undefined || value === null) return "unknown";
+  if (typeof value === "number" && capability && isUnitRange(capability) && capability.units === "%") {
+    return `${value} (${Math.round(value * 100)}%)`;
+  }
+  if (capability?.units && typeof value === "number") return `${value} ${capability.units}`;
+  return String(value);
+}
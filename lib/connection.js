@@ -0,0 +1,230 @@
+// Connection lifecycle for homey-api. The server connects on the first call instead of at startup,
+// so a Homey that is rebooting or briefly unreachable doesn't leave the process unusable. Every
+// manager call gets a timeout, and so do writes through device objects; network errors drop the
+// connection and reconnect with exponential backoff, and reads (get* methods) are retried on the
+// fresh connection.
+
+import { ToolError } from "./output.js";
+
+export const DEFAULT_TIMEOUT_MS = 15000;
+export const DEFAULT_RETRIES = 2;
+export const INITIAL_BACKOFF_MS = 1000;
+export const MAX_BACKOFF_MS = 60000;
+
+// Node's socket errors plus node-fetch's FetchError (type "system") and undici's "fetch failed"
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+export function isNetworkError(error) {
+  if (!error) return false;
+  if (error.code === "timeout") return true;
+  if (NETWORK_ERROR_CODES.has(error.code) || NETWORK_ERROR_CODES.has(error.cause?.code)) return true;
+  return error.type === "system" || /fetch failed|socket hang up|network/i.test(error.message || "");
+}
+
+// Reads can safely be sent again after a dropped connection; a write may already have arrived
+const isRead = method => method.startsWith("get") || method === "ping";
+
+export function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new ToolError("timeout", `${label} timed out after ${ms / 1000}s.`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class HomeyConnection {
+  // connect() returns a homey-api instance; mode and address are only reported by status()
+  constructor({ connect, mode, address = null, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, backoffMs = INITIAL_BACKOFF_MS, maxBackoffMs = MAX_BACKOFF_MS }) {
+    this.connectFn = connect;
+    this.mode = mode;
+    this.address = address;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+
+    this.api = null;
+    this.connecting = null;
+    this.connectedAt = null;
+    this.failures = 0;
+    this.nextAttemptAt = 0;
+    this.reconnectTimer = null;
+    this.lastError = null;
+    this.connectedBefore = false;
+    this.reconnectListeners = new Set();
+  }
+
+  // listener(api) runs after every connection but the first, once the API object it had is replaced;
+  // returns a function that removes the listener again
+  onReconnect(listener) {
+    this.reconnectListeners.add(listener);
+    return () => this.reconnectListeners.delete(listener);
+  }
+
+  // The connected API, connecting first if needed. While backing off after a failure this fails
+  // fast instead of hammering a Homey that is still down.
+  async get() {
+    if (this.api) return this.api;
+    if (this.connecting) return this.connecting;
+    const wait = this.nextAttemptAt - Date.now();
+    if (wait > 0) {
+      throw new ToolError("not_connected", `Homey is not connected (${this.lastError.message}). Retrying in ${Math.ceil(wait / 1000)}s.`);
+    }
+    this.connecting = this.attempt().finally(() => {
+      this.connecting = null;
+    });
+    return this.connecting;
+  }
+
+  async attempt() {
+    try {
+      const api = await withTimeout(this.connectFn(), this.timeoutMs, "Connecting to Homey");
+      this.api = api;
+      this.connectedAt = new Date();
+      this.failures = 0;
+      this.nextAttemptAt = 0;
+      console.error("Connected to Homey!");
+      if (this.connectedBefore) {
+        for (const listener of [...this.reconnectListeners]) {
+          Promise.resolve()
+            .then(() => listener(api))
+            .catch(error => console.error(`Reconnect listener failed: ${error.message}`));
+        }
+      }
+      this.connectedBefore = true;
+      return api;
+    } catch (error) {
+      this.disconnect(error);
+      throw new ToolError("not_connected", `Homey is not connected: ${error.message}`);
+    }
+  }
+
+  // Drops the connection after error and schedules the next attempt. Network errors reconnect in
+  // the background; anything else (a bad token, a wrong address) waits for the next call.
+  disconnect(error) {
+    this.api = null;
+    this.connectedAt = null;
+    this.failures++;
+    this.lastError = { message: error.message, at: new Date() };
+    const delay = Math.min(this.maxBackoffMs, this.backoffMs * 2 ** (this.failures - 1));
+    this.nextAttemptAt = Date.now() + delay;
+    console.error(`Homey connection failed (attempt ${this.failures}): ${error.message}. Next attempt in ${delay / 1000}s.`);
+
+    clearTimeout(this.reconnectTimer);
+    if (!isNetworkError(error)) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.get().catch(() => {});
+    }, delay);
+    // Pending reconnects never keep the process alive
+    this.reconnectTimer.unref?.();
+  }
+
+  // Runs fn(api) with a timeout. After a network error or timeout the connection is dropped, and
+  // reads are retried once it is back, up to `retries` times.
+  async call(label, fn, { idempotent = false } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const api = await this.get();
+      try {
+        return await withTimeout(fn(api), this.timeoutMs, label);
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+        // Parallel calls fail together; only the first one drops the connection
+        if (this.api === api) this.disconnect(error);
+        if (!idempotent || attempt >= this.retries) {
+          throw error.code === "timeout" ? error : new ToolError("not_connected", `Lost the connection to Homey: ${error.message}`);
+        }
+        // Timers may fire a millisecond early, which get() would take for a call during the backoff
+        const retryAt = this.nextAttemptAt;
+        while (Date.now() < retryAt) await sleep(retryAt - Date.now());
+      }
+    }
+  }
+
+  // Device objects talk to Homey themselves, which would skip the timeout and reconnect handling
+  // above, so their writes go through the devices manager of the current connection instead
+  bindDevice(device) {
+    if (!device || typeof device !== "object") return device;
+    Object.defineProperty(device, "setCapabilityValue", {
+      value: options => this.call("devices.setCapabilityValue", api => api.devices.setCapabilityValue({ ...options, deviceId: device.id })),
+      configurable: true,
+      writable: true,
+    });
+    return device;
+  }
+
+  // Stand-in for the homey-api instance: homey.devices.getDevices() and friends go through call(),
+  // so the rest of the server uses it exactly like the real API
+  get homey() {
+    const bind = (name, method, result) => {
+      if (name === "devices" && method === "getDevice") return this.bindDevice(result);
+      if (name === "devices" && method === "getDevices") Object.values(result || {}).forEach(device => this.bindDevice(device));
+      return result;
+    };
+    const manager = name => new Proxy({}, {
+      get: (target, method) => {
+        if (typeof method !== "string" || method === "then") return undefined;
+        return async (...args) => bind(name, method,
+          await this.call(`${name}.${method}`, api => api[name][method](...args), { idempotent: isRead(method) }));
+      },
+    });
+    return new Proxy({}, {
+      get: (target, name) => (typeof name === "string" && name !== "then" ? manager(name) : undefined),
+    });
+  }
+
+  // Connection mode, Homey identity and version, a ping round trip and the last error
+  async status() {
+    let latencyMs = null;
+    let pingError = null;
+    try {
+      const started = Date.now();
+      await this.call("system.ping", api => api.system.ping(), { idempotent: true });
+      latencyMs = Date.now() - started;
+    } catch (error) {
+      pingError = error.message;
+    }
+    return {
+      mode: this.mode,
+      address: this.address,
+      connected: Boolean(this.api),
+      connectedSince: this.connectedAt?.toISOString() ?? null,
+      homey: this.api ? { id: this.api.id ?? null, name: this.api.name ?? null, version: this.api.version ?? null } : null,
+      latencyMs,
+      failures: this.failures,
+      nextAttemptAt: !this.api && this.nextAttemptAt > Date.now() ? new Date(this.nextAttemptAt).toISOString() : null,
+      lastError: this.lastError ? { message: this.lastError.message, at: this.lastError.at.toISOString() } : null,
+      pingError,
+    };
+  }
+}
+
+export function formatStatus(status) {
+  const where = `${status.mode}${status.address ? `, ${status.address}` : ""}`;
+  const lines = status.connected
+    ? [
+      `🟢 Connected to ${status.homey.name || status.homey.id || "Homey"}${status.homey.version ? ` (version ${status.homey.version})` : ""} via ${where}`,
+      `Connected since: ${status.connectedSince}`,
+      status.latencyMs !== null ? `Latency: ${status.latencyMs} ms` : `Ping failed: ${status.pingError}`,
+    ]
+    : [
+      `🔴 Not connected (${where})`,
+      `Failed attempts: ${status.failures}`,
+      ...(status.nextAttemptAt ? [`Next attempt: ${status.nextAttemptAt}`] : []),
+    ];
+  if (status.lastError) lines.push(`Last error: ${status.lastError.message} (${status.lastError.at})`);
+  return lines.join("\n");
+}
@@ -0,0 +1,215 @@
+// Energy reports: kWh per device from insights (meter_power counters, or measure_power integrated
+// over time for devices without a meter), rolled up per zone and priced with a flat or
+// time-of-use tariff. Configure the tariff with HOMEY_TARIFF=<path-to-json> (see
+// tariff.example.json).
+
+import fs from "node:fs";
+import path from "node:path";
+import { getZoneIds } from "./zones.js";
+import { mapWithConcurrency, DEFAULT_CONCURRENCY } from "./bulk.js";
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const SLICE = 15 * 60 * 1000;
+
+function parseClock(value, field) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`Invalid tariff time "${value}" in ${field}. Use HH:MM.`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function checkPrice(value, field) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+    throw new Error(`Tariff ${field} must be a non-negative number.`);
+  }
+  return value;
+}
+
+// { currency, price, timezone?, periods?: [{ name?, from: "HH:MM", to: "HH:MM", days?: ["mon", ...], price }] }
+// The first matching period wins; outside all periods the base price applies. A period whose
+// "to" is before its "from" runs past midnight.
+export class Tariff {
+  constructor(config = {}) {
+    this.currency = config.currency || "EUR";
+    this.price = checkPrice(config.price, "price");
+    this.timezone = config.timezone;
+    this.periods = (config.periods || []).map((period, i) => {
+      const field = `periods[${i}]`;
+      const days = period.days?.map(d => String(d).slice(0, 3).toLowerCase());
+      if (days && days.some(d => !DAYS.includes(d))) {
+        throw new Error(`Invalid day in ${field}.days. Use mon, tue, wed, thu, fri, sat or sun.`);
+      }
+      return {
+        name: period.name || `${period.from}–${period.to}`,
+        from: parseClock(period.from, `${field}.from`),
+        to: parseClock(period.to, `${field}.to`),
+        days,
+        price: checkPrice(period.price, `${field}.price`),
+      };
+    });
+    this.formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: this.timezone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+  }
+
+  get isFlat() {
+    return this.periods.length === 0;
+  }
+
+  priceAt(time) {
+    if (this.isFlat) return this.price;
+    const parts = Object.fromEntries(this.formatter.formatToParts(new Date(time)).map(p => [p.type, p.value]));
+    const day = parts.weekday.toLowerCase();
+    const minute = Number(parts.hour) * 60 + Number(parts.minute);
+    const period = this.periods.find(p => {
+      const inTime = p.from <= p.to ? minute >= p.from && minute < p.to : minute >= p.from || minute < p.to;
+      // After midnight, an overnight period still belongs to the day it started on
+      const startDay = p.from > p.to && minute < p.to ? DAYS[(DAYS.indexOf(day) + 6) % 7] : day;
+      return inTime && (!p.days || p.days.includes(startDay));
+    });
+    return period ? period.price : this.price;
+  }
+
+  // Energy used between start and end is spread evenly over the interval and priced in
+  // 15-minute slices, so consumption spanning a peak/off-peak boundary is split correctly
+  costOf(start, end, kWh) {
+    if (this.isFlat || end <= start) return kWh * this.priceAt(start);
+    const slices = Math.ceil((end - start) / SLICE);
+    const width = (end - start) / slices;
+    let cost = 0;
+    for (let i = 0; i < slices; i++) {
+      cost += (kWh / slices) * this.priceAt(start + (i + 0.5) * width);
+    }
+    return cost;
+  }
+
+  describe() {
+    const money = value => `${value} ${this.currency}/kWh`;
+    if (this.isFlat) return `flat ${money(this.price)}`;
+    const periods = this.periods.map(p => `${p.name} ${money(p.price)}${p.days ? ` (${p.days.join(", ")})` : ""}`);
+    return `time-of-use: ${periods.join("; ")}; otherwise ${money(this.price)}`;
+  }
+}
+
+export function loadTariff(tariffPath) {
+  if (!tariffPath) return null;
+  const resolved = path.resolve(process.cwd(), tariffPath);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to load tariff from ${resolved}: ${error.message}`);
+  }
+  return new Tariff(config);
+}
+
+// kWh (and cost) from a cumulative meter_power log. A drop in the counter means the meter was
+// reset, in which case the new reading is what has been used since.
+export function consumptionFromMeter(points, tariff) {
+  let kWh = 0;
+  let cost = 0;
+  for (let i = 1; i < points.length; i++) {
+    const delta = points[i].v - points[i - 1].v;
+    const used = delta >= 0 ? delta : points[i].v;
+    kWh += used;
+    if (tariff) cost += tariff.costOf(points[i - 1].t, points[i].t, used);
+  }
+  return { kWh, cost: tariff ? cost : null };
+}
+
+// kWh (and cost) from a measure_power log in W: each reading holds until the next one, and the
+// last one until rangeEnd when given
+export function consumptionFromPower(points, tariff, rangeEnd) {
+  let kWh = 0;
+  let cost = 0;
+  points.forEach((point, i) => {
+    const until = i + 1 < points.length ? points[i + 1].t : Math.max(rangeEnd ?? point.t, point.t);
+    const used = (point.v * (until - point.t)) / 3600000 / 1000;
+    kWh += used;
+    if (tariff) cost += tariff.costOf(point.t, until, used);
+  });
+  return { kWh, cost: tariff ? cost : null };
+}
+
+// One row per device with a power log: the cumulative meter_power when there is one, otherwise
+// measure_power integrated over time. getPoints(log) loads a log's points; a few logs are loaded at
+// a time so a whole-home report doesn't flood Homey. Rows are sorted by kWh, then by name.
+export async function deviceConsumption(devices, logs, { getPoints, tariff, rangeEnd, concurrency = DEFAULT_CONCURRENCY }) {
+  const rows = await mapWithConcurrency(devices, concurrency, async device => {
+    const owned = Object.values(logs).filter(l => l.ownerUri === `homey:device:${device.id}`);
+    const meter = owned.find(l => l.ownerId === "meter_power");
+    const log = meter || owned.find(l => l.ownerId === "measure_power");
+    if (!log) return null;
+
+    const points = await getPoints(log);
+    const { kWh, cost } = meter ? consumptionFromMeter(points, tariff) : consumptionFromPower(points, tariff, rangeEnd);
+    return { id: device.id, name: device.name, zone: device.zone, kWh, cost, source: meter ? "meter" : "estimated from power" };
+  });
+  return rows.filter(Boolean).sort((a, b) => b.kWh - a.kWh || a.name.localeCompare(b.name));
+}
+
+// Totals per zone including everything nested below it, keyed by zone ID
+export function rollupByZone(rows, zones) {
+  const totals = {};
+  for (const zone of Object.values(zones)) {
+    const ids = getZoneIds(zones, zone.id);
+    const inZone = rows.filter(r => ids.has(r.zone));
+    if (!inZone.length) continue;
+    totals[zone.id] = {
+      kWh: inZone.reduce((sum, r) => sum + r.kWh, 0),
+      cost: inZone.some(r => r.cost !== null) ? inZone.reduce((sum, r) => sum + (r.cost || 0), 0) : null,
+    };
+  }
+  return totals;
+}
+
+const kwh = value => `${value.toFixed(value < 10 ? 2 : 1)} kWh`;
+
+export function formatEnergyReport({ title, rows, zones, live, tariff, top }) {
+  const money = value => (value === null || !tariff ? "" : ` · ${value.toFixed(2)} ${tariff.currency}`);
+  const zoneName = id => zones[id]?.name || "Unknown Zone";
+  const total = rows.reduce((sum, r) => sum + r.kWh, 0);
+  const totalCost = tariff ? rows.reduce((sum, r) => sum + (r.cost || 0), 0) : null;
+
+  const sections = [
+    title,
+    `Tariff: ${tariff ? tariff.describe() : "not configured (set HOMEY_TARIFF or pass pricePerKwh for costs)"}`,
+    `Total: ${kwh(total)}${money(totalCost)} across ${rows.length} device${rows.length === 1 ? "" : "s"}`,
+  ];
+
+  const ranked = [...rows].sort((a, b) => b.kWh - a.kWh);
+  if (ranked.length) {
+    sections.push(`Top consumers:\n${ranked.slice(0, top).map((r, i) =>
+      `${i + 1}. ${r.name} (${zoneName(r.zone)}): ${kwh(r.kWh)}${money(r.cost)} [${r.source}]`
+    ).join("\n")}`);
+
+    // Walk the hierarchy from the top so the rollup reads like the zone tree
+    const totals = rollupByZone(rows, zones);
+    const lines = [];
+    const walk = (zoneId, depth, seen) => {
+      if (seen.has(zoneId) || !totals[zoneId]) return;
+      seen.add(zoneId);
+      lines.push(`${"  ".repeat(depth)}- ${zoneName(zoneId)}: ${kwh(totals[zoneId].kWh)}${money(totals[zoneId].cost)}`);
+      Object.values(zones)
+        .filter(z => z.parent === zoneId)
+        .sort((a, b) => (totals[b.id]?.kWh ?? 0) - (totals[a.id]?.kWh ?? 0))
+        .forEach(z => walk(z.id, depth + 1, seen));
+    };
+    const seen = new Set();
+    Object.values(zones).filter(z => !zones[z.parent]).forEach(z => walk(z.id, 0, seen));
+    sections.push(`By zone (incl. sub-zones):\n${lines.join("\n")}`);
+  }
+
+  const drawing = live.filter(d => d.watts > 0).sort((a, b) => b.watts - a.watts);
+  const liveTotal = drawing.reduce((sum, d) => sum + d.watts, 0);
+  sections.push(drawing.length
+    ? `Live draw: ${liveTotal.toFixed(1)} W\n${drawing.map(d => `- ${d.name} (${zoneName(d.zone)}): ${d.watts} W`).join("\n")}`
+    : "Live draw: no devices are currently drawing power.");
+
+  return sections.join("\n\n");
+}
@@ -0,0 +1,204 @@
+// Realtime capability events. homey-api delivers value changes through capability instances
+// (device.makeCapabilityInstance); the hub shares one instance per device/capability between
+// all interested parties (resource subscriptions, homey_wait_for_event) and destroys it once
+// nobody listens any more, so the socket connection is only kept open while it is needed.
+
+export const DEFAULT_WAIT_SECONDS = 30;
+export const MAX_WAIT_SECONDS = 300;
+
+export class CapabilityEventHub {
+  // scope() names the connection a subscription's device came from (the current hub), so
+  // reconnect() can tell which watchers to move over
+  constructor({ scope = () => null } = {}) {
+    this.scope = scope;
+    this.watchers = new Map();
+  }
+
+  // listener receives { deviceId, deviceName, zone, capabilityId, value, previous, time };
+  // returns a function that removes the listener again
+  subscribe(device, capabilityId, listener) {
+    const key = `${device.id}:${capabilityId}`;
+    let watcher = this.watchers.get(key);
+    if (!watcher) {
+      watcher = {
+        key,
+        capabilityId,
+        scope: this.scope(),
+        listeners: new Set(),
+        previous: device.capabilitiesObj?.[capabilityId]?.value ?? null,
+      };
+      this.watch(watcher, device);
+      this.watchers.set(key, watcher);
+    }
+    watcher.listeners.add(listener);
+
+    return () => {
+      watcher.listeners.delete(listener);
+      if (watcher.listeners.size === 0 && this.watchers.get(key) === watcher) {
+        this.watchers.delete(key);
+        watcher.instance?.destroy();
+        watcher.instance = null;
+      }
+    };
+  }
+
+  watch(watcher, device) {
+    watcher.deviceId = device.id;
+    watcher.instance = device.makeCapabilityInstance(watcher.capabilityId, value => {
+      const event = {
+        deviceId: device.id,
+        deviceName: device.name,
+        zone: device.zone,
+        capabilityId: watcher.capabilityId,
+        value,
+        previous: watcher.previous,
+        time: new Date().toISOString(),
+      };
+      watcher.previous = value;
+      for (const fn of [...watcher.listeners]) {
+        try {
+          fn(event);
+        } catch (error) {
+          console.error(`Capability listener for ${watcher.key} failed:`, error.message);
+        }
+      }
+    });
+  }
+
+  // Capability instances belong to the homey-api object they were made on, which stops delivering
+  // events once its connection is replaced. After a reconnect this makes new instances for the
+  // watchers in scope from devices fetched with getDevice(deviceId); listeners stay subscribed.
+  async reconnect(scope, getDevice) {
+    for (const watcher of [...this.watchers.values()]) {
+      if (watcher.scope !== scope || this.watchers.get(watcher.key) !== watcher) continue;
+      try {
+        watcher.instance?.destroy();
+      } catch {
+        // The old connection is gone already
+      }
+      watcher.instance = null;
+      try {
+        const device = await getDevice(watcher.deviceId);
+        // Unsubscribed while the device was fetched
+        if (this.watchers.get(watcher.key) !== watcher) continue;
+        watcher.previous = device.capabilitiesObj?.[watcher.capabilityId]?.value ?? watcher.previous;
+        this.watch(watcher, device);
+      } catch (error) {
+        console.error(`Could not watch ${watcher.key} again after reconnecting:`, error.message);
+      }
+    }
+  }
+
+  get size() {
+    return this.watchers.size;
+  }
+}
+
+// Subscribes listener to several capabilities of a device and returns one function that removes
+// all of them. If a subscription throws, the ones made before it are removed again.
+export function subscribeCapabilities(hub, device, capabilityIds, listener) {
+  const unsubscribers = [];
+  try {
+    for (const capabilityId of capabilityIds) unsubscribers.push(hub.subscribe(device, capabilityId, listener));
+  } catch (error) {
+    for (const unsubscribe of unsubscribers) unsubscribe();
+    throw error;
+  }
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+const OPERATORS = {
+  "==": (value, target) => value === target,
+  "!=": (value, target) => value !== target,
+  ">": (value, target) => value > target,
+  ">=": (value, target) => value >= target,
+  "<": (value, target) => value < target,
+  "<=": (value, target) => value <= target,
+  changed: (value, target, previous) => value !== previous,
+};
+
+// Tool arguments arrive as JSON, but agents often send "true" or "20" as strings
+function parseTarget(value) {
+  if (typeof value !== "string") return value;
+  const trimmed = value.trim();
+  if (/^(true|false)$/i.test(trimmed)) return trimmed.toLowerCase() === "true";
+  if (trimmed !== "" && Number.isFinite(Number(trimmed))) return Number(trimmed);
+  return value;
+}
+
+// Builds { operator, test(value, previous), describe } from an operator (==, !=, >, >=, <, <=, changed) and value;
+// without a value the condition is "changed"
+export function parseCondition(capabilityId, { operator, value } = {}) {
+  const op = operator || (value === undefined ? "changed" : "==");
+  if (!OPERATORS[op]) {
+    throw new Error(`Unknown operator "${op}". Use one of: ${Object.keys(OPERATORS).join(", ")}`);
+  }
+  if (op !== "changed" && value === undefined) {
+    throw new Error(`Operator "${op}" needs a value to compare against.`);
+  }
+  const target = parseTarget(value);
+  if ([">", ">=", "<", "<="].includes(op) && typeof target !== "number") {
+    throw new Error(`Operator "${op}" needs a numeric value.`);
+  }
+  return {
+    operator: op,
+    test: (current, previous) => OPERATORS[op](current, target, previous),
+    describe: op === "changed" ? `${capabilityId} changes` : `${capabilityId} ${op} ${JSON.stringify(target)}`,
+  };
+}
+
+// Resolves with the first event on any of the devices that satisfies the condition, or null when
+// the timeout expires or the signal aborts; rejects when a device can't be subscribed to. Values that already match are not events unless
+// matchCurrent is set (which has no meaning for "changed").
+export function waitForEvent({ hub, devices, capabilityId, condition, timeoutMs, signal, matchCurrent = false }) {
+  if (matchCurrent && condition.operator !== "changed") {
+    const device = devices.find(d => condition.test(d.capabilitiesObj?.[capabilityId]?.value));
+    if (device) {
+      return Promise.resolve({
+        deviceId: device.id,
+        deviceName: device.name,
+        zone: device.zone,
+        capabilityId,
+        value: device.capabilitiesObj[capabilityId].value,
+        previous: null,
+        time: device.capabilitiesObj[capabilityId].lastUpdated ?? null,
+        current: true,
+      });
+    }
+  }
+
+  return new Promise(resolve => {
+    const unsubscribers = [];
+    let timer;
+    let done = false;
+    const finish = event => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      for (const unsubscribe of unsubscribers.splice(0)) unsubscribe();
+      resolve(event);
+    };
+    const onAbort = () => finish(null);
+
+    let subscribed = false;
+    try {
+      for (const device of devices) {
+        if (done) break;
+        unsubscribers.push(hub.subscribe(device, capabilityId, event => {
+          if (condition.test(event.value, event.previous)) finish(event);
+        }));
+      }
+      subscribed = true;
+    } finally {
+      // A subscription that throws rejects the wait, and an event during setup has already ended
+      // it; either way the subscriptions made so far are dropped again
+      if (!subscribed) done = true;
+      if (done) for (const unsubscribe of unsubscribers.splice(0)) unsubscribe();
+    }
+    if (done) return;
+    timer = setTimeout(() => finish(null), timeoutMs);
+    if (signal?.aborted) finish(null);
+    else signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
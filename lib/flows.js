@@ -0,0 +1,327 @@
+// Flow authoring: turns trigger/condition/action card specs into homey-api flow objects,
+// validating every card and argument against the cards Homey offers, and renders flows as
+// readable WHEN/AND/THEN lines so changes can be previewed as a diff before they are written.
+// Also scans flows for the devices they depend on and for references that no longer resolve.
+
+const KINDS = {
+  trigger: "trigger",
+  condition: "condition",
+  action: "action",
+};
+
+// cards: the tagged list from getFlowCards() in index.js
+function indexCards(cards) {
+  const byKind = { trigger: new Map(), condition: new Map(), action: new Map() };
+  for (const card of cards) byKind[card.type]?.set(card.id, card);
+  return byKind;
+}
+
+function findCard(byKind, kind, spec, field) {
+  if (!spec || typeof spec !== "object" || !spec.id) {
+    throw new Error(`${field} must be an object with the card "id" (see homey_get_flow_cards).`);
+  }
+  const card = byKind[kind].get(spec.id);
+  if (card) return card;
+
+  const needle = spec.id.split(":").pop().toLowerCase();
+  const similar = [...byKind[kind].keys()].filter(id => id.toLowerCase().includes(needle)).slice(0, 5);
+  const hint = similar.length ? ` Similar ${kind} cards: ${similar.join(", ")}` : ` Use homey_get_flow_cards to list the available ${kind} cards.`;
+  throw new Error(`Unknown ${kind} card "${spec.id}" in ${field}.${hint}`);
+}
+
+// Tokens from earlier cards ("[[homey:device:abc|measure_temperature]]") are valid for any type
+const isToken = value => typeof value === "string" && /^\[\[.+\]\]$/.test(value.trim());
+
+function checkArg(arg, value, where) {
+  if (isToken(value)) return value;
+  switch (arg.type) {
+    case "number":
+    case "range": {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        throw new Error(`${where} expects a number, got ${JSON.stringify(value)}`);
+      }
+      if ((arg.min !== undefined && number < arg.min) || (arg.max !== undefined && number > arg.max)) {
+        throw new Error(`${where} must be between ${arg.min ?? "-∞"} and ${arg.max ?? "∞"}, got ${number}`);
+      }
+      return number;
+    }
+    case "checkbox":
+      if (typeof value !== "boolean") throw new Error(`${where} expects true or false, got ${JSON.stringify(value)}`);
+      return value;
+    case "dropdown": {
+      const ids = (arg.values || []).map(v => v.id);
+      if (ids.length && !ids.includes(value)) {
+        throw new Error(`${where} must be one of: ${ids.join(", ")}`);
+      }
+      return value;
+    }
+    case "time":
+      if (typeof value !== "string" || !/^\d{1,2}:\d{2}$/.test(value)) {
+        throw new Error(`${where} expects a time like "07:30", got ${JSON.stringify(value)}`);
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+// Arguments are required unless the card marks them `required: false`; unknown names are rejected
+function checkArgs(card, args = {}, field) {
+  const known = new Map((card.args || []).map(a => [a.name, a]));
+  for (const name of Object.keys(args)) {
+    if (!known.has(name)) {
+      const expected = [...known.keys()].join(", ") || "none";
+      throw new Error(`${field} has unknown argument "${name}" for ${card.id} (expected: ${expected})`);
+    }
+  }
+  const result = {};
+  for (const arg of known.values()) {
+    const where = `${field}.args.${arg.name}`;
+    if (args[arg.name] === undefined || args[arg.name] === null || args[arg.name] === "") {
+      if (arg.required === false) continue;
+      throw new Error(`${where} is required by ${card.id}`);
+    }
+    result[arg.name] = checkArg(arg, args[arg.name], where);
+  }
+  return result;
+}
+
+function buildCard(byKind, kind, spec, field) {
+  const card = findCard(byKind, kind, spec, field);
+  const built = { id: card.id, args: checkArgs(card, spec.args, field) };
+  if (kind === KINDS.condition) {
+    built.group = spec.group || "group1";
+    built.inverted = Boolean(spec.inverted);
+  }
+  if (kind === KINDS.action) {
+    if (spec.group && !["then", "else"].includes(spec.group)) {
+      throw new Error(`${field}.group must be "then" or "else"`);
+    }
+    built.group = spec.group || "then";
+  }
+  return built;
+}
+
+// Builds the parts of a flow present in spec ({ trigger, conditions, actions }); parts that are
+// left out are not returned, so the result can be merged into an existing flow for updates
+export function buildFlowCards(spec, cards) {
+  const byKind = indexCards(cards);
+  const flow = {};
+  if (spec.trigger !== undefined) {
+    flow.trigger = buildCard(byKind, KINDS.trigger, spec.trigger, "trigger");
+  }
+  if (spec.conditions !== undefined) {
+    if (!Array.isArray(spec.conditions)) throw new Error("conditions must be an array of cards.");
+    flow.conditions = spec.conditions.map((c, i) => buildCard(byKind, KINDS.condition, c, `conditions[${i}]`));
+  }
+  if (spec.actions !== undefined) {
+    if (!Array.isArray(spec.actions) || spec.actions.length === 0) {
+      throw new Error("actions must be a non-empty array of cards.");
+    }
+    flow.actions = spec.actions.map((a, i) => buildCard(byKind, KINDS.action, a, `actions[${i}]`));
+  }
+  return flow;
+}
+
+// Device IDs a flow's action cards act on, for the access policy. Advanced Flows keep their cards
+// in a map, with triggers, conditions and notes next to the actions.
+export function actionDeviceIds(flow) {
+  const actions = [...(flow.actions || []), ...Object.values(flow.cards || {}).filter(c => c.type === "action")];
+  return [...new Set(actions.map(a => ownerId(a, "device")).filter(Boolean))];
+}
+
+// Device action cards named after something other than their capability
+const CARD_CAPABILITIES = { on: "onoff", off: "onoff", toggle: "onoff", lock: "locked", unlock: "locked" };
+
+// Capabilities a device's action card (homey:device:<id>:<card>) changes, for the access policy.
+// Cards are named after their capability ("dim", "target_temperature_set"); one that can't be tied
+// to a capability counts as changing all of them.
+export function cardCapabilityIds(cardId, device) {
+  const card = cardId.split(":").slice(3).join(":");
+  const capabilities = device.capabilities || Object.keys(device.capabilitiesObj || {});
+  const match = [CARD_CAPABILITIES[card], card, card.replace(/_(set|relative)$/, "")].find(id => id && capabilities.includes(id));
+  return match ? [match] : capabilities;
+}
+
+function describeCard(card, cards) {
+  const title = cards.find(c => c.id === card.id)?.title || card.id;
+  const args = Object.entries(card.args || {}).map(([k, v]) => `${k}: ${JSON.stringify(v)}`).join(", ");
+  return `${title}${args ? ` (${args})` : ""} [${card.id}]`;
+}
+
+// One line per property/card, so two renderings can be diffed line by line
+export function describeFlow(flow, { cards = [], folders = {} } = {}) {
+  const lines = [
+    `Name: ${flow.name}`,
+    `Enabled: ${flow.enabled !== false ? "yes" : "no"}`,
+    `Folder: ${flow.folder ? folders[flow.folder]?.name || flow.folder : "(none)"}`,
+  ];
+  if (flow.trigger) lines.push(`WHEN ${describeCard(flow.trigger, cards)}`);
+  for (const condition of flow.conditions || []) {
+    lines.push(`AND ${condition.inverted ? "NOT " : ""}${describeCard(condition, cards)}`);
+  }
+  for (const action of (flow.actions || []).filter(a => a.group !== "else")) {
+    lines.push(`THEN ${describeCard(action, cards)}`);
+  }
+  for (const action of (flow.actions || []).filter(a => a.group === "else")) {
+    lines.push(`ELSE ${describeCard(action, cards)}`);
+  }
+  return lines;
+}
+
+// "- " for lines only in before, "+ " for lines only in after; unchanged lines are omitted
+export function diffLines(before, after) {
+  const remaining = [...after];
+  const removed = [];
+  for (const line of before) {
+    const index = remaining.indexOf(line);
+    if (index === -1) removed.push(`- ${line}`);
+    else remaining.splice(index, 1);
+  }
+  const unchanged = [...before];
+  const added = [];
+  for (const line of after) {
+    const index = unchanged.indexOf(line);
+    if (index === -1) added.push(`+ ${line}`);
+    else unchanged.splice(index, 1);
+  }
+  return [...removed, ...added];
+}
+
+// Dependency analysis works on standard flows and Advanced Flows alike. Advanced Flows keep their
+// cards in a map that also holds notes, delays and other blocks; only real cards are returned.
+function flowCardList(flow) {
+  if (flow.cards) {
+    return Object.values(flow.cards)
+      .filter(card => card.id && KINDS[card.type])
+      .map(card => ({ type: card.type, card }));
+  }
+  return [
+    ...(flow.trigger ? [{ type: KINDS.trigger, card: flow.trigger }] : []),
+    ...(flow.conditions || []).map(card => ({ type: KINDS.condition, card })),
+    ...(flow.actions || []).map(card => ({ type: KINDS.action, card })),
+  ];
+}
+
+// "homey:device:<id>:on" → "homey:device:<id>", "homey:app:<appId>:<card>" → "homey:app:<appId>"
+function cardOwnerUri(card) {
+  return card.ownerUri || card.id.split(":").slice(0, 3).join(":");
+}
+
+function ownerId(card, type) {
+  const [homey, kind, id] = cardOwnerUri(card).split(":");
+  return homey === "homey" && kind === type ? id : null;
+}
+
+// Devices whose values are used through tokens, e.g. "[[homey:device:<id>|measure_temperature]]"
+function tokenDeviceIds(value, ids = new Set()) {
+  if (typeof value === "string") {
+    for (const match of value.matchAll(/\[\[homey:device:([^|\]]+)\|/g)) ids.add(match[1]);
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach(v => tokenDeviceIds(v, ids));
+  }
+  return ids;
+}
+
+const ROLES = {
+  trigger: "triggers on",
+  condition: "checks",
+  action: "acts on",
+  token: "reads a value of",
+};
+
+// Tagged list of { flow, advanced } so both kinds can be scanned together
+export function tagFlows(flows, advancedFlows) {
+  return [
+    ...Object.values(flows).map(flow => ({ flow, advanced: false })),
+    ...Object.values(advancedFlows).map(flow => ({ flow, advanced: true })),
+  ];
+}
+
+// For each device ID: the flows that use it and how ({ flow, advanced, uses: [{ role, card }] })
+export function findFlowUsage(tagged, deviceIds) {
+  const wanted = new Set(deviceIds);
+  const usage = new Map(deviceIds.map(id => [id, []]));
+  for (const { flow, advanced } of tagged) {
+    const byDevice = new Map();
+    const add = (deviceId, role, card) => {
+      if (!wanted.has(deviceId)) return;
+      if (!byDevice.has(deviceId)) byDevice.set(deviceId, []);
+      byDevice.get(deviceId).push({ role, card });
+    };
+    for (const { type, card } of flowCardList(flow)) {
+      add(ownerId(card, "device"), type, card);
+      for (const id of tokenDeviceIds(card.args)) add(id, "token", card);
+    }
+    for (const [deviceId, uses] of byDevice) usage.get(deviceId).push({ flow, advanced, uses });
+  }
+  return usage;
+}
+
+const flowLabel = ({ flow, advanced }) =>
+  `${flow.name} [ID: ${flow.id}] (${advanced ? "Advanced Flow" : "flow"}, ${flow.enabled === false ? "disabled" : "enabled"})`;
+
+const cardTitle = (card, cards) => cards.find(c => c.id === card.id)?.title || card.id;
+
+export function formatFlowUsage(usage, devices, zones, cards = []) {
+  const name = id => {
+    const device = devices[id];
+    return device ? `${device.name} (${zones[device.zone]?.name || "Unknown Zone"})` : id;
+  };
+  const used = [...usage].filter(([, flows]) => flows.length);
+  const unused = [...usage].filter(([, flows]) => !flows.length).map(([id]) => devices[id]?.name || id);
+
+  const sections = used.map(([id, flows]) => {
+    const lines = flows.map(entry => {
+      const roles = [...new Set(entry.uses.map(u => u.role))].map(role => {
+        const titles = [...new Set(entry.uses.filter(u => u.role === role).map(u => cardTitle(u.card, cards)))];
+        return `${ROLES[role]} it (${titles.join(", ")})`;
+      });
+      return `- ${flowLabel(entry)}: ${roles.join("; ")}`;
+    });
+    return `🔗 ${name(id)} is used by ${flows.length} flow${flows.length === 1 ? "" : "s"}:\n${lines.join("\n")}`;
+  });
+  if (unused.length) sections.push(`Not used by any flow: ${unused.join(", ")}`);
+  return sections.join("\n\n");
+}
+
+// Problems that stop flows from working: cards of deleted devices, cards of apps that are not
+// installed or disabled, tokens of deleted devices, cards Homey no longer offers, disabled cards,
+// and flows Homey itself marks as broken
+export function auditFlows(tagged, { devices, apps, cards }) {
+  const available = new Set(cards.map(c => c.id));
+  const findings = [];
+  for (const entry of tagged) {
+    const problems = [];
+    if (entry.flow.broken === true) problems.push("Homey marks this flow as broken");
+
+    for (const { type, card } of flowCardList(entry.flow)) {
+      const where = `[${type}] ${card.id}`;
+      const deviceId = ownerId(card, "device");
+      const appId = ownerId(card, "app");
+      if (deviceId && !devices[deviceId]) {
+        problems.push(`${where}: device "${deviceId}" no longer exists`);
+      } else if (appId && !apps[appId]) {
+        problems.push(`${where}: app "${appId}" is not installed`);
+      } else if (appId && apps[appId].enabled === false) {
+        problems.push(`${where}: app "${apps[appId].name}" is disabled`);
+      } else if (!available.has(card.id)) {
+        problems.push(`${where}: card is not available on this Homey`);
+      }
+      if (card.disabled === true) problems.push(`${where}: card is disabled`);
+      for (const id of tokenDeviceIds(card.args)) {
+        if (!devices[id]) problems.push(`${where}: uses a token of device "${id}", which no longer exists`);
+      }
+    }
+    if (problems.length) findings.push({ ...entry, problems });
+  }
+  return findings;
+}
+
+export function formatFlowAudit(findings, total) {
+  if (!findings.length) return `✅ Flow audit: no problems found in ${total} flows.`;
+  const count = findings.reduce((sum, f) => sum + f.problems.length, 0);
+  const sections = findings.map(f => `${flowLabel(f)}:\n${f.problems.map(p => `- ${p}`).join("\n")}`);
+  return [`🩺 Flow audit: ${count} problem${count === 1 ? "" : "s"} in ${findings.length} of ${total} flows`, ...sections].join("\n\n");
+}
@@ -0,0 +1,124 @@
+// Device health report for routine maintenance: devices that are unavailable or not ready, low
+// batteries and sensors that stopped reporting, grouped by zone with a suggested fix for each.
+
+import { LOW_BATTERY } from "./summary.js";
+import { deviceAppId, appProblems } from "./apps.js";
+import { zonePath } from "./zones.js";
+import { zoneRef } from "./output.js";
+
+export const DEFAULT_STALE_HOURS = 24;
+
+export const ISSUE_TYPES = ["unavailable", "not_ready", "low_battery", "stale"];
+
+const HOUR = 60 * 60 * 1000;
+
+const ISSUE_LABELS = {
+  unavailable: "❌ unavailable",
+  not_ready: "⏳ not ready",
+  low_battery: "🔋 low battery",
+  stale: "🕸️ stale",
+};
+
+// Values that are reported on their own schedule. measure_battery is left out: most devices only
+// report it when the level changes, which can take weeks.
+const isReported = capabilityId =>
+  (capabilityId.startsWith("measure_") || capabilityId.startsWith("meter_")) && capabilityId !== "measure_battery";
+
+function formatAge(ms) {
+  const hours = Math.floor(ms / HOUR);
+  return hours >= 48 ? `${Math.floor(hours / 24)} days` : `${hours} hours`;
+}
+
+// Points at the app when it explains the problem, otherwise at the device itself
+function appSuggestion(app, fallback) {
+  if (!app) return fallback;
+  if (app.enabled === false) return `${app.name} is disabled; enable it with homey_set_app_enabled`;
+  if (appProblems(app).some(p => p.startsWith("crashed") || p === "stopped")) {
+    return `${app.name} is not running; restart it with homey_restart_app`;
+  }
+  return fallback;
+}
+
+// options: { batteryThreshold, staleHours, staleHoursByClass, now }; apps is keyed by app ID
+export function checkDeviceHealth(device, apps = {}, options = {}) {
+  const { batteryThreshold = LOW_BATTERY, staleHours = DEFAULT_STALE_HOURS, staleHoursByClass = {}, now = Date.now() } = options;
+  const app = apps[deviceAppId(device)];
+  const capabilities = device.capabilitiesObj || {};
+  const issues = [];
+  const add = (type, detail, suggestion, capabilityId = null) => issues.push({ type, capabilityId, detail, suggestion });
+
+  if (device.available === false) {
+    add("unavailable", device.unavailableMessage || "Homey can't reach the device",
+      appSuggestion(app, "Check that it has power and is in range; re-pair it if it stays unavailable"));
+  } else if (device.ready === false) {
+    add("not_ready", "The device hasn't finished starting",
+      appSuggestion(app, `Wait a few minutes${app ? `, then restart ${app.name} with homey_restart_app` : ""}`));
+  }
+
+  const battery = capabilities.measure_battery?.value;
+  const batteryAlarm = capabilities.alarm_battery?.value === true;
+  const batteryLow = typeof battery === "number" && battery <= batteryThreshold;
+  if (batteryLow || batteryAlarm) {
+    const details = [typeof battery === "number" ? `${battery}%` : null, batteryAlarm ? "battery alarm on" : null].filter(Boolean);
+    add("low_battery", details.join(", "), "Replace or recharge the battery", batteryLow ? "measure_battery" : "alarm_battery");
+  }
+
+  // An unavailable device doesn't report anything, so its values aren't flagged separately
+  if (device.available !== false) {
+    const limit = (staleHoursByClass[device.class] ?? staleHours) * HOUR;
+    for (const [capabilityId, capability] of Object.entries(capabilities)) {
+      if (!isReported(capabilityId) || !capability.lastUpdated) continue;
+      const age = now - Date.parse(capability.lastUpdated);
+      if (age > limit) {
+        add("stale", `${capabilityId} last updated ${formatAge(age)} ago (${capability.lastUpdated})`,
+          "Check that it has power and is in range; wake battery devices by pressing a button on them", capabilityId);
+      }
+    }
+  }
+  return issues;
+}
+
+// Devices with issues, grouped by zone and sorted by zone path and name. counts is the number of
+// devices with each issue type.
+export function deviceHealthReport(devices, zones, apps = {}, options = {}) {
+  const list = Object.values(devices);
+  const counts = Object.fromEntries(ISSUE_TYPES.map(type => [type, 0]));
+  const byZone = new Map();
+
+  for (const device of list) {
+    const issues = checkDeviceHealth(device, apps, options);
+    if (!issues.length) continue;
+    for (const type of new Set(issues.map(i => i.type))) counts[type]++;
+    if (!byZone.has(device.zone)) byZone.set(device.zone, []);
+    byZone.get(device.zone).push({ id: device.id, name: device.name, class: device.class, issues });
+  }
+
+  const groups = [...byZone.entries()]
+    .map(([zoneId, unhealthy]) => ({
+      zone: zoneRef(zones, zoneId),
+      path: zones[zoneId] ? zonePath(zones, zoneId) : "Unknown Zone",
+      devices: unhealthy.sort((a, b) => a.name.localeCompare(b.name)),
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  const needsAttention = groups.reduce((sum, g) => sum + g.devices.length, 0);
+  return { checkedDevices: list.length, healthyDevices: list.length - needsAttention, counts, zones: groups };
+}
+
+export function formatHealthReport(report) {
+  const unhealthy = report.checkedDevices - report.healthyDevices;
+  if (!unhealthy) return `🩺 Device health: all ${report.checkedDevices} devices look healthy.`;
+
+  const counts = ISSUE_TYPES.map(type => `${report.counts[type]} ${type.replace("_", " ")}`).join(", ");
+  const lines = [`🩺 Device health: ${unhealthy} of ${report.checkedDevices} devices need attention (${counts})`];
+  for (const group of report.zones) {
+    lines.push("", `📍 ${group.path}`);
+    for (const device of group.devices) {
+      lines.push(`- ${device.name} (${device.class}) [ID: ${device.id}]`);
+      for (const issue of device.issues) {
+        lines.push(`  ${ISSUE_LABELS[issue.type]}: ${issue.detail}`, `    → ${issue.suggestion}`);
+      }
+    }
+  }
+  return lines.join("\n");
+}
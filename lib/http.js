@@ -0,0 +1,136 @@
+import http from "node:http";
+import { randomUUID, timingSafeEqual } from "node:crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Constant-time comparison so the shared secret can't be recovered by timing the 401s
+function isAuthorized(req, token) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, message) {
+  sendJson(res, status, {
+    jsonrpc: "2.0",
+    error: { code: -32000, message },
+    id: null,
+  });
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new Error("Request body too large");
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString("utf8");
+  return raw ? JSON.parse(raw) : undefined;
+}
+
+// Serves MCP over Streamable HTTP (/mcp) with the legacy HTTP+SSE transport (/sse + /messages)
+// as a fallback for older clients. Every session gets its own Server from createServer(),
+// since an SDK Server can only be connected to a single transport at a time.
+export async function startHttpServer({ createServer, host, port, token }) {
+  if (!token) {
+    throw new Error("MCP_AUTH_TOKEN is required when using the HTTP transport.");
+  }
+
+  const streamableTransports = new Map();
+  const sseTransports = new Map();
+
+  async function handleStreamable(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+
+    let transport = sessionId ? streamableTransports.get(sessionId) : undefined;
+    if (!transport) {
+      if (sessionId) return sendRpcError(res, 404, "Session not found");
+      if (req.method !== "POST" || !isInitializeRequest(body)) {
+        return sendRpcError(res, 400, "Bad Request: No valid session ID provided");
+      }
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          streamableTransports.set(id, transport);
+        },
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) streamableTransports.delete(transport.sessionId);
+      };
+      await createServer().connect(transport);
+    }
+
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSse(req, res) {
+    const transport = new SSEServerTransport("/messages", res);
+    sseTransports.set(transport.sessionId, transport);
+    res.on("close", () => {
+      sseTransports.delete(transport.sessionId);
+    });
+    await createServer().connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const transport = sseTransports.get(url.searchParams.get("sessionId"));
+    if (!transport) return sendRpcError(res, 404, "Session not found");
+    await transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+    try {
+      if (url.pathname === "/health" && req.method === "GET") {
+        return sendJson(res, 200, { status: "ok" });
+      }
+
+      if (!isAuthorized(req, token)) {
+        return sendJson(res, 401, { error: "Unauthorized" }, { "WWW-Authenticate": "Bearer" });
+      }
+
+      if (url.pathname === "/mcp" && ["GET", "POST", "DELETE"].includes(req.method)) {
+        return await handleStreamable(req, res);
+      }
+      if (url.pathname === "/sse" && req.method === "GET") {
+        return await handleSse(req, res);
+      }
+      if (url.pathname === "/messages" && req.method === "POST") {
+        return await handleSseMessage(req, res, url);
+      }
+
+      sendJson(res, 404, { error: "Not Found" });
+    } catch (error) {
+      console.error("HTTP transport error:", error.message);
+      if (!res.headersSent) {
+        const status = error instanceof SyntaxError ? 400 : 500;
+        sendRpcError(res, status, status === 400 ? "Parse error" : "Internal server error");
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", reject);
+      resolve();
+    });
+  });
+
+  return httpServer;
+}
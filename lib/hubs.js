@@ -0,0 +1,213 @@
+import fs from "node:fs";
+import path from "node:path";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { HomeyAPI, AthomCloudAPI } from "homey-api";
+import { HomeyConnection } from "./connection.js";
+import { loadMockHomey } from "./mock-homey.js";
+
+// The Homeys this server can talk to, loaded from the JSON file named by HOMEY_CONFIG:
+//
+// {
+//   "default": "home",
+//   "homeys": [
+//     { "id": "home", "name": "Home", "address": "192.168.1.50", "token": "<personal access token>" },
+//     { "id": "holiday", "name": "Holiday house", "cloud": {
+//         "homeyId": "<Homey ID>", "clientId": "<OAuth2 client ID>", "clientSecret": "<client secret>",
+//         "accessToken": "<access token>", "refreshToken": "<refresh token>", "tokenFile": "holiday-token.json" } },
+//     { "id": "test", "mock": "fixtures/home.json" }
+//   ]
+// }
+//
+// Each entry has exactly one of address (local API), cloud (Athom Cloud API) or mock (fixture).
+// Without HOMEY_CONFIG a single hub named "default" is built from HOMEY_IP / HOMEY_TOKEN /
+// HOMEY_MOCK. Tools take a homeyId argument to pick a hub; without it they use the default.
+
+function invalid(message) {
+  return new Error(`Invalid Homey config: ${message}`);
+}
+
+function normalizeHub(hub, index) {
+  if (!hub || typeof hub !== "object") throw invalid(`homeys[${index}] must be an object`);
+  if (!hub.id || typeof hub.id !== "string") throw invalid(`homeys[${index}] needs an "id"`);
+  const kinds = ["address", "cloud", "mock"].filter(key => hub[key]);
+  if (kinds.length !== 1) throw invalid(`"${hub.id}" needs exactly one of "address", "cloud" or "mock"`);
+
+  if (hub.address) {
+    if (!hub.token) throw invalid(`"${hub.id}" needs a "token" for its local address`);
+    const address = hub.address.startsWith("http") ? hub.address : `http://${hub.address}`;
+    return { id: hub.id, name: hub.name || hub.id, mode: "local", address, token: hub.token };
+  }
+  if (hub.cloud) {
+    if (!hub.cloud.accessToken && !hub.cloud.tokenFile) {
+      throw invalid(`"${hub.id}" needs a cloud "accessToken" or a "tokenFile" holding one`);
+    }
+    return { id: hub.id, name: hub.name || hub.id, mode: "cloud", address: null, cloud: { ...hub.cloud } };
+  }
+  return { id: hub.id, name: hub.name || hub.id, mode: "mock", address: hub.mock, mock: hub.mock };
+}
+
+// Validates a config object; returns { hubs, defaultId }
+export function normalizeHubsConfig(config) {
+  if (!Array.isArray(config?.homeys) || !config.homeys.length) throw invalid('"homeys" must be a non-empty array');
+  const hubs = config.homeys.map(normalizeHub);
+  const ids = new Set();
+  for (const hub of hubs) {
+    if (ids.has(hub.id.toLowerCase())) throw invalid(`duplicate id "${hub.id}"`);
+    ids.add(hub.id.toLowerCase());
+  }
+  const defaultId = config.default ?? hubs[0].id;
+  if (!hubs.some(h => h.id === defaultId)) throw invalid(`default "${defaultId}" is not one of the configured homeys`);
+  return { hubs, defaultId };
+}
+
+export function loadHubsConfig(configPath) {
+  const resolved = path.resolve(process.cwd(), configPath);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to load Homey config from ${resolved}: ${error.message}`);
+  }
+  return normalizeHubsConfig(config);
+}
+
+// The single hub described by HOMEY_MOCK, HOMEY_IP or (for Homey Cloud) HOMEY_TOKEN plus the
+// optional HOMEY_ID, HOMEY_CLIENT_ID and HOMEY_CLIENT_SECRET
+export function hubsFromEnv(env) {
+  const hub = { id: "default", name: env.HOMEY_NAME || "Homey" };
+  if (env.HOMEY_MOCK) hub.mock = env.HOMEY_MOCK;
+  else if (env.HOMEY_IP) Object.assign(hub, { address: env.HOMEY_IP, token: env.HOMEY_TOKEN });
+  else {
+    hub.cloud = {
+      accessToken: env.HOMEY_TOKEN,
+      homeyId: env.HOMEY_ID,
+      clientId: env.HOMEY_CLIENT_ID,
+      clientSecret: env.HOMEY_CLIENT_SECRET,
+    };
+  }
+  return normalizeHubsConfig({ homeys: [hub] });
+}
+
+// Keeps cloud tokens in a file, so tokens refreshed by homey-api survive a restart
+class FileTokenStore extends AthomCloudAPI.StorageAdapter {
+  constructor(file) {
+    super();
+    this.file = path.resolve(process.cwd(), file);
+  }
+
+  async get() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return {};
+      throw error;
+    }
+  }
+
+  async set(value) {
+    fs.writeFileSync(this.file, JSON.stringify(value, null, 2), { mode: 0o600 });
+  }
+}
+
+// Logs in to the Athom Cloud API and opens a session on the configured Homey. An account with
+// several Homeys needs a homeyId to pick one.
+async function connectCloud(cloud) {
+  const store = cloud.tokenFile ? new FileTokenStore(cloud.tokenFile) : new AthomCloudAPI.StorageAdapterMemory();
+  // A token saved by an earlier refresh is newer than the one in the config
+  const saved = (await store.get()).token;
+  const api = new AthomCloudAPI({
+    clientId: cloud.clientId,
+    clientSecret: cloud.clientSecret,
+    redirectUrl: cloud.redirectUrl || "http://localhost",
+    store,
+    token: saved ? null : new AthomCloudAPI.Token({ token_type: "bearer", access_token: cloud.accessToken, refresh_token: cloud.refreshToken }),
+  });
+
+  const user = await api.getAuthenticatedUser();
+  const homeys = user.getHomeys();
+  if (cloud.homeyId) return user.getHomeyById(cloud.homeyId).authenticate();
+  if (homeys.length > 1) {
+    throw new Error(`This account has ${homeys.length} Homeys; set "homeyId" to one of: ${homeys.map(h => `${h.id} (${h.name})`).join(", ")}`);
+  }
+  return user.getFirstHomey().authenticate();
+}
+
+export async function connectHub(hub) {
+  if (hub.mode === "mock") {
+    console.error(`Using mock Homey backend from ${hub.mock}...`);
+    return loadMockHomey(hub.mock);
+  }
+  if (hub.mode === "local") {
+    console.error(`Connecting to ${hub.name} locally at ${hub.address}...`);
+    return HomeyAPI.createLocalAPI({ address: hub.address, token: hub.token });
+  }
+  console.error(`Connecting to ${hub.name} via Homey Cloud...`);
+  return connectCloud(hub.cloud);
+}
+
+// One HomeyConnection per hub. run() makes a hub current for everything a tool call does, so the
+// `homey` stand-in can be used like a single homey-api instance.
+export class HubRegistry {
+  constructor({ hubs, defaultId }, { connect = connectHub, timeoutMs, retries } = {}) {
+    this.hubs = hubs;
+    this.defaultId = defaultId;
+    this.connections = new Map(hubs.map(hub => [hub.id, new HomeyConnection({
+      connect: () => connect(hub),
+      mode: hub.mode,
+      address: hub.address,
+      timeoutMs,
+      retries,
+    })]));
+    this.context = new AsyncLocalStorage();
+  }
+
+  get ids() {
+    return this.hubs.map(h => h.id);
+  }
+
+  // By hub ID or name (case-insensitive), or the Homey's own ID once connected
+  resolve(homeyId) {
+    if (homeyId === undefined || homeyId === null || homeyId === "") {
+      return this.hubs.find(h => h.id === this.defaultId);
+    }
+    const wanted = String(homeyId).toLowerCase();
+    const hub = this.hubs.find(h =>
+      h.id.toLowerCase() === wanted
+      || h.name.toLowerCase() === wanted
+      || String(this.connections.get(h.id).api?.id ?? h.cloud?.homeyId ?? "").toLowerCase() === wanted
+    );
+    if (!hub) throw new Error(`No Homey found matching "${homeyId}". Configured: ${this.ids.join(", ")}.`);
+    return hub;
+  }
+
+  // Runs fn with homeyId as the current hub. An unknown homeyId fails on first use inside fn, so
+  // the caller's error handling reports it.
+  run(homeyId, fn) {
+    return this.context.run({ homeyId }, fn);
+  }
+
+  current() {
+    return this.resolve(this.context.getStore()?.homeyId);
+  }
+
+  connection(hub = this.current()) {
+    return this.connections.get(hub.id);
+  }
+
+  // Stand-in for the current hub's homey-api instance
+  get homey() {
+    return new Proxy({}, {
+      get: (target, name) => (typeof name === "string" && name !== "then" ? this.connection().homey[name] : undefined),
+    });
+  }
+
+  // Connection status of every hub, checked in parallel
+  async statuses() {
+    return Promise.all(this.hubs.map(async hub => ({
+      id: hub.id,
+      name: hub.name,
+      default: hub.id === this.defaultId,
+      ...await this.connection(hub).status(),
+    })));
+  }
+}
@@ -0,0 +1,206 @@
+// Insights analytics: resolves logs from a device + capability, trims entries to a time range,
+// downsamples them into buckets and computes summary statistics, so long periods don't have to
+// be dumped entry by entry.
+
+export const DEFAULT_BUCKETS = 24;
+export const MAX_BUCKETS = 500;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Resolutions accepted by homey.insights.getLogEntries. Rolling windows know their length, so a
+// custom range can pick the shortest one that still covers it.
+const ROLLING = [
+  ["lastHour", HOUR],
+  ["last6Hours", 6 * HOUR],
+  ["last24Hours", DAY],
+  ["last3Days", 3 * DAY],
+  ["last7Days", 7 * DAY],
+  ["last14Days", 14 * DAY],
+  ["last31Days", 31 * DAY],
+  ["last3Months", 92 * DAY],
+  ["last6Months", 183 * DAY],
+  ["last2Years", 730 * DAY],
+];
+const CALENDAR = ["today", "yesterday", "thisWeek", "lastWeek", "thisMonth", "lastMonth", "thisYear", "lastYear"];
+
+export const RESOLUTIONS = [...ROLLING.map(([name]) => name), ...CALENDAR];
+
+// Case-insensitive, so the older spellings ("last7days", "last31days") keep working
+export function normalizeResolution(resolution) {
+  const match = RESOLUTIONS.find(r => r.toLowerCase() === String(resolution).toLowerCase());
+  if (!match) {
+    throw new Error(`Unknown resolution "${resolution}". Use one of: ${RESOLUTIONS.join(", ")}`);
+  }
+  return match;
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw new Error(`Invalid ${name} time "${value}". Use an ISO 8601 timestamp.`);
+  return time;
+}
+
+// Picks the resolution to request for { resolution, from, to }. An explicit resolution wins;
+// otherwise the shortest rolling window reaching back to `from` is used.
+export function resolveTimeRange({ resolution, from, to } = {}, now = Date.now()) {
+  const start = parseTime(from, "from");
+  const end = parseTime(to, "to");
+  if (start !== undefined && end !== undefined && start >= end) {
+    throw new Error("from must be before to.");
+  }
+  if (resolution) return { resolution: normalizeResolution(resolution), start, end };
+  if (start === undefined) return { resolution: "last24Hours", start, end };
+
+  const span = now - start;
+  const window = ROLLING.find(([, length]) => length >= span) || ROLLING[ROLLING.length - 1];
+  return { resolution: window[0], start, end };
+}
+
+// Finds the log for logId, or for deviceId + capabilityId (logs are owned by "homey:device:<id>")
+export function findLog(logs, { logId, device, capabilityId }) {
+  const all = Object.values(logs);
+  if (logId) {
+    const log = all.find(l => l.id === logId);
+    if (!log) throw new Error(`Insights log not found: ${logId}`);
+    return log;
+  }
+  if (!device || !capabilityId) {
+    throw new Error("Provide a logId, or a device (deviceId or deviceName) and capabilityId.");
+  }
+  const owned = all.filter(l => l.ownerUri === `homey:device:${device.id}`);
+  const log = owned.find(l => l.ownerId === capabilityId);
+  if (!log) {
+    const available = owned.map(l => l.ownerId).join(", ") || "none";
+    throw new Error(`${device.name} has no insights log for ${capabilityId} (available: ${available})`);
+  }
+  return log;
+}
+
+// Entries as sorted { t (ms), v (number) } points inside [start, end]; booleans become 1/0
+export function toPoints(entries, { start, end } = {}) {
+  return (entries?.values || [])
+    .filter(e => e.v !== null && e.v !== undefined)
+    .map(e => ({ t: new Date(e.t).getTime(), v: Number(e.v) }))
+    .filter(p => !Number.isNaN(p.t) && Number.isFinite(p.v))
+    .filter(p => (start === undefined || p.t >= start) && (end === undefined || p.t <= end))
+    .sort((a, b) => a.t - b.t);
+}
+
+// Splits [start, end] into `count` equal buckets; empty buckets are kept (count 0) so several
+// series bucketed over the same range line up on a common time axis
+export function bucketize(points, count, start, end) {
+  const buckets = Math.max(1, Math.min(MAX_BUCKETS, Math.floor(count) || DEFAULT_BUCKETS));
+  const width = Math.max(1, (end - start) / buckets);
+  const result = Array.from({ length: buckets }, (_, i) => ({
+    start: start + i * width,
+    end: start + (i + 1) * width,
+    count: 0,
+    sum: 0,
+    min: null,
+    max: null,
+    last: null,
+  }));
+  for (const p of points) {
+    if (p.t < start || p.t > end) continue;
+    const bucket = result[Math.min(buckets - 1, Math.floor((p.t - start) / width))];
+    bucket.count++;
+    bucket.sum += p.v;
+    bucket.min = bucket.min === null ? p.v : Math.min(bucket.min, p.v);
+    bucket.max = bucket.max === null ? p.v : Math.max(bucket.max, p.v);
+    bucket.last = p.v;
+  }
+  return result.map(({ sum, ...b }) => ({ ...b, avg: b.count ? sum / b.count : null }));
+}
+
+// Min/max/avg/last, plus (with a threshold) how long the value stayed above/below it. Each value
+// is taken to hold until the next entry, and the last one until rangeEnd.
+export function summarize(points, { threshold, rangeEnd } = {}) {
+  if (!points.length) return null;
+  const values = points.map(p => p.v);
+  const summary = {
+    count: points.length,
+    start: points[0].t,
+    end: points[points.length - 1].t,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    avg: values.reduce((a, b) => a + b, 0) / values.length,
+    last: values[values.length - 1],
+  };
+
+  if (threshold !== undefined && threshold !== null) {
+    const until = Math.max(rangeEnd ?? summary.end, summary.end);
+    let above = 0;
+    let below = 0;
+    points.forEach((p, i) => {
+      const duration = (i + 1 < points.length ? points[i + 1].t : until) - p.t;
+      if (p.v > threshold) above += duration;
+      else if (p.v < threshold) below += duration;
+    });
+    Object.assign(summary, { threshold, above, below, total: until - summary.start });
+  }
+  return summary;
+}
+
+export function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+const iso = t => new Date(t).toISOString();
+
+function round(value, decimals = 2) {
+  if (value === null || value === undefined) return "";
+  const factor = 10 ** decimals;
+  return String(Math.round(value * factor) / factor);
+}
+
+function withUnits(value, log) {
+  if (log.type === "boolean") return value ? "true" : "false";
+  return `${round(value, log.decimals ?? 2)}${log.units ? ` ${log.units}` : ""}`;
+}
+
+export function formatSummary(summary, log) {
+  if (!summary) return "No entries in this range.";
+  const lines = [
+    `Range: ${iso(summary.start)} → ${iso(summary.end)} (${summary.count} entries)`,
+  ];
+  if (log.type === "boolean") {
+    const share = summary.avg;
+    lines.push(`True in ${round(share * 100, 0)}% of entries · Last: ${withUnits(summary.last, log)}`);
+  } else {
+    lines.push(`Min: ${withUnits(summary.min, log)} · Max: ${withUnits(summary.max, log)} · Avg: ${withUnits(summary.avg, log)} · Last: ${withUnits(summary.last, log)}`);
+  }
+  if (summary.threshold !== undefined) {
+    const pct = ms => (summary.total > 0 ? ` (${round((ms / summary.total) * 100, 0)}%)` : "");
+    lines.push(`Above ${withUnits(summary.threshold, { ...log, type: "number" })}: ${formatDuration(summary.above)}${pct(summary.above)} · Below: ${formatDuration(summary.below)}${pct(summary.below)}`);
+  }
+  return lines.join("\n");
+}
+
+// Renders bucketed series as a markdown table (or CSV) on a shared time axis. series is a list of
+// { label, buckets }; each bucket column shows the average, and with a single series also min/max.
+export function formatSeries(series, { format = "table", decimals = 2 } = {}) {
+  const single = series.length === 1;
+  const header = single ? ["time", "avg", "min", "max"] : ["time", ...series.map(s => s.label)];
+  const rows = [];
+  series[0].buckets.forEach((bucket, i) => {
+    const cells = single
+      ? [bucket.avg, bucket.min, bucket.max].map(v => round(v, decimals))
+      : series.map(s => round(s.buckets[i].avg, decimals));
+    // A single series skips empty buckets; compared series keep every row to stay aligned
+    if (single && bucket.count === 0) return;
+    rows.push([iso(bucket.start), ...cells]);
+  });
+
+  if (format === "csv") {
+    const escape = cell => (/[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+    return [header, ...rows].map(row => row.map(escape).join(",")).join("\n");
+  }
+  const line = cells => `| ${cells.join(" | ")} |`;
+  return [line(header), line(header.map(() => "---")), ...rows.map(line)].join("\n");
+}
@@ -0,0 +1,80 @@
+// Paging and field selection shared by the list tools, so a large home can be read a page at a
+// time instead of in one response that overflows the model context.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+export const DETAIL_LEVELS = ["compact", "full"];
+
+// Input properties every list tool accepts; fieldNames are the keys of one structured item
+export function listingProperties(fieldNames) {
+  return {
+    detail: { type: "string", enum: DETAIL_LEVELS, description: "compact (default) for the essentials, full for every property" },
+    fields: { type: "array", items: { type: "string", enum: fieldNames }, description: "Only return these fields of each structured item (id is always included)" },
+    limit: { type: "number", description: `Page size (default: ${DEFAULT_PAGE_SIZE}, max: ${MAX_PAGE_SIZE})` },
+    cursor: { type: "string", description: "nextCursor from the previous page, to continue where it stopped" },
+  };
+}
+
+export const byName = item => [String(item.name ?? "").toLowerCase(), String(item.id)];
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (Array.isArray(key) && key.length && key.every(k => typeof k === "string")) return key;
+  } catch {
+    // fall through to the error below
+  }
+  throw new Error(`Invalid cursor "${cursor}". Pass the nextCursor of a previous page, or leave it out to start over.`);
+}
+
+// Sorts items by key (name, then ID) and returns the page after cursor. The cursor holds the key of
+// the last item returned rather than an offset, so items added or removed between calls don't
+// shift the following pages.
+export function paginate(items, { cursor, limit } = {}, key = byName) {
+  const size = Math.max(1, Math.min(MAX_PAGE_SIZE, Math.floor(limit) || DEFAULT_PAGE_SIZE));
+  const sorted = items.map(item => ({ item, key: key(item) })).sort((a, b) => compareKeys(a.key, b.key));
+
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    start = sorted.findIndex(entry => compareKeys(entry.key, after) > 0);
+    if (start === -1) start = sorted.length;
+  }
+  const page = sorted.slice(start, start + size);
+  const more = start + page.length < sorted.length;
+  return {
+    items: page.map(entry => entry.item),
+    total: sorted.length,
+    offset: start,
+    nextCursor: more ? encodeCursor(page[page.length - 1].key) : null,
+  };
+}
+
+// Keeps only the requested top-level fields; allowed lists the fields an item can have
+export function pickFields(items, fields, allowed) {
+  if (!fields?.length) return items;
+  const unknown = fields.filter(f => !allowed.includes(f));
+  if (unknown.length) {
+    throw new Error(`Unknown field${unknown.length > 1 ? "s" : ""} ${unknown.map(f => `"${f}"`).join(", ")}. Available: ${allowed.join(", ")}.`);
+  }
+  return items.map(item => Object.fromEntries(Object.entries(item).filter(([field]) => field === "id" || fields.includes(field))));
+}
+
+// "Showing 1–50 of 180." plus how to get the next page
+export function pageSummary({ items, total, offset, nextCursor }) {
+  if (!items.length) return `Showing 0 of ${total}.`;
+  const range = `Showing ${offset + 1}–${offset + items.length} of ${total}.`;
+  return nextCursor ? `${range} More: call again with cursor "${nextCursor}".` : range;
+}
@@ -0,0 +1,52 @@
+// Homey Logic variables and the presence state (home/away, asleep) of Homey's users, which flows
+// often key off ("when Guest mode is true", "when the last person leaves").
+
+import { coerceBoolean, coerceNumber } from "./capabilities.js";
+
+export const VARIABLE_TYPES = ["boolean", "number", "string"];
+
+// Checks a new value against the variable's type. Returns { value, notes } like
+// coerceCapabilityValue: "true"/"on" become booleans and "19" a number, anything else throws.
+export function coerceVariableValue(variable, input) {
+  const label = `Variable "${variable.name}" (${variable.type})`;
+  const notes = [];
+  let value;
+  switch (variable.type) {
+    case "boolean":
+      value = coerceBoolean(input, label);
+      break;
+    case "number":
+      value = coerceNumber(input, { id: label }, notes);
+      break;
+    case "string":
+      if (input === null || typeof input === "object") {
+        throw new Error(`${label} expects a string, got ${JSON.stringify(input)}`);
+      }
+      value = String(input);
+      break;
+    default:
+      throw new Error(`${label} has an unknown type`);
+  }
+  if (value !== input) notes.push(`converted ${JSON.stringify(input)} to ${JSON.stringify(value)}`);
+  return { value, notes };
+}
+
+export function formatVariable(variable) {
+  return `- ${variable.name} [ID: ${variable.id}] (${variable.type}): ${JSON.stringify(variable.value ?? null)}`;
+}
+
+// Homey reports null for users whose presence is unknown
+function stateLabel(value, yes, no) {
+  if (value === true) return yes;
+  if (value === false) return no;
+  return "unknown";
+}
+
+export function formatUser(user) {
+  const state = [
+    stateLabel(user.present, "🏠 home", "🚶 away"),
+    stateLabel(user.asleep, "😴 asleep", "☀️ awake"),
+  ];
+  if (user.enabled === false) state.push("disabled");
+  return `- ${user.name || "(unnamed)"} [ID: ${user.id}] (${user.role}): ${state.join(", ")}`;
+}
@@ -0,0 +1,423 @@
+import fs from "node:fs";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+
+// An in-memory stand-in for the parts of homey-api (v3) this server uses, driven by a JSON
+// fixture (see fixtures/home.json). Enable it with HOMEY_MOCK=<path-to-fixture>.
+// Method names and return shapes follow homey-api so index.js runs unchanged against it.
+
+class MockHomeyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "HomeyAPIError";
+    this.statusCode = statusCode;
+  }
+}
+
+function notFound(type, id) {
+  return new MockHomeyError(`${type} Not Found: ${id}`, 404);
+}
+
+function getItem(items, type, id) {
+  const item = items[id];
+  if (!item) throw notFound(type, id);
+  return item;
+}
+
+function checkValueType(capability, value) {
+  switch (capability.type) {
+    case "boolean":
+      return typeof value === "boolean";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "string":
+      return typeof value === "string";
+    case "enum":
+      return (capability.values || []).some(v => v.id === value);
+    default:
+      return true;
+  }
+}
+
+// Mirrors homey-api's DeviceCapability: the listener gets every new value until destroy()
+class MockDeviceCapability {
+  constructor(device, id, listener) {
+    this.id = id;
+    Object.defineProperty(this, "device", { value: device, enumerable: false });
+    Object.defineProperty(this, "listener", { value: listener, enumerable: false });
+  }
+
+  get value() {
+    return this.device.capabilitiesObj[this.id]?.value ?? null;
+  }
+
+  destroy() {
+    this.device.manager.listeners.delete(this);
+  }
+}
+
+class MockDevice {
+  constructor(manager, props) {
+    Object.assign(this, props);
+    Object.defineProperty(this, "manager", { value: manager, enumerable: false });
+  }
+
+  async setCapabilityValue({ capabilityId, value }) {
+    return this.manager.setCapabilityValue({ deviceId: this.id, capabilityId, value });
+  }
+
+  makeCapabilityInstance(capabilityId, listener) {
+    const instance = new MockDeviceCapability(this, capabilityId, listener);
+    this.manager.listeners.add(instance);
+    return instance;
+  }
+}
+
+class MockManagerDevices {
+  constructor(devices) {
+    this.items = {};
+    this.listeners = new Set();
+    for (const [id, props] of Object.entries(devices || {})) {
+      this.items[id] = new MockDevice(this, props);
+    }
+  }
+
+  // Simulates a realtime update from the device itself (a sensor tripping, a manual switch),
+  // which is the only way read-only capabilities like alarm_motion change
+  emitCapabilityValue({ deviceId, capabilityId, value }) {
+    const device = getItem(this.items, "Device", deviceId);
+    const capability = device.capabilitiesObj[capabilityId];
+    if (!capability) throw new MockHomeyError(`Invalid Capability: ${capabilityId}`);
+    capability.value = value;
+    capability.lastUpdated = new Date().toISOString();
+    // Homey delivers realtime events asynchronously, after the setter has resolved
+    setImmediate(() => {
+      for (const instance of this.listeners) {
+        if (instance.device === device && instance.id === capabilityId) instance.listener(value, instance);
+      }
+    });
+  }
+
+  async getDevices() {
+    return { ...this.items };
+  }
+
+  async getDevice({ id }) {
+    return getItem(this.items, "Device", id);
+  }
+
+  async setCapabilityValue({ deviceId, capabilityId, value }) {
+    const device = getItem(this.items, "Device", deviceId);
+    const capability = device.capabilitiesObj[capabilityId];
+    if (!capability) throw new MockHomeyError(`Invalid Capability: ${capabilityId}`);
+    if (capability.setable === false) throw new MockHomeyError(`Capability Not Setable: ${capabilityId}`);
+    if (device.available === false) {
+      throw new MockHomeyError(device.unavailableMessage || "Device Unavailable", 503);
+    }
+    if (!checkValueType(capability, value)) {
+      throw new MockHomeyError(`Invalid Value For ${capabilityId}: ${JSON.stringify(value)}`);
+    }
+    this.emitCapabilityValue({ deviceId, capabilityId, value });
+  }
+}
+
+class MockManagerZones {
+  constructor(zones) {
+    this.items = { ...zones };
+  }
+
+  async getZones() {
+    return { ...this.items };
+  }
+
+  async getZone({ id }) {
+    return getItem(this.items, "Zone", id);
+  }
+}
+
+class MockManagerFlow {
+  constructor({ flows, advancedFlows, flowFolders, flowCards }, notifications) {
+    this.notifications = notifications;
+    this.flows = { ...flows };
+    this.advancedFlows = { ...advancedFlows };
+    this.folders = { ...flowFolders };
+    this.cards = {
+      triggers: { ...flowCards?.triggers },
+      conditions: { ...flowCards?.conditions },
+      actions: { ...flowCards?.actions },
+    };
+  }
+
+  async getFlows() {
+    return { ...this.flows };
+  }
+
+  async getFlow({ id }) {
+    return getItem(this.flows, "Flow", id);
+  }
+
+  async createFlow({ flow }) {
+    const id = randomUUID();
+    this.flows[id] = { enabled: true, folder: null, conditions: [], actions: [], ...flow, id };
+    return this.flows[id];
+  }
+
+  async updateFlow({ id, flow }) {
+    const existing = getItem(this.flows, "Flow", id);
+    this.flows[id] = { ...existing, ...flow, id };
+    return this.flows[id];
+  }
+
+  async deleteFlow({ id }) {
+    getItem(this.flows, "Flow", id);
+    delete this.flows[id];
+  }
+
+  async triggerFlow({ id }) {
+    const flow = getItem(this.flows, "Flow", id);
+    if (!flow.enabled) throw new MockHomeyError(`Flow Disabled: ${flow.name}`);
+  }
+
+  async getAdvancedFlows() {
+    return { ...this.advancedFlows };
+  }
+
+  async getAdvancedFlow({ id }) {
+    return getItem(this.advancedFlows, "AdvancedFlow", id);
+  }
+
+  async updateAdvancedFlow({ id, advancedflow }) {
+    const existing = getItem(this.advancedFlows, "AdvancedFlow", id);
+    this.advancedFlows[id] = { ...existing, ...advancedflow, id };
+    return this.advancedFlows[id];
+  }
+
+  async deleteAdvancedFlow({ id }) {
+    getItem(this.advancedFlows, "AdvancedFlow", id);
+    delete this.advancedFlows[id];
+  }
+
+  async triggerAdvancedFlow({ id }) {
+    const flow = getItem(this.advancedFlows, "AdvancedFlow", id);
+    if (!flow.enabled) throw new MockHomeyError(`Flow Disabled: ${flow.name}`);
+  }
+
+  async getFlowFolders() {
+    return { ...this.folders };
+  }
+
+  async createFlowFolder({ flowfolder }) {
+    if (flowfolder.parent) getItem(this.folders, "FlowFolder", flowfolder.parent);
+    const id = randomUUID();
+    this.folders[id] = { parent: null, ...flowfolder, id };
+    return this.folders[id];
+  }
+
+  async getFlowCardTriggers() {
+    return { ...this.cards.triggers };
+  }
+
+  async getFlowCardConditions() {
+    return { ...this.cards.conditions };
+  }
+
+  async getFlowCardActions() {
+    return { ...this.cards.actions };
+  }
+
+  async runFlowCardAction({ id, args }) {
+    getItem(this.cards.actions, "FlowCardAction", id);
+    if (id === "homey:manager:notifications:create_notification") {
+      this.notifications.add({ excerpt: String(args?.text ?? ""), ownerUri: "homey:manager:flow", ownerName: "Flow" });
+    }
+    return {};
+  }
+}
+
+class MockManagerInsights {
+  constructor({ logs, entries }) {
+    this.logs = { ...logs };
+    this.entries = { ...entries };
+  }
+
+  async getLogs() {
+    return { ...this.logs };
+  }
+
+  async getLog({ id }) {
+    return getItem(this.logs, "Log", id);
+  }
+
+  async getLogEntries({ id, resolution }) {
+    getItem(this.logs, "Log", id);
+    const values = this.entries[id] || [];
+    return {
+      id,
+      resolution,
+      start: values.length ? values[0].t : null,
+      end: values.length ? values[values.length - 1].t : null,
+      values,
+    };
+  }
+}
+
+class MockManagerApps {
+  constructor(apps, settings = {}) {
+    this.items = { ...apps };
+    this.settings = structuredClone(settings);
+  }
+
+  async getApps() {
+    return { ...this.items };
+  }
+
+  async getApp({ id }) {
+    return getItem(this.items, "App", id);
+  }
+
+  async getAppSettings({ id }) {
+    getItem(this.items, "App", id);
+    return { ...this.settings[id] };
+  }
+
+  async setAppSetting({ id, name, value }) {
+    getItem(this.items, "App", id);
+    this.settings[id] = { ...this.settings[id], [name]: value };
+  }
+
+  async enableApp({ id }) {
+    Object.assign(getItem(this.items, "App", id), { enabled: true, state: "running", crashed: false, crashedMessage: null });
+  }
+
+  async disableApp({ id }) {
+    Object.assign(getItem(this.items, "App", id), { enabled: false, state: "stopped" });
+  }
+
+  async restartApp({ id }) {
+    const app = getItem(this.items, "App", id);
+    if (app.enabled === false) throw new MockHomeyError(`App ${id} is disabled`);
+    Object.assign(app, { state: "running", crashed: false, crashedMessage: null });
+  }
+}
+
+class MockManagerLogic {
+  constructor(variables) {
+    this.items = structuredClone(variables || {});
+  }
+
+  async getVariables() {
+    return { ...this.items };
+  }
+
+  async getVariable({ id }) {
+    return getItem(this.items, "Variable", id);
+  }
+
+  async updateVariable({ id, variable }) {
+    const existing = getItem(this.items, "Variable", id);
+    if ("value" in variable && typeof variable.value !== existing.type) {
+      throw new MockHomeyError(`Invalid Value For ${existing.name}: ${JSON.stringify(variable.value)}`);
+    }
+    this.items[id] = { ...existing, ...variable, id };
+    return this.items[id];
+  }
+}
+
+class MockManagerUsers {
+  constructor(users) {
+    this.items = structuredClone(users || {});
+  }
+
+  async getUsers() {
+    return { ...this.items };
+  }
+
+  async getUser({ id }) {
+    return getItem(this.items, "User", id);
+  }
+}
+
+// homey-api keeps presence on ManagerPresence but reports it on the user objects
+class MockManagerPresence {
+  constructor(users) {
+    this.users = users;
+  }
+
+  async getPresent({ id }) {
+    return getItem(this.users.items, "User", id).present;
+  }
+
+  async setPresent({ id, value }) {
+    getItem(this.users.items, "User", id).present = Boolean(value);
+  }
+
+  async getAsleep({ id }) {
+    return getItem(this.users.items, "User", id).asleep;
+  }
+
+  async setAsleep({ id, value }) {
+    getItem(this.users.items, "User", id).asleep = Boolean(value);
+  }
+}
+
+class MockManagerNotifications {
+  constructor(notifications) {
+    this.items = { ...notifications };
+  }
+
+  add(fields) {
+    const notification = { id: randomUUID(), dateCreated: new Date().toISOString(), meta: {}, ...fields };
+    this.items[notification.id] = notification;
+    return notification;
+  }
+
+  async getNotifications() {
+    return { ...this.items };
+  }
+
+  async deleteNotification({ id }) {
+    getItem(this.items, "Notification", id);
+    delete this.items[id];
+  }
+}
+
+class MockManagerSystem {
+  constructor(data) {
+    this.name = data.name || "Mock Homey";
+  }
+
+  async ping() {
+    return true;
+  }
+
+  async getSystemName() {
+    return this.name;
+  }
+}
+
+export function createMockHomey(fixture) {
+  const data = structuredClone(fixture);
+  const users = new MockManagerUsers(data.users);
+  const notifications = new MockManagerNotifications(data.notifications);
+  return {
+    id: data.id || "mock-homey",
+    name: data.name || "Mock Homey",
+    version: data.softwareVersion || "0.0.0",
+    devices: new MockManagerDevices(data.devices),
+    zones: new MockManagerZones(data.zones),
+    flow: new MockManagerFlow(data, notifications),
+    insights: new MockManagerInsights(data.insights || {}),
+    apps: new MockManagerApps(data.apps, data.appSettings),
+    logic: new MockManagerLogic(data.variables),
+    users,
+    presence: new MockManagerPresence(users),
+    notifications,
+    system: new MockManagerSystem(data),
+  };
+}
+
+export function loadMockHomey(fixturePath) {
+  const resolved = path.resolve(process.cwd(), fixturePath);
+  const fixture = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  return createMockHomey(fixture);
+}
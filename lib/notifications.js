@@ -0,0 +1,78 @@
+// Homey timeline notifications. The Web API can only read and delete them, so new ones are posted
+// through the "Create a notification" flow card action, the same way a flow would.
+
+import { parseDuration } from "./schedule.js";
+
+export const NOTIFICATION_CARD_ID = "homey:manager:notifications:create_notification";
+export const DEFAULT_NOTIFICATION_LIMIT = 50;
+export const MAX_NOTIFICATION_LIMIT = 500;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function startOfDay(now, daysBack = 0) {
+  const date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - daysBack);
+  return date.getTime();
+}
+
+function invalidTime(value, name) {
+  return new Error(`Invalid ${name} "${value}". Use an ISO 8601 timestamp, a duration such as "2h", "today" or "yesterday".`);
+}
+
+function parseTime(value, name) {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw invalidTime(value, name);
+  return time;
+}
+
+// { since, until } to { start, end } in ms. since is an ISO timestamp, a duration back from now
+// ("2h", "3d") or today/yesterday in the server's time zone; the default is the last 24 hours.
+// yesterday ends at midnight unless until is given.
+export function notificationWindow({ since, until } = {}, now = Date.now()) {
+  let start = now - DAY;
+  let end = until !== undefined && until !== "" ? parseTime(until, "until") : now;
+  const keyword = String(since ?? "").trim().toLowerCase();
+  if (keyword === "today") {
+    start = startOfDay(now);
+  } else if (keyword === "yesterday") {
+    start = startOfDay(now, 1);
+    if (until === undefined || until === "") end = startOfDay(now);
+  } else if (/^\d{4}-/.test(keyword)) {
+    start = parseTime(since, "since");
+  } else if (keyword) {
+    try {
+      start = now - parseDuration(since);
+    } catch {
+      throw invalidTime(since, "since");
+    }
+  }
+  if (start >= end) throw new Error("since must be before until.");
+  return { start, end };
+}
+
+// owner is an owner URI (homey:app:com.example, homey:manager:flow), an app ID or the owner's
+// name as shown on the timeline (case-insensitive)
+export function matchesOwner(notification, owner) {
+  if (!owner) return true;
+  const query = owner.trim().toLowerCase();
+  const uri = String(notification.ownerUri ?? "").toLowerCase();
+  return uri === query
+    || uri === `homey:app:${query}`
+    || String(notification.ownerName ?? "").toLowerCase() === query;
+}
+
+// Newest first, within the window and from the given owner
+export function filterNotifications(notifications, { start, end, owner }) {
+  return Object.values(notifications)
+    .filter(n => {
+      const time = Date.parse(n.dateCreated);
+      return time >= start && time <= end && matchesOwner(n, owner);
+    })
+    .sort((a, b) => Date.parse(b.dateCreated) - Date.parse(a.dateCreated));
+}
+
+export function formatNotification(notification) {
+  const owner = notification.ownerName || notification.ownerUri || "unknown";
+  return `- ${notification.dateCreated} [${owner}] ${notification.excerpt}`;
+}
@@ -0,0 +1,486 @@
+// Structured tool output. Every tool declares an outputSchema built from the shapes below and
+// returns structuredContent next to its text, so scripts and agents can read devices, zones,
+// flows, insights and errors without parsing the emoji-decorated text meant for people.
+
+import { zonePath, getZoneIds } from "./zones.js";
+import { PolicyError } from "./policy.js";
+import { appStatus } from "./apps.js";
+
+// Error codes in structuredContent.error.code
+export const ERROR_CODES = [
+  "not_connected",
+  "access_denied",
+  "not_found",
+  "ambiguous",
+  "invalid_argument",
+  "homey_error",
+  "timeout",
+  "unknown_tool",
+  "internal_error",
+];
+
+// For failures that can't be told apart by their message or class alone
+export class ToolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ToolError";
+    this.code = code;
+  }
+}
+
+export function errorCode(error) {
+  if (error instanceof ToolError) return error.code;
+  if (error instanceof PolicyError) return "access_denied";
+  if (error.statusCode === 404 || /not found|^No .+ found matching/i.test(error.message)) return "not_found";
+  if (/ matches \d+ .+\. Use an ID or be more specific/.test(error.message)) return "ambiguous";
+  if (error.statusCode) return "homey_error";
+  // Programming errors (TypeError, ReferenceError, ...) are ours, not the caller's
+  if (error.constructor !== Error) return "internal_error";
+  return "invalid_argument";
+}
+
+export function errorResult(error) {
+  const structured = { code: errorCode(error), message: error.message };
+  if (error.statusCode) structured.statusCode = error.statusCode;
+  return {
+    isError: true,
+    content: [{ type: "text", text: `Error: ${error.message}` }],
+    structuredContent: { error: structured },
+  };
+}
+
+// JSON Schema building blocks
+
+const string = { type: "string" };
+const number = { type: "number" };
+const boolean = { type: "boolean" };
+const any = {};
+const nullable = schema => ({ anyOf: [schema, { type: "null" }] });
+const array = items => ({ type: "array", items });
+const object = (properties, required = Object.keys(properties)) => ({ type: "object", properties, required });
+const map = values => ({ type: "object", additionalProperties: values });
+
+export const types = { string, number, boolean, any, nullable, array, object, map };
+
+// List items may be cut down to a few fields, so only their ID is required
+export const partial = schema => ({ ...schema, required: ["id"] });
+
+export const ERROR = object({
+  code: { type: "string", enum: ERROR_CODES },
+  message: string,
+  statusCode: number,
+}, ["code", "message"]);
+
+export const ZONE_REF = object({ id: string, name: string });
+
+export const DEVICE_REF = object({ id: string, name: string, zone: nullable(ZONE_REF) });
+
+export const CAPABILITY = object({
+  value: any,
+  type: string,
+  title: string,
+  units: string,
+  setable: boolean,
+  min: number,
+  max: number,
+  lastUpdated: string,
+}, ["value"]);
+
+export const DEVICE = object({
+  id: string,
+  name: string,
+  class: string,
+  zone: nullable(ZONE_REF),
+  available: boolean,
+  capabilities: map(CAPABILITY),
+});
+
+export const ZONE = object({
+  id: string,
+  name: string,
+  parent: nullable(string),
+  path: string,
+  deviceCount: number,
+  totalDeviceCount: number,
+});
+
+export const FLOW = object({
+  id: string,
+  name: string,
+  type: { type: "string", enum: ["flow", "advancedFlow"] },
+  enabled: boolean,
+  folder: nullable(string),
+});
+
+export const VARIABLE = object({
+  id: string,
+  name: string,
+  type: { type: "string", enum: ["boolean", "number", "string"] },
+  value: any,
+});
+
+export const USER = object({
+  id: string,
+  name: nullable(string),
+  role: string,
+  present: nullable(boolean),
+  asleep: nullable(boolean),
+  enabled: boolean,
+});
+
+export const NOTIFICATION = object({
+  id: string,
+  excerpt: string,
+  ownerUri: nullable(string),
+  ownerName: nullable(string),
+  dateCreated: string,
+});
+
+export const APP = object({
+  id: string,
+  name: string,
+  version: string,
+  status: { type: "string", enum: ["running", "starting", "stopping", "stopped", "crashed", "disabled"] },
+  enabled: boolean,
+  crashed: boolean,
+  crashedMessage: nullable(string),
+  crashedCount: number,
+  updateAvailable: boolean,
+  deviceCount: number,
+  unavailableDeviceCount: number,
+});
+
+export const APP_DEVICE = object({
+  id: string,
+  name: string,
+  zone: nullable(ZONE_REF),
+  available: boolean,
+  unavailableMessage: nullable(string),
+});
+
+export const HEALTH_ISSUE = object({
+  type: { type: "string", enum: ["unavailable", "not_ready", "low_battery", "stale"] },
+  capabilityId: nullable(string),
+  detail: string,
+  suggestion: string,
+});
+
+export const HEALTH_ZONE = object({
+  zone: nullable(ZONE_REF),
+  path: string,
+  devices: array(object({ id: string, name: string, class: string, issues: array(HEALTH_ISSUE) })),
+});
+
+export const INSIGHTS_LOG = object({
+  id: string,
+  title: string,
+  ownerUri: string,
+  capabilityId: string,
+  units: nullable(string),
+  type: string,
+}, ["id", "ownerUri", "capabilityId"]);
+
+export const INSIGHTS_SUMMARY = object({
+  count: number,
+  start: string,
+  end: string,
+  min: number,
+  max: number,
+  avg: number,
+  last: number,
+  threshold: number,
+  above: number,
+  below: number,
+}, ["count", "start", "end", "min", "max", "avg", "last"]);
+
+export const INSIGHTS_BUCKET = object({
+  start: string,
+  end: string,
+  count: number,
+  avg: nullable(number),
+  min: nullable(number),
+  max: nullable(number),
+}, ["start", "end", "count", "avg"]);
+
+export const INSIGHTS_RANGE = object({
+  resolution: string,
+  from: nullable(string),
+  to: nullable(string),
+});
+
+export const FLOW_FOLDER = object({ id: nullable(string), name: string, parent: nullable(string) });
+
+export const FLOW_CARD = object({
+  id: string,
+  type: { type: "string", enum: ["trigger", "condition", "action"] },
+  title: string,
+  ownerUri: string,
+  args: array(any),
+}, ["id", "type", "title"]);
+
+export const COUNTS = map(number);
+
+export const BULK_RESULT = object({
+  device: DEVICE_REF,
+  status: { type: "string", enum: ["ok", "failed", "skipped", "planned"] },
+  previous: any,
+  value: any,
+  detail: nullable(string),
+});
+
+export const SCENE = object({
+  name: string,
+  homeyId: string,
+  description: string,
+  createdAt: string,
+  devices: array(object({ id: string, name: string, capabilities: map(any) })),
+}, ["name", "createdAt", "devices"]);
+
+export const SCENE_RESULT = object({
+  device: object({ id: string, name: string }),
+  capabilityId: string,
+  status: { type: "string", enum: ["changed", "unchanged", "planned", "skipped", "failed"] },
+  previous: any,
+  value: any,
+  detail: nullable(string),
+});
+
+// Who made a tool call: the MCP client's name and version, and its session over HTTP
+const CLIENT = object({ name: nullable(string), version: nullable(string), sessionId: nullable(string) });
+
+// A capability change recorded in the audit log
+export const AUDIT_CHANGE = object({
+  device: object({ id: string, name: string }),
+  capabilityId: string,
+  previous: any,
+  value: any,
+});
+
+export const AUDIT_ENTRY = object({
+  id: string,
+  time: string,
+  homeyId: nullable(string),
+  tool: string,
+  arguments: map(any),
+  client: CLIENT,
+  outcome: { type: "string", enum: ["ok", "dry_run", "error"] },
+  error: nullable(ERROR),
+  changes: array(AUDIT_CHANGE),
+  undoes: nullable(string),
+  undone: boolean,
+});
+
+// A scheduled tool call
+export const JOB = object({
+  id: string,
+  tool: string,
+  arguments: map(any),
+  label: nullable(string),
+  runAt: string,
+  repeat: nullable(string),
+  homeyId: nullable(string),
+  createdAt: string,
+  createdBy: CLIENT,
+  runs: number,
+  lastRun: nullable(object({ time: string, outcome: { type: "string", enum: ["ok", "error"] }, message: string })),
+});
+
+export const UNDO_RESULT = object({
+  device: object({ id: string, name: string }),
+  capabilityId: string,
+  status: { type: "string", enum: ["reverted", "unchanged", "planned", "skipped", "failed"] },
+  previous: any,
+  value: any,
+  detail: nullable(string),
+});
+
+// Every tool's outputSchema; failed calls return { error } instead of the success shape
+export function outputSchema(properties, required = Object.keys(properties)) {
+  return {
+    type: "object",
+    properties: { ...properties, error: ERROR },
+    anyOf: [{ required }, { required: ["error"] }],
+  };
+}
+
+// Serializers for the shapes above
+
+const iso = time => (time === undefined || time === null ? null : new Date(time).toISOString());
+
+const definedOnly = object => Object.fromEntries(Object.entries(object).filter(([, v]) => v !== undefined && v !== null));
+
+export function zoneRef(zones, zoneId) {
+  const zone = zones[zoneId];
+  return zone ? { id: zone.id, name: zone.name } : null;
+}
+
+export function deviceRef(device, zones) {
+  return { id: device.id, name: device.name, zone: zoneRef(zones, device.zone) };
+}
+
+function capability(cap) {
+  return {
+    ...definedOnly({
+      type: cap.type,
+      title: cap.title,
+      units: cap.units,
+      setable: cap.setable,
+      min: cap.min,
+      max: cap.max,
+      lastUpdated: cap.lastUpdated,
+    }),
+    value: cap.value ?? null,
+  };
+}
+
+// Just the value and its units, for compact listings
+function capabilityValue(cap) {
+  return { ...definedOnly({ units: cap.units }), value: cap.value ?? null };
+}
+
+// filter limits the capabilities included, e.g. to measure_* for sensor readings; the compact
+// detail level leaves out capability metadata
+export function serializeDevice(device, zones, filter = () => true, { detail = "full" } = {}) {
+  const serialize = detail === "compact" ? capabilityValue : capability;
+  return {
+    id: device.id,
+    name: device.name,
+    class: device.class,
+    zone: zoneRef(zones, device.zone),
+    available: device.available !== false,
+    capabilities: Object.fromEntries(
+      Object.entries(device.capabilitiesObj || {})
+        .filter(([id]) => filter(id))
+        .map(([id, cap]) => [id, serialize(cap)])
+    ),
+  };
+}
+
+export function serializeZone(zone, zones, devices = {}) {
+  const ids = getZoneIds(zones, zone.id);
+  const list = Object.values(devices);
+  return {
+    id: zone.id,
+    name: zone.name,
+    parent: zones[zone.parent] ? zone.parent : null,
+    path: zonePath(zones, zone.id),
+    deviceCount: list.filter(d => d.zone === zone.id).length,
+    totalDeviceCount: list.filter(d => ids.has(d.zone)).length,
+  };
+}
+
+export function serializeFlow(flow, { advanced = false } = {}) {
+  return {
+    id: flow.id,
+    name: flow.name,
+    type: advanced ? "advancedFlow" : "flow",
+    enabled: flow.enabled !== false,
+    folder: flow.folder || null,
+  };
+}
+
+export function serializeVariable(variable) {
+  return { id: variable.id, name: variable.name, type: variable.type, value: variable.value ?? null };
+}
+
+export function serializeUser(user) {
+  return {
+    id: user.id,
+    name: user.name ?? null,
+    role: user.role || "user",
+    present: user.present ?? null,
+    asleep: user.asleep ?? null,
+    enabled: user.enabled !== false,
+  };
+}
+
+export function serializeNotification(notification) {
+  return {
+    id: notification.id,
+    excerpt: notification.excerpt ?? "",
+    ownerUri: notification.ownerUri ?? null,
+    ownerName: notification.ownerName ?? null,
+    dateCreated: notification.dateCreated,
+  };
+}
+
+// devices are the ones the app drives (see lib/apps.js)
+export function serializeApp(app, devices = []) {
+  return {
+    id: app.id,
+    name: app.name,
+    version: app.version ?? "",
+    status: appStatus(app),
+    enabled: app.enabled !== false,
+    crashed: app.crashed === true,
+    crashedMessage: app.crashedMessage ?? null,
+    crashedCount: app.crashedCount ?? 0,
+    updateAvailable: app.updateAvailable === true,
+    deviceCount: devices.length,
+    unavailableDeviceCount: devices.filter(d => d.available === false).length,
+  };
+}
+
+export function serializeAppDevice(device, zones) {
+  return {
+    id: device.id,
+    name: device.name,
+    zone: zoneRef(zones, device.zone),
+    available: device.available !== false,
+    unavailableMessage: device.unavailableMessage ?? null,
+  };
+}
+
+export function serializeLog(log) {
+  return {
+    id: log.id,
+    title: log.title,
+    ownerUri: log.ownerUri,
+    capabilityId: log.ownerId,
+    units: log.units || null,
+    type: log.type || "number",
+  };
+}
+
+export function serializeSummary(summary) {
+  if (!summary) return null;
+  return { ...summary, start: iso(summary.start), end: iso(summary.end) };
+}
+
+export function serializeBuckets(buckets) {
+  return buckets.map(b => ({ start: iso(b.start), end: iso(b.end), count: b.count, avg: b.avg, min: b.min, max: b.max }));
+}
+
+export function serializeRange(range) {
+  return { resolution: range.resolution, from: iso(range.start), to: iso(range.end) };
+}
+
+export function serializeFolder(folder) {
+  return { id: folder.id ?? null, name: folder.name, parent: folder.parent || null };
+}
+
+export function serializeCard(card) {
+  return { id: card.id, type: card.type, title: card.title || card.id, ownerUri: card.ownerUri || "", args: card.args || [] };
+}
+
+export function serializeBulkResult(result, zones) {
+  return {
+    device: deviceRef(result.device, zones),
+    status: result.status,
+    previous: result.previous ?? null,
+    value: result.value ?? null,
+    detail: result.detail ?? null,
+  };
+}
+
+// Scene and undo results share their shape
+export function serializeSceneResult(result) {
+  return {
+    device: { id: result.deviceId, name: result.deviceName },
+    capabilityId: result.capabilityId,
+    status: result.status,
+    previous: result.previous ?? null,
+    value: result.value ?? null,
+    detail: result.detail ?? null,
+  };
+}
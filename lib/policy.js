@@ -0,0 +1,149 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Access policy for write tools, loaded from the JSON file named by HOMEY_POLICY.
+//
+// {
+//   "readOnly": false,
+//   "tools":        { "allow": [], "deny": ["homey_run_flow_card_action"] },
+//   "devices":      { "allow": [], "deny": ["Front Door Lock"] },
+//   "classes":      { "allow": [], "deny": ["lock"] },
+//   "capabilities": { "allow": [], "deny": ["locked"] },
+//   "zones":        { "allow": [], "deny": ["Garage"] },
+//   "flows":        { "allow": [], "deny": ["Disarm Alarm"] },
+//   "variables":    { "allow": [], "deny": ["House mode"] },
+//   "users":        { "allow": [], "deny": ["Alex"] }
+// }
+//
+// Entries match IDs or names (case-insensitive). A non-empty allow list restricts to its entries;
+// deny always wins. Zone rules also apply to devices in child zones. Read-only tools are never blocked
+// by device/flow rules, only by the tools list.
+
+const RULE_KEYS = ["tools", "devices", "classes", "capabilities", "zones", "flows", "variables", "users"];
+
+export class PolicyError extends Error {
+  constructor(message) {
+    super(`Access denied by policy: ${message}`);
+    this.name = "PolicyError";
+  }
+}
+
+function normalizeRule(rule = {}, key) {
+  for (const list of ["allow", "deny"]) {
+    if (rule[list] !== undefined && !Array.isArray(rule[list])) {
+      throw new Error(`Invalid policy: "${key}.${list}" must be an array`);
+    }
+  }
+  return {
+    allow: (rule.allow || []).map(v => String(v).toLowerCase()),
+    deny: (rule.deny || []).map(v => String(v).toLowerCase()),
+  };
+}
+
+// Returns true if any of the candidate identifiers passes the rule
+function matches(list, candidates) {
+  return candidates.some(c => c !== undefined && c !== null && list.includes(String(c).toLowerCase()));
+}
+
+function isPermitted(rule, candidates) {
+  if (matches(rule.deny, candidates)) return false;
+  if (rule.allow.length > 0 && !matches(rule.allow, candidates)) return false;
+  return true;
+}
+
+export class Policy {
+  constructor(config = {}) {
+    this.readOnly = Boolean(config.readOnly);
+    this.rules = {};
+    for (const key of RULE_KEYS) {
+      this.rules[key] = normalizeRule(config[key], key);
+    }
+  }
+
+  isWriteTool(tool) {
+    return tool.annotations?.readOnlyHint !== true;
+  }
+
+  isToolAllowed(tool) {
+    if (this.readOnly && this.isWriteTool(tool)) return false;
+    return isPermitted(this.rules.tools, [tool.name]);
+  }
+
+  filterTools(tools) {
+    return tools.filter(tool => this.isToolAllowed(tool));
+  }
+
+  assertToolAllowed(tool) {
+    if (this.readOnly && this.isWriteTool(tool)) {
+      throw new PolicyError(`${tool.name} is not available in read-only mode`);
+    }
+    if (!isPermitted(this.rules.tools, [tool.name])) {
+      throw new PolicyError(`tool ${tool.name} is not allowed`);
+    }
+  }
+
+  // zones is the keyed result of homey.zones.getZones(), used to walk up the zone hierarchy
+  checkDevice(device, zones = {}, capabilityId) {
+    if (!isPermitted(this.rules.devices, [device.id, device.name])) {
+      return `device "${device.name}" is not allowed`;
+    }
+    if (!isPermitted(this.rules.classes, [device.class, device.virtualClass])) {
+      return `device class "${device.class}" (${device.name}) is not allowed`;
+    }
+
+    const zoneChain = [];
+    let zone = zones[device.zone];
+    while (zone && !zoneChain.includes(zone)) {
+      zoneChain.push(zone);
+      zone = zones[zone.parent];
+    }
+    // Allow lists pass if any enclosing zone is allowed; deny lists block if any enclosing zone is denied
+    const zoneCandidates = zoneChain.length
+      ? zoneChain.flatMap(z => [z.id, z.name])
+      : [device.zone];
+    if (!isPermitted(this.rules.zones, zoneCandidates)) {
+      return `zone "${zoneChain[0]?.name || device.zone}" (${device.name}) is not allowed`;
+    }
+
+    if (capabilityId !== undefined && !isPermitted(this.rules.capabilities, [capabilityId])) {
+      return `capability "${capabilityId}" is not allowed`;
+    }
+    return null;
+  }
+
+  assertDevice(device, zones, capabilityId) {
+    const reason = this.checkDevice(device, zones, capabilityId);
+    if (reason) throw new PolicyError(reason);
+  }
+
+  assertFlow(flow) {
+    if (!isPermitted(this.rules.flows, [flow.id, flow.name])) {
+      throw new PolicyError(`flow "${flow.name}" is not allowed`);
+    }
+  }
+
+  assertVariable(variable) {
+    if (!isPermitted(this.rules.variables, [variable.id, variable.name])) {
+      throw new PolicyError(`variable "${variable.name}" is not allowed`);
+    }
+  }
+
+  // Users whose presence or sleep state may be changed
+  assertUser(user) {
+    if (!isPermitted(this.rules.users, [user.id, user.name])) {
+      throw new PolicyError(`user "${user.name}" is not allowed`);
+    }
+  }
+}
+
+export function loadPolicy(policyPath) {
+  if (!policyPath) return new Policy();
+  const resolved = path.resolve(process.cwd(), policyPath);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to load policy from ${resolved}: ${error.message}`);
+  }
+  return new Policy(config);
+}
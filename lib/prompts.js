@@ -0,0 +1,74 @@
+// Prompt templates for common workflows. Each prompt embeds a fresh snapshot of the home (the
+// same text homey_get_sensor_readings returns plus a summary of device state), so the model can
+// answer straight away and only needs tools to act on what it finds.
+
+import { resolveZone } from "./resolve.js";
+import { getZoneIds } from "./zones.js";
+import { formatSensorReadings, summarizeHomeState } from "./summary.js";
+
+const ZONE_ARGUMENT = {
+  name: "zone",
+  description: "Optional zone name or ID to limit the prompt to (sub-zones included)",
+  required: false,
+};
+
+export const PROMPTS = [
+  {
+    name: "morning_briefing",
+    description: "Summarise the state of the home in the morning: climate, anything left on or open overnight, alarms and devices needing attention.",
+    arguments: [ZONE_ARGUMENT],
+  },
+  {
+    name: "leaving_home_checklist",
+    description: "Check that the home is ready to be left empty: lights and appliances off, doors and windows closed, locks locked, heating sensible.",
+    arguments: [ZONE_ARGUMENT],
+  },
+];
+
+const INSTRUCTIONS = {
+  morning_briefing: [
+    "Give me a short morning briefing about my home based on the data below.",
+    "Start with indoor climate (temperatures and humidity per room), then mention anything that was left on, open or unlocked overnight, active alarms, and devices that need attention such as low batteries or unavailable devices.",
+    "Keep it brief and skip sections with nothing to report.",
+  ],
+  leaving_home_checklist: [
+    "I'm about to leave home. Using the data below, give me a checklist of everything that should be dealt with first:",
+    "lights and appliances that are still on, doors or windows that are open, locks that are unlocked, and thermostats that could be turned down.",
+    "For each item suggest the tool call that would fix it (for example homey_bulk_set_capability or homey_set_capability), but don't change anything until I confirm.",
+    "If everything is in order, just say so.",
+  ],
+};
+
+export async function getPrompt(homey, name, args = {}) {
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) throw new Error(`Unknown prompt: ${name}`);
+
+  const [allDevices, zones] = await Promise.all([
+    homey.devices.getDevices(),
+    homey.zones.getZones(),
+  ]);
+
+  let devices = allDevices;
+  let scope = "the whole home";
+  if (args.zone) {
+    const zone = resolveZone(zones, { id: args.zone, name: args.zone });
+    const zoneIds = getZoneIds(zones, zone.id);
+    devices = Object.fromEntries(Object.entries(allDevices).filter(([, d]) => zoneIds.has(d.zone)));
+    scope = zone.name;
+  }
+
+  const text = [
+    ...INSTRUCTIONS[name],
+    "",
+    `## Sensor readings (${scope})`,
+    formatSensorReadings(devices, zones) || "No sensors found.",
+    "",
+    `## Device state (${scope})`,
+    summarizeHomeState(devices, zones),
+  ].join("\n");
+
+  return {
+    description: prompt.description,
+    messages: [{ role: "user", content: { type: "text", text } }],
+  };
+}
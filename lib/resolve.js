@@ -0,0 +1,141 @@
+// Resolves devices, zones, flows, Logic variables, users and apps from an ID or a human name
+// ("kitchen lamp"), so agents don't have to dump every device just to find an ID. Matching is
+// case/diacritic-insensitive and tolerant of small typos; when several items match equally well an
+// error lists the candidates.
+
+import { zonePath, getZoneIds } from "./zones.js";
+
+const MAX_CANDIDATES = 10;
+
+function normalize(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, "");
+  const result = [];
+  for (let i = 0; i < compact.length - 1; i++) result.push(compact.slice(i, i + 2));
+  return result;
+}
+
+// Sørensen–Dice coefficient over character bigrams (0..1)
+function similarity(a, b) {
+  const aGrams = bigrams(a);
+  const bGrams = bigrams(b);
+  if (!aGrams.length || !bGrams.length) return a === b ? 1 : 0;
+  const counts = new Map();
+  for (const g of aGrams) counts.set(g, (counts.get(g) || 0) + 1);
+  let overlap = 0;
+  for (const g of bGrams) {
+    if (counts.get(g) > 0) {
+      overlap++;
+      counts.set(g, counts.get(g) - 1);
+    }
+  }
+  return (2 * overlap) / (aGrams.length + bGrams.length);
+}
+
+function scoreName(query, name, context = "") {
+  const q = normalize(query);
+  const n = normalize(name);
+  if (!q) return 0;
+  if (n === q) return 100;
+  if (n.includes(q)) return 80;
+
+  const queryTokens = q.split(" ");
+  const nameTokens = n.split(" ");
+  const tokenIn = tokens => t => tokens.some(token => token.includes(t));
+  if (queryTokens.every(tokenIn(nameTokens))) return 70;
+
+  const contextTokens = [...nameTokens, ...normalize(context).split(" ").filter(Boolean)];
+  if (queryTokens.every(tokenIn(contextTokens))) return 60;
+
+  const score = similarity(q, n);
+  return score >= 0.6 ? Math.round(40 + score * 15) : 0;
+}
+
+// items: array of objects with id; options.getName/getContext/describe customise matching and errors.
+// IDs must match exactly; only a name is matched fuzzily, so a mistyped ID never acts on another item.
+function resolveByName(items, { id, name }, { kind, getName = i => i.name, getContext = () => "", describe }) {
+  if (id) {
+    const byId = items.find(item => item.id === id);
+    if (byId) return byId;
+    if (!name) throw new Error(`No ${kind} found matching "${id}".`);
+  }
+
+  const query = name;
+  if (!query) throw new Error(`Provide the ID or name of the ${kind}.`);
+
+  const scored = items
+    .map(item => ({ item, score: scoreName(query, getName(item), getContext(item)) }))
+    .filter(s => s.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (!scored.length) {
+    throw new Error(`No ${kind} found matching "${query}".`);
+  }
+
+  // Fuzzy (typo-level) scores are close together, so treat near-equal ones as a tie too
+  const top = scored[0].score;
+  const tied = scored.filter(s => s.score === top || (top < 60 && top - s.score <= 5));
+  if (tied.length === 1) return tied[0].item;
+
+  const list = tied.slice(0, MAX_CANDIDATES).map(s => `- ${describe(s.item)}`).join("\n");
+  const more = tied.length > MAX_CANDIDATES ? `\n...and ${tied.length - MAX_CANDIDATES} more` : "";
+  throw new Error(`"${query}" matches ${tied.length} ${kind}s. Use an ID or be more specific:\n${list}${more}`);
+}
+
+export function resolveZone(zones, { id, name }) {
+  return resolveByName(Object.values(zones), { id, name }, {
+    kind: "zone",
+    getContext: zone => zonePath(zones, zone.parent),
+    describe: zone => `${zonePath(zones, zone.id)} [ID: ${zone.id}]`,
+  });
+}
+
+// zone narrows the search to devices in that zone or its sub-zones (ID or name)
+export function resolveDevice(devices, zones, { id, name, zone }) {
+  let candidates = Object.values(devices);
+  if (zone) {
+    const zoneIds = getZoneIds(zones, resolveZone(zones, { id: zone, name: zone }).id);
+    candidates = candidates.filter(d => zoneIds.has(d.zone));
+  }
+  return resolveByName(candidates, { id, name }, {
+    kind: "device",
+    getContext: device => zonePath(zones, device.zone),
+    describe: device => `${device.name} (${zones[device.zone]?.name || "Unknown Zone"}) [ID: ${device.id}]`,
+  });
+}
+
+export function resolveFlow(flows, { id, name }, kind = "flow") {
+  return resolveByName(Object.values(flows), { id, name }, {
+    kind,
+    describe: flow => `${flow.name} [ID: ${flow.id}]`,
+  });
+}
+
+export function resolveVariable(variables, { id, name }) {
+  return resolveByName(Object.values(variables), { id, name }, {
+    kind: "variable",
+    describe: variable => `${variable.name} (${variable.type}) [ID: ${variable.id}]`,
+  });
+}
+
+export function resolveUser(users, { id, name }) {
+  return resolveByName(Object.values(users), { id, name }, {
+    kind: "user",
+    describe: user => `${user.name || "(unnamed)"} (${user.role}) [ID: ${user.id}]`,
+  });
+}
+
+export function resolveApp(apps, { id, name }) {
+  return resolveByName(Object.values(apps), { id, name }, {
+    kind: "app",
+    describe: app => `${app.name} [ID: ${app.id}]`,
+  });
+}
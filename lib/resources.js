@@ -0,0 +1,169 @@
+// MCP resources so clients can browse the home without tool calls. Device resources can also be
+// subscribed to, which pushes notifications/resources/updated whenever a capability changes.
+//
+//   homey://devices/{deviceId}                              every capability of a device
+//   homey://devices/{deviceId}/capabilities/{capabilityId}  a single capability
+//   homey://zones/{zoneId}                                  a zone with its sub-zones and devices
+//   homey://flows/{flowId}                                  a standard flow
+//   homey://advanced-flows/{flowId}                         an Advanced Flow
+
+import { zonePath, getZoneIds } from "./zones.js";
+
+const JSON_MIME = "application/json";
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "homey://devices/{deviceId}",
+    name: "Device state",
+    description: "Current capability values of a device. Subscribe to be notified of every capability change.",
+    mimeType: JSON_MIME,
+  },
+  {
+    uriTemplate: "homey://devices/{deviceId}/capabilities/{capabilityId}",
+    name: "Device capability",
+    description: "A single capability of a device, e.g. alarm_motion or measure_power. Subscribe to be notified when it changes.",
+    mimeType: JSON_MIME,
+  },
+  {
+    uriTemplate: "homey://zones/{zoneId}",
+    name: "Zone",
+    description: "A zone with its path, sub-zones and the devices in it.",
+    mimeType: JSON_MIME,
+  },
+  {
+    uriTemplate: "homey://flows/{flowId}",
+    name: "Flow",
+    description: "A standard flow with its trigger, conditions and actions.",
+    mimeType: JSON_MIME,
+  },
+  {
+    uriTemplate: "homey://advanced-flows/{flowId}",
+    name: "Advanced Flow",
+    description: "An Advanced Flow with its cards.",
+    mimeType: JSON_MIME,
+  },
+];
+
+const KINDS = {
+  devices: "device",
+  zones: "zone",
+  flows: "flow",
+  "advanced-flows": "advancedFlow",
+};
+
+export function deviceUri(deviceId, capabilityId) {
+  const base = `homey://devices/${encodeURIComponent(deviceId)}`;
+  return capabilityId ? `${base}/capabilities/${encodeURIComponent(capabilityId)}` : base;
+}
+
+// Returns { kind: device|zone|flow|advancedFlow, id, capabilityId? } or throws for URIs this
+// server doesn't serve
+export function parseResourceUri(uri) {
+  const match = /^homey:\/\/([a-z-]+)\/([^/]+)(?:\/capabilities\/([^/]+))?$/.exec(uri);
+  const kind = match && KINDS[match[1]];
+  if (!kind || (match[3] && kind !== "device")) throw new Error(`Unknown resource: ${uri}`);
+  return {
+    kind,
+    id: decodeURIComponent(match[2]),
+    capabilityId: match[3] ? decodeURIComponent(match[3]) : undefined,
+  };
+}
+
+const resource = (uri, name, description) => ({ uri, name, description, mimeType: JSON_MIME });
+
+export async function listResources(homey) {
+  const [devices, zones, flows, advancedFlows] = await Promise.all([
+    homey.devices.getDevices(),
+    homey.zones.getZones(),
+    homey.flow.getFlows(),
+    homey.flow.getAdvancedFlows(),
+  ]);
+  return [
+    ...Object.values(devices).map(d =>
+      resource(deviceUri(d.id), d.name, `${d.class} in ${zones[d.zone]?.name || "Unknown Zone"}`)
+    ),
+    ...Object.values(zones).map(z =>
+      resource(`homey://zones/${encodeURIComponent(z.id)}`, z.name, `Zone ${zonePath(zones, z.id)}`)
+    ),
+    ...Object.values(flows).map(f =>
+      resource(`homey://flows/${encodeURIComponent(f.id)}`, f.name, `Flow (${f.enabled ? "enabled" : "disabled"})`)
+    ),
+    ...Object.values(advancedFlows).map(f =>
+      resource(`homey://advanced-flows/${encodeURIComponent(f.id)}`, f.name, `Advanced Flow (${f.enabled ? "enabled" : "disabled"})`)
+    ),
+  ];
+}
+
+function capabilityState(capability) {
+  return {
+    value: capability.value ?? null,
+    ...(capability.units ? { units: capability.units } : {}),
+    lastUpdated: capability.lastUpdated ?? null,
+  };
+}
+
+function deviceState(device, zones, capabilityId) {
+  if (capabilityId) {
+    const capability = device.capabilitiesObj?.[capabilityId];
+    if (!capability) throw new Error(`${device.name} has no capability ${capabilityId}`);
+    return { deviceId: device.id, device: device.name, capabilityId, ...capabilityState(capability) };
+  }
+  return {
+    id: device.id,
+    name: device.name,
+    class: device.class,
+    zone: zones[device.zone]?.name || "Unknown Zone",
+    available: device.available !== false,
+    capabilities: Object.fromEntries(
+      Object.values(device.capabilitiesObj || {}).map(c => [c.id, capabilityState(c)])
+    ),
+  };
+}
+
+function zoneState(zone, zones, devices) {
+  const nested = getZoneIds(zones, zone.id);
+  return {
+    id: zone.id,
+    name: zone.name,
+    path: zonePath(zones, zone.id),
+    parent: zones[zone.parent] ? { id: zone.parent, name: zones[zone.parent].name } : null,
+    children: Object.values(zones)
+      .filter(z => z.parent === zone.id)
+      .map(z => ({ id: z.id, name: z.name })),
+    devices: Object.values(devices)
+      .filter(d => d.zone === zone.id)
+      .map(d => ({ id: d.id, name: d.name, class: d.class })),
+    deviceCountIncludingSubZones: Object.values(devices).filter(d => nested.has(d.zone)).length,
+  };
+}
+
+export async function readResource(homey, uri) {
+  const { kind, id, capabilityId } = parseResourceUri(uri);
+  let state;
+  switch (kind) {
+    case "device": {
+      const [device, zones] = await Promise.all([
+        homey.devices.getDevice({ id }),
+        homey.zones.getZones(),
+      ]);
+      state = deviceState(device, zones, capabilityId);
+      break;
+    }
+    case "zone": {
+      const [zones, devices] = await Promise.all([
+        homey.zones.getZones(),
+        homey.devices.getDevices(),
+      ]);
+      if (!zones[id]) throw new Error(`Zone not found: ${id}`);
+      state = zoneState(zones[id], zones, devices);
+      break;
+    }
+    case "flow":
+      state = await homey.flow.getFlow({ id });
+      break;
+    case "advancedFlow":
+      state = await homey.flow.getAdvancedFlow({ id });
+      break;
+  }
+  return { contents: [{ uri, mimeType: JSON_MIME, text: JSON.stringify(state, null, 2) }] };
+}
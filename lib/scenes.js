@@ -0,0 +1,217 @@
+// Scenes are named snapshots of settable capability values ("movie mode", "before movie mode"),
+// persisted to a local JSON file so they survive restarts and can be re-applied later.
+
+import fs from "node:fs";
+import path from "node:path";
+import { coerceCapabilityValue, formatCapabilityValue } from "./capabilities.js";
+import { mapWithConcurrency, DEFAULT_CONCURRENCY, MAX_CONCURRENCY } from "./bulk.js";
+
+export const DEFAULT_SCENES_FILE = "scenes.json";
+
+// Capabilities without a meaningful stored value; replaying them would press buttons
+const SKIPPED_TYPES = new Set(["button"]);
+
+export class SceneStore {
+  constructor(filePath = DEFAULT_SCENES_FILE) {
+    this.filePath = path.resolve(process.cwd(), filePath);
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return {};
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      return data.scenes || {};
+    } catch (error) {
+      throw new Error(`Failed to load scenes from ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves a half-written store behind
+  write(scenes) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, scenes }, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  // Scenes belong to the Homey they were captured on (homeyId); ones saved before several Homeys
+  // were supported have no homeyId and are shared by all of them
+  list(homeyId) {
+    return Object.values(this.load())
+      .filter(scene => !scene.homeyId || !homeyId || scene.homeyId === homeyId)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Scene names are matched case-insensitively
+  get(name, homeyId) {
+    const scenes = this.load();
+    const scene = scenes[sceneKey(name, homeyId)] || scenes[sceneKey(name)];
+    if (!scene) {
+      const names = this.list(homeyId).map(s => s.name).join(", ");
+      throw new Error(`Scene "${name}" not found.${names ? ` Available scenes: ${names}` : " No scenes have been saved yet."}`);
+    }
+    return scene;
+  }
+
+  save(scene, { overwrite = false } = {}) {
+    const scenes = this.load();
+    const key = sceneKey(scene.name, scene.homeyId);
+    if (scenes[key] && !overwrite) {
+      throw new Error(`Scene "${scenes[key].name}" already exists. Pass overwrite: true to replace it.`);
+    }
+    scenes[key] = scene;
+    this.write(scenes);
+    return scene;
+  }
+
+  delete(name, homeyId) {
+    const scenes = this.load();
+    const scene = this.get(name, homeyId);
+    delete scenes[sceneKey(scene.name, scene.homeyId)];
+    this.write(scenes);
+    return scene;
+  }
+}
+
+function sceneKey(name, homeyId) {
+  const key = String(name ?? "").trim().toLowerCase();
+  if (!key) throw new Error("Provide a scene name.");
+  return homeyId ? `${homeyId}/${key}` : key;
+}
+
+// Captures the current settable values of the given devices; capabilityIds optionally narrows
+// which capabilities are stored
+export function captureScene(name, devices, { capabilityIds, description, homeyId } = {}) {
+  const only = capabilityIds?.length ? new Set(capabilityIds) : null;
+  const entries = [];
+  for (const device of devices) {
+    const capabilities = {};
+    for (const cap of Object.values(device.capabilitiesObj || {})) {
+      if (!cap.setable || SKIPPED_TYPES.has(cap.type)) continue;
+      if (cap.value === null || cap.value === undefined) continue;
+      if (only && !only.has(cap.id)) continue;
+      capabilities[cap.id] = cap.value;
+    }
+    if (Object.keys(capabilities).length) {
+      entries.push({ id: device.id, name: device.name, capabilities });
+    }
+  }
+  if (!entries.length) {
+    throw new Error("None of the selected devices have settable capability values to capture.");
+  }
+  return {
+    name: String(name).trim(),
+    ...(homeyId ? { homeyId } : {}),
+    ...(description ? { description } : {}),
+    createdAt: new Date().toISOString(),
+    devices: entries,
+  };
+}
+
+// onoff goes last: setting dim on many lights switches them on, which would undo a stored "off"
+function applyOrder(capabilityIds) {
+  return [...capabilityIds].sort((a, b) => (a === "onoff") - (b === "onoff"));
+}
+
+// Re-applies a scene. Returns one result per capability:
+// { deviceId, deviceName, capabilityId, status: changed|unchanged|planned|skipped|failed, previous, value, detail }
+export async function applyScene({ scene, devices, zones, policy, concurrency = DEFAULT_CONCURRENCY, dryRun = false }) {
+  const limit = Math.max(1, Math.min(MAX_CONCURRENCY, Math.floor(concurrency) || DEFAULT_CONCURRENCY));
+
+  const perDevice = await mapWithConcurrency(scene.devices, limit, async entry => {
+    const device = devices[entry.id];
+    const results = [];
+    const add = (capabilityId, status, detail, values = {}) => results.push({
+      deviceId: entry.id,
+      deviceName: device?.name || entry.name,
+      capabilityId,
+      status,
+      detail,
+      ...values,
+    });
+
+    if (!device) {
+      for (const capabilityId of Object.keys(entry.capabilities)) {
+        add(capabilityId, "failed", `device ${entry.id} no longer exists`);
+      }
+      return results;
+    }
+
+    // Whether anything was (or, in a dry run, would be) written to the device before onoff
+    let touched = false;
+    for (const capabilityId of applyOrder(Object.keys(entry.capabilities))) {
+      const capability = device.capabilitiesObj?.[capabilityId];
+      const reason = policy.checkDevice(device, zones, capabilityId);
+      if (reason) {
+        add(capabilityId, "skipped", reason);
+        continue;
+      }
+
+      let value;
+      try {
+        ({ value } = coerceCapabilityValue(device, capabilityId, entry.capabilities[capabilityId]));
+      } catch (error) {
+        add(capabilityId, "failed", error.message);
+        continue;
+      }
+
+      const change = `${formatCapabilityValue(capability, capability.value)} → ${formatCapabilityValue(capability, value)}`;
+      const values = { previous: capability.value, value };
+      // The snapshot predates the writes above, which may have switched the device on, so onoff
+      // is sent again even when it looks unchanged
+      const resend = capabilityId === "onoff" && touched && capability.value === value;
+      const detail = resend ? `${formatCapabilityValue(capability, value)} (sent again after the other changes)` : change;
+      if (capability.value === value && !resend) {
+        add(capabilityId, "unchanged", formatCapabilityValue(capability, value), values);
+      } else if (dryRun) {
+        touched = true;
+        add(capabilityId, "planned", detail, values);
+      } else {
+        touched = true;
+        try {
+          await device.setCapabilityValue({ capabilityId, value });
+          add(capabilityId, "changed", detail, values);
+        } catch (error) {
+          console.error(`Failed to set ${capabilityId} on ${device.name}:`, error.message);
+          add(capabilityId, "failed", error.message, values);
+        }
+      }
+    }
+    return results;
+  });
+
+  return perDevice.flat();
+}
+
+const STATUS_LABELS = {
+  changed: "✅ changed",
+  unchanged: "➖ unchanged",
+  planned: "🧪 would change",
+  skipped: "⛔ skipped",
+  failed: "❌ failed",
+};
+
+export function countSceneResults(results) {
+  const counts = { changed: 0, unchanged: 0, planned: 0, skipped: 0, failed: 0 };
+  for (const r of results) counts[r.status]++;
+  return counts;
+}
+
+export function formatSceneResults(results) {
+  if (!results.length) return "Scene is empty.";
+  const escape = text => String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+  const rows = results.map(r =>
+    `| ${escape(r.deviceName)} | ${r.capabilityId} | ${STATUS_LABELS[r.status]} | ${escape(r.detail || "")} |`
+  );
+  return ["| Device | Capability | Result | Details |", "| --- | --- | --- | --- |", ...rows].join("\n");
+}
+
+export function describeScene(scene) {
+  const lines = [`🎬 ${scene.name} (${scene.devices.length} devices, saved ${scene.createdAt})`];
+  if (scene.description) lines.push(`   ${scene.description}`);
+  for (const entry of scene.devices) {
+    const values = Object.entries(entry.capabilities).map(([id, value]) => `${id}=${JSON.stringify(value)}`).join(", ");
+    lines.push(`   - ${entry.name} [${entry.id}]: ${values}`);
+  }
+  return lines.join("\n");
+}
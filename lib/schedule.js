@@ -0,0 +1,332 @@
+// Scheduled actions ("turn off the porch light in 20 minutes", "bedroom to 19° at 06:30 on
+// weekdays"). A job is a write tool call to make later, optionally repeating. Jobs are persisted to
+// a local JSON file and re-armed on startup, so they survive restarts.
+
+import fs from "node:fs";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { ToolError } from "./output.js";
+
+export const DEFAULT_SCHEDULE_FILE = "schedule.json";
+
+// The tools a job can call; each supports dryRun, which is used to check a job when it is created
+export const SCHEDULABLE_TOOLS = [
+  "homey_set_capability",
+  "homey_bulk_set_capability",
+  "homey_control_lights_in_zone",
+  "homey_apply_scene",
+  "homey_run_flow",
+  "homey_run_advanced_flow",
+  "homey_run_flow_card_action",
+  "homey_set_variable",
+  "homey_set_user_state",
+  "homey_create_notification",
+];
+
+export const CALENDAR_REPEATS = ["daily", "weekdays", "weekends", "weekly"];
+
+// Jobs found overdue on startup still run if they are at most this late; older ones are skipped
+export const LATE_GRACE_MS = 15 * 60 * 1000;
+
+const MIN_INTERVAL_MS = 60 * 1000;
+// setTimeout fires immediately for delays above 2^31 - 1 ms (about 24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "20m", "1h30m", "90s", "2d"; a plain number is minutes
+export function parseDuration(value) {
+  if (typeof value === "number" && value > 0) return value * UNITS.m;
+  const text = String(value ?? "").trim().toLowerCase().replace(/\s+/g, "");
+  if (/^\d+(\.\d+)?$/.test(text) && Number(text) > 0) return Number(text) * UNITS.m;
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)([smhd])/g)];
+  if (!text || !parts.length || parts.map(p => p[0]).join("") !== text) {
+    throw new Error(`Invalid duration "${value}". Use e.g. "20m", "1h30m", "90s" or a number of minutes.`);
+  }
+  return parts.reduce((ms, [, amount, unit]) => ms + Number(amount) * UNITS[unit], 0);
+}
+
+export function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const parts = [
+    [Math.floor(seconds / 86400), "d"],
+    [Math.floor(seconds % 86400 / 3600), "h"],
+    [Math.floor(seconds % 3600 / 60), "m"],
+    [seconds % 60, "s"],
+  ].filter(([amount]) => amount > 0);
+  return parts.length ? parts.slice(0, 2).map(([amount, unit]) => `${amount}${unit}`).join(" ") : "0s";
+}
+
+// "HH:MM" is the next time the server's clock shows it; anything else must be a date and time
+function parseTime(at, now) {
+  const clock = /^(\d{1,2}):(\d{2})$/.exec(String(at).trim());
+  if (clock) {
+    const [hours, minutes] = [Number(clock[1]), Number(clock[2])];
+    if (hours > 23 || minutes > 59) throw new Error(`Invalid time "${at}".`);
+    const date = new Date(now);
+    date.setHours(hours, minutes, 0, 0);
+    if (date.getTime() <= now) date.setDate(date.getDate() + 1);
+    return date;
+  }
+  const date = new Date(at);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid time "${at}". Use HH:MM or an ISO 8601 date and time, e.g. 2026-10-20T06:30.`);
+  }
+  if (date.getTime() <= now) throw new Error(`Time "${at}" is in the past.`);
+  return date;
+}
+
+function matchesRepeat(date, repeat) {
+  const day = date.getDay();
+  if (repeat === "weekdays") return day >= 1 && day <= 5;
+  if (repeat === "weekends") return day === 0 || day === 6;
+  return true;
+}
+
+export function validateRepeat(repeat) {
+  if (repeat === undefined || repeat === null || repeat === "") return null;
+  if (CALENDAR_REPEATS.includes(repeat)) return repeat;
+  let interval;
+  try {
+    interval = parseDuration(repeat);
+  } catch {
+    throw new Error(`Invalid repeat "${repeat}". Use ${CALENDAR_REPEATS.join(", ")} or an interval such as "30m".`);
+  }
+  if (interval < MIN_INTERVAL_MS) throw new Error(`Repeat interval "${repeat}" is too short; the minimum is 1 minute.`);
+  return String(repeat);
+}
+
+// The first run of a new job: after `delay` or at `at`, moved forward to a day the repeat allows
+export function firstRunAt({ delay, at, repeat }, now = Date.now()) {
+  if ((delay === undefined) === (at === undefined)) throw new Error("Provide either delay or at.");
+  const date = delay !== undefined ? new Date(now + parseDuration(delay)) : parseTime(at, now);
+  while (!matchesRepeat(date, repeat)) date.setDate(date.getDate() + 1);
+  return date;
+}
+
+// The run after `previous` that is later than now. Calendar repeats keep the local time of day
+// (setDate moves across daylight saving changes without shifting it); intervals skip runs missed
+// while the server was down.
+export function nextRunAt(previous, repeat, now = Date.now()) {
+  const date = new Date(previous);
+  if (!CALENDAR_REPEATS.includes(repeat)) {
+    const interval = parseDuration(repeat);
+    const steps = Math.max(1, Math.floor((now - date.getTime()) / interval) + 1);
+    return new Date(date.getTime() + steps * interval);
+  }
+  do {
+    date.setDate(date.getDate() + (repeat === "weekly" ? 7 : 1));
+  } while (date.getTime() <= now || !matchesRepeat(date, repeat));
+  return date;
+}
+
+// fields: { tool, arguments, runAt, repeat, label, homeyId, createdBy }
+export function createJob(fields, now = Date.now()) {
+  return {
+    id: randomUUID().slice(0, 8),
+    createdAt: new Date(now).toISOString(),
+    repeat: null,
+    label: null,
+    runs: 0,
+    lastRun: null,
+    ...fields,
+  };
+}
+
+export class JobStore {
+  constructor(filePath = DEFAULT_SCHEDULE_FILE) {
+    this.filePath = path.resolve(process.cwd(), filePath);
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return {};
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      return data.jobs || {};
+    } catch (error) {
+      throw new Error(`Failed to load scheduled actions from ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves a half-written store behind
+  write(jobs) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, jobs }, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  // Renames an unreadable store to <file>.corrupt-<time> so it can be inspected, and returns the new
+  // path; the next write starts a fresh store
+  moveAside(now = Date.now()) {
+    const target = `${this.filePath}.corrupt-${new Date(now).toISOString().replace(/[:.]/g, "-")}`;
+    fs.renameSync(this.filePath, target);
+    return target;
+  }
+
+  list() {
+    return Object.values(this.load()).sort((a, b) => String(a.runAt).localeCompare(String(b.runAt)));
+  }
+
+  get(id) {
+    const job = this.load()[id];
+    if (!job) throw new ToolError("not_found", `Scheduled action "${id}" not found. Use homey_list_scheduled_actions to see pending ones.`);
+    return job;
+  }
+
+  save(job) {
+    const jobs = this.load();
+    jobs[job.id] = job;
+    this.write(jobs);
+    return job;
+  }
+
+  delete(id) {
+    const jobs = this.load();
+    const job = this.get(id);
+    delete jobs[id];
+    this.write(jobs);
+    return job;
+  }
+}
+
+// Runs jobs from a JobStore when they are due. run(job) makes the tool call and resolves to its
+// result; one-off jobs are removed afterwards and repeating ones moved to their next run.
+export class Scheduler {
+  constructor({ store, run, now = () => Date.now() }) {
+    this.store = store;
+    this.run = run;
+    this.now = now;
+    this.timers = new Map();
+  }
+
+  // Arms every stored job. Jobs that came due while the server was down run now if they are at
+  // most LATE_GRACE_MS late; older ones are skipped (a repeating job moves on to its next run).
+  // A store that can't be read is moved aside rather than keeping the server from starting, and a
+  // job whose runAt isn't a time is marked failed and left for the user to cancel.
+  start() {
+    let jobs;
+    try {
+      jobs = this.store.list();
+    } catch (error) {
+      console.error(`Scheduled actions could not be loaded: ${error.message}`);
+      try {
+        console.error(`Moved ${this.store.filePath} to ${this.store.moveAside(this.now())}; starting with no scheduled actions.`);
+      } catch (moveError) {
+        console.error(`Could not move ${this.store.filePath} aside: ${moveError.message}`);
+      }
+      return;
+    }
+
+    for (const job of jobs) {
+      if (!hasValidRunAt(job)) {
+        this.markInvalid(job);
+        continue;
+      }
+      const late = this.now() - Date.parse(job.runAt);
+      if (late > LATE_GRACE_MS) {
+        console.error(`Skipping scheduled action ${job.id} (${job.tool}): it was due at ${job.runAt}`);
+        if (!job.repeat) {
+          this.store.delete(job.id);
+          continue;
+        }
+        job.runAt = nextRunAt(job.runAt, job.repeat, this.now()).toISOString();
+        this.store.save(job);
+      }
+      this.arm(job);
+    }
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  add(job) {
+    this.store.save(job);
+    this.arm(job);
+    return job;
+  }
+
+  cancel(id) {
+    const job = this.store.delete(id);
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+    return job;
+  }
+
+  arm(job) {
+    clearTimeout(this.timers.get(job.id));
+    this.timers.delete(job.id);
+    // setTimeout treats NaN as 0, which would run the job right away
+    if (!hasValidRunAt(job)) return;
+    const wait = Math.min(MAX_TIMER_MS, Math.max(0, Date.parse(job.runAt) - this.now()));
+    const timer = setTimeout(() => {
+      this.timers.delete(job.id);
+      this.fire(job.id).catch(error => console.error(`Scheduled action ${job.id} failed: ${error.message}`));
+    }, wait);
+    // Pending jobs never keep the process alive
+    timer.unref?.();
+    this.timers.set(job.id, timer);
+  }
+
+  async fire(id) {
+    const job = this.store.load()[id];
+    // Cancelled in the meantime
+    if (!job) return;
+    if (!hasValidRunAt(job)) {
+      this.markInvalid(job);
+      return;
+    }
+    // Timers are capped at MAX_TIMER_MS; far-off jobs are re-armed until they are due
+    if (Date.parse(job.runAt) > this.now()) {
+      this.arm(job);
+      return;
+    }
+
+    let result;
+    try {
+      result = await this.run(job);
+    } catch (error) {
+      result = { isError: true, content: [{ type: "text", text: `Error: ${error.message}` }] };
+    }
+    const lastRun = {
+      time: new Date(this.now()).toISOString(),
+      outcome: result.isError ? "error" : "ok",
+      message: result.content?.map(c => c.text).join("\n") ?? "",
+    };
+    console.error(`Ran scheduled action ${job.id} (${job.tool}): ${lastRun.outcome}`);
+
+    // Cancelled while it ran
+    if (!this.store.load()[id]) return;
+    if (!job.repeat) {
+      this.store.delete(id);
+      return;
+    }
+    const next = { ...job, runs: job.runs + 1, lastRun, runAt: nextRunAt(job.runAt, job.repeat, this.now()).toISOString() };
+    this.store.save(next);
+    this.arm(next);
+  }
+
+  // Records why the job never runs; it stays in the store so homey_list_scheduled_actions shows it
+  markInvalid(job) {
+    const message = `Not run: runAt "${job.runAt}" is not a valid time`;
+    console.error(`Scheduled action ${job.id} (${job.tool}): ${message}`);
+    this.store.save({ ...job, lastRun: { time: new Date(this.now()).toISOString(), outcome: "error", message } });
+  }
+}
+
+function hasValidRunAt(job) {
+  return typeof job.runAt === "string" && !Number.isNaN(Date.parse(job.runAt));
+}
+
+export function describeJob(job, now = Date.now()) {
+  const due = Date.parse(job.runAt) - now;
+  const lines = [`⏰ ${job.label || job.tool} [ID: ${job.id}]`];
+  if (Number.isNaN(due)) lines.push(`   Next run: never (invalid time ${JSON.stringify(job.runAt)})`);
+  else lines.push(`   Next run: ${job.runAt} (${due > 0 ? `in ${formatDuration(due)}` : "now"})${job.repeat ? `, repeats ${job.repeat}` : ""}`);
+  lines.push(`   Action: ${job.tool} ${JSON.stringify(job.arguments)}`);
+  if (job.homeyId) lines.push(`   Homey: ${job.homeyId}`);
+  if (job.lastRun) lines.push(`   Last run: ${job.lastRun.time} (${job.lastRun.outcome})`);
+  return lines.join("\n");
+}
@@ -0,0 +1,54 @@
+// Plain-text overviews of the home, shared by homey_get_sensor_readings and the prompt templates.
+
+const zoneName = (zones, device) => zones[device.zone]?.name || "Unknown Zone";
+const value = (device, capabilityId) => device.capabilitiesObj?.[capabilityId]?.value;
+
+export const isSensor = device =>
+  device.class === "sensor" || device.capabilities.some(c => c.startsWith("measure_"));
+
+export function formatSensorReadings(devices, zones) {
+  const sensors = Object.values(devices).filter(isSensor);
+  return sensors.map(s => {
+    const readings = Object.entries(s.capabilitiesObj)
+      .filter(([cap]) => cap.startsWith("measure_"))
+      .map(([cap, obj]) => `${cap}: ${obj.value}${obj.units ? ` ${obj.units}` : ""}`)
+      .join(", ");
+    return `🌡️ ${s.name} (${zoneName(zones, s)}): ${readings || "No active measures"}`;
+  }).join("\n");
+}
+
+export const LOW_BATTERY = 20;
+
+// Groups devices by the things people check before leaving or going to bed: what is switched on,
+// what is open or unlocked, which alarms are active and what needs attention (batteries,
+// unavailable devices). Empty groups are left out.
+export function summarizeHomeState(devices, zones) {
+  const list = Object.values(devices);
+  const names = items => items.map(d => `${d.name} (${zoneName(zones, d)})`);
+
+  const groups = [
+    ["💡 Switched on", names(list.filter(d => value(d, "onoff") === true))],
+    ["🚪 Open", names(list.filter(d => value(d, "alarm_contact") === true))],
+    ["🔓 Unlocked", names(list.filter(d => value(d, "locked") === false))],
+    ["🏃 Motion detected", names(list.filter(d => value(d, "alarm_motion") === true))],
+    ["🚨 Other active alarms", list.flatMap(d =>
+      Object.values(d.capabilitiesObj || {})
+        .filter(c => c.id.startsWith("alarm_") && !["alarm_contact", "alarm_motion", "alarm_battery"].includes(c.id) && c.value === true)
+        .map(c => `${d.name} (${zoneName(zones, d)}): ${c.id}`)
+    )],
+    ["🌡️ Thermostats", list
+      .filter(d => value(d, "target_temperature") !== undefined)
+      .map(d => `${d.name} (${zoneName(zones, d)}): target ${value(d, "target_temperature")} °C${value(d, "thermostat_mode") ? `, mode ${value(d, "thermostat_mode")}` : ""}`)],
+    ["🔋 Low battery", list
+      .filter(d => value(d, "alarm_battery") === true || (typeof value(d, "measure_battery") === "number" && value(d, "measure_battery") <= LOW_BATTERY))
+      .map(d => `${d.name} (${zoneName(zones, d)})${typeof value(d, "measure_battery") === "number" ? `: ${value(d, "measure_battery")}%` : ""}`)],
+    ["⚠️ Unavailable", list
+      .filter(d => d.available === false)
+      .map(d => `${d.name} (${zoneName(zones, d)})${d.unavailableMessage ? `: ${d.unavailableMessage}` : ""}`)],
+  ];
+
+  return groups
+    .filter(([, items]) => items.length)
+    .map(([title, items]) => `${title}:\n${items.map(i => `- ${i}`).join("\n")}`)
+    .join("\n\n") || "Nothing noteworthy: everything is off, closed and locked.";
+}
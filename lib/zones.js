@@ -0,0 +1,75 @@
+// Helpers for Homey's zone hierarchy. Zones only know their parent, so these walk the `parent`
+// links of the keyed result of homey.zones.getZones().
+
+export function zonePath(zones, zoneId) {
+  const names = [];
+  const seen = new Set();
+  let zone = zones[zoneId];
+  while (zone && !seen.has(zone.id)) {
+    seen.add(zone.id);
+    names.unshift(zone.name);
+    zone = zones[zone.parent];
+  }
+  return names.join(" / ");
+}
+
+function childrenByParent(zones) {
+  const children = new Map();
+  for (const zone of Object.values(zones)) {
+    const parent = zones[zone.parent] ? zone.parent : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(zone);
+  }
+  for (const list of children.values()) list.sort((a, b) => a.name.localeCompare(b.name));
+  return children;
+}
+
+// The zone itself plus every zone nested below it
+export function getZoneIds(zones, zoneId, includeChildren = true) {
+  const ids = new Set([zoneId]);
+  if (!includeChildren) return ids;
+  const children = childrenByParent(zones);
+  const queue = [zoneId];
+  while (queue.length) {
+    for (const child of children.get(queue.shift()) || []) {
+      if (!ids.has(child.id)) {
+        ids.add(child.id);
+        queue.push(child.id);
+      }
+    }
+  }
+  return ids;
+}
+
+// Renders the hierarchy as an indented tree with direct and total (incl. sub-zones) device counts
+export function renderZoneTree(zones, devices = {}) {
+  const children = childrenByParent(zones);
+  const direct = new Map();
+  for (const device of Object.values(devices)) {
+    direct.set(device.zone, (direct.get(device.zone) || 0) + 1);
+  }
+
+  const lines = [];
+  const visited = new Set();
+  const walk = (zone, depth) => {
+    if (visited.has(zone.id)) return 0;
+    visited.add(zone.id);
+    const index = lines.length;
+    lines.push(null);
+    let total = direct.get(zone.id) || 0;
+    for (const child of children.get(zone.id) || []) {
+      total += walk(child, depth + 1);
+    }
+    const own = direct.get(zone.id) || 0;
+    const counts = total !== own
+      ? `${own} device${own === 1 ? "" : "s"}, ${total} incl. sub-zones`
+      : `${own} device${own === 1 ? "" : "s"}`;
+    lines[index] = `${"  ".repeat(depth)}📍 ${zone.name} [ID: ${zone.id}] (${counts})`;
+    return total;
+  };
+
+  for (const root of children.get(null) || []) walk(root, 0);
+  // Zones caught in a parent cycle never reach a root; list them flat so nothing is hidden
+  for (const zone of Object.values(zones)) walk(zone, 0);
+  return lines.join("\n");
+}
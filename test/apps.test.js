@@ -0,0 +1,148 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { deviceAppId, devicesByApp, appProblems, diagnoseDevice, isSecretSetting, redactSettings } from "../lib/apps.js";
+import { startClient, callTool } from "./helpers.js";
+
+describe("apps", () => {
+  it("traces devices to the app that drives them", () => {
+    assert.equal(deviceAppId({ driverId: "homey:app:com.ikea.tradfri:bulb" }), "com.ikea.tradfri");
+    assert.equal(deviceAppId({ driverUri: "homey:app:com.fibaro", driverId: "wall-plug" }), "com.fibaro");
+    assert.equal(deviceAppId({ driverId: "homey:manager:vdevice:virtual" }), null);
+
+    const byApp = devicesByApp({
+      b: { id: "b", name: "Bulb B", driverId: "homey:app:com.ikea.tradfri:bulb" },
+      a: { id: "a", name: "Bulb A", driverId: "homey:app:com.ikea.tradfri:bulb" },
+      v: { id: "v", name: "Virtual", driverId: "homey:manager:vdevice:virtual" },
+    });
+    assert.deepEqual([...byApp.keys()], ["com.ikea.tradfri"]);
+    assert.deepEqual(byApp.get("com.ikea.tradfri").map(d => d.id), ["a", "b"]);
+  });
+
+  it("reports crashes, stopped apps and updates", () => {
+    assert.deepEqual(appProblems({ enabled: true, state: "running" }), []);
+    assert.deepEqual(appProblems({ enabled: true, crashed: true, crashedCount: 2, crashedMessage: "ETIMEDOUT", updateAvailable: true }), [
+      "crashed 2×: ETIMEDOUT",
+      "an update is available",
+    ]);
+    assert.deepEqual(appProblems({ enabled: false, crashed: true }), ["disabled"]);
+
+    const lamp = { name: "Lamp", driverId: "homey:app:com.ikea.tradfri:bulb", available: false };
+    assert.match(diagnoseDevice(lamp, undefined), /"com\.ikea\.tradfri", which is not installed/);
+    assert.match(diagnoseDevice(lamp, { name: "IKEA", enabled: true, state: "running" }), /Lamp is unavailable, but IKEA is running/);
+  });
+
+  it("redacts settings that look like credentials", () => {
+    for (const key of ["password", "apiKey", "api_key", "accessToken", "accesstoken", "clientSecret", "authorization", "pin", "private-key", "refresh_tokens"]) {
+      assert.ok(isSecretSetting(key), key);
+    }
+    for (const key of ["gatewayIp", "pollInterval", "author", "pingInterval", "spinDuration", "bypass", "bypassMode", "passthrough", "compassHeading", "keyboardLayout"]) {
+      assert.ok(!isSecretSetting(key), key);
+    }
+    assert.deepEqual(
+      redactSettings({ host: "10.0.0.2", password: "hunter2", token: "", apiKey: null }),
+      { host: "10.0.0.2", password: "[redacted]", token: "", apiKey: null },
+    );
+  });
+});
+
+describe("app tools (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient();
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("lists apps with their status and devices", async () => {
+    const { text, structured } = await callTool(client, "homey_list_apps");
+    assert.equal(structured.apps.length, 7);
+    const ikea = structured.apps.find(a => a.id === "com.ikea.tradfri");
+    assert.deepEqual(
+      [ikea.status, ikea.crashedCount, ikea.deviceCount, ikea.unavailableDeviceCount],
+      ["crashed", 3, 3, 1],
+    );
+    assert.match(text, /- IKEA TRÅDFRI \[ID: com\.ikea\.tradfri\] v7\.1\.0: 💥 crashed\n  Crash: Error: Gateway 192\.168\.1\.40 did not respond \(ETIMEDOUT\) \(3×\)\n  Devices: 3, unavailable: Garden Spot/);
+    assert.deepEqual(structured.missingApps, []);
+
+    const problems = await callTool(client, "homey_list_apps", { problemsOnly: true });
+    assert.deepEqual(problems.structured.apps.map(a => a.id), ["com.ikea.tradfri", "com.samsung.smart"]);
+  });
+
+  it("finds the app behind a device", async () => {
+    const { text, structured } = await callTool(client, "homey_get_app", { deviceName: "Garden Spot" });
+    assert.equal(structured.app.id, "com.ikea.tradfri");
+    assert.match(structured.diagnosis, /^Garden Spot is driven by IKEA TRÅDFRI, which has problems: crashed 3×/);
+    assert.match(text, /🔎 Garden Spot is driven by IKEA TRÅDFRI/);
+    assert.match(text, /- Garden Spot \[ID: light-garden\]: ❌ unavailable \(Device is unreachable\)/);
+
+    const hue = await callTool(client, "homey_get_app", { name: "hue" });
+    assert.deepEqual(hue.structured.devices.map(d => d.id).sort(), ["light-living-ceiling", "light-living-floor"]);
+    assert.equal(hue.structured.diagnosis, null);
+  });
+
+  it("reads and changes app settings", async () => {
+    const { structured } = await callTool(client, "homey_get_app_settings", { id: "com.ikea.tradfri" });
+    assert.deepEqual(structured.settings, { gatewayIp: "192.168.1.40", pollInterval: 30 });
+
+    const preview = await callTool(client, "homey_set_app_setting", { id: "com.ikea.tradfri", setting: "gatewayIp", value: "192.168.1.50", dryRun: true });
+    assert.equal(preview.text, '🧪 Dry run: would set gatewayIp of IKEA TRÅDFRI: "192.168.1.40" → "192.168.1.50"');
+
+    const set = await callTool(client, "homey_set_app_setting", { id: "com.ikea.tradfri", setting: "gatewayIp", value: "192.168.1.50" });
+    assert.equal(set.structured.previous, "192.168.1.40");
+    const after = await callTool(client, "homey_get_app_settings", { name: "IKEA" });
+    assert.equal(after.structured.settings.gatewayIp, "192.168.1.50");
+  });
+
+  it("never shows secret settings", async () => {
+    const { text, structured } = await callTool(client, "homey_get_app_settings", { name: "Nuki" });
+    assert.deepEqual(structured.settings, { bridgeIp: "192.168.1.41", lockAction: "unlatch", apiToken: "[redacted]", webhookSecret: "" });
+    assert.match(text, /- apiToken: \[redacted\]\n- webhookSecret: ""/);
+    assert.doesNotMatch(text, /nk_7f3e9c21b04d/);
+
+    const set = await callTool(client, "homey_set_app_setting", { name: "Nuki", setting: "apiToken", value: "nk_0a1b2c3d4e5f" });
+    assert.deepEqual([set.structured.previous, set.structured.value], ["[redacted]", "[redacted]"]);
+    assert.equal(set.text, "✅ Successfully set apiToken of Nuki: [redacted] → [redacted]");
+
+    const history = await callTool(client, "homey_get_action_history", { tool: "homey_set_app_setting" });
+    assert.equal(history.structured.actions[0].arguments.value, "[redacted]");
+    assert.doesNotMatch(history.text, /nk_0a1b2c3d4e5f/);
+  });
+
+  it("restarts, disables and enables apps", async () => {
+    const restarted = await callTool(client, "homey_restart_app", { id: "com.ikea.tradfri" });
+    assert.equal(restarted.structured.app.status, "running");
+    assert.match(restarted.text, /^🔄 Restarted IKEA TRÅDFRI:\n- IKEA TRÅDFRI \[ID: com\.ikea\.tradfri\] v7\.1\.0: ✅ running/);
+
+    const preview = await callTool(client, "homey_set_app_enabled", { id: "com.fibaro", enabled: false, dryRun: true });
+    assert.equal(preview.text, "🧪 Dry run: would disable FIBARO (1 devices will become unavailable)");
+
+    const disabled = await callTool(client, "homey_set_app_enabled", { id: "com.fibaro", enabled: false });
+    assert.deepEqual([disabled.structured.previous, disabled.structured.app.status], [true, "disabled"]);
+    const cantRestart = await callTool(client, "homey_restart_app", { id: "com.fibaro" });
+    assert.equal(cantRestart.structured.error.code, "invalid_argument");
+
+    const enabled = await callTool(client, "homey_set_app_enabled", { id: "com.fibaro", enabled: true });
+    assert.equal(enabled.structured.app.status, "running");
+  });
+
+  it("won't touch apps that drive devices the policy protects", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "homey-mcp-policy-"));
+    const policyFile = path.join(dir, "policy.json");
+    fs.writeFileSync(policyFile, JSON.stringify({ devices: { deny: ["Front Door Lock"] } }));
+    const restricted = await startClient({ HOMEY_POLICY: policyFile });
+    try {
+      const denied = await callTool(restricted, "homey_set_app_enabled", { name: "Nuki", enabled: false });
+      assert.equal(denied.structured.error.code, "access_denied");
+      assert.match(denied.text, /device "Front Door Lock" is not allowed/);
+      assert.equal((await callTool(restricted, "homey_get_app_settings", { name: "Nuki" })).isError, false);
+    } finally {
+      await restricted.close();
+    }
+  });
+});
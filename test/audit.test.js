@@ -0,0 +1,178 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { AuditLog, capabilityChanges, undoAction, countUndoResults } from "../lib/audit.js";
+import { Policy } from "../lib/policy.js";
+import { startClient, callTool, tempAuditFile } from "./helpers.js";
+
+const zones = {
+  home: { id: "home", name: "Home", parent: null },
+};
+
+function lamp(id, name, { onoff, dim }, calls = []) {
+  return {
+    id,
+    name,
+    zone: "home",
+    class: "light",
+    capabilities: ["onoff", "dim"],
+    capabilitiesObj: {
+      onoff: { id: "onoff", type: "boolean", setable: true, value: onoff },
+      dim: { id: "dim", type: "number", setable: true, min: 0, max: 1, units: "%", value: dim },
+    },
+    async setCapabilityValue({ capabilityId, value }) {
+      calls.push(`${id}.${capabilityId}=${value}`);
+      this.capabilitiesObj[capabilityId].value = value;
+    },
+  };
+}
+
+const setDim = (device, previous, value) => ({
+  structuredContent: { dryRun: false, device: { id: device, name: device }, capabilityId: "dim", previous, value, notes: [] },
+});
+
+describe("audit log", () => {
+  it("extracts capability changes from write tool output", () => {
+    assert.deepEqual(capabilityChanges(setDim("a", 0.2, 0.5).structuredContent), [
+      { device: { id: "a", name: "a" }, capabilityId: "dim", previous: 0.2, value: 0.5 },
+    ]);
+    const bulk = {
+      dryRun: false,
+      capabilityId: "onoff",
+      results: [
+        { device: { id: "a", name: "A" }, status: "ok", previous: true, value: false },
+        { device: { id: "b", name: "B" }, status: "failed", previous: true, value: false },
+        { device: { id: "c", name: "C" }, status: "ok", previous: false, value: false },
+      ],
+    };
+    assert.deepEqual(capabilityChanges(bulk).map(c => [c.device.id, c.capabilityId]), [["a", "onoff"]]);
+    assert.deepEqual(capabilityChanges({ ...bulk, dryRun: true }), []);
+  });
+
+  it("appends entries and reads them back newest first", () => {
+    const file = tempAuditFile();
+    const log = new AuditLog(file);
+    assert.deepEqual(log.history(), { total: 0, entries: [] });
+
+    const first = log.record({ tool: "homey_set_capability", homeyId: "home", args: { value: 0.5 }, client: { name: "test" }, result: setDim("a", 0.2, 0.5) });
+    log.record({ tool: "homey_run_flow", homeyId: "home", result: { structuredContent: { dryRun: true } } });
+    log.record({ tool: "homey_run_flow", homeyId: "home", result: { isError: true, structuredContent: { error: { code: "not_found", message: "Flow not found" } } } });
+    // A line cut short by a crash doesn't hide the rest
+    fs.appendFileSync(file, '{"id":"broken');
+
+    const { total, entries } = new AuditLog(file).history({ limit: 2 });
+    assert.equal(total, 3);
+    assert.deepEqual(entries.map(e => e.outcome), ["error", "dry_run"]);
+    assert.equal(entries[0].error.code, "not_found");
+    assert.deepEqual(log.history({ deviceId: "a" }).entries.map(e => e.id), [first.id]);
+    assert.deepEqual(first.client, { name: "test", version: null, sessionId: null });
+  });
+
+  it("finds the latest change that hasn't been undone", () => {
+    const log = new AuditLog(tempAuditFile());
+    assert.throws(() => log.findUndoable(), /No capability changes found/);
+
+    const first = log.record({ tool: "homey_set_capability", homeyId: "home", result: setDim("a", 0.2, 0.5) });
+    const second = log.record({ tool: "homey_set_capability", homeyId: "home", result: setDim("b", 0.1, 0.9) });
+    log.record({ tool: "homey_set_capability", homeyId: "holiday", result: setDim("c", 0, 1) });
+    assert.equal(log.findUndoable({ homeyId: "home" }).id, second.id);
+
+    log.record({ tool: "homey_undo_last_action", homeyId: "home", undoes: second.id, result: {
+      structuredContent: { dryRun: false, results: [{ device: { id: "b", name: "b" }, capabilityId: "dim", status: "reverted", previous: 0.9, value: 0.1 }] },
+    } });
+    assert.equal(log.findUndoable({ homeyId: "home" }).id, first.id);
+    assert.equal(log.history({ tool: "homey_set_capability", homeyId: "home" }).entries[0].undone, true);
+    assert.throws(() => log.findUndoable({ id: second.id }), /has already been undone/);
+    assert.throws(() => log.findUndoable({ id: first.id, homeyId: "holiday" }), /Pass homeyId: "home"/);
+    assert.throws(() => log.findUndoable({ id: "nope" }), error => error.code === "not_found");
+  });
+
+  it("reverts changes unless the value changed again since", async () => {
+    const calls = [];
+    const devices = {
+      a: lamp("a", "Lamp A", { onoff: false, dim: 0.5 }, calls),
+      b: lamp("b", "Lamp B", { onoff: true, dim: 0.7 }, calls),
+    };
+    const entry = {
+      changes: [
+        { device: { id: "a", name: "Lamp A" }, capabilityId: "dim", previous: 0.2, value: 0.5 },
+        { device: { id: "a", name: "Lamp A" }, capabilityId: "onoff", previous: true, value: false },
+        { device: { id: "b", name: "Lamp B" }, capabilityId: "dim", previous: 0.1, value: 0.9 },
+        { device: { id: "gone", name: "Old Lamp" }, capabilityId: "onoff", previous: true, value: false },
+      ],
+    };
+
+    const preview = await undoAction({ entry, devices, zones, policy: new Policy(), dryRun: true });
+    assert.deepEqual(countUndoResults(preview), { reverted: 0, unchanged: 0, planned: 2, skipped: 1, failed: 1 });
+    assert.deepEqual(calls, []);
+
+    const results = await undoAction({ entry, devices, zones, policy: new Policy() });
+    assert.deepEqual(calls, ["a.onoff=true", "a.dim=0.2"]);
+    assert.match(results.find(r => r.deviceId === "b").detail, /changed to 0\.7 \(70%\) since; pass force: true/);
+    assert.deepEqual(results.find(r => r.capabilityId === "onoff" && r.deviceId === "a"), {
+      deviceId: "a", deviceName: "Lamp A", capabilityId: "onoff", status: "reverted", previous: false, value: true, detail: "false → true",
+    });
+
+    const forced = await undoAction({ entry, devices, zones, policy: new Policy({ devices: { deny: ["Lamp A"] } }), force: true });
+    assert.deepEqual(countUndoResults(forced), { reverted: 1, unchanged: 0, planned: 0, skipped: 2, failed: 1 });
+    assert.equal(devices.b.capabilitiesObj.dim.value, 0.1);
+  });
+});
+
+describe("audit tools (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient({ HOMEY_AUDIT_FILE: tempAuditFile() });
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("records write calls with the client, outcome and changed values", async () => {
+    await callTool(client, "homey_set_capability", { deviceId: "light-living-ceiling", capabilityId: "dim", value: 0.3 });
+    await callTool(client, "homey_control_lights_in_zone", { zoneName: "Living Room", on: true, dryRun: true });
+    await callTool(client, "homey_run_flow", { name: "No such flow" });
+    await callTool(client, "homey_list_devices");
+
+    const { text, structured } = await callTool(client, "homey_get_action_history");
+    assert.equal(structured.total, 3);
+    assert.deepEqual(structured.actions.map(a => [a.tool, a.outcome]), [
+      ["homey_run_flow", "error"],
+      ["homey_control_lights_in_zone", "dry_run"],
+      ["homey_set_capability", "ok"],
+    ]);
+    const set = structured.actions[2];
+    assert.equal(set.homeyId, "default");
+    assert.deepEqual(set.client, { name: "homey-mcp-tests", version: "1.0.0", sessionId: null });
+    assert.deepEqual(set.arguments, { deviceId: "light-living-ceiling", capabilityId: "dim", value: 0.3 });
+    assert.deepEqual(set.changes, [{ device: { id: "light-living-ceiling", name: "Ceiling Lamp" }, capabilityId: "dim", previous: 0.8, value: 0.3 }]);
+    assert.match(text, /^📜 Action history \(3 of 3, newest first\):\n❌ .+ homey_run_flow on default by homey-mcp-tests 1\.0\.0 \[ID: .+\]\n   Error \(not_found\)/);
+    assert.match(text, /homey_set_capability on default by homey-mcp-tests 1\.0\.0 \[ID: .+\]\n   Ceiling Lamp: dim 0\.8 → 0\.3/);
+  });
+
+  it("undoes the latest changes one action at a time", async () => {
+    await callTool(client, "homey_bulk_set_capability", { zone: "Living Room", deviceClass: "light", capabilityId: "onoff", value: false });
+
+    const preview = await callTool(client, "homey_undo_last_action", { dryRun: true });
+    assert.match(preview.text, /Dry run: undoing homey_bulk_set_capability .+ would revert 1 values \(0 unchanged/);
+
+    const undone = await callTool(client, "homey_undo_last_action");
+    assert.equal(undone.isError, false);
+    assert.match(undone.text, /↩️ Undid homey_bulk_set_capability .+: 1 reverted/);
+    assert.match(undone.text, /\| Ceiling Lamp \| onoff \| ↩️ reverted \| false → true \|/);
+
+    const dim = await callTool(client, "homey_undo_last_action");
+    assert.match(dim.text, /Undid homey_set_capability/);
+    const lamp = await callTool(client, "homey_get_device", { id: "light-living-ceiling" });
+    assert.equal(lamp.structured.device.capabilities.dim.value, 0.8);
+    assert.equal(lamp.structured.device.capabilities.onoff.value, true);
+
+    const nothing = await callTool(client, "homey_undo_last_action");
+    assert.equal(nothing.structured.error.code, "not_found");
+
+    const { structured } = await callTool(client, "homey_get_action_history", { tool: "homey_set_capability" });
+    assert.equal(structured.actions[0].undone, true);
+  });
+});
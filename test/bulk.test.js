@@ -0,0 +1,69 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mapWithConcurrency, selectDevices, bulkSetCapability, countResults, formatResultTable } from "../lib/bulk.js";
+import { Policy } from "../lib/policy.js";
+
+const zones = {
+  home: { id: "home", name: "Home", parent: null },
+  kitchen: { id: "kitchen", name: "Kitchen", parent: "home" },
+  attic: { id: "attic", name: "Attic", parent: "home" },
+};
+
+function device(id, name, zone, cls, capabilitiesObj, setCapabilityValue = async () => {}) {
+  return { id, name, zone, class: cls, capabilities: Object.keys(capabilitiesObj), capabilitiesObj, setCapabilityValue };
+}
+
+const onoff = value => ({ onoff: { id: "onoff", type: "boolean", setable: true, value } });
+
+describe("bulk", () => {
+  it("limits concurrency and keeps result order", async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0, 5], 2, async (ms, i) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      active--;
+      return i;
+    });
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.equal(peak, 2);
+  });
+
+  it("selects devices by zone, class, name pattern and IDs", () => {
+    const devices = {
+      a: device("a", "Kitchen Lamp", "kitchen", "light", onoff(false)),
+      b: device("b", "Attic Lamp", "attic", "light", onoff(false)),
+      c: device("c", "Kitchen Fan", "kitchen", "fan", onoff(true)),
+      d: device("d", "Kitchen Sensor", "kitchen", "sensor", {}),
+    };
+    const ids = filters => selectDevices(devices, zones, { capabilityId: "onoff", ...filters }).devices.map(d => d.id);
+
+    assert.deepEqual(ids({ zone: "Kitchen" }), ["a", "c"]);
+    assert.deepEqual(ids({ zone: "home", includeChildren: false }), []);
+    assert.deepEqual(ids({ deviceClass: ["Light", "fan"] }), ["a", "b", "c"]);
+    assert.deepEqual(ids({ namePattern: "* lamp" }), ["a", "b"]);
+    assert.deepEqual(ids({ namePattern: "fan" }), ["c"]);
+    assert.deepEqual(ids({ deviceIds: ["b", "d"] }), ["b"]);
+    assert.throws(() => ids({}), /Provide at least one device filter/);
+  });
+
+  it("collects per-device outcomes", async () => {
+    const devices = [
+      device("a", "Kitchen Lamp", "kitchen", "light", onoff(false)),
+      device("b", "Attic Lamp", "attic", "light", onoff(false), async () => { throw new Error("Device Unavailable"); }),
+      device("c", "Attic Heater", "attic", "heater", onoff(false)),
+    ];
+    const policy = new Policy({ classes: { deny: ["heater"] } });
+    const results = await bulkSetCapability({ devices, zones, policy, capabilityId: "onoff", value: "on" });
+
+    assert.deepEqual(results.map(r => r.status), ["ok", "failed", "skipped"]);
+    assert.deepEqual(countResults(results), { ok: 1, planned: 0, skipped: 1, failed: 1 });
+    assert.equal(results[0].value, true);
+
+    const table = formatResultTable(results);
+    assert.match(table, /^\| Device \| Zone \| Result \| Details \|/);
+    assert.match(table, /\| Attic Lamp \| Attic \| ❌ failed \| Device Unavailable \|/);
+    assert.equal(formatResultTable([]), "No matching devices.");
+  });
+});
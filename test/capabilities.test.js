@@ -0,0 +1,63 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { coerceCapabilityValue, formatCapabilityValue } from "../lib/capabilities.js";
+
+const device = {
+  name: "Test Device",
+  capabilitiesObj: {
+    onoff: { type: "boolean", setable: true, value: false },
+    dim: { type: "number", setable: true, min: 0, max: 1, step: 0.01, decimals: 2, units: "%", value: 0.5 },
+    target_temperature: { type: "number", setable: true, min: 5, max: 30, step: 0.5, decimals: 1, units: "°C", value: 20 },
+    measure_power: { type: "number", setable: false, units: "W", value: 12 },
+    thermostat_mode: { type: "enum", setable: true, value: "heat", values: [{ id: "heat", title: "Heat" }, { id: "off", title: "Off" }] },
+  },
+};
+
+describe("coerceCapabilityValue", () => {
+  it("accepts boolean-like input for boolean capabilities", () => {
+    assert.equal(coerceCapabilityValue(device, "onoff", "on").value, true);
+    assert.equal(coerceCapabilityValue(device, "onoff", 0).value, false);
+    assert.throws(() => coerceCapabilityValue(device, "onoff", "maybe"), /expects a boolean/);
+  });
+
+  it("interprets percentages on 0–1 capabilities", () => {
+    assert.deepEqual(coerceCapabilityValue(device, "dim", "50%"), { value: 0.5, notes: ["interpreted 50% as 0.5"] });
+    assert.equal(coerceCapabilityValue(device, "dim", "50").value, 0.5);
+    assert.equal(coerceCapabilityValue(device, "dim", 0.3).value, 0.3);
+    assert.equal(coerceCapabilityValue(device, "dim", 1).value, 1);
+  });
+
+  it("converts temperature units and rounds to the step", () => {
+    assert.equal(coerceCapabilityValue(device, "target_temperature", "21 °C").value, 21);
+    assert.equal(coerceCapabilityValue(device, "target_temperature", "70°F").value, 21);
+    const { value, notes } = coerceCapabilityValue(device, "target_temperature", 21.3);
+    assert.equal(value, 21.5);
+    assert.match(notes[0], /rounded to 21.5/);
+  });
+
+  it("rejects out-of-range values, foreign units and non-numbers", () => {
+    assert.throws(() => coerceCapabilityValue(device, "target_temperature", 2), /must be between 5–30 °C/);
+    assert.throws(() => coerceCapabilityValue(device, "target_temperature", "20%"), /does not accept "%"/);
+    assert.throws(() => coerceCapabilityValue(device, "target_temperature", true), /expects a number/);
+    assert.throws(() => coerceCapabilityValue(device, "dim", "bright"), /expects a number/);
+  });
+
+  it("matches enum values by ID or title", () => {
+    assert.equal(coerceCapabilityValue(device, "thermostat_mode", "OFF").value, "off");
+    assert.equal(coerceCapabilityValue(device, "thermostat_mode", "Heat").value, "heat");
+    assert.throws(() => coerceCapabilityValue(device, "thermostat_mode", "cool"), /must be one of: heat, off/);
+  });
+
+  it("rejects unknown and read-only capabilities", () => {
+    assert.throws(() => coerceCapabilityValue(device, "volume_set", 1), /has no capability volume_set/);
+    assert.throws(() => coerceCapabilityValue(device, "measure_power", 1), /is read-only/);
+  });
+});
+
+describe("formatCapabilityValue", () => {
+  it("formats values with units", () => {
+    assert.equal(formatCapabilityValue(device.capabilitiesObj.dim, 0.4), "0.4 (40%)");
+    assert.equal(formatCapabilityValue(device.capabilitiesObj.target_temperature, 21), "21 °C");
+    assert.equal(formatCapabilityValue(device.capabilitiesObj.onoff, undefined), "unknown");
+  });
+});
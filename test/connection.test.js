@@ -0,0 +1,183 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { HomeyConnection, isNetworkError, withTimeout, formatStatus } from "../lib/connection.js";
+import { startClient, callTool } from "./helpers.js";
+
+const networkError = () => Object.assign(new Error("connect ECONNREFUSED 192.168.1.50:80"), { code: "ECONNREFUSED" });
+
+// A fake homey-api whose getDevices() fails while `down` is set
+function fakeHomey(state) {
+  return {
+    id: "homey-1",
+    name: "Test Homey",
+    version: "12.0.0",
+    devices: {
+      getDevices: async () => {
+        state.calls++;
+        if (state.down) throw networkError();
+        // A device object that writes on its own, bypassing the manager
+        return { lamp: { id: "lamp", setCapabilityValue: () => new Promise(() => {}) } };
+      },
+      setCapabilityValue: async options => {
+        state.calls++;
+        state.written = options;
+        if (state.down) throw networkError();
+        if (state.hang) await new Promise(() => {});
+      },
+    },
+    system: { ping: async () => true },
+  };
+}
+
+function connectionFor(state, options = {}) {
+  return new HomeyConnection({
+    mode: "local",
+    address: "http://192.168.1.50",
+    backoffMs: 5,
+    maxBackoffMs: 20,
+    ...options,
+    connect: async () => {
+      state.connects++;
+      if (state.unreachable) throw networkError();
+      return fakeHomey(state);
+    },
+  });
+}
+
+describe("Homey connection", () => {
+  it("tells network errors from API errors", () => {
+    assert.equal(isNetworkError(networkError()), true);
+    assert.equal(isNetworkError(Object.assign(new Error("request failed"), { type: "system" })), true);
+    assert.equal(isNetworkError(new TypeError("fetch failed")), true);
+    assert.equal(isNetworkError(Object.assign(new Error("Device Not Found: x"), { statusCode: 404 })), false);
+  });
+
+  it("times out slow calls", async () => {
+    await assert.rejects(withTimeout(new Promise(() => {}), 10, "devices.getDevices"), error => {
+      assert.equal(error.code, "timeout");
+      assert.match(error.message, /devices\.getDevices timed out after 0\.01s/);
+      return true;
+    });
+  });
+
+  it("connects lazily on the first call", async () => {
+    const state = { connects: 0, calls: 0 };
+    const connection = connectionFor(state);
+    assert.equal(state.connects, 0);
+    assert.deepEqual(Object.keys(await connection.homey.devices.getDevices()), ["lamp"]);
+    await connection.homey.devices.getDevices();
+    assert.equal(state.connects, 1);
+  });
+
+  it("reconnects and retries reads after a network error", async () => {
+    const state = { connects: 0, calls: 0 };
+    const connection = connectionFor(state);
+    await connection.get();
+
+    state.down = true;
+    setTimeout(() => { state.down = false; }, 2);
+    const devices = await connection.homey.devices.getDevices();
+    assert.ok(devices.lamp);
+    assert.equal(state.connects, 2);
+  });
+
+  it("tells reconnect listeners about the new connection", async () => {
+    const state = { connects: 0, calls: 0 };
+    const connection = connectionFor(state);
+    const seen = [];
+    connection.onReconnect(api => seen.push(api));
+    const first = await connection.get();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(seen, []);
+
+    state.down = true;
+    setTimeout(() => { state.down = false; }, 2);
+    await connection.homey.devices.getDevices();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(seen.length, 1);
+    assert.equal(seen[0], connection.api);
+    assert.notEqual(seen[0], first);
+  });
+
+  it("times out writes made through device objects", async () => {
+    const state = { connects: 0, calls: 0 };
+    const connection = connectionFor(state, { timeoutMs: 20 });
+    const { lamp } = await connection.homey.devices.getDevices();
+
+    await lamp.setCapabilityValue({ capabilityId: "onoff", value: true });
+    assert.deepEqual(state.written, { capabilityId: "onoff", value: true, deviceId: "lamp" });
+
+    state.hang = true;
+    await assert.rejects(lamp.setCapabilityValue({ capabilityId: "onoff", value: false }), error => {
+      assert.equal(error.code, "timeout");
+      assert.match(error.message, /devices\.setCapabilityValue timed out after 0\.02s/);
+      return true;
+    });
+  });
+
+  it("does not retry writes", async () => {
+    const state = { connects: 0, calls: 0 };
+    const connection = connectionFor(state);
+    await connection.get();
+
+    state.down = true;
+    await assert.rejects(connection.homey.devices.setCapabilityValue({ id: "lamp" }), /Lost the connection to Homey: connect ECONNREFUSED/);
+    assert.equal(state.calls, 1);
+  });
+
+  it("backs off exponentially while Homey is unreachable", async () => {
+    const state = { connects: 0, calls: 0, unreachable: true };
+    const connection = connectionFor(state, { backoffMs: 1000, maxBackoffMs: 4000 });
+
+    await assert.rejects(connection.get(), error => error.code === "not_connected" && /Homey is not connected: connect ECONNREFUSED/.test(error.message));
+    // Calls during the backoff fail fast without another attempt
+    await assert.rejects(connection.get(), /Retrying in 1s/);
+    assert.equal(state.connects, 1);
+
+    connection.nextAttemptAt = 0;
+    await assert.rejects(connection.get());
+    assert.ok(connection.nextAttemptAt - Date.now() > 1000);
+    clearTimeout(connection.reconnectTimer);
+
+    state.unreachable = false;
+    connection.nextAttemptAt = 0;
+    await connection.get();
+    assert.equal(connection.failures, 0);
+    assert.equal(connection.lastError.message, "connect ECONNREFUSED 192.168.1.50:80");
+  });
+
+  it("reports its status", async () => {
+    const state = { connects: 0, calls: 0 };
+    const status = await connectionFor(state).status();
+    assert.equal(status.connected, true);
+    assert.deepEqual(status.homey, { id: "homey-1", name: "Test Homey", version: "12.0.0" });
+    assert.equal(typeof status.latencyMs, "number");
+    assert.match(formatStatus(status), /^🟢 Connected to Test Homey \(version 12\.0\.0\) via local, http:\/\/192\.168\.1\.50\nConnected since: .+\nLatency: \d+ ms$/);
+
+    const down = await connectionFor({ connects: 0, calls: 0, unreachable: true }, { backoffMs: 1000 }).status();
+    assert.equal(down.connected, false);
+    assert.match(down.pingError, /Homey is not connected/);
+    assert.match(formatStatus(down), /^🔴 Not connected \(local, http:\/\/192\.168\.1\.50\)\nFailed attempts: 1\nNext attempt: .+\nLast error: connect ECONNREFUSED/);
+  });
+});
+
+describe("homey_status (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient();
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("reports the mock connection", async () => {
+    const { text, structured } = await callTool(client, "homey_status");
+    assert.match(text, /^Homey \[ID: default\]\n🟢 Connected to Mock Homey Pro \(version 12\.4\.0\) via mock, fixtures\/home\.json/);
+    assert.deepEqual(structured.hub, { id: "default", name: "Homey" });
+    assert.equal(structured.mode, "mock");
+    assert.equal(structured.connected, true);
+    assert.equal(structured.lastError, null);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Tariff, loadTariff, consumptionFromMeter, consumptionFromPower, deviceConsumption, rollupByZone } from "../lib/energy.js";
+import { startClient, callTool } from "./helpers.js";
+
+const HOUR = 60 * 60 * 1000;
+const at = time => Date.parse(`2026-01-15T${time}:00Z`); // a Thursday
+
+const timeOfUse = {
+  currency: "EUR",
+  price: 0.2,
+  timezone: "UTC",
+  periods: [{ name: "Peak", from: "07:00", to: "23:00", days: ["mon", "tue", "wed", "thu", "fri"], price: 0.4 }],
+};
+
+function writeTariff(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "homey-mcp-tariff-"));
+  const file = path.join(dir, "tariff.json");
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+describe("energy", () => {
+  it("prices by time of use, including overnight periods", () => {
+    const tariff = new Tariff(timeOfUse);
+    assert.equal(tariff.priceAt(at("06:59")), 0.2);
+    assert.equal(tariff.priceAt(at("07:00")), 0.4);
+    assert.equal(tariff.priceAt(Date.parse("2026-01-17T12:00:00Z")), 0.2); // Saturday
+
+    const night = new Tariff({ price: 0.3, timezone: "UTC", periods: [{ from: "23:00", to: "06:00", days: ["fri"], price: 0.1 }] });
+    assert.equal(night.priceAt(Date.parse("2026-01-16T23:30:00Z")), 0.1); // Friday night
+    assert.equal(night.priceAt(Date.parse("2026-01-17T02:00:00Z")), 0.1); // ...continuing into Saturday
+    assert.equal(night.priceAt(Date.parse("2026-01-18T02:00:00Z")), 0.3); // Sunday morning
+  });
+
+  it("splits costs across tariff boundaries", () => {
+    const tariff = new Tariff(timeOfUse);
+    assert.ok(Math.abs(tariff.costOf(at("06:00"), at("08:00"), 2) - (0.2 + 0.4)) < 1e-9);
+    assert.equal(new Tariff({ price: 0.25 }).costOf(0, HOUR, 4), 1);
+  });
+
+  it("validates tariff files", () => {
+    assert.equal(loadTariff(undefined), null);
+    assert.throws(() => new Tariff({ price: -1 }), /price must be a non-negative number/);
+    assert.throws(() => new Tariff({ price: 1, periods: [{ from: "7am", to: "09:00", price: 1 }] }), /Invalid tariff time "7am" in periods\[0\].from/);
+    assert.throws(() => new Tariff({ price: 1, periods: [{ from: "07:00", to: "09:00", days: ["someday"], price: 1 }] }), /Invalid day/);
+    assert.match(new Tariff(timeOfUse).describe(), /^time-of-use: Peak 0.4 EUR\/kWh \(mon, tue, wed, thu, fri\); otherwise 0.2 EUR\/kWh$/);
+  });
+
+  it("computes consumption from meters, handling resets", () => {
+    const points = [{ t: 0, v: 10 }, { t: HOUR, v: 12 }, { t: 2 * HOUR, v: 0.5 }, { t: 3 * HOUR, v: 1 }];
+    assert.deepEqual(consumptionFromMeter(points), { kWh: 3, cost: null });
+  });
+
+  it("integrates power readings into kWh", () => {
+    const points = [{ t: 0, v: 1000 }, { t: HOUR, v: 500 }];
+    assert.equal(consumptionFromPower(points).kWh, 1);
+    assert.equal(consumptionFromPower(points, null, 3 * HOUR).kWh, 2);
+    assert.equal(consumptionFromPower(points, new Tariff({ price: 0.5 }), 3 * HOUR).cost, 1);
+  });
+
+  it("loads a few logs at a time and ranks devices by consumption", async () => {
+    const devices = ["fridge", "dryer", "kettle", "washer", "lamp"].map(id => ({ id, name: id[0].toUpperCase() + id.slice(1), zone: "home" }));
+    const meter = (id, kWh) => ({ id: `${id}:meter_power`, ownerUri: `homey:device:${id}`, ownerId: "meter_power", kWh });
+    const logs = Object.fromEntries([
+      meter("fridge", 1), meter("dryer", 3), meter("kettle", 1), meter("washer", 2),
+      { id: "washer:measure_power", ownerUri: "homey:device:washer", ownerId: "measure_power" },
+    ].map(log => [log.id, log]));
+
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const loaded = [];
+    const rows = await deviceConsumption(devices, logs, {
+      concurrency: 2,
+      getPoints: async log => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        loaded.push(log.id);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        inFlight--;
+        return [{ t: 0, v: 0 }, { t: HOUR, v: log.kWh }];
+      },
+    });
+    assert.equal(maxInFlight, 2);
+    assert.deepEqual(loaded, ["fridge:meter_power", "dryer:meter_power", "kettle:meter_power", "washer:meter_power"]);
+    // Ties are broken by name; the lamp has no power log
+    assert.deepEqual(rows.map(r => [r.name, r.kWh, r.source]), [["Dryer", 3, "meter"], ["Washer", 2, "meter"], ["Fridge", 1, "meter"], ["Kettle", 1, "meter"]]);
+  });
+
+  it("rolls consumption up through the zone hierarchy", () => {
+    const zones = {
+      home: { id: "home", name: "Home", parent: null },
+      kitchen: { id: "kitchen", name: "Kitchen", parent: "home" },
+      attic: { id: "attic", name: "Attic", parent: "home" },
+    };
+    const totals = rollupByZone([{ zone: "kitchen", kWh: 2, cost: null }, { zone: "home", kWh: 1, cost: null }], zones);
+    assert.deepEqual(totals, { home: { kWh: 3, cost: null }, kitchen: { kWh: 2, cost: null } });
+  });
+});
+
+describe("energy report with a configured tariff (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient({ HOMEY_TARIFF: writeTariff(timeOfUse) });
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("applies the time-of-use tariff", async () => {
+    const { text } = await callTool(client, "homey_get_energy_data", { zone: "Living Room", from: "2026-01-15T00:00:00Z", to: "2026-01-16T00:00:00Z" });
+    assert.match(text, /^⚡ Energy report \(2026-01-15T00:00:00.000Z → 2026-01-16T00:00:00.000Z\)/);
+    assert.match(text, /Tariff: time-of-use: Peak 0.4 EUR\/kWh/);
+    assert.match(text, /Total: 1.17 kWh · 0.45 EUR across 1 device/);
+  });
+});
@@ -0,0 +1,255 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ResourceUpdatedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { createMockHomey } from "../lib/mock-homey.js";
+import { CapabilityEventHub, subscribeCapabilities, parseCondition, waitForEvent } from "../lib/events.js";
+import { parseResourceUri, deviceUri } from "../lib/resources.js";
+import { startClient, callTool } from "./helpers.js";
+
+const fixture = {
+  devices: {
+    motion: {
+      id: "motion",
+      name: "Hall Motion",
+      zone: "hall",
+      class: "sensor",
+      capabilities: ["alarm_motion", "measure_luminance"],
+      capabilitiesObj: {
+        alarm_motion: { id: "alarm_motion", type: "boolean", setable: false, value: false },
+        measure_luminance: { id: "measure_luminance", type: "number", setable: false, value: 40 },
+      },
+    },
+  },
+};
+
+describe("capability events", () => {
+  it("shares one capability instance per device capability", async () => {
+    const homey = createMockHomey(fixture);
+    const device = await homey.devices.getDevice({ id: "motion" });
+    const hub = new CapabilityEventHub();
+    const seen = [];
+
+    const stopA = hub.subscribe(device, "alarm_motion", e => seen.push(["a", e.value, e.previous]));
+    const stopB = hub.subscribe(device, "alarm_motion", e => seen.push(["b", e.value, e.previous]));
+    assert.equal(hub.size, 1);
+    assert.equal(homey.devices.listeners.size, 1);
+
+    homey.devices.emitCapabilityValue({ deviceId: "motion", capabilityId: "alarm_motion", value: true });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(seen, [["a", true, false], ["b", true, false]]);
+
+    stopA();
+    stopB();
+    assert.equal(hub.size, 0);
+    assert.equal(homey.devices.listeners.size, 0);
+  });
+
+  it("drops the capabilities already subscribed to when one fails", async () => {
+    const homey = createMockHomey(fixture);
+    const device = await homey.devices.getDevice({ id: "motion" });
+    const makeInstance = device.makeCapabilityInstance;
+    device.makeCapabilityInstance = function (capabilityId, listener) {
+      if (capabilityId === "measure_luminance") throw new Error("Capability instance failed");
+      return makeInstance.call(this, capabilityId, listener);
+    };
+    const hub = new CapabilityEventHub();
+
+    assert.throws(() => subscribeCapabilities(hub, device, ["alarm_motion", "measure_luminance"], () => {}), /Capability instance failed/);
+    assert.equal(hub.size, 0);
+    assert.equal(homey.devices.listeners.size, 0);
+
+    const stop = subscribeCapabilities(hub, device, ["alarm_motion"], () => {});
+    assert.equal(hub.size, 1);
+    stop();
+    assert.equal(hub.size, 0);
+  });
+
+  it("moves watchers to the new connection's devices after a reconnect", async () => {
+    const dropped = createMockHomey(fixture);
+    const current = createMockHomey(fixture);
+    const hub = new CapabilityEventHub({ scope: () => "home" });
+    const seen = [];
+    const stop = hub.subscribe(await dropped.devices.getDevice({ id: "motion" }), "alarm_motion", e => seen.push(e.value));
+
+    await hub.reconnect("cabin", id => current.devices.getDevice({ id }));
+    assert.equal(dropped.devices.listeners.size, 1);
+    await hub.reconnect("home", id => current.devices.getDevice({ id }));
+    assert.equal(dropped.devices.listeners.size, 0);
+    assert.equal(current.devices.listeners.size, 1);
+
+    current.devices.emitCapabilityValue({ deviceId: "motion", capabilityId: "alarm_motion", value: true });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(seen, [true]);
+
+    stop();
+    assert.equal(hub.size, 0);
+    assert.equal(current.devices.listeners.size, 0);
+  });
+
+  it("parses conditions", () => {
+    assert.equal(parseCondition("alarm_motion", { value: "true" }).test(true), true);
+    assert.equal(parseCondition("measure_power", { operator: ">", value: "1000" }).test(1500), true);
+    assert.equal(parseCondition("onoff").describe, "onoff changes");
+    assert.equal(parseCondition("onoff").test(true, true), false);
+    assert.throws(() => parseCondition("dim", { operator: "~" }), /Unknown operator "~"/);
+    assert.throws(() => parseCondition("dim", { operator: ">" }), /needs a value/);
+    assert.throws(() => parseCondition("dim", { operator: "<", value: "low" }), /numeric value/);
+  });
+
+  it("waits for a matching event and cleans up", async () => {
+    const homey = createMockHomey(fixture);
+    const device = await homey.devices.getDevice({ id: "motion" });
+    const hub = new CapabilityEventHub();
+
+    const pending = waitForEvent({
+      hub,
+      devices: [device],
+      capabilityId: "measure_luminance",
+      condition: parseCondition("measure_luminance", { operator: ">=", value: 100 }),
+      timeoutMs: 1000,
+    });
+    homey.devices.emitCapabilityValue({ deviceId: "motion", capabilityId: "measure_luminance", value: 60 });
+    homey.devices.emitCapabilityValue({ deviceId: "motion", capabilityId: "measure_luminance", value: 120 });
+
+    const event = await pending;
+    assert.equal(event.value, 120);
+    assert.equal(event.deviceName, "Hall Motion");
+    assert.equal(hub.size, 0);
+
+    const timedOut = await waitForEvent({
+      hub,
+      devices: [device],
+      capabilityId: "alarm_motion",
+      condition: parseCondition("alarm_motion", { value: true }),
+      timeoutMs: 10,
+    });
+    assert.equal(timedOut, null);
+
+    const current = await waitForEvent({
+      hub,
+      devices: [device],
+      capabilityId: "measure_luminance",
+      condition: parseCondition("measure_luminance", { operator: ">", value: 100 }),
+      timeoutMs: 10,
+      matchCurrent: true,
+    });
+    assert.equal(current.current, true);
+  });
+
+  it("drops the subscriptions made so far when one fails", async () => {
+    const homey = createMockHomey(fixture);
+    const device = await homey.devices.getDevice({ id: "motion" });
+    const broken = {
+      id: "broken",
+      name: "Broken Sensor",
+      makeCapabilityInstance() {
+        throw new Error("Capability instance failed");
+      },
+    };
+    const hub = new CapabilityEventHub();
+
+    await assert.rejects(waitForEvent({
+      hub,
+      devices: [device, broken],
+      capabilityId: "alarm_motion",
+      condition: parseCondition("alarm_motion", { value: true }),
+      timeoutMs: 1000,
+    }), /Capability instance failed/);
+    assert.equal(hub.size, 0);
+    assert.equal(homey.devices.listeners.size, 0);
+  });
+
+  it("builds and parses resource URIs", () => {
+    assert.equal(deviceUri("a b", "alarm_motion"), "homey://devices/a%20b/capabilities/alarm_motion");
+    assert.deepEqual(parseResourceUri("homey://devices/a%20b"), { kind: "device", id: "a b", capabilityId: undefined });
+    assert.deepEqual(parseResourceUri("homey://advanced-flows/adv-1"), { kind: "advancedFlow", id: "adv-1", capabilityId: undefined });
+    assert.throws(() => parseResourceUri("homey://flows/x/capabilities/onoff"), /Unknown resource/);
+    assert.throws(() => parseResourceUri("homey://apps/x"), /Unknown resource/);
+  });
+});
+
+describe("realtime tools and resources (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient();
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("lists and reads device resources", async () => {
+    const { resources } = await client.listResources();
+    assert.ok(resources.some(r => r.uri === "homey://devices/sensor-hall-motion" && r.name === "Hallway Motion"));
+
+    const { resourceTemplates } = await client.listResourceTemplates();
+    assert.equal(resourceTemplates.length, 5);
+
+    const { contents } = await client.readResource({ uri: "homey://devices/socket-tv/capabilities/measure_power" });
+    assert.deepEqual(JSON.parse(contents[0].text), {
+      deviceId: "socket-tv",
+      device: "TV Socket",
+      capabilityId: "measure_power",
+      value: 85.4,
+      units: "W",
+      lastUpdated: JSON.parse(contents[0].text).lastUpdated,
+    });
+  });
+
+  it("pushes resource updates for subscribed devices", async () => {
+    const updates = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+      updates.push(notification.params.uri);
+    });
+
+    await client.subscribeResource({ uri: "homey://devices/light-kitchen" });
+    await callTool(client, "homey_set_capability", { deviceId: "light-kitchen", capabilityId: "dim", value: 0.3 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(updates, ["homey://devices/light-kitchen"]);
+
+    await client.unsubscribeResource({ uri: "homey://devices/light-kitchen" });
+    await callTool(client, "homey_set_capability", { deviceId: "light-kitchen", capabilityId: "dim", value: 0.4 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(updates.length, 1);
+  });
+
+  it("homey_wait_for_event returns when a matching change happens", async () => {
+    const waiting = callTool(client, "homey_wait_for_event", {
+      zone: "Ground Floor",
+      deviceClass: "light",
+      capabilityId: "onoff",
+      value: true,
+      timeoutSeconds: 5,
+    });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await callTool(client, "homey_set_capability", { deviceId: "light-kitchen", capabilityId: "onoff", value: false });
+    await callTool(client, "homey_set_capability", { deviceId: "light-kitchen", capabilityId: "onoff", value: true });
+
+    const { isError, text } = await waiting;
+    assert.equal(isError, false);
+    assert.match(text, /⚡ Kitchen Lamp \(Kitchen\): onoff changed false → true at /);
+  });
+
+  it("homey_wait_for_event times out quietly", async () => {
+    const { isError, text } = await callTool(client, "homey_wait_for_event", {
+      zone: "Hallway",
+      capabilityId: "alarm_motion",
+      value: true,
+      timeoutSeconds: 1,
+    });
+    assert.equal(isError, false);
+    assert.equal(text, "⏱️ Timed out after 1s waiting for alarm_motion == true on 1 device in Hallway.");
+  });
+
+  it("homey_wait_for_event can match the current state", async () => {
+    const { text } = await callTool(client, "homey_wait_for_event", { capabilityId: "locked", value: true, matchCurrent: true });
+    assert.match(text, /Front Door Lock \(Hallway\): locked already true/);
+  });
+
+  it("homey_wait_for_event rejects filters without matching devices", async () => {
+    const { isError, text } = await callTool(client, "homey_wait_for_event", { zone: "Garden", capabilityId: "alarm_motion" });
+    assert.equal(isError, true);
+    assert.match(text, /No devices with capability alarm_motion match the filters/);
+  });
+});
@@ -0,0 +1,370 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { buildFlowCards, actionDeviceIds, cardCapabilityIds, describeFlow, diffLines, tagFlows, findFlowUsage, auditFlows, formatFlowAudit } from "../lib/flows.js";
+import { startClient, callTool } from "./helpers.js";
+
+const cards = [
+  { type: "trigger", id: "homey:manager:cron:time_exactly", title: "The time is", args: [{ name: "time", type: "time" }] },
+  { type: "condition", id: "homey:device:tv:on", title: "Is turned on", args: [] },
+  { type: "action", id: "homey:device:lamp:on", title: "Turn on", args: [] },
+  { type: "action", id: "homey:device:lamp:dim", title: "Dim", args: [{ name: "dim", type: "range", min: 0, max: 1 }] },
+  {
+    type: "action",
+    id: "homey:manager:notifications:create_notification",
+    title: "Create a notification",
+    args: [
+      { name: "text", type: "text" },
+      { name: "level", type: "dropdown", required: false, values: [{ id: "info" }, { id: "warning" }] },
+    ],
+  },
+];
+
+describe("flow card specs", () => {
+  it("builds trigger, conditions and actions with their defaults", () => {
+    const flow = buildFlowCards({
+      trigger: { id: "homey:manager:cron:time_exactly", args: { time: "07:30" } },
+      conditions: [{ id: "homey:device:tv:on", inverted: true }],
+      actions: [{ id: "homey:device:lamp:dim", args: { dim: "0.4" } }, { id: "homey:device:lamp:on", group: "else" }],
+    }, cards);
+
+    assert.deepEqual(flow, {
+      trigger: { id: "homey:manager:cron:time_exactly", args: { time: "07:30" } },
+      conditions: [{ id: "homey:device:tv:on", args: {}, group: "group1", inverted: true }],
+      actions: [
+        { id: "homey:device:lamp:dim", args: { dim: 0.4 }, group: "then" },
+        { id: "homey:device:lamp:on", args: {}, group: "else" },
+      ],
+    });
+  });
+
+  it("only returns the parts that were given", () => {
+    assert.deepEqual(buildFlowCards({ conditions: [] }, cards), { conditions: [] });
+  });
+
+  it("rejects unknown cards, suggesting similar ones", () => {
+    assert.throws(
+      () => buildFlowCards({ actions: [{ id: "homey:device:lamp:off" }] }, cards),
+      /Unknown action card "homey:device:lamp:off" in actions\[0\]\. Use homey_get_flow_cards/
+    );
+    assert.throws(
+      () => buildFlowCards({ actions: [{ id: "homey:device:lamp2:dim" }] }, cards),
+      /Similar action cards: homey:device:lamp:dim/
+    );
+    assert.throws(
+      () => buildFlowCards({ trigger: { id: "homey:device:lamp:on" } }, cards),
+      /Unknown trigger card/
+    );
+  });
+
+  it("checks arguments against the card", () => {
+    const action = args => ({ actions: [{ id: "homey:device:lamp:dim", args }] });
+    assert.throws(() => buildFlowCards(action({}), cards), /actions\[0\]\.args\.dim is required/);
+    assert.throws(() => buildFlowCards(action({ dim: 2 }), cards), /must be between 0 and 1, got 2/);
+    assert.throws(() => buildFlowCards(action({ dim: "bright" }), cards), /expects a number/);
+    assert.throws(() => buildFlowCards(action({ dim: 1, speed: 2 }), cards), /unknown argument "speed".*expected: dim/);
+    assert.throws(
+      () => buildFlowCards({ trigger: { id: "homey:manager:cron:time_exactly", args: { time: "7am" } } }, cards),
+      /expects a time like "07:30"/
+    );
+
+    const notify = args => ({ actions: [{ id: "homey:manager:notifications:create_notification", args }] });
+    assert.deepEqual(buildFlowCards(notify({ text: "Hi" }), cards).actions[0].args, { text: "Hi" });
+    assert.throws(() => buildFlowCards(notify({ text: "Hi", level: "panic" }), cards), /must be one of: info, warning/);
+  });
+
+  it("passes tokens through for any argument type", () => {
+    const flow = buildFlowCards({ actions: [{ id: "homey:device:lamp:dim", args: { dim: "[[homey:device:x|dim]]" } }] }, cards);
+    assert.equal(flow.actions[0].args.dim, "[[homey:device:x|dim]]");
+  });
+
+  it("requires at least one action", () => {
+    assert.throws(() => buildFlowCards({ actions: [] }, cards), /actions must be a non-empty array/);
+  });
+
+  it("finds the devices that actions act on", () => {
+    const flow = buildFlowCards({
+      actions: [{ id: "homey:device:lamp:on" }, { id: "homey:manager:notifications:create_notification", args: { text: "x" } }],
+    }, cards);
+    assert.deepEqual(actionDeviceIds(flow), ["lamp"]);
+  });
+
+  it("finds the devices that Advanced Flow actions act on", () => {
+    const flow = {
+      cards: {
+        a: { type: "trigger", id: "homey:device:sensor:alarm_motion_true" },
+        b: { type: "action", id: "homey:device:lamp:on" },
+        c: { type: "action", id: "homey:device:lamp:dim", args: { dim: 0.4 } },
+        d: { type: "note", value: "lamp" },
+      },
+    };
+    assert.deepEqual(actionDeviceIds(flow), ["lamp"]);
+  });
+
+  it("finds the capability a device card changes", () => {
+    const lock = { capabilities: ["locked", "measure_battery"] };
+    const thermostat = { capabilities: ["target_temperature", "measure_temperature"] };
+    assert.deepEqual(cardCapabilityIds("homey:device:lock:unlock", lock), ["locked"]);
+    assert.deepEqual(cardCapabilityIds("homey:device:thermostat:target_temperature_set", thermostat), ["target_temperature"]);
+    assert.deepEqual(cardCapabilityIds("homey:device:lock:open_door", lock), ["locked", "measure_battery"]);
+  });
+});
+
+describe("flow previews", () => {
+  const before = {
+    name: "Morning",
+    enabled: true,
+    folder: "f1",
+    trigger: { id: "homey:manager:cron:time_exactly", args: { time: "07:00" } },
+    conditions: [],
+    actions: [{ id: "homey:device:lamp:on", args: {}, group: "then" }],
+  };
+  const folders = { f1: { id: "f1", name: "Routines" } };
+
+  it("renders a flow as WHEN/AND/THEN lines", () => {
+    const lines = describeFlow({
+      ...before,
+      conditions: [{ id: "homey:device:tv:on", args: {}, inverted: true }],
+      actions: [...before.actions, { id: "homey:device:lamp:dim", args: { dim: 0.2 }, group: "else" }],
+    }, { cards, folders });
+    assert.deepEqual(lines, [
+      "Name: Morning",
+      "Enabled: yes",
+      "Folder: Routines",
+      'WHEN The time is (time: "07:00") [homey:manager:cron:time_exactly]',
+      "AND NOT Is turned on [homey:device:tv:on]",
+      "THEN Turn on [homey:device:lamp:on]",
+      "ELSE Dim (dim: 0.2) [homey:device:lamp:dim]",
+    ]);
+  });
+
+  it("diffs two renderings, leaving out unchanged lines", () => {
+    const after = { ...before, enabled: false, trigger: { ...before.trigger, args: { time: "06:45" } } };
+    assert.deepEqual(diffLines(describeFlow(before, { cards, folders }), describeFlow(after, { cards, folders })), [
+      "- Enabled: yes",
+      '- WHEN The time is (time: "07:00") [homey:manager:cron:time_exactly]',
+      "+ Enabled: no",
+      '+ WHEN The time is (time: "06:45") [homey:manager:cron:time_exactly]',
+    ]);
+    assert.deepEqual(diffLines(["a", "a", "b"], ["a", "b"]), ["- a"]);
+  });
+});
+
+describe("flow dependencies", () => {
+  const flows = {
+    morning: {
+      id: "morning",
+      name: "Morning",
+      enabled: true,
+      trigger: { id: "homey:device:motion:alarm_motion_true", args: {} },
+      conditions: [{ id: "homey:device:tv:on", args: {} }],
+      actions: [{ id: "homey:manager:notifications:create_notification", args: { text: "It is [[homey:device:lamp|dim]]" } }],
+    },
+  };
+  const advancedFlows = {
+    garden: {
+      id: "garden",
+      name: "Garden",
+      enabled: false,
+      broken: true,
+      cards: {
+        a: { type: "trigger", id: "homey:app:com.sun:sunset", args: {} },
+        b: { type: "action", id: "homey:device:lamp:on", args: {}, disabled: true },
+        c: { type: "action", id: "homey:device:gone:on", args: {} },
+        d: { type: "note", value: "just a note" },
+      },
+    },
+  };
+  const tagged = tagFlows(flows, advancedFlows);
+
+  it("finds flows that trigger on, check, act on or read a device", () => {
+    const usage = findFlowUsage(tagged, ["lamp", "tv", "fridge"]);
+    assert.deepEqual(usage.get("lamp").map(u => [u.flow.id, u.advanced, u.uses.map(x => x.role)]), [
+      ["morning", false, ["token"]],
+      ["garden", true, ["action"]],
+    ]);
+    assert.deepEqual(usage.get("tv")[0].uses.map(x => x.role), ["condition"]);
+    assert.deepEqual(usage.get("fridge"), []);
+  });
+
+  it("audits references to deleted devices, missing apps and disabled cards", () => {
+    const findings = auditFlows(tagged, {
+      devices: { lamp: {}, tv: {} },
+      apps: {},
+      cards: [{ id: "homey:device:tv:on" }, { id: "homey:device:lamp:on" }, { id: "homey:manager:notifications:create_notification" }],
+    });
+    assert.deepEqual(findings.map(f => [f.flow.id, f.problems]), [
+      ["morning", ["[trigger] homey:device:motion:alarm_motion_true: device \"motion\" no longer exists"]],
+      ["garden", [
+        "Homey marks this flow as broken",
+        "[trigger] homey:app:com.sun:sunset: app \"com.sun\" is not installed",
+        "[action] homey:device:lamp:on: card is disabled",
+        "[action] homey:device:gone:on: device \"gone\" no longer exists",
+      ]],
+    ]);
+    assert.match(formatFlowAudit(findings, 2), /^🩺 Flow audit: 5 problems in 2 of 2 flows\n\nMorning \[ID: morning\] \(flow, enabled\):/);
+  });
+
+  it("reports disabled apps and a clean bill of health", () => {
+    const healthy = tagFlows({}, { x: { id: "x", name: "X", cards: { a: { type: "action", id: "homey:app:com.sun:dim", args: {} } } } });
+    const cards = [{ id: "homey:app:com.sun:dim" }];
+    const [finding] = auditFlows(healthy, { devices: {}, apps: { "com.sun": { name: "Sun", enabled: false } }, cards });
+    assert.deepEqual(finding.problems, ["[action] homey:app:com.sun:dim: app \"Sun\" is disabled"]);
+    assert.deepEqual(auditFlows(healthy, { devices: {}, apps: { "com.sun": { name: "Sun", enabled: true } }, cards }), []);
+    assert.equal(formatFlowAudit([], 1), "✅ Flow audit: no problems found in 1 flows.");
+  });
+});
+
+describe("flow dependency tools (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient();
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("homey_get_flow_usage lists the flows that use a device", async () => {
+    const { isError, text } = await callTool(client, "homey_get_flow_usage", { deviceName: "Floor Lamp" });
+    assert.equal(isError, false);
+    assert.match(text, /^🔗 Floor Lamp \(Living Room\) is used by 2 flows:/);
+    assert.match(text, /- Good Night \[ID: flow-good-night\] \(flow, enabled\): acts on it \(Turn off\)/);
+    assert.match(text, /- Evening Lights \[ID: adv-evening-lights\] \(Advanced Flow, enabled\): acts on it \(Dim\)/);
+  });
+
+  it("homey_get_flow_usage covers every device in a zone", async () => {
+    const { text } = await callTool(client, "homey_get_flow_usage", { zone: "Hallway" });
+    assert.match(text, /^🔗 Hallway Motion \(Hallway\) is used by 1 flow:\n- Hallway Motion Alert .*\(flow, disabled\): triggers on it \(The motion alarm turned on\)/);
+    assert.match(text, /🔗 Front Door Lock \(Hallway\) is used by 1 flow:\n- Good Night .*: acts on it \(Lock\)/);
+  });
+
+  it("homey_get_flow_usage needs a device or zone", async () => {
+    const { isError, text } = await callTool(client, "homey_get_flow_usage");
+    assert.equal(isError, true);
+    assert.match(text, /Provide a device \(deviceId or deviceName\) or a zone/);
+  });
+
+  it("homey_audit_flows reports broken references", async () => {
+    const { text } = await callTool(client, "homey_audit_flows");
+    assert.match(text, /^🩺 Flow audit: 5 problems in 1 of 6 flows/);
+    assert.match(text, /Garden Lights \[ID: adv-garden-lights\] \(Advanced Flow, enabled\):\n- Homey marks this flow as broken\n/);
+    assert.match(text, /- \[trigger\] homey:app:net.sunsetalarm:sunset: app "net.sunsetalarm" is not installed/);
+    assert.match(text, /- \[action\] homey:device:light-garden-path:on: device "light-garden-path" no longer exists/);
+    assert.match(text, /- \[action\] homey:device:light-kitchen:on: card is disabled/);
+    assert.match(text, /uses a token of device "sensor-garden-climate", which no longer exists/);
+  });
+
+  it("homey_get_device_flow_capabilities only lists the device's own cards", async () => {
+    const { text } = await callTool(client, "homey_get_device_flow_capabilities", { deviceName: "Floor Lamp" });
+    assert.match(text, /homey:device:light-living-floor:dim: Dim/);
+    assert.doesNotMatch(text, /light-kitchen|notifications/);
+  });
+});
+
+describe("flow authoring tools (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient();
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  const motionFlow = {
+    name: "Hall Night Light",
+    folder: "Security",
+    trigger: { id: "homey:device:sensor-hall-motion:alarm_motion_true" },
+    conditions: [{ id: "homey:device:tv-living:on", inverted: true }],
+    actions: [{ id: "homey:device:light-living-floor:dim", args: { dim: 0.2 } }],
+  };
+
+  it("homey_create_flow previews without creating on dryRun", async () => {
+    const { isError, text } = await callTool(client, "homey_create_flow", { ...motionFlow, dryRun: true });
+    assert.equal(isError, false);
+    assert.match(text, /Dry run: would create flow "Hall Night Light":\nName: Hall Night Light\nEnabled: yes\nFolder: Security\n/);
+    assert.match(text, /WHEN The motion alarm turned on \[homey:device:sensor-hall-motion:alarm_motion_true\]/);
+    assert.match(text, /AND NOT Is turned on/);
+    assert.match(text, /THEN Dim \(dim: 0.2\)/);
+
+    const list = await callTool(client, "homey_list_flows");
+    assert.doesNotMatch(list.text, /Hall Night Light/);
+  });
+
+  it("homey_create_flow rejects invalid cards before writing", async () => {
+    const { isError, text } = await callTool(client, "homey_create_flow", {
+      ...motionFlow,
+      actions: [{ id: "homey:device:thermostat-bedroom:target_temperature_set", args: { target_temperature: 40 } }],
+    });
+    assert.equal(isError, true);
+    assert.match(text, /actions\[0\]\.args\.target_temperature must be between 5 and 30, got 40/);
+  });
+
+  it("creates, updates, moves, disables and deletes a flow", async () => {
+    const created = await callTool(client, "homey_create_flow", motionFlow);
+    assert.equal(created.isError, false);
+    const id = /Created flow "Hall Night Light" \[ID: ([^\]]+)\]/.exec(created.text)[1];
+
+    const update = await callTool(client, "homey_update_flow", {
+      name: "Hall Night Light",
+      newName: "Hall Night Light (dim)",
+      actions: [{ id: "homey:device:light-living-floor:dim", args: { dim: 0.1 } }],
+    });
+    assert.match(update.text, /Updated flow "Hall Night Light \(dim\)"/);
+    assert.match(update.text, /- Name: Hall Night Light\n/);
+    assert.match(update.text, /\+ THEN Dim \(dim: 0.1\)/);
+    assert.doesNotMatch(update.text, /WHEN/);
+
+    const move = await callTool(client, "homey_move_flow", { id, folder: "Routines" });
+    assert.match(move.text, /- Folder: Security\n\+ Folder: Routines/);
+
+    const disable = await callTool(client, "homey_set_flow_enabled", { id, enabled: false });
+    assert.match(disable.text, /\+ Enabled: no/);
+    assert.match((await callTool(client, "homey_set_flow_enabled", { id, enabled: false })).text, /No changes/);
+
+    const flow = JSON.parse((await callTool(client, "homey_get_flow", { id })).text);
+    assert.equal(flow.name, "Hall Night Light (dim)");
+    assert.equal(flow.folder, "folder-routines");
+    assert.equal(flow.enabled, false);
+    assert.equal(flow.trigger.id, "homey:device:sensor-hall-motion:alarm_motion_true");
+    assert.deepEqual(flow.actions, [{ id: "homey:device:light-living-floor:dim", args: { dim: 0.1 }, group: "then" }]);
+
+    const deleted = await callTool(client, "homey_delete_flow", { id });
+    assert.match(deleted.text, /Deleted flow "Hall Night Light \(dim\)"/);
+    assert.match(deleted.text, /- THEN Dim/);
+    assert.match((await callTool(client, "homey_get_flow", { id })).text, /No flow found/);
+  });
+
+  it("homey_update_flow dry-runs and needs something to change", async () => {
+    const dry = await callTool(client, "homey_update_flow", { id: "flow-good-morning", enabled: false, dryRun: true });
+    assert.match(dry.text, /Dry run: would update flow "Good Morning" \[ID: flow-good-morning\]:\n- Enabled: yes\n\+ Enabled: no/);
+    assert.equal(JSON.parse((await callTool(client, "homey_get_flow", { id: "flow-good-morning" })).text).enabled, true);
+
+    const nothing = await callTool(client, "homey_update_flow", { id: "flow-good-morning" });
+    assert.equal(nothing.isError, true);
+    assert.match(nothing.text, /Nothing to update/);
+  });
+
+  it("toggles and moves Advanced Flows", async () => {
+    const { text } = await callTool(client, "homey_set_flow_enabled", { id: "adv-heating", advanced: true, enabled: false, dryRun: true });
+    assert.match(text, /would update Advanced Flow "Heating Schedule"/);
+
+    const move = await callTool(client, "homey_move_flow", { name: "Evening Lights", advanced: true, folder: null, dryRun: true });
+    assert.match(move.text, /- Folder: Routines\n\+ Folder: \(none\)/);
+    assert.match((await callTool(client, "homey_move_flow", { id: "adv-heating", advanced: true, folder: "" })).text, /No changes/);
+  });
+
+  it("homey_create_flow_folder creates nested folders and refuses duplicates", async () => {
+    const created = await callTool(client, "homey_create_flow_folder", { name: "Holidays", parent: "Routines" });
+    assert.match(created.text, /Created flow folder "Holidays" inside Routines/);
+
+    const duplicate = await callTool(client, "homey_create_flow_folder", { name: "holidays", parent: "folder-routines" });
+    assert.equal(duplicate.isError, true);
+    assert.match(duplicate.text, /already exists/);
+
+    const folders = await callTool(client, "homey_get_flow_folders");
+    assert.match(folders.text, /- Holidays \[ID: /);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { checkDeviceHealth, deviceHealthReport, formatHealthReport } from "../lib/health.js";
+import { startClient, callTool } from "./helpers.js";
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.parse("2026-10-16T12:00:00Z");
+const hoursAgo = hours => new Date(now - hours * HOUR).toISOString();
+
+const zones = {
+  home: { id: "home", name: "Home", parent: null },
+  hall: { id: "hall", name: "Hallway", parent: "home" },
+};
+
+function sensor(id, name, capabilitiesObj, extra = {}) {
+  return {
+    id,
+    name,
+    zone: "hall",
+    class: "sensor",
+    driverId: "homey:app:com.aqara:sensor",
+    available: true,
+    ready: true,
+    capabilities: Object.keys(capabilitiesObj),
+    capabilitiesObj,
+    ...extra,
+  };
+}
+
+const apps = { "com.aqara": { id: "com.aqara", name: "Aqara", enabled: true, state: "running" } };
+
+describe("device health", () => {
+  it("flags low batteries and values that stopped updating", () => {
+    const device = sensor("s", "Climate", {
+      measure_temperature: { value: 21, lastUpdated: hoursAgo(30) },
+      measure_humidity: { value: 45, lastUpdated: hoursAgo(2) },
+      measure_battery: { value: 15, lastUpdated: hoursAgo(500) },
+    });
+    const issues = checkDeviceHealth(device, apps, { now });
+    assert.deepEqual(issues.map(i => [i.type, i.capabilityId]), [["low_battery", "measure_battery"], ["stale", "measure_temperature"]]);
+    assert.match(issues[1].detail, /^measure_temperature last updated 30 hours ago/);
+
+    // Per-class thresholds win over staleHours
+    assert.deepEqual(checkDeviceHealth(device, apps, { now, batteryThreshold: 10, staleHoursByClass: { sensor: 48 } }), []);
+    assert.equal(checkDeviceHealth(device, apps, { now, batteryThreshold: 10, staleHours: 1 }).length, 2);
+  });
+
+  it("points unavailable devices at a crashed app", () => {
+    const device = sensor("s", "Door", {}, { available: false, unavailableMessage: "Device is unreachable" });
+    assert.deepEqual(checkDeviceHealth(device, apps, { now }), [{
+      type: "unavailable",
+      capabilityId: null,
+      detail: "Device is unreachable",
+      suggestion: "Check that it has power and is in range; re-pair it if it stays unavailable",
+    }]);
+    const crashed = { "com.aqara": { ...apps["com.aqara"], crashed: true, state: "crashed" } };
+    assert.equal(checkDeviceHealth(device, crashed, { now })[0].suggestion, "Aqara is not running; restart it with homey_restart_app");
+
+    const starting = checkDeviceHealth({ ...device, available: true, ready: false }, apps, { now });
+    assert.deepEqual(starting.map(i => [i.type, i.suggestion]), [["not_ready", "Wait a few minutes, then restart Aqara with homey_restart_app"]]);
+  });
+
+  it("groups devices with issues by zone", () => {
+    const devices = {
+      a: sensor("a", "Motion", { alarm_battery: { value: true } }),
+      b: sensor("b", "Fine", { measure_temperature: { value: 20, lastUpdated: hoursAgo(1) } }),
+    };
+    const report = deviceHealthReport(devices, zones, apps, { now });
+    assert.deepEqual(report.counts, { unavailable: 0, not_ready: 0, low_battery: 1, stale: 0 });
+    assert.deepEqual([report.checkedDevices, report.healthyDevices], [2, 1]);
+    assert.deepEqual(report.zones.map(z => [z.path, z.devices.map(d => d.id)]), [["Home / Hallway", ["a"]]]);
+    assert.equal(formatHealthReport(report), [
+      "🩺 Device health: 1 of 2 devices need attention (0 unavailable, 0 not ready, 1 low battery, 0 stale)",
+      "",
+      "📍 Home / Hallway",
+      "- Motion (sensor) [ID: a]",
+      "  🔋 low battery: battery alarm on",
+      "    → Replace or recharge the battery",
+    ].join("\n"));
+    assert.equal(formatHealthReport(deviceHealthReport({ b: devices.b }, zones, apps, { now })), "🩺 Device health: all 1 devices look healthy.");
+  });
+});
+
+describe("device health tool (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient();
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("reports unavailable devices and low batteries across the home", async () => {
+    // A threshold far in the future keeps the fixture's timestamps from counting as stale
+    const { text, structured } = await callTool(client, "homey_device_health", { staleHours: 1e6 });
+    assert.equal(structured.checkedDevices, 12);
+    assert.deepEqual(structured.counts, { unavailable: 1, not_ready: 0, low_battery: 1, stale: 0 });
+    assert.deepEqual(structured.zones.flatMap(z => z.devices.map(d => d.id)), ["light-garden", "sensor-hall-motion"]);
+    assert.match(text, /- Garden Spot \(light\) \[ID: light-garden\]\n  ❌ unavailable: Device is unreachable\n    → IKEA TRÅDFRI is not running; restart it with homey_restart_app/);
+    assert.match(text, /🔋 low battery: 8%, battery alarm on/);
+  });
+
+  it("uses per-class stale thresholds", async () => {
+    const { structured } = await callTool(client, "homey_device_health", { zone: "Living Room", staleHours: 1e6, staleHoursByClass: { socket: 1 } });
+    const stale = structured.zones.flatMap(z => z.devices).filter(d => d.issues.some(i => i.type === "stale"));
+    assert.deepEqual(stale.map(d => [d.id, d.issues.map(i => i.capabilityId)]), [["socket-tv", ["measure_power", "meter_power"]]]);
+  });
+});
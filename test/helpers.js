@@ -0,0 +1,52 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Stores in a fresh temp directory, so tests never touch the scenes.json, audit.jsonl or
+// schedule.json in the repo
+function tempFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "homey-mcp-")), name);
+}
+
+export const tempScenesFile = () => tempFile("scenes.json");
+export const tempAuditFile = () => tempFile("audit.jsonl");
+export const tempScheduleFile = () => tempFile("schedule.json");
+
+// Spawns index.js against the fixture-backed mock Homey and returns a connected MCP client
+export async function startClient(env = {}) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(ROOT, "index.js")],
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      HOMEY_MOCK: "fixtures/home.json",
+      HOMEY_SCENES_FILE: tempScenesFile(),
+      HOMEY_AUDIT_FILE: tempAuditFile(),
+      HOMEY_SCHEDULE_FILE: tempScheduleFile(),
+      ...env,
+    },
+    stderr: "ignore",
+  });
+
+  const client = new Client({ name: "homey-mcp-tests", version: "1.0.0" }, { capabilities: {} });
+  await client.connect(transport);
+  // Listing the tools makes client.callTool validate structuredContent against each outputSchema
+  await client.listTools();
+  return client;
+}
+
+export async function callTool(client, name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  return {
+    isError: Boolean(result.isError),
+    text: result.content.map(c => c.text).join("\n"),
+    structured: result.structuredContent,
+    result,
+  };
+}
@@ -0,0 +1,153 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { normalizeHubsConfig, hubsFromEnv, HubRegistry } from "../lib/hubs.js";
+import { startClient, callTool } from "./helpers.js";
+
+const config = {
+  default: "home",
+  homeys: [
+    { id: "home", name: "Home", mock: "fixtures/home.json" },
+    { id: "holiday", name: "Holiday House", mock: "fixtures/holiday.json" },
+  ],
+};
+
+describe("Homey config", () => {
+  it("normalizes local, cloud and mock hubs", () => {
+    const { hubs, defaultId } = normalizeHubsConfig({
+      homeys: [
+        { id: "home", address: "192.168.1.50", token: "t" },
+        { id: "holiday", name: "Holiday", cloud: { homeyId: "abc", accessToken: "a" } },
+      ],
+    });
+    assert.equal(defaultId, "home");
+    assert.deepEqual(hubs.map(h => [h.id, h.name, h.mode, h.address]), [
+      ["home", "home", "local", "http://192.168.1.50"],
+      ["holiday", "Holiday", "cloud", null],
+    ]);
+  });
+
+  it("rejects incomplete or ambiguous entries", () => {
+    assert.throws(() => normalizeHubsConfig({ homeys: [] }), /Invalid Homey config: "homeys" must be a non-empty array/);
+    assert.throws(() => normalizeHubsConfig({ homeys: [{ id: "a", address: "1.2.3.4" }] }), /"a" needs a "token"/);
+    assert.throws(() => normalizeHubsConfig({ homeys: [{ id: "a", mock: "x", cloud: {} }] }), /exactly one of/);
+    assert.throws(() => normalizeHubsConfig({ homeys: [{ id: "a", cloud: { homeyId: "x" } }] }), /cloud "accessToken"/);
+    assert.throws(() => normalizeHubsConfig({ homeys: [{ id: "a", mock: "x" }, { id: "A", mock: "y" }] }), /duplicate id "A"/);
+    assert.throws(() => normalizeHubsConfig({ default: "b", homeys: [{ id: "a", mock: "x" }] }), /default "b"/);
+  });
+
+  it("builds a single hub from the environment", () => {
+    assert.equal(hubsFromEnv({ HOMEY_IP: "10.0.0.2", HOMEY_TOKEN: "t" }).hubs[0].mode, "local");
+    assert.equal(hubsFromEnv({ HOMEY_MOCK: "fixtures/home.json" }).hubs[0].mode, "mock");
+    const cloud = hubsFromEnv({ HOMEY_TOKEN: "t", HOMEY_ID: "abc" }).hubs[0];
+    assert.deepEqual([cloud.id, cloud.mode, cloud.cloud.homeyId], ["default", "cloud", "abc"]);
+  });
+
+  it("resolves hubs by ID or name and runs calls against the chosen one", async () => {
+    const registry = new HubRegistry(normalizeHubsConfig(config), { connect: async hub => ({ id: `homey-${hub.id}`, zones: { getZones: async () => hub.id } }) });
+    assert.equal(registry.resolve().id, "home");
+    assert.equal(registry.resolve("holiday house").id, "holiday");
+    assert.throws(() => registry.resolve("cabin"), /No Homey found matching "cabin". Configured: home, holiday\./);
+
+    assert.equal(await registry.homey.zones.getZones(), "home");
+    assert.equal(await registry.run("holiday", () => registry.homey.zones.getZones()), "holiday");
+    // Once connected, the Homey's own ID works too
+    assert.equal(registry.resolve("homey-holiday").id, "holiday");
+    await assert.rejects(registry.run("cabin", async () => registry.homey.zones.getZones()), /No Homey found matching "cabin"/);
+  });
+});
+
+describe("multiple Homeys (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "homey-mcp-hubs-")), "homeys.json");
+    fs.writeFileSync(file, JSON.stringify(config));
+    client = await startClient({ HOMEY_MOCK: "", HOMEY_CONFIG: file });
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("offers a homeyId argument on every tool", async () => {
+    const { tools } = await client.listTools();
+    for (const tool of tools.filter(t => t.name !== "homey_list_hubs")) {
+      assert.deepEqual(tool.inputSchema.properties.homeyId.enum, ["home", "holiday"], tool.name);
+    }
+  });
+
+  it("lists the configured hubs and their connectivity", async () => {
+    const { text, structured } = await callTool(client, "homey_list_hubs");
+    assert.match(text, /⭐ Home \[ID: home\]\n   🟢 Connected to Mock Homey Pro \(version 12\.4\.0\)/);
+    assert.match(text, /- Holiday House \[ID: holiday\]\n   🟢 Connected to Holiday House \(version 12\.2\.1\)/);
+    assert.deepEqual(structured.hubs.map(h => [h.id, h.default, h.connected]), [["home", true, true], ["holiday", false, true]]);
+  });
+
+  it("runs tools against the chosen Homey", async () => {
+    assert.equal((await callTool(client, "homey_list_devices")).structured.total, 12);
+    const holiday = await callTool(client, "homey_list_devices", { homeyId: "holiday" });
+    assert.deepEqual(holiday.structured.devices.map(d => d.id), ["cabin-heater", "cabin-lamp"]);
+
+    const set = await callTool(client, "homey_set_capability", { homeyId: "holiday", deviceName: "Cabin Heater", capabilityId: "target_temperature", value: 19 });
+    assert.equal(set.isError, false);
+    const heater = await callTool(client, "homey_get_device", { homeyId: "holiday", id: "cabin-heater" });
+    assert.equal(heater.structured.device.capabilities.target_temperature.value, 19);
+    assert.equal((await callTool(client, "homey_get_device", { id: "cabin-heater" })).structured.error.code, "not_found");
+
+    const status = await callTool(client, "homey_status", { homeyId: "holiday" });
+    assert.deepEqual(status.structured.hub, { id: "holiday", name: "Holiday House" });
+  });
+
+  it("keeps each Homey's scenes apart", async () => {
+    await callTool(client, "homey_save_scene", { homeyId: "holiday", name: "Away", deviceIds: ["cabin-lamp"] });
+    await callTool(client, "homey_save_scene", { name: "Away", deviceIds: ["light-kitchen"] });
+
+    const home = await callTool(client, "homey_list_scenes", { name: "away" });
+    assert.deepEqual([home.structured.scenes[0].homeyId, home.structured.scenes[0].devices.map(d => d.id)], ["home", ["light-kitchen"]]);
+    const holiday = await callTool(client, "homey_apply_scene", { homeyId: "holiday", name: "Away", dryRun: true });
+    assert.deepEqual(holiday.structured.results.map(r => [r.device.id, r.status]), [["cabin-lamp", "unchanged"]]);
+
+    await callTool(client, "homey_delete_scene", { name: "Away" });
+    assert.deepEqual((await callTool(client, "homey_list_scenes")).structured.scenes, []);
+    assert.deepEqual((await callTool(client, "homey_list_scenes", { homeyId: "holiday" })).structured.scenes.map(s => s.name), ["Away"]);
+  });
+
+  it("schedules actions on the Homey named in their arguments", async () => {
+    const { isError, text, structured } = await callTool(client, "homey_schedule_action", {
+      tool: "homey_set_capability",
+      arguments: { homeyId: "holiday", deviceName: "Cabin Heater", capabilityId: "target_temperature", value: 21 },
+      delay: "1h",
+    });
+    assert.equal(isError, false);
+    assert.match(text, /If it ran now:\n🧪 Dry run: would set target_temperature on Cabin Heater/);
+    assert.equal(structured.job.homeyId, "holiday");
+    assert.equal(structured.job.arguments.homeyId, "holiday");
+
+    // Without one it's the Homey the call itself is for
+    const outer = await callTool(client, "homey_schedule_action", {
+      homeyId: "holiday",
+      tool: "homey_set_capability",
+      arguments: { deviceName: "Cabin Lamp", capabilityId: "onoff", value: true },
+      delay: "1h",
+      dryRun: true,
+    });
+    assert.equal(outer.structured.job.homeyId, "holiday");
+
+    const wrongHomey = await callTool(client, "homey_schedule_action", {
+      tool: "homey_set_capability",
+      arguments: { deviceName: "Cabin Heater", capabilityId: "target_temperature", value: 21 },
+      delay: "1h",
+    });
+    assert.equal(wrongHomey.structured.error.code, "not_found");
+  });
+
+  it("reports an unknown homeyId", async () => {
+    const { isError, structured } = await callTool(client, "homey_list_zones", { homeyId: "cabin" });
+    assert.equal(isError, true);
+    assert.equal(structured.error.code, "not_found");
+    assert.match(structured.error.message, /Configured: home, holiday/);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeResolution, resolveTimeRange, findLog, toPoints, bucketize, summarize, formatDuration, formatSeries } from "../lib/insights.js";
+
+const HOUR = 60 * 60 * 1000;
+
+describe("insights", () => {
+  it("normalizes resolutions and picks one for custom ranges", () => {
+    assert.equal(normalizeResolution("last31days"), "last31Days");
+    assert.throws(() => normalizeResolution("forever"), /Unknown resolution "forever"/);
+
+    const now = Date.parse("2026-01-15T12:00:00Z");
+    assert.equal(resolveTimeRange({}, now).resolution, "last24Hours");
+    assert.equal(resolveTimeRange({ from: "2026-01-15T08:00:00Z" }, now).resolution, "last6Hours");
+    assert.equal(resolveTimeRange({ from: "2026-01-10T00:00:00Z" }, now).resolution, "last7Days");
+    assert.equal(resolveTimeRange({ from: "2026-01-10T00:00:00Z", resolution: "lastYear" }, now).resolution, "lastYear");
+    assert.throws(() => resolveTimeRange({ from: "2026-01-15T00:00:00Z", to: "2026-01-14T00:00:00Z" }), /from must be before to/);
+  });
+
+  it("finds logs by device and capability", () => {
+    const logs = {
+      a: { id: "a", ownerUri: "homey:device:lamp", ownerId: "onoff" },
+      b: { id: "b", ownerUri: "homey:device:lamp", ownerId: "measure_power" },
+    };
+    const lamp = { id: "lamp", name: "Lamp" };
+    assert.equal(findLog(logs, { device: lamp, capabilityId: "measure_power" }).id, "b");
+    assert.equal(findLog(logs, { logId: "a" }).id, "a");
+    assert.throws(() => findLog(logs, { device: lamp, capabilityId: "dim" }), /Lamp has no insights log for dim \(available: onoff, measure_power\)/);
+    assert.throws(() => findLog(logs, {}), /Provide a logId/);
+  });
+
+  it("filters entries to a range and converts booleans", () => {
+    const entries = {
+      values: [
+        { t: "2026-01-15T02:00:00Z", v: true },
+        { t: "2026-01-15T01:00:00Z", v: false },
+        { t: "2026-01-15T03:00:00Z", v: null },
+        { t: "2026-01-15T05:00:00Z", v: true },
+      ],
+    };
+    const points = toPoints(entries, { end: Date.parse("2026-01-15T04:00:00Z") });
+    assert.deepEqual(points.map(p => p.v), [0, 1]);
+  });
+
+  it("buckets points on a fixed axis", () => {
+    const start = 0;
+    const points = [0, 1, 2, 5].map((h, i) => ({ t: h * HOUR, v: i * 10 }));
+    const buckets = bucketize(points, 3, start, 6 * HOUR);
+    assert.deepEqual(buckets.map(b => [b.count, b.avg, b.min, b.max]), [[2, 5, 0, 10], [1, 20, 20, 20], [1, 30, 30, 30]]);
+
+    const sparse = bucketize([{ t: 0, v: 1 }], 2, 0, 2 * HOUR);
+    assert.equal(sparse[1].avg, null);
+  });
+
+  it("summarises values and time above or below a threshold", () => {
+    const points = [
+      { t: 0, v: 10 },
+      { t: 2 * HOUR, v: 30 },
+      { t: 3 * HOUR, v: 10 },
+    ];
+    const summary = summarize(points, { threshold: 20, rangeEnd: 4 * HOUR });
+    assert.deepEqual(
+      { min: summary.min, max: summary.max, last: summary.last, above: summary.above, below: summary.below, total: summary.total },
+      { min: 10, max: 30, last: 10, above: HOUR, below: 3 * HOUR, total: 4 * HOUR }
+    );
+    assert.equal(summarize([]), null);
+  });
+
+  it("formats durations and series", () => {
+    assert.equal(formatDuration(45 * 60000), "45m");
+    assert.equal(formatDuration(25 * HOUR + 5 * 60000), "25h 5m");
+    assert.equal(formatDuration(50 * HOUR), "2d 2h");
+
+    const a = bucketize([{ t: 0, v: 1 }], 2, 0, 2 * HOUR);
+    const b = bucketize([{ t: 2 * HOUR, v: 2 }], 2, 0, 2 * HOUR);
+    assert.equal(formatSeries([{ label: "A", buckets: a }, { label: "B, kWh", buckets: b }], { format: "csv" }), [
+      'time,A,"B, kWh"',
+      "1970-01-01T00:00:00.000Z,1,",
+      "1970-01-01T01:00:00.000Z,,2",
+    ].join("\n"));
+    assert.equal(formatSeries([{ label: "A", buckets: a }]), [
+      "| time | avg | min | max |",
+      "| --- | --- | --- | --- |",
+      "| 1970-01-01T00:00:00.000Z | 1 | 1 | 1 |",
+    ].join("\n"));
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { paginate, pickFields, pageSummary, MAX_PAGE_SIZE } from "../lib/listing.js";
+import { startClient, callTool } from "./helpers.js";
+
+const items = ["Delta", "alpha", "Charlie", "bravo", "Echo"].map((name, i) => ({ id: `item-${i}`, name }));
+
+describe("listing helpers", () => {
+  it("pages through items sorted by name", () => {
+    const first = paginate(items, { limit: 2 });
+    assert.deepEqual(first.items.map(i => i.name), ["alpha", "bravo"]);
+    assert.equal(first.total, 5);
+    assert.equal(first.offset, 0);
+
+    const second = paginate(items, { limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.items.map(i => i.name), ["Charlie", "Delta"]);
+    assert.equal(second.offset, 2);
+
+    const last = paginate(items, { limit: 2, cursor: second.nextCursor });
+    assert.deepEqual(last.items.map(i => i.name), ["Echo"]);
+    assert.equal(last.nextCursor, null);
+  });
+
+  it("keeps the position when items change between pages", () => {
+    const first = paginate(items, { limit: 2 });
+    const changed = [{ id: "item-new", name: "Aardvark" }, ...items.filter(i => i.name !== "Charlie")];
+    assert.deepEqual(paginate(changed, { limit: 2, cursor: first.nextCursor }).items.map(i => i.name), ["Delta", "Echo"]);
+  });
+
+  it("clamps the page size and rejects unknown cursors", () => {
+    const many = Array.from({ length: MAX_PAGE_SIZE + 5 }, (_, i) => ({ id: String(i), name: `n${i}` }));
+    assert.equal(paginate(many, { limit: 1000 }).items.length, MAX_PAGE_SIZE);
+    assert.equal(paginate(many, { limit: 0 }).items.length, 50);
+    assert.throws(() => paginate(items, { cursor: "not-a-cursor" }), /Invalid cursor "not-a-cursor"/);
+  });
+
+  it("picks fields, always keeping the ID", () => {
+    assert.deepEqual(pickFields([{ id: "a", name: "A", class: "light" }], ["name"], ["id", "name", "class"]), [{ id: "a", name: "A" }]);
+    assert.throws(() => pickFields([], ["colour"], ["id", "name"]), /Unknown field "colour". Available: id, name\./);
+  });
+
+  it("summarizes the page", () => {
+    assert.equal(pageSummary(paginate(items)), "Showing 1–5 of 5.");
+    assert.match(pageSummary(paginate(items, { limit: 2 })), /^Showing 1–2 of 5\. More: call again with cursor "[\w-]+"\.$/);
+  });
+});
+
+describe("list tools (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient();
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("filters devices and shows compact states by default", async () => {
+    const { text, structured } = await callTool(client, "homey_list_devices", { zone: "Living Room", deviceClass: "light" });
+    assert.match(text, /^Total Devices: 2/);
+    assert.match(text, /Ceiling Lamp \(light\)\n   ID: light-living-ceiling\n   State: onoff: \w+, dim: [\d.]+ \(\d+%\)/);
+    assert.deepEqual(structured.devices.map(d => d.id), ["light-living-ceiling", "light-living-floor"]);
+    assert.deepEqual(Object.keys(structured.devices[0].capabilities.dim), ["units", "value"]);
+
+    const full = await callTool(client, "homey_list_devices", { namePattern: "ceiling", detail: "full" });
+    assert.match(full.text, /State: \{"onoff":/);
+    assert.equal(full.structured.devices[0].capabilities.dim.setable, true);
+
+    const metered = await callTool(client, "homey_list_devices", { capabilityId: "measure_power" });
+    assert.deepEqual(metered.structured.devices.map(d => d.id), ["socket-tv"]);
+  });
+
+  it("pages through devices with a cursor and selects fields", async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const { structured } = await callTool(client, "homey_list_devices", { limit: 5, cursor, fields: ["name"] });
+      assert.equal(structured.total, 12);
+      assert.ok(structured.devices.every(d => Object.keys(d).join() === "id,name"));
+      seen.push(...structured.devices.map(d => d.name));
+      cursor = structured.nextCursor;
+    } while (cursor);
+    assert.equal(seen.length, 12);
+    assert.deepEqual(seen, [...seen].sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase())));
+  });
+
+  it("filters sensor readings", async () => {
+    const { text, structured } = await callTool(client, "homey_get_sensor_readings", { zone: "Hallway" });
+    assert.match(text, /Hallway Motion \(Hallway\)/);
+    assert.doesNotMatch(text, /Living Room Climate/);
+    assert.equal(structured.total, 3);
+  });
+
+  it("filters flows by state and folder and shows their cards in full", async () => {
+    const disabled = await callTool(client, "homey_list_flows", { enabled: false });
+    assert.deepEqual(disabled.structured.flows.map(f => f.id), ["flow-hall-motion"]);
+
+    const routines = await callTool(client, "homey_list_flows", { folder: "Routines", detail: "full" });
+    assert.match(routines.text, /- Good Night \[ID: flow-good-night\] \(Enabled\)\n  Folder: Routines\n  WHEN /);
+    assert.ok(routines.structured.flows.every(f => f.folder === "folder-routines" && Array.isArray(f.actions)));
+
+    const advanced = await callTool(client, "homey_list_advanced_flows", { namePattern: "heat*", detail: "full" });
+    assert.match(advanced.text, /\[action\] homey:device:thermostat-bedroom:target_temperature_set/);
+    assert.equal(advanced.structured.flows[0].cards.length, 2);
+  });
+
+  it("pages through flow cards instead of truncating them", async () => {
+    const first = await callTool(client, "homey_get_flow_cards", { limit: 2 });
+    assert.equal(first.structured.cards.length, 2);
+    assert.ok(first.structured.total > 2);
+    assert.match(first.text, /More: call again with cursor/);
+
+    const next = await callTool(client, "homey_get_flow_cards", { limit: 2, cursor: first.structured.nextCursor });
+    assert.notDeepEqual(next.structured.cards.map(c => c.id), first.structured.cards.map(c => c.id));
+
+    const owned = await callTool(client, "homey_get_flow_cards", { ownerUri: "homey:manager:cron", detail: "full" });
+    assert.match(owned.text, /Args: time \(time\)/);
+    assert.deepEqual(owned.structured.cards[0].args, [{ name: "time", type: "time" }]);
+  });
+
+  it("rejects unknown fields and cursors", async () => {
+    const badField = await callTool(client, "homey_list_devices", { fields: ["colour"] });
+    assert.equal(badField.structured.error.code, "invalid_argument");
+    const badCursor = await callTool(client, "homey_list_flows", { cursor: "%%%" });
+    assert.equal(badCursor.structured.error.code, "invalid_argument");
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { coerceVariableValue, formatUser } from "../lib/logic.js";
+import { startClient, callTool } from "./helpers.js";
+
+describe("logic variables", () => {
+  const guestMode = { id: "a", name: "Guest mode", type: "boolean", value: false };
+  const temperature = { id: "b", name: "Night temperature", type: "number", value: 18 };
+  const houseMode = { id: "c", name: "House mode", type: "string", value: "home" };
+
+  it("checks values against the variable's type", () => {
+    assert.deepEqual(coerceVariableValue(guestMode, true), { value: true, notes: [] });
+    assert.deepEqual(coerceVariableValue(guestMode, "on"), { value: true, notes: ['converted "on" to true'] });
+    assert.deepEqual(coerceVariableValue(temperature, "19.5"), { value: 19.5, notes: ['converted "19.5" to 19.5'] });
+    assert.deepEqual(coerceVariableValue(houseMode, 3), { value: "3", notes: ['converted 3 to "3"'] });
+    assert.throws(() => coerceVariableValue(guestMode, "maybe"), /Variable "Guest mode" \(boolean\)/);
+    assert.throws(() => coerceVariableValue(temperature, "warm"), /Variable "Night temperature" \(number\)/);
+    assert.throws(() => coerceVariableValue(houseMode, null), /expects a string/);
+  });
+
+  it("formats users' presence", () => {
+    assert.equal(formatUser({ id: "u", name: "Alex", role: "owner", present: true, asleep: false }), "- Alex [ID: u] (owner): 🏠 home, ☀️ awake");
+    assert.equal(formatUser({ id: "u", name: "Sam", role: "user", present: null, asleep: true, enabled: false }), "- Sam [ID: u] (user): unknown, 😴 asleep, disabled");
+  });
+});
+
+describe("logic and presence tools (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient();
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("lists and filters variables", async () => {
+    const { text, structured } = await callTool(client, "homey_list_variables");
+    assert.deepEqual(structured.variables.map(v => v.name), ["Guest mode", "House mode", "Night temperature"]);
+    assert.match(text, /- Night temperature \[ID: var-night-temperature\] \(number\): 18/);
+
+    const numbers = await callTool(client, "homey_list_variables", { type: "number", fields: ["value"] });
+    assert.deepEqual(numbers.structured.variables, [{ id: "var-night-temperature", value: 18 }]);
+    const byName = await callTool(client, "homey_list_variables", { namePattern: "*mode" });
+    assert.equal(byName.structured.total, 2);
+  });
+
+  it("sets a variable by name after checking its type", async () => {
+    const preview = await callTool(client, "homey_set_variable", { name: "night temperature", value: "19", dryRun: true });
+    assert.match(preview.text, /^🧪 Dry run: would set variable Night temperature: 18 → 19\nNote: converted "19" to 19/);
+
+    const { text, structured } = await callTool(client, "homey_set_variable", { name: "night temperature", value: 19 });
+    assert.equal(text, "✅ Successfully set variable Night temperature: 18 → 19");
+    assert.deepEqual([structured.previous, structured.value], [18, 19]);
+    const { structured: read } = await callTool(client, "homey_get_variable", { id: "var-night-temperature" });
+    assert.equal(read.variable.value, 19);
+
+    const wrongType = await callTool(client, "homey_set_variable", { name: "Guest mode", value: "sometimes" });
+    assert.equal(wrongType.isError, true);
+    assert.match(wrongType.text, /Variable "Guest mode" \(boolean\)/);
+    const missing = await callTool(client, "homey_get_variable", { name: "Holiday" });
+    assert.equal(missing.structured.error.code, "not_found");
+  });
+
+  it("reads and sets users' presence", async () => {
+    const { text, structured } = await callTool(client, "homey_list_users");
+    assert.deepEqual(structured.users.map(u => [u.name, u.present]), [["Alex", true], ["Sam", false]]);
+    assert.match(text, /- Sam \[ID: user-sam\] \(user\): 🚶 away, ☀️ awake/);
+
+    const needsState = await callTool(client, "homey_set_user_state", { userName: "Sam" });
+    assert.match(needsState.text, /Provide present, asleep or both/);
+
+    const home = await callTool(client, "homey_set_user_state", { userName: "Sam", present: true, asleep: true });
+    assert.deepEqual(home.structured.previous, { present: false, asleep: false });
+    assert.match(home.text, /^✅ Updated Sam:\n- Sam \[ID: user-sam\] \(user\): 🏠 home, 😴 asleep$/);
+    const after = await callTool(client, "homey_list_users");
+    assert.deepEqual(after.structured.users[1], { id: "user-sam", name: "Sam", role: "user", present: true, asleep: true, enabled: true });
+  });
+});
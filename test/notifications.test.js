@@ -0,0 +1,80 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { notificationWindow, filterNotifications, matchesOwner } from "../lib/notifications.js";
+import { startClient, callTool } from "./helpers.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// Local time, so the day boundaries don't depend on the machine's time zone
+const noon = new Date(2026, 9, 16, 12, 0).getTime();
+
+describe("notification windows", () => {
+  it("reads since and until as timestamps, durations or days", () => {
+    assert.deepEqual(notificationWindow({}, noon), { start: noon - 24 * HOUR, end: noon });
+    assert.deepEqual(notificationWindow({ since: "2h" }, noon), { start: noon - 2 * HOUR, end: noon });
+    assert.deepEqual(notificationWindow({ since: "today" }, noon), { start: new Date(2026, 9, 16).getTime(), end: noon });
+    assert.deepEqual(notificationWindow({ since: "Yesterday" }, noon), { start: new Date(2026, 9, 15).getTime(), end: new Date(2026, 9, 16).getTime() });
+    assert.deepEqual(
+      notificationWindow({ since: "2026-10-15T00:00:00Z", until: "2026-10-15T12:00:00Z" }, noon),
+      { start: Date.parse("2026-10-15T00:00:00Z"), end: Date.parse("2026-10-15T12:00:00Z") },
+    );
+    assert.throws(() => notificationWindow({ since: "last week" }, noon), /Invalid since "last week"/);
+    assert.throws(() => notificationWindow({ since: "1h", until: "2020-01-01" }, noon), /since must be before until/);
+  });
+
+  it("filters by owner URI, app ID or name, newest first", () => {
+    const notifications = {
+      a: { id: "a", excerpt: "Low battery", ownerUri: "homey:app:com.nuki", ownerName: "Nuki", dateCreated: "2026-10-15T09:00:00.000Z" },
+      b: { id: "b", excerpt: "Done", ownerUri: "homey:manager:flow", ownerName: "Flow", dateCreated: "2026-10-15T10:00:00.000Z" },
+      c: { id: "c", excerpt: "Old", ownerUri: "homey:manager:flow", ownerName: "Flow", dateCreated: "2026-10-01T10:00:00.000Z" },
+    };
+    assert.ok(matchesOwner(notifications.a, "com.nuki"));
+    assert.ok(matchesOwner(notifications.a, "nuki"));
+    assert.ok(matchesOwner(notifications.b, "homey:manager:flow"));
+    assert.ok(!matchesOwner(notifications.b, "com.nuki"));
+
+    const window = { start: Date.parse("2026-10-15T00:00:00Z"), end: Date.parse("2026-10-16T00:00:00Z") };
+    assert.deepEqual(filterNotifications(notifications, window).map(n => n.id), ["b", "a"]);
+    assert.deepEqual(filterNotifications(notifications, { ...window, owner: "Flow" }).map(n => n.id), ["b"]);
+  });
+});
+
+describe("notification tools (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient();
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("lists notifications in a window, newest first", async () => {
+    const { text, structured } = await callTool(client, "homey_list_notifications", { since: "2026-10-14T00:00:00Z", until: "2026-10-16T00:00:00Z" });
+    assert.equal(structured.total, 3);
+    assert.deepEqual(structured.notifications.map(n => n.id), ["notif-washer", "notif-lock-battery", "notif-update"]);
+    assert.match(text, /^🔔 Timeline \(3 of 3, newest first, 2026-10-14T00:00:00\.000Z – 2026-10-16T00:00:00\.000Z\):\n- 2026-10-15T14:05:00\.000Z \[Flow\] The washing machine has finished/);
+
+    const nuki = await callTool(client, "homey_list_notifications", { since: "2026-10-14T00:00:00Z", owner: "com.nuki", limit: 1 });
+    assert.deepEqual(nuki.structured.notifications.map(n => n.excerpt), ["The battery of **Front Door Lock** is low"]);
+
+    const none = await callTool(client, "homey_list_notifications", { since: "2026-10-14T00:00:00Z", owner: "com.fibaro" });
+    assert.match(none.text, /^No notifications .+, from com\.fibaro\.$/);
+  });
+
+  it("posts a notification to the timeline", async () => {
+    const preview = await callTool(client, "homey_create_notification", { text: "Dry run note", dryRun: true });
+    assert.equal(preview.text, "🧪 Dry run: would post to the timeline: Dry run note");
+
+    const { text, structured } = await callTool(client, "homey_create_notification", { text: " The washing machine has finished " });
+    assert.equal(text, "🔔 Posted to the timeline: The washing machine has finished");
+    assert.deepEqual(structured, { dryRun: false, text: "The washing machine has finished" });
+
+    const recent = await callTool(client, "homey_list_notifications", { since: "1h" });
+    assert.deepEqual(recent.structured.notifications.map(n => [n.excerpt, n.ownerName]), [["The washing machine has finished", "Flow"]]);
+
+    const empty = await callTool(client, "homey_create_notification", { text: "  " });
+    assert.match(empty.text, /can't be empty/);
+  });
+});
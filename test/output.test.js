@@ -0,0 +1,150 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ToolError, errorCode, errorResult, outputSchema, serializeDevice, serializeZone, serializeFlow, serializeSummary } from "../lib/output.js";
+import { PolicyError } from "../lib/policy.js";
+import { startClient, callTool } from "./helpers.js";
+
+const zones = {
+  home: { id: "home", name: "Home", parent: null },
+  kitchen: { id: "kitchen", name: "Kitchen", parent: "home" },
+};
+
+describe("structured output helpers", () => {
+  it("classifies errors into codes", () => {
+    const homeyError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+    assert.equal(errorCode(new ToolError("not_connected", "x")), "not_connected");
+    assert.equal(errorCode(new PolicyError("device \"Lock\" is not allowed")), "access_denied");
+    assert.equal(errorCode(homeyError("Device Not Found: x", 404)), "not_found");
+    assert.equal(errorCode(new Error('No device found matching "lamp".')), "not_found");
+    assert.equal(errorCode(new Error('"lamp" matches 2 devices. Use an ID or be more specific:\n- A\n- B')), "ambiguous");
+    assert.equal(errorCode(homeyError("Flow Disabled: Night", 400)), "homey_error");
+    assert.equal(errorCode(new TypeError("Cannot read properties of undefined")), "internal_error");
+    assert.equal(errorCode(new Error("Provide a name for the flow.")), "invalid_argument");
+  });
+
+  it("builds error results with text and structured content", () => {
+    const error = Object.assign(new Error("Flow Disabled: Night"), { statusCode: 400 });
+    assert.deepEqual(errorResult(error), {
+      isError: true,
+      content: [{ type: "text", text: "Error: Flow Disabled: Night" }],
+      structuredContent: { error: { code: "homey_error", message: "Flow Disabled: Night", statusCode: 400 } },
+    });
+  });
+
+  it("admits either the success shape or an error in every output schema", () => {
+    const schema = outputSchema({ total: { type: "number" } });
+    assert.equal(schema.type, "object");
+    assert.deepEqual(schema.anyOf, [{ required: ["total"] }, { required: ["error"] }]);
+    assert.ok(schema.properties.error);
+  });
+
+  it("serializes devices with their zone and capability values", () => {
+    const device = {
+      id: "lamp",
+      name: "Lamp",
+      class: "light",
+      zone: "kitchen",
+      capabilitiesObj: {
+        onoff: { id: "onoff", type: "boolean", setable: true, value: true },
+        measure_power: { id: "measure_power", type: "number", units: "W", value: null },
+      },
+    };
+    assert.deepEqual(serializeDevice(device, zones), {
+      id: "lamp",
+      name: "Lamp",
+      class: "light",
+      zone: { id: "kitchen", name: "Kitchen" },
+      available: true,
+      capabilities: {
+        onoff: { type: "boolean", setable: true, value: true },
+        measure_power: { type: "number", units: "W", value: null },
+      },
+    });
+    assert.deepEqual(Object.keys(serializeDevice(device, {}, id => id.startsWith("measure_")).capabilities), ["measure_power"]);
+    assert.equal(serializeDevice(device, {}).zone, null);
+  });
+
+  it("serializes zones, flows and summaries", () => {
+    const devices = { a: { zone: "kitchen" }, b: { zone: "home" } };
+    assert.deepEqual(serializeZone(zones.home, zones, devices), {
+      id: "home", name: "Home", parent: null, path: "Home", deviceCount: 1, totalDeviceCount: 2,
+    });
+    assert.deepEqual(serializeFlow({ id: "f", name: "F", enabled: false }, { advanced: true }), {
+      id: "f", name: "F", type: "advancedFlow", enabled: false, folder: null,
+    });
+    const summary = serializeSummary({ count: 1, start: 0, end: 60000, min: 1, max: 1, avg: 1, last: 1 });
+    assert.equal(summary.start, "1970-01-01T00:00:00.000Z");
+    assert.equal(serializeSummary(null), null);
+  });
+});
+
+describe("structured tool output (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient();
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("declares an outputSchema for every tool", async () => {
+    const { tools } = await client.listTools();
+    for (const tool of tools) {
+      assert.equal(tool.outputSchema?.type, "object", `${tool.name} has no outputSchema`);
+    }
+  });
+
+  it("returns devices, zones and flows in a consistent shape", async () => {
+    const devices = await callTool(client, "homey_find_devices_by_zone", { zoneName: "Kitchen" });
+    assert.equal(devices.structured.zone.path, "Home / Ground Floor / Kitchen");
+    const lamp = devices.structured.devices.find(d => d.id === "light-kitchen");
+    assert.deepEqual(lamp.zone, { id: "zone-kitchen", name: "Kitchen" });
+    assert.equal(lamp.capabilities.dim.units, "%");
+
+    const flows = await callTool(client, "homey_list_advanced_flows");
+    assert.deepEqual(flows.structured.flows.find(f => f.id === "adv-heating"), {
+      id: "adv-heating", name: "Heating Schedule", type: "advancedFlow", enabled: true, folder: null,
+    });
+  });
+
+  it("reports write results and dry runs", async () => {
+    const { structured } = await callTool(client, "homey_set_capability", {
+      deviceId: "light-kitchen",
+      capabilityId: "dim",
+      value: "30%",
+      dryRun: true,
+    });
+    assert.equal(structured.dryRun, true);
+    assert.equal(structured.value, 0.3);
+    assert.deepEqual(structured.device, { id: "light-kitchen", name: "Kitchen Lamp", zone: { id: "zone-kitchen", name: "Kitchen" } });
+  });
+
+  it("returns insights summaries and buckets with ISO timestamps", async () => {
+    const { structured } = await callTool(client, "homey_get_device_insights", {
+      deviceName: "Living Room Climate",
+      capabilityId: "measure_temperature",
+      buckets: 4,
+    });
+    assert.equal(structured.log.capabilityId, "measure_temperature");
+    assert.equal(structured.log.units, "°C");
+    assert.match(structured.summary.start, /^\d{4}-\d{2}-\d{2}T/);
+    assert.equal(structured.buckets.length, 4);
+  });
+
+  it("returns error codes alongside the message", async () => {
+    const missing = await callTool(client, "homey_get_device", { id: "missing-device" });
+    assert.equal(missing.isError, true);
+    assert.equal(missing.structured.error.code, "not_found");
+
+    const invalid = await callTool(client, "homey_set_capability", { deviceId: "light-kitchen", capabilityId: "dim", value: "bright" });
+    assert.equal(invalid.structured.error.code, "invalid_argument");
+
+    const disabled = await callTool(client, "homey_run_flow", { id: "flow-hall-motion" });
+    assert.deepEqual(disabled.structured.error, { code: "homey_error", message: "Flow Disabled: Hallway Motion Alert", statusCode: 400 });
+
+    const unknown = await callTool(client, "homey_self_destruct");
+    assert.equal(unknown.structured.error.code, "unknown_tool");
+  });
+});
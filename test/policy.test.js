@@ -0,0 +1,242 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Policy, PolicyError } from "../lib/policy.js";
+import { startClient, callTool } from "./helpers.js";
+
+function writePolicy(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "homey-mcp-policy-"));
+  const file = path.join(dir, "policy.json");
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+const zones = {
+  home: { id: "home", name: "Home", parent: null },
+  floor: { id: "floor", name: "Ground Floor", parent: "home" },
+  hall: { id: "hall", name: "Hallway", parent: "floor" },
+};
+
+describe("Policy", () => {
+  it("allows everything by default", () => {
+    const policy = new Policy();
+    assert.equal(policy.checkDevice({ id: "d1", name: "Lamp", class: "light", zone: "hall" }, zones, "onoff"), null);
+    assert.ok(policy.isToolAllowed({ name: "homey_set_capability", annotations: { readOnlyHint: false } }));
+  });
+
+  it("hides write tools in read-only mode", () => {
+    const policy = new Policy({ readOnly: true });
+    const tools = [
+      { name: "homey_list_devices", annotations: { readOnlyHint: true } },
+      { name: "homey_set_capability", annotations: { readOnlyHint: false } },
+    ];
+    assert.deepEqual(policy.filterTools(tools).map(t => t.name), ["homey_list_devices"]);
+    assert.throws(() => policy.assertToolAllowed(tools[1]), PolicyError);
+  });
+
+  it("matches devices by ID or name, case-insensitively", () => {
+    const policy = new Policy({ devices: { deny: ["front door lock"] } });
+    const lock = { id: "lock-1", name: "Front Door Lock", class: "lock", zone: "hall" };
+    assert.match(policy.checkDevice(lock, zones), /device "Front Door Lock" is not allowed/);
+  });
+
+  it("applies allow lists and lets deny win", () => {
+    const policy = new Policy({ classes: { allow: ["light", "socket"], deny: ["socket"] } });
+    assert.equal(policy.checkDevice({ id: "a", name: "A", class: "light", zone: "hall" }, zones), null);
+    assert.ok(policy.checkDevice({ id: "b", name: "B", class: "socket", zone: "hall" }, zones));
+    assert.ok(policy.checkDevice({ id: "c", name: "C", class: "lock", zone: "hall" }, zones));
+  });
+
+  it("applies zone rules to child zones", () => {
+    const policy = new Policy({ zones: { deny: ["Ground Floor"] } });
+    assert.ok(policy.checkDevice({ id: "a", name: "A", class: "light", zone: "hall" }, zones));
+  });
+
+  it("checks capabilities and flows", () => {
+    const policy = new Policy({ capabilities: { deny: ["locked"] }, flows: { allow: ["flow-1"] } });
+    assert.match(policy.checkDevice({ id: "a", name: "A", class: "lock", zone: "hall" }, zones, "locked"), /capability "locked"/);
+    assert.doesNotThrow(() => policy.assertFlow({ id: "flow-1", name: "Morning" }));
+    assert.throws(() => policy.assertFlow({ id: "flow-2", name: "Night" }), /flow "Night" is not allowed/);
+  });
+
+  it("checks variables and users", () => {
+    const policy = new Policy({ variables: { deny: ["house mode"] }, users: { allow: ["user-sam"] } });
+    assert.doesNotThrow(() => policy.assertVariable({ id: "var-guest-mode", name: "Guest mode" }));
+    assert.throws(() => policy.assertVariable({ id: "var-house-mode", name: "House mode" }), /variable "House mode" is not allowed/);
+    assert.doesNotThrow(() => policy.assertUser({ id: "user-sam", name: "Sam" }));
+    assert.throws(() => policy.assertUser({ id: "user-alex", name: "Alex" }), /user "Alex" is not allowed/);
+  });
+
+  it("rejects malformed rules", () => {
+    assert.throws(() => new Policy({ devices: { deny: "lock" } }), /"devices.deny" must be an array/);
+  });
+});
+
+describe("access policy (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient({
+      HOMEY_POLICY: writePolicy({
+        tools: { deny: ["homey_run_flow_card_action"] },
+        devices: { deny: ["TV Socket", "Floor Lamp"] },
+        classes: { deny: ["lock"] },
+        capabilities: { deny: ["volume_set"] },
+        flows: { deny: ["Good Night"] },
+        variables: { deny: ["House mode"] },
+        users: { deny: ["Alex"] },
+      }),
+    });
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("hides denied tools from ListTools and rejects calls to them", async () => {
+    const { tools } = await client.listTools();
+    assert.ok(!tools.some(t => t.name === "homey_run_flow_card_action"));
+
+    const { isError, text } = await callTool(client, "homey_run_flow_card_action", { uri: "homey:device:light-kitchen", id: "on" });
+    assert.equal(isError, true);
+    assert.match(text, /Access denied by policy: tool homey_run_flow_card_action is not allowed/);
+  });
+
+  it("blocks denied device classes and capabilities", async () => {
+    const lock = await callTool(client, "homey_set_capability", { deviceId: "lock-front-door", capabilityId: "locked", value: false });
+    assert.equal(lock.isError, true);
+    assert.match(lock.text, /device class "lock"/);
+
+    const volume = await callTool(client, "homey_set_capability", { deviceId: "tv-living", capabilityId: "volume_set", value: 1 });
+    assert.match(volume.text, /capability "volume_set" is not allowed/);
+  });
+
+  it("blocks denied flows", async () => {
+    const { isError, text } = await callTool(client, "homey_run_flow", { id: "flow-good-night" });
+    assert.equal(isError, true);
+    assert.match(text, /flow "Good Night" is not allowed/);
+  });
+
+  it("blocks denied variables and users", async () => {
+    const variable = await callTool(client, "homey_set_variable", { name: "House mode", value: "away" });
+    assert.equal(variable.isError, true);
+    assert.match(variable.text, /variable "House mode" is not allowed/);
+    const allowed = await callTool(client, "homey_set_variable", { name: "Guest mode", value: true, dryRun: true });
+    assert.equal(allowed.isError, false);
+
+    const user = await callTool(client, "homey_set_user_state", { userName: "Alex", present: false });
+    assert.equal(user.isError, true);
+    assert.match(user.text, /user "Alex" is not allowed/);
+    const sam = await callTool(client, "homey_set_user_state", { userName: "Sam", asleep: true, dryRun: true });
+    assert.equal(sam.isError, false);
+  });
+
+  it("blocks flows that would act on denied devices or carry denied names", async () => {
+    const create = await callTool(client, "homey_create_flow", {
+      name: "Movie Mode",
+      trigger: { id: "homey:manager:cron:time_exactly", args: { time: "20:00" } },
+      actions: [{ id: "homey:device:light-living-floor:off" }],
+      dryRun: true,
+    });
+    assert.equal(create.isError, true);
+    assert.match(create.text, /device "Floor Lamp" is not allowed/);
+
+    const rename = await callTool(client, "homey_update_flow", { id: "flow-good-morning", newName: "Good Night", dryRun: true });
+    assert.match(rename.text, /flow "Good Night" is not allowed/);
+
+    // The flow keeps its actions, so even a rename needs permission for their devices
+    const restricted = await startClient({ HOMEY_POLICY: writePolicy({ devices: { deny: ["Kitchen Lamp"] } }) });
+    try {
+      const renameOther = await callTool(restricted, "homey_update_flow", { id: "flow-good-morning", newName: "Rise and Shine", dryRun: true });
+      assert.match(renameOther.text, /device "Kitchen Lamp" is not allowed/);
+      const run = await callTool(restricted, "homey_run_flow", { id: "flow-good-morning", dryRun: true });
+      assert.match(run.text, /device "Kitchen Lamp" is not allowed/);
+    } finally {
+      await restricted.close();
+    }
+
+    const remove = await callTool(client, "homey_delete_flow", { id: "flow-good-night" });
+    assert.match(remove.text, /flow "Good Night" is not allowed/);
+
+    // Advanced Flows keep their actions among their cards
+    const evening = await callTool(client, "homey_run_advanced_flow", { name: "Evening Lights", dryRun: true });
+    assert.match(evening.text, /device "Floor Lamp" is not allowed/);
+    assert.equal((await callTool(client, "homey_run_advanced_flow", { name: "Heating Schedule", dryRun: true })).isError, false);
+  });
+
+  it("checks flow card actions against their device, capability, app and arguments", async () => {
+    const restricted = await startClient({
+      HOMEY_POLICY: writePolicy({ devices: { deny: ["Floor Lamp"] }, capabilities: { deny: ["locked"] }, flows: { deny: ["Good Night"] } }),
+    });
+    const run = (uri, id, args) => callTool(restricted, "homey_run_flow_card_action", { uri, id, args, dryRun: true });
+    try {
+      assert.match((await run("homey:device:lock-front-door", "unlock")).text, /capability "locked" is not allowed/);
+      assert.equal((await run("homey:device:light-kitchen", "on")).isError, false);
+      assert.match((await run("homey:app:com.philips.hue.zigbee", "set_scene")).text, /device "Floor Lamp" is not allowed/);
+      assert.match((await run("homey:manager:logic", "toggle", { device: { id: "light-living-floor", name: "Floor Lamp" } })).text, /device "Floor Lamp" is not allowed/);
+      assert.match((await run("homey:manager:flow", "programmatic_trigger", { flow: { id: "flow-good-night" } })).text, /flow "Good Night" is not allowed/);
+      assert.equal((await run("homey:manager:notifications", "create_notification", { text: "Hi" })).isError, false);
+    } finally {
+      await restricted.close();
+    }
+  });
+
+  it("reports dry runs without changing state", async () => {
+    const { isError, text } = await callTool(client, "homey_set_capability", {
+      deviceId: "light-kitchen",
+      capabilityId: "dim",
+      value: 0.1,
+      dryRun: true,
+    });
+    assert.equal(isError, false);
+    assert.match(text, /Dry run: would set dim on Kitchen Lamp: 1 \(100%\) → 0.1 \(10%\)/);
+
+    const device = JSON.parse((await callTool(client, "homey_get_device", { id: "light-kitchen" })).text);
+    assert.equal(device.capabilitiesObj.dim.value, 1);
+  });
+
+  it("skips denied devices in zone light control", async () => {
+    const { text } = await callTool(client, "homey_control_lights_in_zone", { zoneName: "Living Room", on: false, dryRun: true });
+    assert.match(text, /Dry run: would turn off 1 lights in Living Room: Ceiling Lamp\n/);
+    assert.match(text, /\| Floor Lamp \| Living Room \| ⛔ skipped \| device "Floor Lamp" is not allowed \|/);
+  });
+
+  it("skips denied devices in bulk capability changes", async () => {
+    const { isError, text } = await callTool(client, "homey_bulk_set_capability", { zone: "Living Room", capabilityId: "onoff", value: false });
+    assert.equal(isError, false);
+    assert.match(text, /on 4 devices: 2 succeeded, 0 failed, 2 skipped/);
+    assert.match(text, /\| TV Socket \| Living Room \| ⛔ skipped \|/);
+
+    const socket = JSON.parse((await callTool(client, "homey_get_device", { id: "socket-tv" })).text);
+    assert.equal(socket.capabilitiesObj.onoff.value, true);
+  });
+
+  it("dry-runs flow triggers", async () => {
+    const { text } = await callTool(client, "homey_run_advanced_flow", { id: "adv-heating", dryRun: true });
+    assert.match(text, /Dry run: would trigger Advanced Flow: Heating Schedule/);
+  });
+});
+
+describe("read-only mode (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient({ HOMEY_POLICY: writePolicy({ readOnly: true }) });
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("exposes only read-only tools", async () => {
+    const { tools } = await client.listTools();
+    assert.ok(tools.length > 0);
+    assert.ok(tools.every(t => t.annotations.readOnlyHint === true));
+
+    const { isError, text } = await callTool(client, "homey_run_flow", { id: "flow-good-morning" });
+    assert.equal(isError, true);
+    assert.match(text, /not available in read-only mode/);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { resolveDevice, resolveZone, resolveFlow } from "../lib/resolve.js";
+
+const zones = {
+  home: { id: "home", name: "Home", parent: null },
+  kitchen: { id: "kitchen", name: "Kitchen", parent: "home" },
+  living: { id: "living", name: "Living Room", parent: "home" },
+};
+
+const devices = {
+  d1: { id: "d1", name: "Kitchen Lamp", zone: "kitchen" },
+  d2: { id: "d2", name: "Ceiling Lamp", zone: "living" },
+  d3: { id: "d3", name: "Floor Lamp", zone: "living" },
+  d4: { id: "d4", name: "Café Speaker", zone: "kitchen" },
+};
+
+describe("resolveDevice", () => {
+  it("prefers an exact ID", () => {
+    assert.equal(resolveDevice(devices, zones, { id: "d3" }).name, "Floor Lamp");
+  });
+
+  it("never matches an unknown ID by name", () => {
+    assert.throws(() => resolveDevice(devices, zones, { id: "kitchen lamp" }), /No device found matching "kitchen lamp"/);
+    assert.equal(resolveDevice(devices, zones, { id: "kitchen lamp", name: "kitchen lamp" }).id, "d1");
+  });
+
+  it("matches names case- and diacritic-insensitively", () => {
+    assert.equal(resolveDevice(devices, zones, { name: "cafe speaker" }).id, "d4");
+  });
+
+  it("uses the zone as context for multi-word names", () => {
+    assert.throws(() => resolveDevice(devices, zones, { name: "living room lamp" }), /matches 2 devices/);
+    assert.equal(resolveDevice(devices, zones, { name: "living room ceiling" }).id, "d2");
+  });
+
+  it("narrows by zone qualifier, including sub-zones", () => {
+    assert.equal(resolveDevice(devices, zones, { name: "lamp", zone: "Kitchen" }).id, "d1");
+    assert.throws(() => resolveDevice(devices, zones, { name: "lamp", zone: "Home" }), /matches 3 devices/);
+  });
+
+  it("tolerates small typos", () => {
+    assert.equal(resolveDevice(devices, zones, { name: "Celing Lamp" }).id, "d2");
+  });
+
+  it("reports ambiguity with candidates and misses clearly", () => {
+    assert.throws(() => resolveDevice(devices, zones, { name: "lamp" }), error => {
+      assert.match(error.message, /"lamp" matches 3 devices/);
+      assert.match(error.message, /- Floor Lamp \(Living Room\) \[ID: d3\]/);
+      return true;
+    });
+    assert.throws(() => resolveDevice(devices, zones, { name: "toaster" }), /No device found matching "toaster"/);
+    assert.throws(() => resolveDevice(devices, zones, {}), /Provide the ID or name of the device/);
+  });
+});
+
+describe("resolveZone and resolveFlow", () => {
+  it("resolves zones by partial name", () => {
+    assert.equal(resolveZone(zones, { name: "living" }).id, "living");
+  });
+
+  it("resolves flows by name", () => {
+    const flows = { f1: { id: "f1", name: "Good Morning" }, f2: { id: "f2", name: "Good Night" } };
+    assert.equal(resolveFlow(flows, { name: "night" }).id, "f2");
+    assert.throws(() => resolveFlow(flows, { name: "good" }), /matches 2 flows/);
+  });
+});
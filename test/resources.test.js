@@ -0,0 +1,101 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { summarizeHomeState } from "../lib/summary.js";
+import { startClient } from "./helpers.js";
+
+describe("home summary", () => {
+  it("groups devices that need attention and skips empty groups", () => {
+    const zones = { hall: { id: "hall", name: "Hall" } };
+    const devices = {
+      lamp: { id: "lamp", name: "Lamp", zone: "hall", capabilitiesObj: { onoff: { id: "onoff", value: true } } },
+      door: {
+        id: "door",
+        name: "Door",
+        zone: "hall",
+        capabilitiesObj: {
+          alarm_contact: { id: "alarm_contact", value: true },
+          measure_battery: { id: "measure_battery", value: 10 },
+        },
+      },
+      smoke: { id: "smoke", name: "Smoke", zone: "hall", capabilitiesObj: { alarm_smoke: { id: "alarm_smoke", value: true } } },
+    };
+    assert.equal(summarizeHomeState(devices, zones), [
+      "💡 Switched on:\n- Lamp (Hall)",
+      "🚪 Open:\n- Door (Hall)",
+      "🚨 Other active alarms:\n- Smoke (Hall): alarm_smoke",
+      "🔋 Low battery:\n- Door (Hall): 10%",
+    ].join("\n\n"));
+    assert.match(summarizeHomeState({}, zones), /Nothing noteworthy/);
+  });
+});
+
+describe("resources and prompts (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient();
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("lists devices, zones, flows and Advanced Flows", async () => {
+    const { resources } = await client.listResources();
+    const uris = resources.map(r => r.uri);
+    assert.ok(uris.includes("homey://devices/light-kitchen"));
+    assert.ok(uris.includes("homey://zones/zone-ground-floor"));
+    assert.ok(uris.includes("homey://flows/flow-good-night"));
+    assert.ok(uris.includes("homey://advanced-flows/adv-heating"));
+    assert.equal(resources.find(r => r.uri === "homey://zones/zone-kitchen").description, "Zone Home / Ground Floor / Kitchen");
+  });
+
+  it("reads zones with their sub-zones and devices", async () => {
+    const { contents } = await client.readResource({ uri: "homey://zones/zone-ground-floor" });
+    const zone = JSON.parse(contents[0].text);
+    assert.equal(zone.path, "Home / Ground Floor");
+    assert.deepEqual(zone.parent, { id: "zone-home", name: "Home" });
+    assert.deepEqual(zone.children.map(z => z.name).sort(), ["Hallway", "Kitchen", "Living Room"]);
+    assert.deepEqual(zone.devices, []);
+    assert.equal(zone.deviceCountIncludingSubZones, 9);
+  });
+
+  it("reads flows and Advanced Flows", async () => {
+    const flow = JSON.parse((await client.readResource({ uri: "homey://flows/flow-good-night" })).contents[0].text);
+    assert.equal(flow.name, "Good Night");
+
+    const advanced = JSON.parse((await client.readResource({ uri: "homey://advanced-flows/adv-heating" })).contents[0].text);
+    assert.equal(advanced.id, "adv-heating");
+
+    await assert.rejects(client.readResource({ uri: "homey://flows/nope" }), /Flow Not Found: nope/);
+    await assert.rejects(client.readResource({ uri: "homey://garage/door" }), /Unknown resource/);
+  });
+
+  it("only allows subscriptions on device resources", async () => {
+    await assert.rejects(client.subscribeResource({ uri: "homey://zones/zone-kitchen" }), /Only device resources support subscriptions/);
+  });
+
+  it("lists prompt templates", async () => {
+    const { prompts } = await client.listPrompts();
+    assert.deepEqual(prompts.map(p => p.name), ["morning_briefing", "leaving_home_checklist"]);
+  });
+
+  it("builds the morning briefing from sensor readings and device state", async () => {
+    const { messages } = await client.getPrompt({ name: "morning_briefing" });
+    const { text } = messages[0].content;
+    assert.match(text, /^Give me a short morning briefing/);
+    assert.match(text, /## Sensor readings \(the whole home\)\n[\s\S]*🌡️ Living Room Climate \(Living Room\): measure_temperature: 21.3 °C/);
+    assert.match(text, /🔋 Low battery:\n- Hallway Motion \(Hallway\): 8%\n\n/);
+    assert.match(text, /⚠️ Unavailable:\n- Garden Spot \(Garden\)/);
+  });
+
+  it("scopes the leaving home checklist to a zone", async () => {
+    const { messages } = await client.getPrompt({ name: "leaving_home_checklist", arguments: { zone: "Living Room" } });
+    const { text } = messages[0].content;
+    assert.match(text, /## Device state \(Living Room\)/);
+    assert.match(text, /💡 Switched on:\n- Ceiling Lamp \(Living Room\)\n- TV Socket \(Living Room\)\n- Television \(Living Room\)/);
+    assert.doesNotMatch(text, /Front Door Lock/);
+
+    await assert.rejects(client.getPrompt({ name: "movie_night" }), /Unknown prompt: movie_night/);
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { SceneStore, captureScene, applyScene, countSceneResults } from "../lib/scenes.js";
+import { Policy } from "../lib/policy.js";
+import { startClient, callTool, tempScenesFile } from "./helpers.js";
+
+const zones = {
+  home: { id: "home", name: "Home", parent: null },
+};
+
+function lamp(id, name, { onoff, dim }, calls = []) {
+  return {
+    id,
+    name,
+    zone: "home",
+    class: "light",
+    capabilities: ["onoff", "dim", "button.reset"],
+    capabilitiesObj: {
+      onoff: { id: "onoff", type: "boolean", setable: true, value: onoff },
+      dim: { id: "dim", type: "number", setable: true, min: 0, max: 1, units: "%", value: dim },
+      "button.reset": { id: "button.reset", type: "button", setable: true, value: null },
+      measure_power: { id: "measure_power", type: "number", setable: false, value: 12 },
+    },
+    async setCapabilityValue({ capabilityId, value }) {
+      calls.push(`${id}.${capabilityId}=${value}`);
+      this.capabilitiesObj[capabilityId].value = value;
+    },
+  };
+}
+
+describe("scenes", () => {
+  it("captures only settable capability values", () => {
+    const scene = captureScene(" Movie ", [lamp("a", "Lamp A", { onoff: true, dim: 0.3 })]);
+    assert.equal(scene.name, "Movie");
+    assert.deepEqual(scene.devices, [{ id: "a", name: "Lamp A", capabilities: { onoff: true, dim: 0.3 } }]);
+
+    const dimOnly = captureScene("Dim", [lamp("a", "Lamp A", { onoff: true, dim: 0.3 })], { capabilityIds: ["dim"] });
+    assert.deepEqual(dimOnly.devices[0].capabilities, { dim: 0.3 });
+    assert.throws(() => captureScene("Empty", []), /None of the selected devices/);
+  });
+
+  it("persists scenes and matches names case-insensitively", () => {
+    const file = tempScenesFile();
+    const store = new SceneStore(file);
+    assert.deepEqual(store.list(), []);
+
+    store.save(captureScene("Movie", [lamp("a", "Lamp A", { onoff: true, dim: 0.3 })]));
+    assert.equal(new SceneStore(file).get("movie").name, "Movie");
+    assert.throws(() => store.save(captureScene("MOVIE", [lamp("a", "Lamp A", { onoff: false, dim: 1 })])), /already exists/);
+    store.save(captureScene("MOVIE", [lamp("a", "Lamp A", { onoff: false, dim: 1 })]), { overwrite: true });
+    assert.equal(store.get("Movie").devices[0].capabilities.onoff, false);
+
+    // Scenes of other Homeys are kept apart; ones without a homeyId are shared
+    store.save({ ...captureScene("Movie", [lamp("b", "Lamp B", { onoff: true, dim: 1 })]), homeyId: "cabin" });
+    assert.equal(store.get("movie", "cabin").devices[0].id, "b");
+    assert.equal(store.get("movie", "home").devices[0].id, "a");
+    assert.equal(store.list("cabin").length, 2);
+    store.delete("movie", "cabin");
+
+    store.delete("movie");
+    assert.throws(() => store.get("Movie"), /Scene "Movie" not found. No scenes have been saved yet./);
+    assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).version, 1);
+  });
+
+  it("applies onoff last and reports unchanged, skipped and missing devices", async () => {
+    const calls = [];
+    const scene = {
+      name: "Off",
+      devices: [
+        { id: "a", name: "Lamp A", capabilities: { onoff: false, dim: 0.5 } },
+        { id: "b", name: "Lamp B", capabilities: { onoff: true, dim: 0.2 } },
+        { id: "gone", name: "Old Lamp", capabilities: { onoff: false } },
+      ],
+    };
+    const devices = {
+      a: lamp("a", "Lamp A", { onoff: true, dim: 1 }, calls),
+      b: lamp("b", "Lamp B", { onoff: true, dim: 0.2 }, calls),
+    };
+    const policy = new Policy({ devices: { deny: ["Lamp B"] } });
+
+    const results = await applyScene({ scene, devices, zones, policy, concurrency: 1 });
+    assert.deepEqual(calls, ["a.dim=0.5", "a.onoff=false"]);
+    assert.deepEqual(countSceneResults(results), { changed: 2, unchanged: 0, planned: 0, skipped: 2, failed: 1 });
+    assert.match(results.at(-1).detail, /device gone no longer exists/);
+
+    const again = await applyScene({ scene, devices, zones, policy: new Policy(), dryRun: true });
+    assert.equal(countSceneResults(again).unchanged, 4);
+  });
+
+  it("sends onoff again when dimming may have switched the device on", async () => {
+    const calls = [];
+    const off = lamp("a", "Lamp A", { onoff: false, dim: 1 }, calls);
+    // The snapshot isn't refreshed by writes; the lamp itself switches on when it's dimmed, like
+    // most lights
+    const state = { onoff: false, dim: 1 };
+    off.setCapabilityValue = async ({ capabilityId, value }) => {
+      calls.push(`a.${capabilityId}=${value}`);
+      state[capabilityId] = value;
+      if (capabilityId === "dim") state.onoff = true;
+    };
+    const scene = { name: "Dim off", devices: [{ id: "a", name: "Lamp A", capabilities: { dim: 0.4, onoff: false } }] };
+
+    const preview = await applyScene({ scene, devices: { a: off }, zones, policy: new Policy(), dryRun: true });
+    assert.deepEqual(preview.map(r => [r.capabilityId, r.status]), [["dim", "planned"], ["onoff", "planned"]]);
+    assert.deepEqual(calls, []);
+
+    const results = await applyScene({ scene, devices: { a: off }, zones, policy: new Policy() });
+    assert.deepEqual(calls, ["a.dim=0.4", "a.onoff=false"]);
+    assert.equal(results[1].detail, "false (sent again after the other changes)");
+    assert.deepEqual(state, { onoff: false, dim: 0.4 });
+  });
+});
+
+describe("scene tools (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient({ HOMEY_SCENES_FILE: tempScenesFile() });
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("snapshots the living room, changes it and puts it back", async () => {
+    const saved = await callTool(client, "homey_save_scene", { name: "Before movie", zone: "Living Room", deviceClass: "light" });
+    assert.equal(saved.isError, false);
+    assert.match(saved.text, /Saved scene:\n🎬 Before movie \(2 devices/);
+    assert.match(saved.text, /Ceiling Lamp \[light-living-ceiling\]: onoff=true, dim=0.8/);
+
+    await callTool(client, "homey_bulk_set_capability", { zone: "Living Room", deviceClass: "light", capabilityId: "dim", value: 0.1 });
+    await callTool(client, "homey_bulk_set_capability", { zone: "Living Room", deviceClass: "light", capabilityId: "onoff", value: false });
+
+    const preview = await callTool(client, "homey_apply_scene", { name: "before movie", dryRun: true });
+    assert.match(preview.text, /Dry run: applying scene "Before movie" would change 4 values \(0 unchanged/);
+
+    const applied = await callTool(client, "homey_apply_scene", { name: "Before movie" });
+    assert.equal(applied.isError, false);
+    assert.match(applied.text, /Applied scene "Before movie": 4 changed, 0 unchanged, 0 failed, 0 skipped/);
+    // Floor Lamp was off and stays off, but dimming it may have switched it on
+    assert.match(applied.text, /\| Floor Lamp \| onoff \| ✅ changed \| false \(sent again after the other changes\) \|/);
+    assert.match(applied.text, /\| Ceiling Lamp \| dim \| ✅ changed \| 0.1 \(10%\) → 0.8 \(80%\) \|/);
+
+    const lamp = JSON.parse((await callTool(client, "homey_get_device", { id: "light-living-ceiling" })).text);
+    assert.equal(lamp.capabilitiesObj.onoff.value, true);
+    assert.equal(lamp.capabilitiesObj.dim.value, 0.8);
+  });
+
+  it("lists and deletes scenes", async () => {
+    await callTool(client, "homey_save_scene", { name: "Bedroom", zone: "Bedroom" });
+
+    const { text } = await callTool(client, "homey_list_scenes");
+    assert.match(text, /🎬 Bedroom \(2 devices/);
+    assert.match(text, /🎬 Before movie \(2 devices/);
+
+    const details = await callTool(client, "homey_list_scenes", { name: "bedroom" });
+    assert.match(details.text, /Bedroom Thermostat \[thermostat-bedroom\]: target_temperature=20, thermostat_mode="heat"/);
+
+    const deleted = await callTool(client, "homey_delete_scene", { name: "Bedroom" });
+    assert.match(deleted.text, /Deleted scene "Bedroom"/);
+
+    const missing = await callTool(client, "homey_apply_scene", { name: "Bedroom" });
+    assert.equal(missing.isError, true);
+    assert.match(missing.text, /Scene "Bedroom" not found. Available scenes: Before movie/);
+  });
+
+  it("previews a scene without saving it", async () => {
+    const { text } = await callTool(client, "homey_save_scene", { name: "Garden", deviceIds: ["light-garden"], dryRun: true });
+    assert.match(text, /Dry run: would save scene:\n🎬 Garden/);
+
+    const list = await callTool(client, "homey_list_scenes");
+    assert.doesNotMatch(list.text, /Garden/);
+  });
+});
@@ -0,0 +1,228 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { JobStore, Scheduler, createJob, describeJob, parseDuration, formatDuration, firstRunAt, nextRunAt, validateRepeat } from "../lib/schedule.js";
+import { startClient, callTool, tempScheduleFile } from "./helpers.js";
+
+const MINUTE = 60 * 1000;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Local times, so weekday checks don't depend on the machine's time zone
+const friday = new Date(2026, 9, 16, 12, 0).getTime();
+
+describe("schedule times", () => {
+  it("parses and formats durations", () => {
+    assert.equal(parseDuration("20m"), 20 * MINUTE);
+    assert.equal(parseDuration("1h 30m"), 90 * MINUTE);
+    assert.equal(parseDuration("90s"), 90 * 1000);
+    assert.equal(parseDuration(5), 5 * MINUTE);
+    assert.throws(() => parseDuration("soon"), /Invalid duration "soon"/);
+    assert.throws(() => parseDuration("20x"), /Invalid duration/);
+    assert.equal(formatDuration(90 * MINUTE + 5000), "1h 30m");
+    assert.equal(formatDuration(0), "0s");
+  });
+
+  it("finds the first run after a delay or at a time", () => {
+    assert.equal(firstRunAt({ delay: "20m" }, friday).getTime(), friday + 20 * MINUTE);
+    // 06:30 has passed today, so it's tomorrow (Saturday), or Monday on weekdays only
+    assert.deepEqual(firstRunAt({ at: "06:30" }, friday), new Date(2026, 9, 17, 6, 30));
+    assert.deepEqual(firstRunAt({ at: "06:30", repeat: "weekdays" }, friday), new Date(2026, 9, 19, 6, 30));
+    assert.deepEqual(firstRunAt({ at: "18:00" }, friday), new Date(2026, 9, 16, 18, 0));
+    assert.throws(() => firstRunAt({}, friday), /Provide either delay or at/);
+    assert.throws(() => firstRunAt({ at: "2020-01-01T00:00:00Z" }, friday), /is in the past/);
+    assert.throws(() => firstRunAt({ at: "25:00" }, friday), /Invalid time/);
+  });
+
+  it("repeats on calendar days or at intervals", () => {
+    const morning = new Date(2026, 9, 16, 6, 30);
+    assert.deepEqual(nextRunAt(morning, "daily", morning.getTime()), new Date(2026, 9, 17, 6, 30));
+    assert.deepEqual(nextRunAt(morning, "weekdays", morning.getTime()), new Date(2026, 9, 19, 6, 30));
+    assert.deepEqual(nextRunAt(morning, "weekends", morning.getTime()), new Date(2026, 9, 17, 6, 30));
+    assert.deepEqual(nextRunAt(morning, "weekly", morning.getTime()), new Date(2026, 9, 23, 6, 30));
+    // Runs missed while the server was down are skipped
+    assert.equal(nextRunAt(friday, "30m", friday + 100 * MINUTE).getTime(), friday + 120 * MINUTE);
+
+    assert.equal(validateRepeat(undefined), null);
+    assert.throws(() => validateRepeat("monthly"), /Invalid repeat "monthly"/);
+    assert.throws(() => validateRepeat("10s"), /too short/);
+  });
+});
+
+describe("scheduler", () => {
+  function setup(jobs, now) {
+    const store = new JobStore(tempScheduleFile());
+    for (const job of jobs) store.save(job);
+    const runs = [];
+    const scheduler = new Scheduler({
+      store,
+      now: () => now.value,
+      run: async job => {
+        runs.push(job.id);
+        return { content: [{ type: "text", text: "done" }] };
+      },
+    });
+    return { store, scheduler, runs };
+  }
+
+  it("removes one-off jobs after they run and moves repeating ones on", async () => {
+    const now = { value: friday };
+    const once = createJob({ tool: "homey_run_flow", arguments: { name: "Night" }, runAt: new Date(friday).toISOString() }, friday);
+    const daily = createJob({ tool: "homey_run_flow", arguments: { name: "Morning" }, runAt: new Date(friday).toISOString(), repeat: "daily" }, friday);
+    const { store, scheduler, runs } = setup([once, daily], now);
+
+    await scheduler.fire(once.id);
+    await scheduler.fire(daily.id);
+    scheduler.stop();
+    assert.deepEqual(runs, [once.id, daily.id]);
+    assert.deepEqual(store.list().map(j => j.id), [daily.id]);
+    const next = store.get(daily.id);
+    assert.equal(next.runs, 1);
+    assert.equal(next.runAt, new Date(friday + 24 * 60 * MINUTE).toISOString());
+    assert.deepEqual([next.lastRun.outcome, next.lastRun.message], ["ok", "done"]);
+  });
+
+  it("skips jobs that were missed by more than the grace period on startup", async () => {
+    const now = { value: friday };
+    const late = createJob({ tool: "homey_run_flow", arguments: {}, runAt: new Date(friday - 5 * MINUTE).toISOString() }, friday);
+    const missed = createJob({ tool: "homey_run_flow", arguments: {}, runAt: new Date(friday - 60 * MINUTE).toISOString() }, friday);
+    const missedDaily = createJob({ tool: "homey_run_flow", arguments: {}, runAt: new Date(friday - 60 * MINUTE).toISOString(), repeat: "daily" }, friday);
+    const { store, scheduler, runs } = setup([late, missed, missedDaily], now);
+
+    scheduler.start();
+    await sleep(20);
+    scheduler.stop();
+    assert.deepEqual(runs, [late.id]);
+    assert.deepEqual(store.list().map(j => j.id), [missedDaily.id]);
+    assert.equal(store.get(missedDaily.id).runAt, new Date(friday + 23 * 60 * MINUTE).toISOString());
+  });
+
+  it("marks jobs whose run time doesn't parse as failed instead of running them", async () => {
+    const now = { value: friday };
+    const job = createJob({ tool: "homey_run_flow", arguments: {}, runAt: new Date(friday + MINUTE).toISOString() }, friday);
+    const { store, scheduler, runs } = setup([{ ...job, runAt: "soon" }], now);
+
+    scheduler.start();
+    await sleep(20);
+    await scheduler.fire(job.id);
+    scheduler.stop();
+    assert.deepEqual(runs, []);
+    assert.equal(scheduler.timers.size, 0);
+    const stored = store.get(job.id);
+    assert.equal(stored.lastRun.outcome, "error");
+    assert.match(stored.lastRun.message, /runAt "soon" is not a valid time/);
+    assert.match(describeJob(stored, friday), /Next run: never \(invalid time "soon"\)/);
+  });
+
+  it("moves an unreadable schedule aside and starts empty", () => {
+    const now = { value: friday };
+    const { store, scheduler } = setup([], now);
+    fs.writeFileSync(store.filePath, "{ not json");
+
+    scheduler.start();
+    const moved = `${store.filePath}.corrupt-${new Date(friday).toISOString().replace(/[:.]/g, "-")}`;
+    assert.equal(fs.readFileSync(moved, "utf8"), "{ not json");
+    assert.deepEqual(store.list(), []);
+
+    const job = createJob({ tool: "homey_run_flow", arguments: {}, runAt: new Date(friday + MINUTE).toISOString() }, friday);
+    scheduler.add(job);
+    scheduler.stop();
+    assert.deepEqual(store.list().map(j => j.id), [job.id]);
+  });
+
+  it("doesn't run cancelled jobs", async () => {
+    const now = { value: friday };
+    const job = createJob({ tool: "homey_run_flow", arguments: {}, runAt: new Date(friday + MINUTE).toISOString() }, friday);
+    const { scheduler, runs } = setup([], now);
+    scheduler.add(job);
+    scheduler.cancel(job.id);
+    now.value += 2 * MINUTE;
+    await scheduler.fire(job.id);
+    assert.deepEqual(runs, []);
+    assert.throws(() => scheduler.cancel(job.id), error => error.code === "not_found");
+  });
+});
+
+describe("schedule tools (mock backend)", () => {
+  const file = tempScheduleFile();
+  let client;
+
+  before(async () => {
+    client = await startClient({ HOMEY_SCHEDULE_FILE: file });
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("runs a capability change after a delay", async () => {
+    const { text, structured } = await callTool(client, "homey_schedule_action", {
+      tool: "homey_set_capability",
+      arguments: { deviceName: "Kitchen Lamp", capabilityId: "onoff", value: true },
+      delay: "1s",
+      label: "Kitchen lamp on",
+    });
+    assert.match(text, /^⏰ Scheduled:\n⏰ Kitchen lamp on \[ID: \w+\]\n   Next run: .+ \(in 1s\)/);
+    assert.match(text, /If it ran now:\n🧪 Dry run: would set onoff on Kitchen Lamp: false → true/);
+    assert.deepEqual(structured.job.arguments, { deviceName: "Kitchen Lamp", capabilityId: "onoff", value: true, homeyId: "default" });
+    assert.equal(structured.job.createdBy.name, "homey-mcp-tests");
+
+    const pending = await callTool(client, "homey_list_scheduled_actions");
+    assert.deepEqual(pending.structured.jobs.map(j => j.id), [structured.job.id]);
+
+    await sleep(1500);
+    const lamp = await callTool(client, "homey_get_device", { id: "light-kitchen" });
+    assert.equal(lamp.structured.device.capabilities.onoff.value, true);
+    assert.deepEqual((await callTool(client, "homey_list_scheduled_actions")).structured.jobs, []);
+
+    const history = await callTool(client, "homey_get_action_history", { tool: "homey_set_capability" });
+    assert.equal(history.structured.actions[0].client.name, `scheduled action ${structured.job.id}`);
+  });
+
+  it("checks the action when it is scheduled", async () => {
+    const missing = await callTool(client, "homey_schedule_action", { tool: "homey_set_capability", arguments: { deviceName: "Porch Light", capabilityId: "onoff", value: false }, delay: "20m" });
+    assert.equal(missing.structured.error.code, "not_found");
+    assert.match(missing.text, /Can't schedule homey_set_capability: .*Porch Light/);
+
+    const invalid = await callTool(client, "homey_schedule_action", { tool: "homey_set_capability", arguments: { deviceName: "Kitchen Lamp", capabilityId: "dim" }, delay: "20m" });
+    assert.match(invalid.text, /homey_set_capability needs value in arguments/);
+
+    const notAllowed = await callTool(client, "homey_schedule_action", { tool: "homey_delete_flow", arguments: { name: "Good Morning" }, delay: "20m" });
+    assert.match(notAllowed.text, /homey_delete_flow can't be scheduled/);
+  });
+
+  it("keeps repeating jobs on disk until they are cancelled", async () => {
+    const { structured } = await callTool(client, "homey_schedule_action", {
+      tool: "homey_run_flow",
+      arguments: { name: "Good Morning" },
+      at: "06:30",
+      repeat: "weekdays",
+    });
+    assert.equal(structured.job.repeat, "weekdays");
+
+    // A new server process picks the job up from the same file
+    const restarted = await startClient({ HOMEY_SCHEDULE_FILE: file });
+    const { text, structured: listed } = await callTool(restarted, "homey_list_scheduled_actions");
+    await restarted.close();
+    assert.deepEqual(listed.jobs.map(j => j.id), [structured.job.id]);
+    assert.match(text, /repeats weekdays\n   Action: homey_run_flow \{"name":"Good Morning","homeyId":"default"\}/);
+
+    const preview = await callTool(client, "homey_cancel_scheduled_action", { id: structured.job.id, dryRun: true });
+    assert.match(preview.text, /Dry run: would cancel/);
+    const cancelled = await callTool(client, "homey_cancel_scheduled_action", { id: structured.job.id });
+    assert.match(cancelled.text, /^🗑️ Cancelled:\n⏰ homey_run_flow/);
+    assert.equal((await callTool(client, "homey_list_scheduled_actions")).text, "No actions scheduled. Use homey_schedule_action to add one.");
+  });
+
+  it("starts even when the schedule file is corrupt", async () => {
+    const corrupt = tempScheduleFile();
+    fs.writeFileSync(corrupt, "{ not json");
+    const restarted = await startClient({ HOMEY_SCHEDULE_FILE: corrupt });
+    try {
+      const { structured } = await callTool(restarted, "homey_list_scheduled_actions");
+      assert.deepEqual(structured.jobs, []);
+    } finally {
+      await restarted.close();
+    }
+    assert.equal(fs.existsSync(corrupt), false);
+  });
+});
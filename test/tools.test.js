@@ -0,0 +1,486 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startClient, callTool } from "./helpers.js";
+
+describe("homey tools (mock backend)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient();
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("exposes every homey_* tool", async () => {
+    const { tools } = await client.listTools();
+    const names = tools.map(t => t.name);
+    assert.equal(names.length, 55);
+    assert.ok(names.every(n => n.startsWith("homey_")));
+  });
+
+  describe("devices", () => {
+    it("homey_list_devices lists devices with their zone", async () => {
+      const { isError, text } = await callTool(client, "homey_list_devices");
+      assert.equal(isError, false);
+      assert.match(text, /^Total Devices: 12/);
+      assert.match(text, /\[Living Room\] Ceiling Lamp \(light\)/);
+      assert.match(text, /ID: thermostat-bedroom/);
+    });
+
+    it("homey_get_sensor_readings reports measure_* values with units", async () => {
+      const { text } = await callTool(client, "homey_get_sensor_readings");
+      assert.match(text, /Living Room Climate \(Living Room\): measure_temperature: 21.3 °C, measure_humidity: 45 %/);
+      assert.match(text, /TV Socket \(Living Room\): measure_power: 85.4 W/);
+      assert.doesNotMatch(text, /Ceiling Lamp/);
+    });
+
+    it("homey_get_device returns the device as JSON", async () => {
+      const { isError, text } = await callTool(client, "homey_get_device", { id: "lock-front-door" });
+      assert.equal(isError, false);
+      const device = JSON.parse(text);
+      assert.equal(device.name, "Front Door Lock");
+      assert.equal(device.capabilitiesObj.locked.value, true);
+    });
+
+    it("homey_get_device fails for an unknown ID", async () => {
+      const { isError, text } = await callTool(client, "homey_get_device", { id: "nope" });
+      assert.equal(isError, true);
+      assert.match(text, /^Error: No device found matching "nope"/);
+    });
+
+    it("homey_set_capability won't act on a device whose name resembles an unknown ID", async () => {
+      const { isError, structured } = await callTool(client, "homey_set_capability", { deviceId: "kitchen", capabilityId: "onoff", value: true });
+      assert.equal(isError, true);
+      assert.equal(structured.error.code, "not_found");
+      const lamp = JSON.parse((await callTool(client, "homey_get_device", { id: "light-kitchen" })).text);
+      assert.equal(lamp.capabilitiesObj.onoff.value, false);
+    });
+
+    it("homey_set_capability updates the device", async () => {
+      const { isError, text } = await callTool(client, "homey_set_capability", {
+        deviceId: "light-kitchen",
+        capabilityId: "dim",
+        value: 0.25,
+      });
+      assert.equal(isError, false);
+      assert.match(text, /Successfully set dim on Kitchen Lamp: 1 \(100%\) → 0.25 \(25%\)/);
+
+      const device = JSON.parse((await callTool(client, "homey_get_device", { id: "light-kitchen" })).text);
+      assert.equal(device.capabilitiesObj.dim.value, 0.25);
+    });
+
+    it("homey_set_capability rejects unknown and read-only capabilities", async () => {
+      const unknown = await callTool(client, "homey_set_capability", {
+        deviceId: "light-kitchen",
+        capabilityId: "volume_set",
+        value: 1,
+      });
+      assert.equal(unknown.isError, true);
+      assert.match(unknown.text, /Kitchen Lamp has no capability volume_set \(available: onoff, dim\)/);
+
+      const readOnly = await callTool(client, "homey_set_capability", {
+        deviceId: "socket-tv",
+        capabilityId: "measure_power",
+        value: 1,
+      });
+      assert.equal(readOnly.isError, true);
+      assert.match(readOnly.text, /measure_power on TV Socket is read-only/);
+    });
+
+    it("homey_set_capability coerces percentages, units and enum titles", async () => {
+      const dim = await callTool(client, "homey_set_capability", { deviceId: "light-living-floor", capabilityId: "dim", value: "40%" });
+      assert.match(dim.text, /0.5 \(50%\) → 0.4 \(40%\)/);
+
+      const temperature = await callTool(client, "homey_set_capability", { deviceId: "thermostat-bedroom", capabilityId: "target_temperature", value: "68°F" });
+      assert.match(temperature.text, /20 °C → 20 °C/);
+      assert.match(temperature.text, /Note: converted 68°F to 20 °C/);
+
+      const mode = await callTool(client, "homey_set_capability", { deviceId: "thermostat-bedroom", capabilityId: "thermostat_mode", value: "Automatic" });
+      assert.match(mode.text, /heat → auto/);
+    });
+
+    it("homey_set_capability rejects values of the wrong type or out of range", async () => {
+      const wrongType = await callTool(client, "homey_set_capability", { deviceId: "thermostat-bedroom", capabilityId: "target_temperature", value: true });
+      assert.equal(wrongType.isError, true);
+      assert.match(wrongType.text, /target_temperature expects a number/);
+
+      const outOfRange = await callTool(client, "homey_set_capability", { deviceId: "thermostat-bedroom", capabilityId: "target_temperature", value: 45 });
+      assert.equal(outOfRange.isError, true);
+      assert.match(outOfRange.text, /must be between 5–30 °C/);
+    });
+
+    it("homey_get_live_insights returns the current capability state", async () => {
+      const { text } = await callTool(client, "homey_get_live_insights", {
+        deviceId: "sensor-living-climate",
+        capabilityId: "measure_humidity",
+      });
+      assert.match(text, /^Live data for Living Room Climate \[measure_humidity\]/);
+      assert.match(text, /"value":45/);
+    });
+  });
+
+  describe("zones", () => {
+    it("homey_list_zones renders the hierarchy with device counts", async () => {
+      const { text } = await callTool(client, "homey_list_zones");
+      assert.match(text, /^📍 Home \[ID: zone-home\] \(0 devices, 12 incl. sub-zones\)$/m);
+      assert.match(text, /^  📍 Ground Floor \[ID: zone-ground-floor\] \(0 devices, 9 incl. sub-zones\)$/m);
+      assert.match(text, /^    📍 Kitchen \[ID: zone-kitchen\] \(1 device\)$/m);
+      assert.match(text, /^  📍 Garden \[ID: zone-garden\] \(1 device\)$/m);
+    });
+
+    it("homey_find_devices_by_zone includes sub-zones by default", async () => {
+      const { text } = await callTool(client, "homey_find_devices_by_zone", { zoneName: "Ground Floor" });
+      assert.match(text, /- Kitchen Lamp \(light\) \[ID: light-kitchen\] — Kitchen/);
+      assert.match(text, /- Front Door Lock \(lock\) \[ID: lock-front-door\] — Hallway/);
+
+      const direct = await callTool(client, "homey_find_devices_by_zone", { zoneName: "Ground Floor", includeChildren: false });
+      assert.match(direct.text, /No devices in this zone/);
+    });
+
+    it("homey_control_lights_in_zone reaches lights in child rooms", async () => {
+      const { text } = await callTool(client, "homey_control_lights_in_zone", { zoneName: "First Floor", on: true, dryRun: true });
+      assert.match(text, /would turn on 1 lights in First Floor: Bedside Lamp/);
+    });
+
+    it("homey_find_devices_by_zone matches zone names case-insensitively", async () => {
+      const { text } = await callTool(client, "homey_find_devices_by_zone", { zoneName: "kitchen" });
+      assert.match(text, /Kitchen Lamp \(light\) \[ID: light-kitchen\]/);
+    });
+
+    it("homey_find_devices_by_zone accepts a zone ID", async () => {
+      const { text } = await callTool(client, "homey_find_devices_by_zone", { zoneId: "zone-hallway" });
+      assert.match(text, /Front Door Lock/);
+      assert.match(text, /Hallway Motion/);
+    });
+
+    it("homey_find_devices_by_zone fails for an unknown zone", async () => {
+      const { isError, text } = await callTool(client, "homey_find_devices_by_zone", { zoneName: "Attic" });
+      assert.equal(isError, true);
+      assert.match(text, /No zone found matching "Attic"/);
+    });
+
+    it("homey_control_lights_in_zone switches the zone's lights", async () => {
+      const { isError, text } = await callTool(client, "homey_control_lights_in_zone", { zoneName: "Living Room", on: true });
+      assert.equal(isError, false);
+      assert.match(text, /Successfully turned on \d+ lights in Living Room/);
+
+      const lamp = JSON.parse((await callTool(client, "homey_get_device", { id: "light-living-floor" })).text);
+      assert.equal(lamp.capabilitiesObj.onoff.value, true);
+    });
+
+    it("homey_control_lights_in_zone fails for an unknown zone", async () => {
+      const { isError } = await callTool(client, "homey_control_lights_in_zone", { zoneName: "Attic", on: false });
+      assert.equal(isError, true);
+    });
+  });
+
+  describe("flows", () => {
+    it("homey_list_flows lists standard flows with their state", async () => {
+      const { text } = await callTool(client, "homey_list_flows");
+      assert.match(text, /- Good Morning \[ID: flow-good-morning\] \(Enabled\)/);
+      assert.match(text, /- Hallway Motion Alert \[ID: flow-hall-motion\] \(Disabled\)/);
+    });
+
+    it("homey_list_advanced_flows lists Advanced Flows", async () => {
+      const { text } = await callTool(client, "homey_list_advanced_flows");
+      assert.match(text, /- Evening Lights \[ID: adv-evening-lights\]/);
+      assert.match(text, /- Heating Schedule \[ID: adv-heating\]/);
+    });
+
+    it("homey_get_flow returns the flow definition", async () => {
+      const { text } = await callTool(client, "homey_get_flow", { id: "flow-good-night" });
+      const flow = JSON.parse(text);
+      assert.equal(flow.name, "Good Night");
+      assert.equal(flow.actions.length, 3);
+    });
+
+    it("homey_get_flow_folders lists folders", async () => {
+      const { text } = await callTool(client, "homey_get_flow_folders");
+      assert.match(text, /- Routines \[ID: folder-routines\]/);
+      assert.match(text, /- Security \[ID: folder-security\]/);
+    });
+
+    it("homey_run_flow triggers an enabled flow", async () => {
+      const { isError, text } = await callTool(client, "homey_run_flow", { id: "flow-good-morning" });
+      assert.equal(isError, false);
+      assert.match(text, /triggered standard flow: Good Morning \(flow-good-morning\)/);
+    });
+
+    it("homey_run_flow surfaces errors for disabled or unknown flows", async () => {
+      assert.match((await callTool(client, "homey_run_flow", { id: "flow-hall-motion" })).text, /Flow Disabled/);
+      assert.match((await callTool(client, "homey_run_flow", { id: "missing" })).text, /No flow found matching "missing"/);
+    });
+
+    it("homey_run_advanced_flow triggers an Advanced Flow", async () => {
+      const { isError, text } = await callTool(client, "homey_run_advanced_flow", { id: "adv-evening-lights" });
+      assert.equal(isError, false);
+      assert.match(text, /triggered Advanced Flow: Evening Lights \(adv-evening-lights\)/);
+    });
+
+    it("homey_get_flow_cards lists and filters cards by type", async () => {
+      const all = await callTool(client, "homey_get_flow_cards");
+      assert.match(all.text, /\[trigger\] homey:manager:cron:time_exactly/);
+      assert.match(all.text, /\[condition\] homey:device:tv-living:on/);
+
+      const actions = await callTool(client, "homey_get_flow_cards", { type: "action" });
+      assert.match(actions.text, /\[action\] homey:device:lock-front-door:lock/);
+      assert.doesNotMatch(actions.text, /\[trigger\]/);
+    });
+
+    it("homey_run_flow_card_action accepts a short card ID with its URI", async () => {
+      const { isError, text } = await callTool(client, "homey_run_flow_card_action", {
+        uri: "homey:device:light-kitchen",
+        id: "on",
+      });
+      assert.equal(isError, false);
+      assert.match(text, /executed flow card action: on/);
+    });
+
+    it("homey_run_flow_card_action fails for an unknown card", async () => {
+      const { isError, text } = await callTool(client, "homey_run_flow_card_action", {
+        uri: "homey:device:light-kitchen",
+        id: "explode",
+      });
+      assert.equal(isError, true);
+      assert.match(text, /FlowCardAction Not Found/);
+    });
+
+    it("homey_get_device_flow_capabilities includes the device's own cards", async () => {
+      const { text } = await callTool(client, "homey_get_device_flow_capabilities", { deviceId: "sensor-hall-motion" });
+      assert.match(text, /\[trigger\] homey:device:sensor-hall-motion:alarm_motion_true/);
+    });
+  });
+
+  describe("name resolution", () => {
+    it("resolves devices by fuzzy name", async () => {
+      const { isError, text } = await callTool(client, "homey_get_device", { name: "kitchen lamp" });
+      assert.equal(isError, false);
+      assert.equal(JSON.parse(text).id, "light-kitchen");
+
+      const typo = await callTool(client, "homey_get_device", { name: "Bedrom Thermostat" });
+      assert.equal(JSON.parse(typo.text).id, "thermostat-bedroom");
+    });
+
+    it("lists candidates when a name is ambiguous", async () => {
+      const { isError, text } = await callTool(client, "homey_get_device", { name: "lamp" });
+      assert.equal(isError, true);
+      assert.match(text, /"lamp" matches 4 devices/);
+      assert.match(text, /- Kitchen Lamp \(Kitchen\) \[ID: light-kitchen\]/);
+    });
+
+    it("narrows a name with a zone qualifier", async () => {
+      const { text } = await callTool(client, "homey_set_capability", {
+        deviceName: "lamp",
+        zone: "Bedroom",
+        capabilityId: "onoff",
+        value: true,
+        dryRun: true,
+      });
+      assert.match(text, /would set onoff on Bedside Lamp/);
+    });
+
+    it("resolves flows and Advanced Flows by name", async () => {
+      const flow = await callTool(client, "homey_get_flow", { name: "good night" });
+      assert.equal(JSON.parse(flow.text).id, "flow-good-night");
+
+      const run = await callTool(client, "homey_run_flow", { name: "Good", dryRun: true });
+      assert.match(run.text, /"Good" matches 2 flows/);
+
+      const advanced = await callTool(client, "homey_run_advanced_flow", { name: "heating", dryRun: true });
+      assert.match(advanced.text, /would trigger Advanced Flow: Heating Schedule/);
+    });
+
+    it("resolves live insights by device name", async () => {
+      const { text } = await callTool(client, "homey_get_live_insights", { deviceName: "hallway motion", capabilityId: "alarm_motion" });
+      assert.match(text, /^Live data for Hallway Motion \[alarm_motion\]/);
+    });
+
+    it("uses the same resolver for zones", async () => {
+      const { text } = await callTool(client, "homey_find_devices_by_zone", { zoneName: "living" });
+      assert.match(text, /^Devices in Living Room:/);
+
+      const ambiguous = await callTool(client, "homey_find_devices_by_zone", { zoneName: "floor" });
+      assert.match(ambiguous.text, /"floor" matches 2 zones/);
+      assert.match(ambiguous.text, /Home \/ Ground Floor \[ID: zone-ground-floor\]/);
+    });
+  });
+
+  describe("insights", () => {
+    it("homey_get_energy_data reports consumption per device and zone", async () => {
+      const { isError, text } = await callTool(client, "homey_get_energy_data", { resolution: "today" });
+      assert.equal(isError, false);
+      assert.match(text, /^⚡ Energy report \(today\)/);
+      assert.match(text, /Tariff: not configured/);
+      assert.match(text, /Total: 1.17 kWh across 1 device/);
+      assert.match(text, /1\. TV Socket \(Living Room\): 1.17 kWh \[meter\]/);
+      assert.match(text, /- Home: 1.17 kWh\n  - Ground Floor: 1.17 kWh\n    - Living Room: 1.17 kWh/);
+      assert.match(text, /Live draw: 85.4 W\n- TV Socket \(Living Room\): 85.4 W/);
+    });
+
+    it("homey_get_energy_data prices a device with a flat rate", async () => {
+      const { text } = await callTool(client, "homey_get_energy_data", { deviceName: "tv socket", resolution: "today", pricePerKwh: 0.3 });
+      assert.match(text, /Tariff: flat 0.3 EUR\/kWh/);
+      assert.match(text, /Total: 1.17 kWh · 0.35 EUR/);
+
+      const empty = await callTool(client, "homey_get_energy_data", { zone: "Bedroom", resolution: "today" });
+      assert.match(empty.text, /Total: 0.00 kWh across 0 devices/);
+      assert.match(empty.text, /Live draw: no devices are currently drawing power/);
+    });
+
+    it("homey_get_device_insights summarises a log by ID", async () => {
+      const { isError, text } = await callTool(client, "homey_get_device_insights", {
+        logId: "homey:device:sensor-living-climate:measure_temperature",
+        resolution: "last7days",
+      });
+      assert.equal(isError, false);
+      assert.match(text, /^📈 Temperature — Living Room Climate \(measure_temperature, °C\), last7Days/);
+      assert.match(text, /Min: 19.1 °C · Max: 21.3 °C · Avg: 20.3 °C · Last: 21.3 °C/);
+      assert.doesNotMatch(text, /"v":/);
+    });
+
+    it("homey_get_device_insights resolves the log from a device and capability", async () => {
+      const { text } = await callTool(client, "homey_get_device_insights", {
+        deviceName: "tv socket",
+        capabilityId: "measure_power",
+        from: "2026-01-15T00:00:00Z",
+        to: "2026-01-16T00:00:00Z",
+        buckets: 4,
+        threshold: 50,
+      });
+      assert.match(text, /^📈 Power — TV Socket \(measure_power, W\), last2Years/);
+      assert.match(text, /Above 50 W: 12h 0m \(50%\) · Below: 12h 0m \(50%\)/);
+      assert.match(text, /\| 2026-01-15T12:00:00.000Z \| 90.5 \| 90.5 \| 90.5 \|/);
+    });
+
+    it("homey_get_device_insights can return CSV", async () => {
+      const { text } = await callTool(client, "homey_get_device_insights", {
+        deviceId: "sensor-hall-motion",
+        capabilityId: "alarm_motion",
+        buckets: 2,
+        format: "csv",
+        resolution: "today",
+      });
+      assert.match(text, /True in 50% of entries · Last: false/);
+      assert.match(text, /\ntime,avg,min,max\n2026-01-15T07:02:00.000Z,0.5,0,1\n/);
+    });
+
+    it("homey_get_device_insights explains missing logs", async () => {
+      const unknown = await callTool(client, "homey_get_device_insights", { logId: "homey:device:x:y" });
+      assert.equal(unknown.isError, true);
+      assert.match(unknown.text, /Insights log not found: homey:device:x:y/);
+
+      const missing = await callTool(client, "homey_get_device_insights", { deviceId: "socket-tv", capabilityId: "onoff" });
+      assert.match(missing.text, /TV Socket has no insights log for onoff \(available: measure_power, meter_power\)/);
+
+      const badRange = await callTool(client, "homey_get_device_insights", { deviceId: "socket-tv", capabilityId: "measure_power", from: "yesterday" });
+      assert.match(badRange.text, /Invalid from time "yesterday"/);
+    });
+
+    it("homey_compare_insights aligns several logs on one time axis", async () => {
+      const { isError, text } = await callTool(client, "homey_compare_insights", {
+        series: [
+          { deviceId: "socket-tv", capabilityId: "measure_power" },
+          { deviceName: "living room climate", capabilityId: "measure_temperature" },
+        ],
+        resolution: "today",
+        buckets: 4,
+      });
+      assert.equal(isError, false);
+      assert.match(text, /^📊 Comparing 2 logs, today/);
+      assert.match(text, /\| time \| TV Socket measure_power \| Living Room Climate measure_temperature \|/);
+      assert.match(text, /\| 2026-01-15T09:00:00.000Z \| 90.5 \| 21 \|/);
+    });
+  });
+
+  describe("bulk control", () => {
+    it("homey_bulk_set_capability dry-runs across a floor by class", async () => {
+      const { isError, text } = await callTool(client, "homey_bulk_set_capability", {
+        zone: "Ground Floor",
+        deviceClass: "light",
+        capabilityId: "dim",
+        value: "50%",
+        dryRun: true,
+      });
+      assert.equal(isError, false);
+      assert.match(text, /Dry run: would set dim to "50%" on 3 of 3 devices/);
+      assert.match(text, /\| Kitchen Lamp \| Kitchen \| 🧪 would set \| [\d.]+ \(\d+%\) → 0.5 \(50%\) \|/);
+
+      const lamp = JSON.parse((await callTool(client, "homey_get_device", { id: "light-kitchen" })).text);
+      assert.notEqual(lamp.capabilitiesObj.dim.value, 0.5);
+    });
+
+    it("homey_bulk_set_capability reports per-device failures without aborting", async () => {
+      const { isError, text } = await callTool(client, "homey_bulk_set_capability", {
+        namePattern: "*Spot",
+        deviceIds: ["light-garden", "light-kitchen"],
+        capabilityId: "onoff",
+        value: true,
+      });
+      assert.equal(isError, false);
+      assert.match(text, /on 1 devices: 0 succeeded, 1 failed, 0 skipped/);
+      assert.match(text, /\| Garden Spot \| Garden \| ❌ failed \|/);
+
+      const mixed = await callTool(client, "homey_bulk_set_capability", {
+        deviceIds: ["light-garden", "light-kitchen"],
+        capabilityId: "onoff",
+        value: true,
+        concurrency: 2,
+      });
+      assert.match(mixed.text, /on 2 devices: 1 succeeded, 1 failed, 0 skipped/);
+      assert.match(mixed.text, /\| Kitchen Lamp \| Kitchen \| ✅ ok \| \w+ → true \|/);
+    });
+
+    it("homey_bulk_set_capability only targets devices with the capability", async () => {
+      const { text } = await callTool(client, "homey_bulk_set_capability", {
+        zone: "Bedroom",
+        capabilityId: "target_temperature",
+        value: 19,
+        dryRun: true,
+      });
+      assert.match(text, /on 1 of 1 devices/);
+      assert.match(text, /Bedroom Thermostat/);
+      assert.doesNotMatch(text, /Bedside Lamp/);
+    });
+
+    it("homey_bulk_set_capability requires a device filter", async () => {
+      const { isError, text } = await callTool(client, "homey_bulk_set_capability", { capabilityId: "onoff", value: false });
+      assert.equal(isError, true);
+      assert.match(text, /Provide at least one device filter/);
+    });
+
+    it("homey_control_lights_in_zone only switches devices of class light", async () => {
+      const { text } = await callTool(client, "homey_control_lights_in_zone", { zoneName: "Living Room", on: false, dryRun: true });
+      assert.match(text, /would turn off 2 lights in Living Room: Ceiling Lamp, Floor Lamp/);
+      assert.doesNotMatch(text, /TV Socket|Television/);
+    });
+  });
+
+  it("rejects unknown tools", async () => {
+    const { isError, text } = await callTool(client, "homey_self_destruct");
+    assert.equal(isError, true);
+    assert.equal(text, "Error: Unknown tool: homey_self_destruct");
+  });
+});
+
+describe("homey tools (not connected)", () => {
+  let client;
+
+  before(async () => {
+    client = await startClient({ HOMEY_MOCK: "", HOMEY_TOKEN: "mock-token", HOMEY_IP: "127.0.0.1:1" });
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it("still lists tools but reports the missing connection on calls", async () => {
+    const { tools } = await client.listTools();
+    assert.ok(tools.length > 0);
+
+    const { isError, text } = await callTool(client, "homey_list_devices");
+    assert.equal(isError, true);
+    assert.match(text, /Homey is not connected/);
+  });
+});
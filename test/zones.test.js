@@ -0,0 +1,48 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { zonePath, getZoneIds, renderZoneTree } from "../lib/zones.js";
+
+const zones = {
+  home: { id: "home", name: "Home", parent: null },
+  ground: { id: "ground", name: "Ground Floor", parent: "home" },
+  kitchen: { id: "kitchen", name: "Kitchen", parent: "ground" },
+  hall: { id: "hall", name: "Hall", parent: "ground" },
+  attic: { id: "attic", name: "Attic", parent: "home" },
+};
+
+describe("zones", () => {
+  it("builds zone paths", () => {
+    assert.equal(zonePath(zones, "kitchen"), "Home / Ground Floor / Kitchen");
+    assert.equal(zonePath(zones, "missing"), "");
+  });
+
+  it("collects a zone and its descendants", () => {
+    assert.deepEqual([...getZoneIds(zones, "ground")].sort(), ["ground", "hall", "kitchen"]);
+    assert.deepEqual([...getZoneIds(zones, "ground", false)], ["ground"]);
+  });
+
+  it("renders an indented tree with device counts", () => {
+    const devices = {
+      a: { id: "a", zone: "kitchen" },
+      b: { id: "b", zone: "kitchen" },
+      c: { id: "c", zone: "attic" },
+    };
+    assert.equal(renderZoneTree(zones, devices), [
+      "📍 Home [ID: home] (0 devices, 3 incl. sub-zones)",
+      "  📍 Attic [ID: attic] (1 device)",
+      "  📍 Ground Floor [ID: ground] (0 devices, 2 incl. sub-zones)",
+      "    📍 Hall [ID: hall] (0 devices)",
+      "    📍 Kitchen [ID: kitchen] (2 devices)",
+    ].join("\n"));
+  });
+
+  it("survives parent cycles", () => {
+    const cyclic = {
+      a: { id: "a", name: "A", parent: "b" },
+      b: { id: "b", name: "B", parent: "a" },
+    };
+    assert.equal(zonePath(cyclic, "a"), "B / A");
+    assert.deepEqual([...getZoneIds(cyclic, "a")].sort(), ["a", "b"]);
+    assert.equal(renderZoneTree(cyclic).split("\n").length, 2);
+  });
+});